@@ -12,6 +12,8 @@ const EnvironmentalPage = React.lazy(() => import('./pages/EnvironmentalPage'));
 const SurveyingPage = React.lazy(() => import('./pages/SurveyingPage'));
 const ConcretePage = React.lazy(() => import('./pages/ConcretePage'));
 const ConstructionPage = React.lazy(() => import('./pages/ConstructionPage'));
+const FramePage = React.lazy(() => import('./pages/FramePage'));
+const TrussPage = React.lazy(() => import('./pages/TrussPage'));
 const About = React.lazy(() => import('./pages/About'));
 
 // Loading component
@@ -74,6 +76,16 @@ function App() {
               <ConstructionPage />
             </Suspense>
           } />
+          <Route path="frame" element={
+            <Suspense fallback={<PageLoader />}>
+              <FramePage />
+            </Suspense>
+          } />
+          <Route path="truss" element={
+            <Suspense fallback={<PageLoader />}>
+              <TrussPage />
+            </Suspense>
+          } />
           <Route path="about" element={
             <Suspense fallback={<PageLoader />}>
               <About />
@@ -106,16 +106,47 @@ function AnalysisGraph({
   );
 }
 
+/**
+ * Max/min envelope traces drawn over a beam diagram
+ */
+function envelopeTraces(x, max, min, color, label, unit) {
+  return [
+    {
+      x,
+      y: max,
+      type: 'scatter',
+      mode: 'lines',
+      line: { color, width: 1.5, dash: 'dash' },
+      name: `${label} (max)`,
+      hovertemplate: `x: %{x:.2f} m<br>max: %{y:.2f} ${unit}<extra></extra>`
+    },
+    {
+      x,
+      y: min,
+      type: 'scatter',
+      mode: 'lines',
+      line: { color, width: 1.5, dash: 'dot' },
+      name: `${label} (min)`,
+      hovertemplate: `x: %{x:.2f} m<br>min: %{y:.2f} ${unit}<extra></extra>`
+    }
+  ];
+}
+
 /**
  * Beam Analysis Charts (SFD, BMD, Deflection)
+ * An optional envelope { x, shearMax, shearMin, momentMax, momentMin, label }
+ * is drawn over the shear and moment diagrams; deflectionMax/deflectionMin
+ * add a deflection envelope. Non-prismatic beams also show their EI profile
+ * and beams on elastic foundation their soil pressure; internal hinges are
+ * marked on the moment and deflection diagrams
  */
-export function BeamCharts({ results }) {
-  if (!results) return null;
+export function BeamCharts({ results, envelope = null }) {
+  if (!results && !envelope) return null;
 
-  const { x, shear, moment, deflection } = results;
+  const { x, shear, moment, deflection } = results || {};
 
   // Shear Force Diagram
-  const sfdData = [{
+  const sfdData = !results ? [] : [{
     x: x,
     y: shear,
     type: 'scatter',
@@ -128,7 +159,7 @@ export function BeamCharts({ results }) {
   }];
 
   // Bending Moment Diagram
-  const bmdData = [{
+  const bmdData = !results ? [] : [{
     x: x,
     y: moment,
     type: 'scatter',
@@ -140,8 +171,14 @@ export function BeamCharts({ results }) {
     hovertemplate: 'x: %{x:.2f} m<br>M: %{y:.2f} kN·m<extra></extra>'
   }];
 
+  if (envelope) {
+    const label = envelope.label || 'Envelope';
+    sfdData.push(...envelopeTraces(envelope.x, envelope.shearMax, envelope.shearMin, '#b91c1c', label, 'kN'));
+    bmdData.push(...envelopeTraces(envelope.x, envelope.momentMax, envelope.momentMin, '#1d4ed8', label, 'kN·m'));
+  }
+
   // Deflection Diagram
-  const deflectionData = [{
+  const deflectionData = !results ? [] : [{
     x: x,
     y: deflection,
     type: 'scatter',
@@ -153,6 +190,25 @@ export function BeamCharts({ results }) {
     hovertemplate: 'x: %{x:.2f} m<br>δ: %{y:.4f} mm<extra></extra>'
   }];
 
+  if (envelope?.deflectionMax) {
+    deflectionData.push(...envelopeTraces(envelope.x, envelope.deflectionMax, envelope.deflectionMin, '#047857', envelope.label || 'Envelope', 'mm'));
+  }
+
+  const hinges = results?.properties?.hinges || [];
+  if (hinges.length > 0) {
+    const hingeTrace = (values, unit) => ({
+      x: hinges,
+      y: hinges.map(h => values[x.reduce((best, xi, i) => (Math.abs(xi - h) < Math.abs(x[best] - h) ? i : best), 0)]),
+      type: 'scatter',
+      mode: 'markers',
+      marker: { color: 'white', size: 10, line: { color: '#1e3a8a', width: 2 } },
+      name: 'Internal hinge',
+      hovertemplate: `Hinge at %{x:.2f} m<br>%{y:.3f} ${unit}<extra></extra>`
+    });
+    bmdData.push(hingeTrace(moment, 'kN·m'));
+    deflectionData.push(hingeTrace(deflection, 'mm'));
+  }
+
   return (
     <div className="space-y-6">
       <AnalysisGraph
@@ -167,11 +223,767 @@ export function BeamCharts({ results }) {
         xTitle="Position along beam (m)"
         yTitle="Bending Moment (kN·m)"
       />
+      {deflectionData.length > 0 && (
+        <AnalysisGraph
+          data={deflectionData}
+          title="Deflection Curve"
+          xTitle="Position along beam (m)"
+          yTitle="Deflection (mm)"
+        />
+      )}
+      {results?.soilPressure && (
+        <AnalysisGraph
+          data={[{
+            x: x,
+            y: results.soilPressure,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozeroy',
+            fillcolor: 'rgba(180, 83, 9, 0.2)',
+            line: { color: '#b45309', width: 2 },
+            name: 'Soil Pressure',
+            hovertemplate: 'x: %{x:.2f} m<br>q: %{y:.2f} kPa<extra></extra>'
+          }]}
+          title="Soil Pressure (compression positive)"
+          xTitle="Position along beam (m)"
+          yTitle="Soil Pressure (kPa)"
+        />
+      )}
+      {results?.properties?.variableStiffness && (
+        <AnalysisGraph
+          data={[{
+            x: x,
+            y: results.flexuralRigidity,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozeroy',
+            fillcolor: 'rgba(107, 114, 128, 0.2)',
+            line: { color: '#6b7280', width: 2 },
+            name: 'EI',
+            hovertemplate: 'x: %{x:.2f} m<br>EI: %{y:.4s} kN·m²<extra></extra>'
+          }]}
+          title="Flexural Rigidity (EI)"
+          xTitle="Position along beam (m)"
+          yTitle="EI (kN·m²)"
+          height={280}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Influence Lines for support reactions, and shear and moment at a section
+ */
+export function InfluenceLineCharts({ influence }) {
+  if (!influence) return null;
+
+  const { x, reactions, shear, moment, section } = influence;
+  const colors = ['#10b981', '#f59e0b', '#8b5cf6', '#ec4899', '#14b8a6', '#64748b'];
+  const line = (y, name, color, fillcolor) => ({
+    x,
+    y,
+    type: 'scatter',
+    mode: 'lines',
+    fill: fillcolor ? 'tozeroy' : undefined,
+    fillcolor,
+    line: { color, width: 2 },
+    name,
+    hovertemplate: 'Unit load at %{x:.2f} m<br>%{y:.4f}<extra></extra>'
+  });
+
+  return (
+    <div className="space-y-6">
+      <AnalysisGraph
+        data={reactions.map((r, i) => line(r.force, `R at ${r.position} m`, colors[i % colors.length]))}
+        title="Influence Lines for Support Reactions"
+        xTitle="Unit load position (m)"
+        yTitle="Reaction per unit load"
+        height={300}
+      />
+      <AnalysisGraph
+        data={[line(shear, 'Shear', '#ef4444', 'rgba(239, 68, 68, 0.2)')]}
+        title={`Influence Line for Shear at x = ${section} m`}
+        xTitle="Unit load position (m)"
+        yTitle="Shear per unit load"
+        height={300}
+      />
+      <AnalysisGraph
+        data={[line(moment, 'Moment', '#3b82f6', 'rgba(59, 130, 246, 0.2)')]}
+        title={`Influence Line for Moment at x = ${section} m`}
+        xTitle="Unit load position (m)"
+        yTitle="Moment per unit load (m)"
+        height={300}
+      />
+    </div>
+  );
+}
+
+/**
+ * Plane Frame Geometry with scaled deformed shape
+ */
+export function FrameGeometryChart({ results, selectedMember = null }) {
+  if (!results) return null;
+
+  const { nodes, members, displacements, supports } = results;
+  const nodeById = Object.fromEntries(nodes.map(n => [String(n.id), n]));
+  const dispById = Object.fromEntries(displacements.map(d => [String(d.node), d]));
+
+  // Scale deformations to about 10% of the frame size
+  const xs = nodes.map(n => n.x);
+  const ys = nodes.map(n => n.y);
+  const size = Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys), 1);
+  const maxDisp = Math.max(...displacements.map(d => Math.hypot(d.ux, d.uy)), 1e-9) / 1000;
+  const scale = 0.1 * size / maxDisp;
+
+  const data = [];
+  members.forEach((member) => {
+    const n1 = nodeById[String(member.start)];
+    const n2 = nodeById[String(member.end)];
+    const d1 = dispById[String(member.start)];
+    const d2 = dispById[String(member.end)];
+    const isSelected = String(member.id) === String(selectedMember);
+
+    data.push({
+      x: [n1.x, n2.x],
+      y: [n1.y, n2.y],
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: isSelected ? '#f59e0b' : '#374151', width: isSelected ? 5 : 3 },
+      name: `Member ${member.id}`,
+      showlegend: false,
+      hovertemplate: `Member ${member.id}<extra></extra>`
+    });
+    data.push({
+      x: [n1.x + d1.ux / 1000 * scale, n2.x + d2.ux / 1000 * scale],
+      y: [n1.y + d1.uy / 1000 * scale, n2.y + d2.uy / 1000 * scale],
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: '#3b82f6', width: 2, dash: 'dash' },
+      name: 'Deformed shape',
+      legendgroup: 'deformed',
+      showlegend: data.filter(t => t.legendgroup === 'deformed').length === 0,
+      hoverinfo: 'skip'
+    });
+  });
+
+  data.push({
+    x: nodes.map(n => n.x),
+    y: nodes.map(n => n.y),
+    text: nodes.map(n => `${n.id}`),
+    type: 'scatter',
+    mode: 'markers+text',
+    textposition: 'top right',
+    marker: { color: '#1e40af', size: 8 },
+    name: 'Nodes',
+    showlegend: false,
+    hovertemplate: 'Node %{text}<br>(%{x}, %{y}) m<extra></extra>'
+  });
+
+  data.push({
+    x: supports.map(s => nodeById[String(s.node)].x),
+    y: supports.map(s => nodeById[String(s.node)].y),
+    type: 'scatter',
+    mode: 'markers',
+    marker: { color: '#f59e0b', size: 14, symbol: supports.map(s => s.type === 'fixed' ? 'square' : s.type === 'pin' ? 'triangle-up' : 'circle') },
+    name: 'Supports',
+    hovertemplate: 'Support<extra></extra>'
+  });
+
+  return (
+    <AnalysisGraph
+      data={data}
+      title={`Frame Geometry & Deformed Shape (×${Math.round(scale)})`}
+      xTitle="X (m)"
+      yTitle="Y (m)"
+      height={450}
+      layout={{
+        yaxis: { scaleanchor: 'x', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'Y (m)', font: { size: 12 } } },
+        hovermode: 'closest'
+      }}
+    />
+  );
+}
+
+/**
+ * Plane Frame Member Diagrams (Axial, Shear, Moment)
+ */
+export function FrameMemberCharts({ member }) {
+  if (!member) return null;
+
+  const { x, axial, shear, moment } = member.diagrams;
+  const diagram = (y, name, color, fillcolor, unit) => [{
+    x,
+    y,
+    type: 'scatter',
+    mode: 'lines',
+    fill: 'tozeroy',
+    fillcolor,
+    line: { color, width: 2 },
+    name,
+    hovertemplate: `x: %{x:.2f} m<br>%{y:.2f} ${unit}<extra></extra>`
+  }];
+
+  return (
+    <div className="space-y-6">
+      <AnalysisGraph
+        data={diagram(axial, 'Axial Force', '#8b5cf6', 'rgba(139, 92, 246, 0.2)', 'kN')}
+        title={`Axial Force Diagram - Member ${member.id} (tension +)`}
+        xTitle={`Distance from node ${member.start} (m)`}
+        yTitle="Axial Force (kN)"
+        height={280}
+      />
+      <AnalysisGraph
+        data={diagram(shear, 'Shear Force', '#ef4444', 'rgba(239, 68, 68, 0.2)', 'kN')}
+        title={`Shear Force Diagram - Member ${member.id}`}
+        xTitle={`Distance from node ${member.start} (m)`}
+        yTitle="Shear Force (kN)"
+        height={280}
+      />
       <AnalysisGraph
-        data={deflectionData}
-        title="Deflection Curve"
+        data={diagram(moment, 'Bending Moment', '#3b82f6', 'rgba(59, 130, 246, 0.2)', 'kN·m')}
+        title={`Bending Moment Diagram - Member ${member.id}`}
+        xTitle={`Distance from node ${member.start} (m)`}
+        yTitle="Bending Moment (kN·m)"
+        height={280}
+      />
+    </div>
+  );
+}
+
+/**
+ * Plane Truss Force Diagram
+ * Members coloured by force sign, line width proportional to force
+ */
+export function TrussDiagram({ results }) {
+  if (!results) return null;
+
+  const { joints, members, supports } = results;
+  const jointById = Object.fromEntries(joints.map(j => [String(j.id), j]));
+  const maxForce = Math.max(...members.map(m => Math.abs(m.force)), 1e-9);
+  const colors = { Tension: '#2563eb', Compression: '#dc2626', Zero: '#9ca3af' };
+
+  const data = [];
+  const shownInLegend = new Set();
+  members.forEach((member) => {
+    const j1 = jointById[String(member.start)];
+    const j2 = jointById[String(member.end)];
+
+    data.push({
+      x: [j1.x, j2.x],
+      y: [j1.y, j2.y],
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: colors[member.nature], width: 2 + 6 * Math.abs(member.force) / maxForce },
+      name: member.nature,
+      legendgroup: member.nature,
+      showlegend: !shownInLegend.has(member.nature),
+      hoverinfo: 'skip'
+    });
+    shownInLegend.add(member.nature);
+  });
+
+  // Invisible midpoint markers carry the member labels and hover text
+  data.push({
+    x: members.map(m => (jointById[String(m.start)].x + jointById[String(m.end)].x) / 2),
+    y: members.map(m => (jointById[String(m.start)].y + jointById[String(m.end)].y) / 2),
+    text: members.map(m => m.force.toFixed(1)),
+    customdata: members.map(m => [m.id, m.nature]),
+    type: 'scatter',
+    mode: 'text',
+    textfont: { size: 10, color: '#111827' },
+    showlegend: false,
+    hovertemplate: 'Member %{customdata[0]}<br>%{text} kN (%{customdata[1]})<extra></extra>'
+  });
+
+  data.push({
+    x: joints.map(j => j.x),
+    y: joints.map(j => j.y),
+    text: joints.map(j => `${j.id}`),
+    type: 'scatter',
+    mode: 'markers+text',
+    textposition: 'top left',
+    marker: { color: '#1e40af', size: 7 },
+    name: 'Joints',
+    showlegend: false,
+    hovertemplate: 'Joint %{text}<br>(%{x}, %{y}) m<extra></extra>'
+  });
+
+  data.push({
+    x: supports.map(s => jointById[String(s.joint)].x),
+    y: supports.map(s => jointById[String(s.joint)].y),
+    type: 'scatter',
+    mode: 'markers',
+    marker: { color: '#f59e0b', size: 14, symbol: supports.map(s => s.type === 'pin' ? 'triangle-up' : 'circle') },
+    name: 'Supports',
+    hovertemplate: 'Support<extra></extra>'
+  });
+
+  return (
+    <AnalysisGraph
+      data={data}
+      title="Member Forces (kN, tension +)"
+      xTitle="X (m)"
+      yTitle="Y (m)"
+      height={450}
+      layout={{
+        yaxis: { scaleanchor: 'x', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'Y (m)', font: { size: 12 } } },
+        hovermode: 'closest'
+      }}
+    />
+  );
+}
+
+/**
+ * Cross-Section Diagram
+ * Outline in mm with the centroid and principal axes
+ */
+export function SectionDiagram({ properties }) {
+  if (!properties?.outline?.length) return null;
+
+  const { outline, centroid, principal } = properties;
+  const toMm = (v) => v * 1000;
+  const data = [];
+
+  // Solids first so that holes are painted over them
+  [...outline].sort((a, b) => Number(a.hole) - Number(b.hole)).forEach(({ points, hole }, i) => {
+    const closed = [...points, points[0]];
+    data.push({
+      x: closed.map(p => toMm(p[0])),
+      y: closed.map(p => toMm(p[1])),
+      type: 'scatter',
+      mode: 'lines',
+      fill: 'toself',
+      fillcolor: hole ? '#ffffff' : 'rgba(59, 130, 246, 0.35)',
+      line: { color: '#1d4ed8', width: 1.5 },
+      name: hole ? 'Hole' : 'Section',
+      showlegend: i === 0,
+      hoverinfo: 'skip'
+    });
+  });
+
+  // Principal axes through the centroid, long enough to cross the section
+  const xs = outline.flatMap(({ points }) => points.map(p => toMm(p[0])));
+  const ys = outline.flatMap(({ points }) => points.map(p => toMm(p[1])));
+  const extent = 0.6 * Math.max(Math.max(...xs) - Math.min(...xs), Math.max(...ys) - Math.min(...ys));
+  const cx = toMm(centroid.x);
+  const cy = toMm(centroid.y);
+  const axisTrace = (angleDeg, name, color) => {
+    const t = angleDeg * Math.PI / 180;
+    return {
+      x: [cx - extent * Math.cos(t), cx + extent * Math.cos(t)],
+      y: [cy - extent * Math.sin(t), cy + extent * Math.sin(t)],
+      type: 'scatter',
+      mode: 'lines',
+      line: { color, width: 1.5, dash: 'dash' },
+      name,
+      hoverinfo: 'skip'
+    };
+  };
+  data.push(axisTrace(principal.angle, 'Major axis (u)', '#dc2626'));
+  data.push(axisTrace(principal.angle + 90, 'Minor axis (v)', '#16a34a'));
+
+  data.push({
+    x: [cx],
+    y: [cy],
+    type: 'scatter',
+    mode: 'markers',
+    marker: { color: '#111827', size: 9, symbol: 'x' },
+    name: 'Centroid',
+    hovertemplate: 'Centroid<br>(%{x:.1f}, %{y:.1f}) mm<extra></extra>'
+  });
+
+  return (
+    <AnalysisGraph
+      data={data}
+      title="Cross Section"
+      xTitle="x (mm)"
+      yTitle="y (mm)"
+      height={380}
+      layout={{
+        yaxis: { scaleanchor: 'x', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'y (mm)', font: { size: 12 } } },
+        hovermode: 'closest'
+      }}
+    />
+  );
+}
+
+/**
+ * Beam Stress Charts
+ * Bending and shear stress through the depth at one section, and the
+ * extreme fibre and peak shear stresses along the span
+ */
+export function StressCharts({ stresses }) {
+  if (!stresses) return null;
+
+  const { section, alongSpan, allowable, position } = stresses;
+  const depth = section.y.map(y => y * 1000);
+  const limitLine = (value, color) => ({
+    type: 'line',
+    yref: 'paper',
+    x0: value,
+    x1: value,
+    y0: 0,
+    y1: 1,
+    line: { color, width: 1.5, dash: 'dash' }
+  });
+  const depthLayout = (limit) => ({
+    yaxis: { title: { text: 'y from centroid (mm)', font: { size: 12 } }, gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af' },
+    shapes: limit,
+    hovermode: 'closest'
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="grid md:grid-cols-2 gap-6">
+        <AnalysisGraph
+          data={[{
+            x: section.bending,
+            y: depth,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozerox',
+            fillcolor: 'rgba(59, 130, 246, 0.2)',
+            line: { color: '#3b82f6', width: 2 },
+            name: 'σ',
+            hovertemplate: 'y: %{y:.1f} mm<br>σ: %{x:.2f} MPa<extra></extra>'
+          }]}
+          title={`Bending Stress at x = ${position} m`}
+          xTitle="σ (MPa, tension +)"
+          height={380}
+          layout={depthLayout([limitLine(allowable.bending, '#dc2626'), limitLine(-allowable.bending, '#dc2626')])}
+        />
+        <AnalysisGraph
+          data={[{
+            x: section.shear,
+            y: depth,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozerox',
+            fillcolor: 'rgba(239, 68, 68, 0.2)',
+            line: { color: '#ef4444', width: 2 },
+            name: 'τ',
+            hovertemplate: 'y: %{y:.1f} mm<br>τ: %{x:.2f} MPa<extra></extra>'
+          }]}
+          title={`Shear Stress at x = ${position} m`}
+          xTitle="τ (MPa)"
+          height={380}
+          layout={depthLayout([limitLine(allowable.shear, '#dc2626'), limitLine(-allowable.shear, '#dc2626')])}
+        />
+      </div>
+      <AnalysisGraph
+        data={[
+          {
+            x: alongSpan.x,
+            y: alongSpan.topFibre,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#3b82f6', width: 2 },
+            name: 'Top fibre σ',
+            hovertemplate: '%{y:.2f} MPa<extra></extra>'
+          },
+          {
+            x: alongSpan.x,
+            y: alongSpan.bottomFibre,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#8b5cf6', width: 2 },
+            name: 'Bottom fibre σ',
+            hovertemplate: '%{y:.2f} MPa<extra></extra>'
+          },
+          {
+            x: alongSpan.x,
+            y: alongSpan.shear,
+            type: 'scatter',
+            mode: 'lines',
+            line: { color: '#ef4444', width: 2 },
+            name: 'Max shear τ',
+            hovertemplate: '%{y:.2f} MPa<extra></extra>'
+          }
+        ]}
+        title="Stresses Along the Span"
+        xTitle="Position (m)"
+        yTitle="Stress (MPa)"
+        height={350}
+        layout={{
+          shapes: [
+            { type: 'line', xref: 'paper', x0: 0, x1: 1, y0: allowable.bending, y1: allowable.bending, line: { color: '#dc2626', width: 1, dash: 'dash' } },
+            { type: 'line', xref: 'paper', x0: 0, x1: 1, y0: -allowable.bending, y1: -allowable.bending, line: { color: '#dc2626', width: 1, dash: 'dash' } }
+          ]
+        }}
+      />
+    </div>
+  );
+}
+
+/**
+ * Mode Shape Charts
+ * Normalized mode shapes of the beam, one trace per mode, and a bar
+ * chart of the natural frequencies
+ */
+export function ModeShapeCharts({ vibration }) {
+  if (!vibration) return null;
+
+  const colors = ['#3b82f6', '#ef4444', '#10b981', '#f59e0b', '#8b5cf6', '#ec4899'];
+  const shapeData = vibration.modes.map((mode, i) => ({
+    x: vibration.x,
+    y: mode.shape,
+    type: 'scatter',
+    mode: 'lines',
+    line: { color: colors[i % colors.length], width: 2 },
+    name: `Mode ${mode.mode} (${mode.frequency} Hz)`,
+    hovertemplate: `Mode ${mode.mode}<br>x: %{x:.2f} m<br>φ: %{y:.3f}<extra></extra>`
+  }));
+
+  return (
+    <div className="space-y-6">
+      <AnalysisGraph
+        data={shapeData}
+        title="Mode Shapes"
         xTitle="Position along beam (m)"
-        yTitle="Deflection (mm)"
+        yTitle="Normalized amplitude"
+        height={380}
+      />
+      <AnalysisGraph
+        data={[{
+          x: vibration.modes.map(m => `Mode ${m.mode}`),
+          y: vibration.modes.map(m => m.frequency),
+          type: 'bar',
+          marker: { color: vibration.modes.map((_, i) => colors[i % colors.length]) },
+          name: 'Frequency',
+          hovertemplate: '%{x}: %{y:.2f} Hz<extra></extra>'
+        }]}
+        title="Natural Frequencies"
+        yTitle="Frequency (Hz)"
+        height={280}
+      />
+    </div>
+  );
+}
+
+/**
+ * Plastic Collapse Charts
+ * Beams: moment diagram at collapse with ±Mp limits and the hinges numbered
+ * in order of formation. Portal frames: frame outline with the numbered
+ * hinges. Both add the load factor against the largest displacement
+ */
+export function PlasticHingeCharts({ plastic }) {
+  if (!plastic) return null;
+
+  const hingeLabels = plastic.hinges.map(h => `${h.step}`);
+  const hingeHover = plastic.hinges.map(h =>
+    `Hinge ${h.step}<br>λ = ${h.loadFactor}<br>M = ${h.moment} kN·m`
+  );
+  const hingeMarker = { color: '#dc2626', size: 14, symbol: 'circle-open', line: { width: 3 } };
+
+  let sequenceChart;
+  if (plastic.model === 'portal') {
+    const nodeById = Object.fromEntries(plastic.nodes.map(n => [String(n.id), n]));
+    const outline = [];
+    plastic.members.forEach((member, i) => {
+      const n1 = nodeById[String(member.start)];
+      const n2 = nodeById[String(member.end)];
+      outline.push({
+        x: [n1.x, n2.x],
+        y: [n1.y, n2.y],
+        type: 'scatter',
+        mode: 'lines',
+        line: { color: '#374151', width: 3 },
+        name: 'Frame',
+        legendgroup: 'frame',
+        showlegend: i === 0,
+        hoverinfo: 'skip'
+      });
+    });
+
+    sequenceChart = (
+      <AnalysisGraph
+        data={[
+          ...outline,
+          {
+            x: plastic.hinges.map(h => h.x),
+            y: plastic.hinges.map(h => h.y),
+            text: hingeLabels,
+            hovertext: plastic.hinges.map((h, i) => `${h.location}<br>${hingeHover[i]}`),
+            type: 'scatter',
+            mode: 'markers+text',
+            textposition: 'top right',
+            textfont: { color: '#dc2626', size: 13 },
+            marker: hingeMarker,
+            name: 'Plastic hinges',
+            hovertemplate: '%{hovertext}<extra></extra>'
+          }
+        ]}
+        title={`${plastic.mechanism.type} (λc = ${plastic.collapseLoadFactor})`}
+        xTitle="X (m)"
+        yTitle="Y (m)"
+        height={420}
+        layout={{
+          yaxis: { scaleanchor: 'x', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'Y (m)', font: { size: 12 } } },
+          hovermode: 'closest'
+        }}
+      />
+    );
+  } else {
+    const limit = (value) => ({
+      type: 'line',
+      xref: 'paper',
+      x0: 0,
+      x1: 1,
+      y0: value,
+      y1: value,
+      line: { color: '#6b7280', width: 1, dash: 'dash' }
+    });
+
+    sequenceChart = (
+      <AnalysisGraph
+        data={[
+          {
+            x: plastic.collapseMoment.x,
+            y: plastic.collapseMoment.moment,
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozeroy',
+            fillcolor: 'rgba(16, 185, 129, 0.2)',
+            line: { color: '#10b981', width: 2 },
+            name: 'Moment at collapse',
+            hovertemplate: 'x: %{x:.2f} m<br>M: %{y:.2f} kN·m<extra></extra>'
+          },
+          {
+            x: plastic.hinges.map(h => h.x),
+            y: plastic.hinges.map(h => h.moment),
+            text: hingeLabels,
+            hovertext: plastic.hinges.map((h, i) => `x = ${h.x} m<br>${hingeHover[i]}`),
+            type: 'scatter',
+            mode: 'markers+text',
+            textposition: plastic.hinges.map(h => h.moment > 0 ? 'top center' : 'bottom center'),
+            textfont: { color: '#dc2626', size: 13 },
+            marker: hingeMarker,
+            name: 'Plastic hinges',
+            hovertemplate: '%{hovertext}<extra></extra>'
+          }
+        ]}
+        title={`Hinge Sequence (λc = ${plastic.collapseLoadFactor}, Mp = ${plastic.Mp} kN·m)`}
+        xTitle="Position along beam (m)"
+        yTitle="Moment (kN·m)"
+        height={380}
+        layout={{ shapes: [limit(plastic.Mp), limit(-plastic.Mp)], hovermode: 'closest' }}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="plastic-hinge-diagram">{sequenceChart}</div>
+      <AnalysisGraph
+        data={[{
+          x: [0, ...plastic.events.map(e => e.maxDisplacement)],
+          y: [0, ...plastic.events.map(e => e.loadFactor)],
+          type: 'scatter',
+          mode: 'lines+markers',
+          line: { color: '#3b82f6', width: 2 },
+          marker: { size: 7 },
+          name: 'Load factor',
+          hovertemplate: 'δ: %{x:.2f} mm<br>λ: %{y:.3f}<extra></extra>'
+        }]}
+        title="Load Factor – Displacement"
+        xTitle="Largest displacement (mm)"
+        yTitle="Load factor λ"
+        height={300}
+        layout={{ hovermode: 'closest' }}
+      />
+    </div>
+  );
+}
+
+/**
+ * RC Column Interaction Diagrams
+ * P-M curves about both axes with the design point, and the biaxial
+ * load contour at the design axial load
+ */
+export function ColumnInteractionCharts({ design }) {
+  if (!design) return null;
+
+  const { interaction, inputs, designMoments, PuMax } = design;
+  const curveTrace = (curve, name, color) => ({
+    x: curve.points.map(p => p.M),
+    y: curve.points.map(p => p.P),
+    type: 'scatter',
+    mode: 'lines',
+    fill: 'tozerox',
+    fillcolor: color.replace('rgb', 'rgba').replace(')', ', 0.12)'),
+    line: { color, width: 2 },
+    name,
+    hovertemplate: 'M: %{x:.1f} kN·m<br>P: %{y:.1f} kN<extra></extra>'
+  });
+  const designPoint = (M, name) => ({
+    x: [M],
+    y: [inputs.Pu],
+    type: 'scatter',
+    mode: 'markers',
+    marker: { color: '#dc2626', size: 10, symbol: 'x' },
+    name,
+    hovertemplate: `${name}<br>M: %{x:.1f} kN·m<br>P: %{y:.1f} kN<extra></extra>`
+  });
+  const capLine = {
+    type: 'line',
+    xref: 'paper',
+    x0: 0,
+    x1: 1,
+    y0: PuMax,
+    y1: PuMax,
+    line: { color: '#6b7280', width: 1, dash: 'dash' }
+  };
+  const pmLayout = { shapes: [capLine], hovermode: 'closest' };
+
+  return (
+    <div className="space-y-6">
+      <div className="grid md:grid-cols-2 gap-6">
+        <AnalysisGraph
+          data={[curveTrace(interaction.x, 'Capacity about x', 'rgb(59, 130, 246)'), designPoint(designMoments.x, 'Pu, Mux')]}
+          title="P-M Interaction about x-x"
+          xTitle="Mux (kN·m)"
+          yTitle="Pu (kN)"
+          height={380}
+          layout={pmLayout}
+        />
+        <AnalysisGraph
+          data={[curveTrace(interaction.y, 'Capacity about y', 'rgb(16, 185, 129)'), designPoint(designMoments.y, 'Pu, Muy')]}
+          title="P-M Interaction about y-y"
+          xTitle="Muy (kN·m)"
+          yTitle="Pu (kN)"
+          height={380}
+          layout={pmLayout}
+        />
+      </div>
+      <AnalysisGraph
+        data={[
+          {
+            x: interaction.contour.map(p => p.Mx),
+            y: interaction.contour.map(p => p.My),
+            type: 'scatter',
+            mode: 'lines',
+            fill: 'tozeroy',
+            fillcolor: 'rgba(139, 92, 246, 0.15)',
+            line: { color: '#8b5cf6', width: 2 },
+            name: `Load contour at Pu = ${inputs.Pu} kN`,
+            hovertemplate: 'Mux: %{x:.1f}<br>Muy: %{y:.1f} kN·m<extra></extra>'
+          },
+          {
+            x: [designMoments.x],
+            y: [designMoments.y],
+            type: 'scatter',
+            mode: 'markers',
+            marker: { color: '#dc2626', size: 10, symbol: 'x' },
+            name: 'Design moments',
+            hovertemplate: 'Mux: %{x:.1f}<br>Muy: %{y:.1f} kN·m<extra></extra>'
+          }
+        ]}
+        title={`Biaxial Interaction (αn = ${design.alphaN})`}
+        xTitle="Mux (kN·m)"
+        yTitle="Muy (kN·m)"
+        height={380}
+        layout={{ hovermode: 'closest' }}
       />
     </div>
   );
@@ -375,4 +1187,247 @@ export function GaussianPlumeChart({ profileData }) {
   );
 }
 
+/**
+ * Borehole Log
+ * Soil column of a layered profile with depth downwards, layer properties
+ * alongside and the water table marked
+ */
+export function BoreholeLogChart({ profile }) {
+  if (!profile?.layers?.length) return null;
+
+  // Fill by soil behaviour: cohesive, c-φ or granular
+  const layerColor = (layer) => {
+    if (layer.frictionAngle < 15) return 'rgba(146, 64, 14, 0.45)';
+    if (layer.cohesion > 0) return 'rgba(202, 138, 4, 0.4)';
+    return 'rgba(250, 204, 21, 0.4)';
+  };
+
+  const data = profile.layers.map(layer => ({
+    x: [0, 1, 1, 0, 0],
+    y: [layer.top, layer.top, layer.bottom, layer.bottom, layer.top],
+    type: 'scatter',
+    mode: 'lines',
+    fill: 'toself',
+    fillcolor: layerColor(layer),
+    line: { color: '#78350f', width: 1 },
+    name: layer.name,
+    showlegend: false,
+    hoveron: 'fills',
+    hovertemplate: `${layer.name}<br>${layer.top} - ${layer.bottom} m<br>` +
+      `γ = ${layer.unitWeight}, γsat = ${layer.saturatedUnitWeight} kN/m³<br>` +
+      `c = ${layer.cohesion} kPa, φ = ${layer.frictionAngle}°<br>` +
+      `Es = ${layer.elasticModulus} kPa, μ = ${layer.poissonRatio}<extra></extra>`
+  }));
+
+  const annotations = profile.layers.map(layer => ({
+    x: 1.05,
+    y: (layer.top + layer.bottom) / 2,
+    xanchor: 'left',
+    showarrow: false,
+    align: 'left',
+    font: { size: 10, color: '#374151' },
+    text: `<b>${layer.name}</b><br>c = ${layer.cohesion} kPa, φ = ${layer.frictionAngle}°<br>γ / γsat = ${layer.unitWeight} / ${layer.saturatedUnitWeight} kN/m³`
+  }));
+
+  const shapes = [];
+  const wt = profile.waterTableDepth;
+  if (wt !== null && wt <= profile.depth) {
+    shapes.push({
+      type: 'line',
+      x0: -0.1,
+      x1: 1.1,
+      y0: wt,
+      y1: wt,
+      line: { color: '#2563eb', width: 2, dash: 'dash' }
+    });
+    data.push({
+      x: [-0.15],
+      y: [wt],
+      type: 'scatter',
+      mode: 'markers+text',
+      marker: { symbol: 'triangle-down', size: 12, color: '#2563eb' },
+      text: ['WT'],
+      textposition: 'middle left',
+      name: 'Water table',
+      showlegend: false,
+      hovertemplate: `Water table at ${wt} m<extra></extra>`
+    });
+  }
+
+  return (
+    <AnalysisGraph
+      data={data}
+      title="Borehole Log"
+      yTitle="Depth (m)"
+      height={Math.max(350, 60 * profile.layers.length + 150)}
+      layout={{
+        xaxis: { range: [-0.4, 2.6], visible: false, fixedrange: true },
+        yaxis: { autorange: 'reversed', gridcolor: '#e5e7eb', title: { text: 'Depth (m)', font: { size: 12 } } },
+        hovermode: 'closest',
+        annotations,
+        shapes
+      }}
+    />
+  );
+}
+
+/**
+ * Effective Stress Profile
+ * Total stress, pore pressure and effective stress against depth
+ */
+export function StressProfileChart({ points }) {
+  if (!points?.length) return null;
+
+  const depths = points.map(p => p.depth);
+  const trace = (key, name, color, dash = 'solid') => ({
+    x: points.map(p => p[key]),
+    y: depths,
+    type: 'scatter',
+    mode: 'lines',
+    line: { color, width: 2, dash },
+    name,
+    hovertemplate: `${name}: %{x:.2f} kPa at %{y:.2f} m<extra></extra>`
+  });
+
+  const data = [
+    trace('total', 'Total stress σv', '#374151'),
+    trace('porePressure', 'Pore pressure u', '#2563eb', 'dash'),
+    trace('effective', "Effective stress σ'v", '#d97706')
+  ];
+
+  return (
+    <AnalysisGraph
+      data={data}
+      title="Vertical Stress Profile"
+      xTitle="Stress (kPa)"
+      yTitle="Depth (m)"
+      height={450}
+      layout={{
+        yaxis: { autorange: 'reversed', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'Depth (m)', font: { size: 12 } } },
+        xaxis: { side: 'top', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'Stress (kPa)', font: { size: 12 } } },
+        hovermode: 'closest'
+      }}
+    />
+  );
+}
+
+/**
+ * Pressure Bulb
+ * Contours of the vertical stress increase on the section through the load
+ * centre: Δσ/q for loaded areas, Δσ in kPa for point and line loads
+ */
+export function PressureBulbChart({ bulb }) {
+  if (!bulb?.values?.length) return null;
+
+  const { relative, load } = bulb;
+  const halfWidth = load.loadType === 'circular' ? load.radius : load.width / 2;
+  const loaded = ['strip', 'rectangular', 'circular'].includes(load.loadType);
+  const unit = relative ? 'Δσ/q' : 'Δσ (kPa)';
+
+  const data = [
+    {
+      x: bulb.x,
+      y: bulb.z,
+      z: bulb.values,
+      type: 'contour',
+      colorscale: 'YlOrRd',
+      reversescale: true,
+      contours: relative
+        ? { start: 0.1, end: 0.9, size: 0.1, coloring: 'heatmap', showlabels: true, labelfont: { size: 10, color: '#1f2937' } }
+        : { coloring: 'heatmap', showlabels: true, labelfont: { size: 10, color: '#1f2937' } },
+      colorbar: { title: { text: unit, side: 'right' }, thickness: 12 },
+      hovertemplate: `x = %{x:.2f} m, z = %{y:.2f} m<br>${unit} = %{z:.3f}<extra></extra>`
+    }
+  ];
+
+  // Loaded width (or the load point) on the surface
+  const shapes = [loaded
+    ? { type: 'rect', x0: -halfWidth, x1: halfWidth, y0: -0.03 * bulb.z[bulb.z.length - 1], y1: 0, fillcolor: '#374151', line: { width: 0 } }
+    : { type: 'line', x0: 0, x1: 0, y0: -0.06 * bulb.z[bulb.z.length - 1], y1: 0, line: { color: '#374151', width: 3 } }];
+
+  return (
+    <AnalysisGraph
+      data={data}
+      title="Pressure Bulb"
+      xTitle="Offset from load centre (m)"
+      yTitle="Depth (m)"
+      height={450}
+      layout={{
+        shapes,
+        yaxis: { autorange: 'reversed', scaleanchor: 'x', gridcolor: '#e5e7eb', title: { text: 'Depth (m)', font: { size: 12 } } },
+        xaxis: { side: 'top', gridcolor: '#e5e7eb', title: { text: 'Offset from load centre (m)', font: { size: 12 } } },
+        hovermode: 'closest'
+      }}
+    />
+  );
+}
+
+/**
+ * Time Rate of Consolidation
+ * Settlement against time (with the vertical-drainage-only curve when
+ * drains are used) and the exact U–Tv relation on a log time factor axis
+ */
+export function ConsolidationTimeCharts({ timeRate }) {
+  if (!timeRate?.curve?.length) return null;
+
+  const { curve, degreeCurve } = timeRate;
+  const settlementData = [
+    {
+      x: curve.map(p => p.time),
+      y: curve.map(p => p.settlement),
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: '#d97706', width: 2 },
+      name: curve[0].verticalSettlement !== undefined ? 'With drains' : 'Settlement',
+      hovertemplate: 't = %{x:.3f} yr<br>S = %{y:.2f} mm<extra></extra>'
+    }
+  ];
+  if (curve[0].verticalSettlement !== undefined) {
+    settlementData.push({
+      x: curve.map(p => p.time),
+      y: curve.map(p => p.verticalSettlement),
+      type: 'scatter',
+      mode: 'lines',
+      line: { color: '#2563eb', width: 2, dash: 'dash' },
+      name: 'Vertical drainage only',
+      hovertemplate: 't = %{x:.3f} yr<br>S = %{y:.2f} mm<extra></extra>'
+    });
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      <AnalysisGraph
+        data={settlementData}
+        title="Settlement vs Time"
+        xTitle="Time (years)"
+        yTitle="Settlement (mm)"
+        height={380}
+        layout={{
+          yaxis: { autorange: 'reversed', gridcolor: '#e5e7eb', zerolinecolor: '#9ca3af', title: { text: 'Settlement (mm)', font: { size: 12 } } },
+          hovermode: 'closest'
+        }}
+      />
+      <AnalysisGraph
+        data={[{
+          x: degreeCurve.map(p => p.timeFactor),
+          y: degreeCurve.map(p => p.degree),
+          type: 'scatter',
+          mode: 'lines',
+          line: { color: '#374151', width: 2 },
+          name: 'U',
+          hovertemplate: 'Tv = %{x:.4f}<br>U = %{y:.1f}%<extra></extra>'
+        }]}
+        title="Degree of Consolidation vs Time Factor"
+        xTitle="Time factor Tv"
+        yTitle="U (%)"
+        height={380}
+        layout={{
+          xaxis: { type: 'log', gridcolor: '#e5e7eb', title: { text: 'Time factor Tv', font: { size: 12 } } },
+          yaxis: { range: [100, 0], gridcolor: '#e5e7eb', title: { text: 'U (%)', font: { size: 12 } } }
+        }}
+      />
+    </div>
+  );
+}
+
 export default AnalysisGraph;
@@ -14,7 +14,9 @@ import {
   Box,
   GitBranch,
   ChevronDown,
-  Zap
+  Zap,
+  Frame,
+  Triangle
 } from 'lucide-react';
 
 const navItems = [
@@ -27,6 +29,8 @@ const navItems = [
   { path: '/surveying', label: 'Surveying', icon: MapPin, color: 'from-purple-500 to-violet-600' },
   { path: '/concrete', label: 'Concrete', icon: Box, color: 'from-slate-500 to-gray-600' },
   { path: '/construction', label: 'CPM/PERT', icon: GitBranch, color: 'from-rose-500 to-pink-600' },
+  { path: '/frame', label: 'Plane Frame', icon: Frame, color: 'from-indigo-500 to-violet-600' },
+  { path: '/truss', label: 'Plane Truss', icon: Triangle, color: 'from-teal-500 to-cyan-600' },
 ];
 
 // Group navigation items for dropdown
@@ -38,6 +42,8 @@ const navGroups = {
     { path: '/structural', label: 'Structural', icon: Building2, color: 'from-blue-500 to-indigo-600' },
     { path: '/geotech', label: 'Geotechnical', icon: Mountain, color: 'from-amber-500 to-orange-600' },
     { path: '/fluid', label: 'Fluid Mechanics', icon: Droplets, color: 'from-cyan-500 to-blue-600' },
+    { path: '/frame', label: 'Plane Frame', icon: Frame, color: 'from-indigo-500 to-violet-600' },
+    { path: '/truss', label: 'Plane Truss', icon: Triangle, color: 'from-teal-500 to-cyan-600' },
   ],
   design: [
     { path: '/concrete', label: 'Concrete Mix', icon: Box, color: 'from-slate-500 to-gray-600' },
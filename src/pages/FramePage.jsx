@@ -0,0 +1,690 @@
+import React, { useState, useCallback } from 'react';
+import { Plus, Trash2, Calculator, RotateCcw, Frame, Layers } from 'lucide-react';
+import { FrameAnalyzer, getFrameSupportOptions, getMemberLoadDirectionOptions } from '../utils/calculators/frame';
+import { FrameGeometryChart, FrameMemberCharts } from '../components/charts/AnalysisGraph';
+import { FormInput, FormSelect, Button, Card, ResultDisplay, Tabs, Alert } from '../components/ui/FormElements';
+import { useFrameStore } from '../store';
+
+const supportOptions = getFrameSupportOptions();
+const directionOptions = getMemberLoadDirectionOptions();
+
+const memberLoadTypes = [
+  { value: 'udl', label: 'Uniformly Distributed Load (UDL)' },
+  { value: 'point', label: 'Point Load' }
+];
+
+const cellInput = 'border-0 bg-transparent focus:ring-1 focus:ring-indigo-500 rounded px-1 w-20 text-right';
+
+function FramePage() {
+  const {
+    nodes, members, supports, nodalLoads, memberLoads, results,
+    addNode, updateNode, removeNode,
+    addMember, updateMember, removeMember,
+    addSupport, updateSupport, removeSupport,
+    addNodalLoad, removeNodalLoad, addMemberLoad, removeMemberLoad,
+    setResults, reset, loadSampleTwoBay
+  } = useFrameStore();
+
+  const [activeTab, setActiveTab] = useState('geometry');
+  const [error, setError] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [selectedMember, setSelectedMember] = useState(null);
+  const [newNodalLoad, setNewNodalLoad] = useState({ node: '', Fx: 10, Fy: 0, M: 0 });
+  const [newMemberLoad, setNewMemberLoad] = useState({ member: '', type: 'udl', magnitude: 10, position: 0, direction: 'gravity' });
+
+  const nodeOptions = nodes.map(n => ({ value: n.id, label: `Node ${n.id}` }));
+  const memberOptions = members.map(m => ({ value: m.id, label: `Member ${m.id} (${m.start}→${m.end})` }));
+
+  const handleCalculate = useCallback(() => {
+    setIsCalculating(true);
+    setError(null);
+
+    try {
+      if (members.some(m => m.E <= 0 || m.A <= 0 || m.I <= 0)) {
+        throw new Error('Member E, A and I must be greater than 0');
+      }
+
+      const analyzer = new FrameAnalyzer();
+      analyzer.setNodes(nodes);
+      analyzer.setMembers(members);
+      analyzer.setSupports(supports);
+      analyzer.setNodalLoads(nodalLoads);
+      analyzer.setMemberLoads(memberLoads);
+
+      const analysisResults = analyzer.analyze();
+      setResults(analysisResults);
+      setSelectedMember(analysisResults.maxValues.momentMember ?? members[0]?.id);
+      setActiveTab('results');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCalculating(false);
+    }
+  }, [nodes, members, supports, nodalLoads, memberLoads, setResults]);
+
+  const handleAddNode = () => {
+    const last = nodes[nodes.length - 1];
+    addNode({ x: last ? last.x + 3 : 0, y: last ? last.y : 0 });
+  };
+
+  const handleAddMember = () => {
+    if (nodes.length < 2) {
+      setError('Add at least two nodes before adding a member');
+      return;
+    }
+    const template = members[members.length - 1] || { E: 200, A: 0.01, I: 1e-4 };
+    addMember({
+      start: nodes[nodes.length - 2].id,
+      end: nodes[nodes.length - 1].id,
+      E: template.E,
+      A: template.A,
+      I: template.I,
+      releaseStart: false,
+      releaseEnd: false
+    });
+  };
+
+  const handleAddNodalLoad = () => {
+    const node = newNodalLoad.node || nodes[0]?.id;
+    if (!node) {
+      setError('Add a node first');
+      return;
+    }
+    addNodalLoad({ ...newNodalLoad, node: Number(node) });
+    setError(null);
+  };
+
+  const handleAddMemberLoad = () => {
+    const memberId = Number(newMemberLoad.member || members[0]?.id);
+    const member = members.find(m => m.id === memberId);
+    if (!member) {
+      setError('Add a member first');
+      return;
+    }
+    if (newMemberLoad.type === 'point') {
+      const n1 = nodes.find(n => n.id === member.start);
+      const n2 = nodes.find(n => n.id === member.end);
+      const length = Math.hypot(n2.x - n1.x, n2.y - n1.y);
+      if (newMemberLoad.position < 0 || newMemberLoad.position > length) {
+        setError(`Load position must be between 0 and ${length.toFixed(3)} m`);
+        return;
+      }
+    }
+    addMemberLoad({ ...newMemberLoad, member: memberId });
+    setError(null);
+  };
+
+  const handleReset = () => {
+    reset();
+    setActiveTab('geometry');
+    setError(null);
+  };
+
+  const tabs = [
+    { id: 'geometry', label: `Geometry (${nodes.length} nodes, ${members.length} members)` },
+    { id: 'loads', label: `Loads (${nodalLoads.length + memberLoads.length})` },
+    { id: 'results', label: 'Results & Diagrams' }
+  ];
+
+  const member = results?.members.find(m => String(m.id) === String(selectedMember));
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex items-center space-x-3 mb-2">
+          <div className="w-10 h-10 bg-gradient-to-br from-indigo-500 to-indigo-700 rounded-lg flex items-center justify-center">
+            <Frame className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Plane Frame Analysis</h1>
+            <p className="text-gray-600">Direct Stiffness Method for 2D Frames</p>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <Alert
+          type="error"
+          message={error}
+          onClose={() => setError(null)}
+        />
+      )}
+
+      {/* Tabs */}
+      <Tabs tabs={tabs} activeTab={activeTab} onChange={setActiveTab} />
+
+      <div className="mt-6">
+        {/* Geometry Tab */}
+        {activeTab === 'geometry' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card
+                title="Nodes"
+                actions={<Button size="sm" variant="outline" icon={Plus} onClick={handleAddNode}>Add Node</Button>}
+              >
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Node</th>
+                        <th>X (m)</th>
+                        <th>Y (m)</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {nodes.map((node) => (
+                        <tr key={node.id}>
+                          <td className="font-medium">{node.id}</td>
+                          <td>
+                            <input
+                              type="number"
+                              value={node.x}
+                              onChange={(e) => updateNode(node.id, { x: parseFloat(e.target.value) || 0 })}
+                              className={cellInput}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              value={node.y}
+                              onChange={(e) => updateNode(node.id, { y: parseFloat(e.target.value) || 0 })}
+                              className={cellInput}
+                            />
+                          </td>
+                          <td>
+                            <button onClick={() => removeNode(node.id)} className="text-red-600 hover:text-red-800">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+
+              <Card
+                title="Supports"
+                actions={
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    icon={Plus}
+                    onClick={() => addSupport({ node: nodes[0]?.id, type: 'fixed' })}
+                  >
+                    Add Support
+                  </Button>
+                }
+              >
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Node</th>
+                        <th>Type</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {supports.map((support) => (
+                        <tr key={support.id}>
+                          <td>
+                            <select
+                              value={support.node}
+                              onChange={(e) => updateSupport(support.id, { node: Number(e.target.value) })}
+                              className="form-select py-1"
+                            >
+                              {nodeOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <select
+                              value={support.type}
+                              onChange={(e) => updateSupport(support.id, { type: e.target.value })}
+                              className="form-select py-1"
+                            >
+                              {supportOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <button onClick={() => removeSupport(support.id)} className="text-red-600 hover:text-red-800">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            </div>
+
+            <Card
+              title="Members"
+              actions={<Button size="sm" variant="outline" icon={Plus} onClick={handleAddMember}>Add Member</Button>}
+            >
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Member</th>
+                      <th>Start</th>
+                      <th>End</th>
+                      <th>E (GPa)</th>
+                      <th>A (m²)</th>
+                      <th>I (m⁴)</th>
+                      <th>Hinge at Start</th>
+                      <th>Hinge at End</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {members.map((m) => (
+                      <tr key={m.id}>
+                        <td className="font-medium">{m.id}</td>
+                        <td>
+                          <select
+                            value={m.start}
+                            onChange={(e) => updateMember(m.id, { start: Number(e.target.value) })}
+                            className="form-select py-1"
+                          >
+                            {nodeOptions.map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+                          </select>
+                        </td>
+                        <td>
+                          <select
+                            value={m.end}
+                            onChange={(e) => updateMember(m.id, { end: Number(e.target.value) })}
+                            className="form-select py-1"
+                          >
+                            {nodeOptions.map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+                          </select>
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            value={m.E}
+                            onChange={(e) => updateMember(m.id, { E: parseFloat(e.target.value) || 0 })}
+                            className={cellInput}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            value={m.A}
+                            onChange={(e) => updateMember(m.id, { A: parseFloat(e.target.value) || 0 })}
+                            className={cellInput}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="number"
+                            value={m.I}
+                            onChange={(e) => updateMember(m.id, { I: parseFloat(e.target.value) || 0 })}
+                            className={`${cellInput} w-24`}
+                          />
+                        </td>
+                        <td className="text-center">
+                          <input
+                            type="checkbox"
+                            checked={m.releaseStart}
+                            onChange={(e) => updateMember(m.id, { releaseStart: e.target.checked })}
+                          />
+                        </td>
+                        <td className="text-center">
+                          <input
+                            type="checkbox"
+                            checked={m.releaseEnd}
+                            onChange={(e) => updateMember(m.id, { releaseEnd: e.target.checked })}
+                          />
+                        </td>
+                        <td>
+                          <button onClick={() => removeMember(m.id)} className="text-red-600 hover:text-red-800">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-xs text-gray-500 mt-3">
+                Hinges release the member end moment. Global axes: X to the right, Y upward.
+              </p>
+            </Card>
+
+            <div className="flex justify-end">
+              <Button variant="outline" icon={Layers} onClick={loadSampleTwoBay}>
+                Load Two-Bay, Two-Storey Sample
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Loads Tab */}
+        {activeTab === 'loads' && (
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+            <Card title="Nodal Loads (global axes)">
+              <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                <FormSelect
+                  label="Node"
+                  name="loadNode"
+                  value={newNodalLoad.node || nodes[0]?.id || ''}
+                  onChange={(e) => setNewNodalLoad({ ...newNodalLoad, node: Number(e.target.value) })}
+                  options={nodeOptions}
+                />
+                <FormInput
+                  label="Fx"
+                  name="Fx"
+                  value={newNodalLoad.Fx}
+                  onChange={(e) => setNewNodalLoad({ ...newNodalLoad, Fx: parseFloat(e.target.value) || 0 })}
+                  unit="kN"
+                />
+                <FormInput
+                  label="Fy"
+                  name="Fy"
+                  value={newNodalLoad.Fy}
+                  onChange={(e) => setNewNodalLoad({ ...newNodalLoad, Fy: parseFloat(e.target.value) || 0 })}
+                  unit="kN"
+                  helpText="Upward positive"
+                />
+                <FormInput
+                  label="Moment"
+                  name="M"
+                  value={newNodalLoad.M}
+                  onChange={(e) => setNewNodalLoad({ ...newNodalLoad, M: parseFloat(e.target.value) || 0 })}
+                  unit="kN·m"
+                  helpText="Anti-clockwise positive"
+                />
+              </div>
+              <Button onClick={handleAddNodalLoad} icon={Plus} className="mt-2">
+                Add Nodal Load
+              </Button>
+
+              {nodalLoads.length > 0 && (
+                <div className="overflow-x-auto mt-4">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Node</th>
+                        <th>Fx (kN)</th>
+                        <th>Fy (kN)</th>
+                        <th>M (kN·m)</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {nodalLoads.map((load) => (
+                        <tr key={load.id}>
+                          <td>{load.node}</td>
+                          <td>{load.Fx}</td>
+                          <td>{load.Fy}</td>
+                          <td>{load.M}</td>
+                          <td>
+                            <button onClick={() => removeNodalLoad(load.id)} className="text-red-600 hover:text-red-800">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </Card>
+
+            <Card title="Member Loads">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <FormSelect
+                  label="Member"
+                  name="loadMember"
+                  value={newMemberLoad.member || members[0]?.id || ''}
+                  onChange={(e) => setNewMemberLoad({ ...newMemberLoad, member: Number(e.target.value) })}
+                  options={memberOptions}
+                />
+                <FormSelect
+                  label="Load Type"
+                  name="memberLoadType"
+                  value={newMemberLoad.type}
+                  onChange={(e) => setNewMemberLoad({ ...newMemberLoad, type: e.target.value })}
+                  options={memberLoadTypes}
+                />
+                <FormInput
+                  label={newMemberLoad.type === 'udl' ? 'Intensity (w)' : 'Magnitude (P)'}
+                  name="memberLoadMagnitude"
+                  value={newMemberLoad.magnitude}
+                  onChange={(e) => setNewMemberLoad({ ...newMemberLoad, magnitude: parseFloat(e.target.value) || 0 })}
+                  unit={newMemberLoad.type === 'udl' ? 'kN/m' : 'kN'}
+                />
+                <FormSelect
+                  label="Direction"
+                  name="memberLoadDirection"
+                  value={newMemberLoad.direction}
+                  onChange={(e) => setNewMemberLoad({ ...newMemberLoad, direction: e.target.value })}
+                  options={directionOptions}
+                />
+                {newMemberLoad.type === 'point' && (
+                  <FormInput
+                    label="Distance from Start Node"
+                    name="memberLoadPosition"
+                    value={newMemberLoad.position}
+                    onChange={(e) => setNewMemberLoad({ ...newMemberLoad, position: parseFloat(e.target.value) || 0 })}
+                    unit="m"
+                  />
+                )}
+              </div>
+              <Button onClick={handleAddMemberLoad} icon={Plus} className="mt-2">
+                Add Member Load
+              </Button>
+
+              {memberLoads.length > 0 && (
+                <div className="overflow-x-auto mt-4">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Member</th>
+                        <th>Type</th>
+                        <th>Magnitude</th>
+                        <th>Direction</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {memberLoads.map((load) => (
+                        <tr key={load.id}>
+                          <td>{load.member}</td>
+                          <td className="uppercase">{load.type}</td>
+                          <td>
+                            {load.magnitude} {load.type === 'udl' ? 'kN/m' : `kN @ ${load.position} m`}
+                          </td>
+                          <td className="capitalize">{load.direction}</td>
+                          <td>
+                            <button onClick={() => removeMemberLoad(load.id)} className="text-red-600 hover:text-red-800">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </Card>
+          </div>
+        )}
+
+        {/* Results Tab */}
+        {activeTab === 'results' && (
+          <div className="space-y-6">
+            {results ? (
+              <>
+                <Card title="Maximum Values">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <ResultDisplay
+                      label={`Max Axial Force (member ${results.maxValues.axialMember})`}
+                      value={results.maxValues.axial}
+                      unit="kN"
+                    />
+                    <ResultDisplay
+                      label={`Max Shear Force (member ${results.maxValues.shearMember})`}
+                      value={results.maxValues.shear}
+                      unit="kN"
+                    />
+                    <ResultDisplay
+                      label={`Max Bending Moment (member ${results.maxValues.momentMember})`}
+                      value={results.maxValues.moment}
+                      unit="kN·m"
+                      highlight
+                    />
+                    <ResultDisplay
+                      label={`Max Displacement (node ${results.maxValues.displacementNode})`}
+                      value={results.maxValues.displacement}
+                      unit="mm"
+                    />
+                  </div>
+                </Card>
+
+                <Card title="Frame Geometry">
+                  <FrameGeometryChart results={results} selectedMember={selectedMember} />
+                </Card>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card title="Support Reactions">
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            <th>Node</th>
+                            <th>Type</th>
+                            <th>Rx (kN)</th>
+                            <th>Ry (kN)</th>
+                            <th>Mz (kN·m)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {results.reactions.map((r, i) => (
+                            <tr key={i}>
+                              <td>{r.node}</td>
+                              <td className="capitalize">{r.type.replace('_', ' ')}</td>
+                              <td>{r.Rx}</td>
+                              <td>{r.Ry}</td>
+                              <td>{r.Mz}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </Card>
+
+                  <Card title="Nodal Displacements">
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            <th>Node</th>
+                            <th>ux (mm)</th>
+                            <th>uy (mm)</th>
+                            <th>θz (rad)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {results.displacements.map((d) => (
+                            <tr key={d.node}>
+                              <td>{d.node}</td>
+                              <td>{d.ux}</td>
+                              <td>{d.uy}</td>
+                              <td>{d.rz === null ? '-' : d.rz}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </Card>
+                </div>
+
+                <Card title="Member End Forces">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Member</th>
+                          <th>Length (m)</th>
+                          <th>N start</th>
+                          <th>V start</th>
+                          <th>M start</th>
+                          <th>N end</th>
+                          <th>V end</th>
+                          <th>M end</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {results.members.map((m) => (
+                          <tr
+                            key={m.id}
+                            onClick={() => setSelectedMember(m.id)}
+                            className={`cursor-pointer ${String(m.id) === String(selectedMember) ? 'bg-amber-50' : ''}`}
+                          >
+                            <td>{m.id} ({m.start}→{m.end})</td>
+                            <td>{m.length}</td>
+                            <td>{m.startForces.N}</td>
+                            <td>{m.startForces.V}</td>
+                            <td>{m.startForces.M}</td>
+                            <td>{m.endForcesInternal.N}</td>
+                            <td>{m.endForcesInternal.V}</td>
+                            <td>{m.endForcesInternal.M}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-3">
+                    Internal forces in kN and kN·m. Axial tension positive; shear and sagging moment positive looking from the start node.
+                  </p>
+                </Card>
+
+                <Card title="Member Diagrams">
+                  <FormSelect
+                    label="Member"
+                    name="selectedMember"
+                    value={selectedMember ?? ''}
+                    onChange={(e) => setSelectedMember(Number(e.target.value))}
+                    options={results.members.map(m => ({ value: m.id, label: `Member ${m.id} (${m.start}→${m.end})` }))}
+                  />
+                  <FrameMemberCharts member={member} />
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">No results yet. Define the frame and click "Calculate" to analyze it.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Action Buttons */}
+      <div className="mt-8 flex flex-wrap gap-4 justify-center">
+        <Button
+          variant="primary"
+          onClick={handleCalculate}
+          icon={Calculator}
+          loading={isCalculating}
+          disabled={members.length === 0}
+        >
+          Calculate
+        </Button>
+
+        <Button variant="outline" onClick={handleReset} icon={RotateCcw}>
+          Reset
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default FramePage;
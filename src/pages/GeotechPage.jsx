@@ -1,20 +1,30 @@
-import React, { useState } from 'react';
-import { Mountain, Calculator, FileDown } from 'lucide-react';
+import React, { useState, useMemo } from 'react';
+import { Mountain, Calculator, FileDown, Plus, Trash2 } from 'lucide-react';
 import { 
   terzaghiBearingCapacity, 
   meyerhofBearingCapacity,
+  generalBearingCapacity,
   immediateSettlement,
   consolidationSettlement,
-  earthPressure 
+  effectiveStressProfile,
+  earthPressure,
+  createSoilProfile,
+  DEFAULT_SOIL_LAYER,
+  BEARING_CAPACITY_METHODS
 } from '../utils/calculators/geotech';
-import { FormInput, FormSelect, Button, Card, ResultDisplay, Tabs, Alert } from '../components/ui/FormElements';
+import { stressDistribution, getStressDistributionOptions, STRESS_LOAD_TYPES } from '../utils/calculators/stressDistribution';
+import { FormInput, FormSelect, Button, Card, ResultDisplay, Tabs, Alert, Badge } from '../components/ui/FormElements';
+import { BoreholeLogChart, StressProfileChart, PressureBulbChart, ConsolidationTimeCharts } from '../components/charts/AnalysisGraph';
 import { useGeotechStore } from '../store';
 import { generateGeotechReport } from '../utils/reportGenerator';
 
 const calculationTypes = [
   { id: 'terzaghi', label: 'Terzaghi Bearing Capacity' },
   { id: 'meyerhof', label: 'Meyerhof Bearing Capacity' },
+  { id: 'generalBearing', label: 'General Bearing Capacity' },
   { id: 'settlement', label: 'Immediate Settlement' },
+  { id: 'stressProfile', label: 'Effective Stress Profile' },
+  { id: 'stressDistribution', label: 'Stress Distribution' },
   { id: 'consolidation', label: 'Consolidation Settlement' },
   { id: 'earthPressure', label: 'Earth Pressure (Rankine)' }
 ];
@@ -25,47 +35,187 @@ const foundationTypes = [
   { value: 'circular', label: 'Circular Footing' }
 ];
 
+const generalFoundationTypes = [
+  { value: 'strip', label: 'Strip Footing' },
+  { value: 'square', label: 'Square Footing' },
+  { value: 'rectangular', label: 'Rectangular Footing' },
+  { value: 'circular', label: 'Circular Footing' }
+];
+
+const bearingMethodOptions = Object.entries(BEARING_CAPACITY_METHODS).map(([value, label]) => ({ value, label }));
+
+// Rows of the general bearing capacity factor table
+const bearingFactorRows = [
+  { key: 'shape', label: 'Shape (s)' },
+  { key: 'depth', label: 'Depth (d)' },
+  { key: 'inclination', label: 'Inclination (i)' },
+  { key: 'groundSlope', label: 'Ground slope (g)' },
+  { key: 'baseTilt', label: 'Base tilt (b)' }
+];
+
+// Editable soil layer properties, in table column order
+const soilLayerColumns = [
+  { key: 'thickness', label: 'H (m)' },
+  { key: 'unitWeight', label: 'γ (kN/m³)' },
+  { key: 'saturatedUnitWeight', label: 'γsat (kN/m³)' },
+  { key: 'cohesion', label: 'c (kPa)' },
+  { key: 'frictionAngle', label: 'φ (°)' },
+  { key: 'compressionIndex', label: 'Cc' },
+  { key: 'recompressionIndex', label: 'Cr' },
+  { key: 'initialVoidRatio', label: 'e0' },
+  { key: 'elasticModulus', label: 'Es (kPa)' },
+  { key: 'poissonRatio', label: 'μ' }
+];
+
+const stressOptions = getStressDistributionOptions();
+
+// Source of Δσ for consolidation: a uniform increase or the footing load
+// spread by one of the stress distribution methods
+const consolidationStressSources = [
+  { value: 'uniform', label: 'Uniform Δσ (wide area)' },
+  ...stressOptions.methods.map(m => ({ value: m.value, label: `Footing load, ${m.label}` }))
+];
+
+const drainageOptions = [
+  { value: 'double', label: 'Double (top and bottom)' },
+  { value: 'single', label: 'Single (one face)' }
+];
+
+const drainMethodOptions = [
+  { value: 'hansbo', label: 'Hansbo (with smear)' },
+  { value: 'barron', label: 'Barron (ideal drain)' }
+];
+
+const drainPatternOptions = [
+  { value: 'triangular', label: 'Triangular (de = 1.05s)' },
+  { value: 'square', label: 'Square (de = 1.128s)' }
+];
+
+const cellInput = 'border-0 bg-transparent focus:ring-1 focus:ring-amber-500 rounded px-1 w-16 text-right';
+
 function GeotechPage() {
   const { 
     bearingCapacity, settlement, earthPressure: earthPressureInputs,
     setBearingCapacityInput, setSettlementInput, setEarthPressureInput,
+    generalBearing, setGeneralBearingInput,
+    soilProfile, useSoilProfile, setUseSoilProfile, setWaterTableDepth,
+    addSoilLayer, updateSoilLayer, removeSoilLayer,
+    stressConditions, setStressConditionInput,
+    stressDistribution: stressDistributionInputs, setStressDistributionInput,
+    consolidationRate, setConsolidationRateInput,
     results, setResults
   } = useGeotechStore();
 
   const [activeCalc, setActiveCalc] = useState('terzaghi');
   const [error, setError] = useState(null);
 
+  // Layer depths for the borehole log; an invalid table simply hides the log
+  const profileLog = useMemo(() => {
+    try {
+      return createSoilProfile(soilProfile);
+    } catch (err) {
+      return null;
+    }
+  }, [soilProfile]);
+
+  // Capillary and artesian conditions shared by the stress profile and consolidation
+  const insituConditions = {
+    capillaryRise: stressConditions.capillaryRise,
+    surcharge: stressConditions.surcharge,
+    artesianHead: stressConditions.artesian ? stressConditions.artesianHead : null,
+    aquiferLayer: stressConditions.artesian ? stressConditions.aquiferLayer : null
+  };
+
   const handleCalculate = () => {
     setError(null);
     
     try {
       let result;
+      const profile = useSoilProfile ? soilProfile : null;
       
       switch (activeCalc) {
         case 'terzaghi':
-          result = terzaghiBearingCapacity(bearingCapacity);
+          result = terzaghiBearingCapacity({ ...bearingCapacity, profile });
           break;
         case 'meyerhof':
           result = meyerhofBearingCapacity({
             ...bearingCapacity,
-            foundationLength: bearingCapacity.foundationWidth * 2
+            foundationLength: bearingCapacity.foundationWidth * 2,
+            profile
           });
           break;
+        case 'generalBearing': {
+          const { waterTable, waterTableDepth, ...generalInputs } = generalBearing;
+          result = generalBearingCapacity({
+            ...bearingCapacity,
+            ...generalInputs,
+            waterTableDepth: waterTable ? waterTableDepth : null,
+            profile
+          });
+          break;
+        }
         case 'settlement':
-          result = immediateSettlement(settlement);
+          result = immediateSettlement({ ...settlement, profile });
           break;
-        case 'consolidation':
-          result = consolidationSettlement({
-            compressionIndex: 0.3,
-            initialVoidRatio: 0.8,
-            layerThickness: 5,
-            initialEffectiveStress: 50,
-            stressIncrease: settlement.pressure,
-            preconsolidationPressure: 80
-          });
+        case 'stressProfile':
+          result = effectiveStressProfile({ profile: soilProfile, ...insituConditions });
+          break;
+        case 'stressDistribution':
+          result = stressDistribution(stressDistributionInputs);
           break;
+        case 'consolidation': {
+          const stressMethod = settlement.stressMethod ?? 'uniform';
+          const timeRate = consolidationRate.enabled
+            ? {
+              cv: consolidationRate.cv,
+              drainage: consolidationRate.drainage,
+              time: consolidationRate.time,
+              targetSettlement: consolidationRate.targetSettlement || null,
+              drains: consolidationRate.drains
+                ? {
+                  method: consolidationRate.drainMethod,
+                  ch: consolidationRate.ch,
+                  spacing: consolidationRate.drainSpacing,
+                  pattern: consolidationRate.drainPattern,
+                  width: consolidationRate.drainWidth,
+                  thickness: consolidationRate.drainThickness,
+                  smearRatio: consolidationRate.smearRatio,
+                  permeabilityRatio: consolidationRate.permeabilityRatio
+                }
+                : null
+            }
+            : null;
+          result = consolidationSettlement(profile
+            ? {
+              stressIncrease: settlement.pressure,
+              preconsolidationPressure: 80,
+              profile,
+              layerIndex: settlement.layerIndex ?? 0,
+              insituConditions,
+              loadedArea: stressMethod === 'uniform' ? null : {
+                loadType: 'rectangular',
+                method: stressMethod,
+                intensity: settlement.pressure,
+                width: settlement.foundationWidth,
+                length: settlement.foundationLength ?? 4,
+                depth: settlement.foundationDepth ?? 0
+              },
+              sublayers: settlement.sublayers ?? 5,
+              timeRate
+            }
+            : {
+              compressionIndex: 0.3,
+              initialVoidRatio: 0.8,
+              layerThickness: 5,
+              initialEffectiveStress: settlement.initialEffectiveStress ?? 50,
+              stressIncrease: settlement.pressure,
+              preconsolidationPressure: 80,
+              timeRate
+            });
+          break;
+        }
         case 'earthPressure':
-          result = earthPressure(earthPressureInputs);
+          result = earthPressure({ ...earthPressureInputs, profile });
           break;
         default:
           throw new Error('Unknown calculation type');
@@ -83,33 +233,276 @@ function GeotechPage() {
     report.download(`CiviCalc_Geotech_${activeCalc}.pdf`);
   };
 
-  const renderInputs = () => {
-    switch (activeCalc) {
-      case 'terzaghi':
-      case 'meyerhof':
-        return (
+  const renderGeneralBearingInputs = () => {
+    const setNumber = (key) => (e) => setGeneralBearingInput(key, parseFloat(e.target.value) || 0);
+    const { foundationType } = generalBearing;
+    return (
+      <>
+        <FormSelect
+          label="Foundation Type"
+          name="generalFoundationType"
+          value={foundationType}
+          onChange={(e) => setGeneralBearingInput('foundationType', e.target.value)}
+          options={generalFoundationTypes}
+          helpText={foundationType === 'circular' ? 'B is the diameter' : undefined}
+        />
+        {foundationType === 'rectangular' && (
+          <FormInput
+            label="Foundation Length (L)"
+            name="generalFoundationLength"
+            value={generalBearing.foundationLength}
+            onChange={setNumber('foundationLength')}
+            unit="m"
+          />
+        )}
+        <FormSelect
+          label="Method"
+          name="bearingMethod"
+          value={generalBearing.method}
+          onChange={(e) => setGeneralBearingInput('method', e.target.value)}
+          options={bearingMethodOptions}
+        />
+        <FormInput
+          label="Vertical Load (V)"
+          name="verticalLoad"
+          value={generalBearing.verticalLoad}
+          onChange={setNumber('verticalLoad')}
+          unit={foundationType === 'strip' ? 'kN/m' : 'kN'}
+        />
+        <FormInput
+          label="Load Inclination (α)"
+          name="loadInclination"
+          value={generalBearing.loadInclination}
+          onChange={setNumber('loadInclination')}
+          unit="degrees"
+          helpText="From the vertical, along B"
+        />
+        <FormInput
+          label="Eccentricity along B (eB)"
+          name="eccentricityB"
+          value={generalBearing.eccentricityB}
+          onChange={setNumber('eccentricityB')}
+          unit="m"
+        />
+        {foundationType !== 'strip' && (
+          <FormInput
+            label="Eccentricity along L (eL)"
+            name="eccentricityL"
+            value={generalBearing.eccentricityL}
+            onChange={setNumber('eccentricityL')}
+            unit="m"
+          />
+        )}
+        <FormInput
+          label="Ground Slope (β)"
+          name="groundSlope"
+          value={generalBearing.groundSlope}
+          onChange={setNumber('groundSlope')}
+          unit="degrees"
+        />
+        <FormInput
+          label="Base Tilt (η)"
+          name="baseTilt"
+          value={generalBearing.baseTilt}
+          onChange={setNumber('baseTilt')}
+          unit="degrees"
+        />
+        <FormInput
+          label="Factor of Safety"
+          name="bearingFactorOfSafety"
+          value={generalBearing.factorOfSafety}
+          onChange={setNumber('factorOfSafety')}
+        />
+        {!useSoilProfile && (
+          <>
+            <label className="flex items-center space-x-2 mt-6">
+              <input
+                type="checkbox"
+                checked={generalBearing.waterTable}
+                onChange={(e) => setGeneralBearingInput('waterTable', e.target.checked)}
+                className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+              />
+              <span className="text-sm font-medium text-gray-700">Water table near the footing</span>
+            </label>
+            {generalBearing.waterTable && (
+              <>
+                <FormInput
+                  label="Water Table Depth (Dw)"
+                  name="bearingWaterTable"
+                  value={generalBearing.waterTableDepth}
+                  onChange={setNumber('waterTableDepth')}
+                  unit="m"
+                  helpText="Below ground level"
+                />
+                <FormInput
+                  label="Saturated Unit Weight (γsat)"
+                  name="bearingSaturatedUnitWeight"
+                  value={generalBearing.saturatedUnitWeight}
+                  onChange={setNumber('saturatedUnitWeight')}
+                  unit="kN/m³"
+                />
+              </>
+            )}
+          </>
+        )}
+      </>
+    );
+  };
+
+  const renderTimeRateInputs = () => {
+    const setNumber = (key) => (e) => setConsolidationRateInput(key, parseFloat(e.target.value) || 0);
+    return (
+      <div className="border-t border-gray-200 pt-4 space-y-4">
+        <label className="flex items-center space-x-2">
+          <input
+            type="checkbox"
+            checked={consolidationRate.enabled}
+            onChange={(e) => setConsolidationRateInput('enabled', e.target.checked)}
+            className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+          />
+          <span className="text-sm font-medium text-gray-700">Time rate of consolidation</span>
+        </label>
+        {consolidationRate.enabled && (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             <FormInput
-              label="Cohesion (c)"
-              name="cohesion"
-              value={bearingCapacity.cohesion}
-              onChange={(e) => setBearingCapacityInput('cohesion', parseFloat(e.target.value) || 0)}
-              unit="kPa"
+              label="Coefficient of Consolidation (cv)"
+              name="cv"
+              value={consolidationRate.cv}
+              onChange={setNumber('cv')}
+              unit="m²/year"
+            />
+            <FormSelect
+              label="Drainage"
+              name="drainage"
+              value={consolidationRate.drainage}
+              onChange={(e) => setConsolidationRateInput('drainage', e.target.value)}
+              options={drainageOptions}
             />
             <FormInput
-              label="Friction Angle (φ)"
-              name="frictionAngle"
-              value={bearingCapacity.frictionAngle}
-              onChange={(e) => setBearingCapacityInput('frictionAngle', parseFloat(e.target.value) || 0)}
-              unit="degrees"
+              label="Time (t)"
+              name="consolidationTime"
+              value={consolidationRate.time}
+              onChange={setNumber('time')}
+              unit="years"
             />
             <FormInput
-              label="Unit Weight (γ)"
-              name="unitWeight"
-              value={bearingCapacity.unitWeight}
-              onChange={(e) => setBearingCapacityInput('unitWeight', parseFloat(e.target.value) || 0)}
-              unit="kN/m³"
+              label="Target Settlement"
+              name="targetSettlement"
+              value={consolidationRate.targetSettlement}
+              onChange={setNumber('targetSettlement')}
+              unit="mm"
+              helpText="Time to reach it; 0 to skip"
             />
+            <label className="flex items-center space-x-2 mt-6">
+              <input
+                type="checkbox"
+                checked={consolidationRate.drains}
+                onChange={(e) => setConsolidationRateInput('drains', e.target.checked)}
+                className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+              />
+              <span className="text-sm font-medium text-gray-700">Vertical (wick) drains</span>
+            </label>
+            {consolidationRate.drains && (
+              <>
+                <FormSelect
+                  label="Radial Theory"
+                  name="drainMethod"
+                  value={consolidationRate.drainMethod}
+                  onChange={(e) => setConsolidationRateInput('drainMethod', e.target.value)}
+                  options={drainMethodOptions}
+                />
+                <FormInput
+                  label="Horizontal cv (ch)"
+                  name="ch"
+                  value={consolidationRate.ch}
+                  onChange={setNumber('ch')}
+                  unit="m²/year"
+                />
+                <FormInput
+                  label="Drain Spacing (s)"
+                  name="drainSpacing"
+                  value={consolidationRate.drainSpacing}
+                  onChange={setNumber('drainSpacing')}
+                  unit="m"
+                />
+                <FormSelect
+                  label="Pattern"
+                  name="drainPattern"
+                  value={consolidationRate.drainPattern}
+                  onChange={(e) => setConsolidationRateInput('drainPattern', e.target.value)}
+                  options={drainPatternOptions}
+                />
+                <FormInput
+                  label="Band Drain Width (a)"
+                  name="drainWidth"
+                  value={consolidationRate.drainWidth}
+                  onChange={setNumber('drainWidth')}
+                  unit="mm"
+                />
+                <FormInput
+                  label="Band Drain Thickness (b)"
+                  name="drainThickness"
+                  value={consolidationRate.drainThickness}
+                  onChange={setNumber('drainThickness')}
+                  unit="mm"
+                  helpText="dw = 2(a + b)/π"
+                />
+                {consolidationRate.drainMethod === 'hansbo' && (
+                  <>
+                    <FormInput
+                      label="Smear Ratio (ds/dw)"
+                      name="smearRatio"
+                      value={consolidationRate.smearRatio}
+                      onChange={setNumber('smearRatio')}
+                    />
+                    <FormInput
+                      label="Permeability Ratio (kh/ks)"
+                      name="permeabilityRatio"
+                      value={consolidationRate.permeabilityRatio}
+                      onChange={setNumber('permeabilityRatio')}
+                    />
+                  </>
+                )}
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const renderInputs = () => {
+    switch (activeCalc) {
+      case 'terzaghi':
+      case 'meyerhof':
+      case 'generalBearing':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {!useSoilProfile && (
+              <>
+                <FormInput
+                  label="Cohesion (c)"
+                  name="cohesion"
+                  value={bearingCapacity.cohesion}
+                  onChange={(e) => setBearingCapacityInput('cohesion', parseFloat(e.target.value) || 0)}
+                  unit="kPa"
+                />
+                <FormInput
+                  label="Friction Angle (φ)"
+                  name="frictionAngle"
+                  value={bearingCapacity.frictionAngle}
+                  onChange={(e) => setBearingCapacityInput('frictionAngle', parseFloat(e.target.value) || 0)}
+                  unit="degrees"
+                />
+                <FormInput
+                  label="Unit Weight (γ)"
+                  name="unitWeight"
+                  value={bearingCapacity.unitWeight}
+                  onChange={(e) => setBearingCapacityInput('unitWeight', parseFloat(e.target.value) || 0)}
+                  unit="kN/m³"
+                />
+              </>
+            )}
             <FormInput
               label="Foundation Depth (Df)"
               name="foundationDepth"
@@ -124,13 +517,15 @@ function GeotechPage() {
               onChange={(e) => setBearingCapacityInput('foundationWidth', parseFloat(e.target.value) || 0)}
               unit="m"
             />
-            <FormSelect
-              label="Foundation Type"
-              name="foundationType"
-              value={bearingCapacity.foundationType}
-              onChange={(e) => setBearingCapacityInput('foundationType', e.target.value)}
-              options={foundationTypes}
-            />
+            {activeCalc === 'generalBearing' ? renderGeneralBearingInputs() : (
+              <FormSelect
+                label="Foundation Type"
+                name="foundationType"
+                value={bearingCapacity.foundationType}
+                onChange={(e) => setBearingCapacityInput('foundationType', e.target.value)}
+                options={foundationTypes}
+              />
+            )}
           </div>
         );
 
@@ -151,76 +546,329 @@ function GeotechPage() {
               onChange={(e) => setSettlementInput('foundationWidth', parseFloat(e.target.value) || 0)}
               unit="m"
             />
+            {useSoilProfile ? (
+              <FormInput
+                label="Foundation Depth (Df)"
+                name="settlementFoundationDepth"
+                value={settlement.foundationDepth ?? 0}
+                onChange={(e) => setSettlementInput('foundationDepth', parseFloat(e.target.value) || 0)}
+                unit="m"
+                helpText="Es and μ are averaged over 2B below the base"
+              />
+            ) : (
+              <>
+                <FormInput
+                  label="Elastic Modulus (Es)"
+                  name="elasticModulus"
+                  value={settlement.elasticModulus}
+                  onChange={(e) => setSettlementInput('elasticModulus', parseFloat(e.target.value) || 0)}
+                  unit="kPa"
+                />
+                <FormInput
+                  label="Poisson's Ratio (μ)"
+                  name="poissonRatio"
+                  value={settlement.poissonRatio}
+                  onChange={(e) => setSettlementInput('poissonRatio', parseFloat(e.target.value) || 0)}
+                  step="0.01"
+                  min={0}
+                  max={0.5}
+                />
+              </>
+            )}
+          </div>
+        );
+
+      case 'consolidation':
+        if (useSoilProfile) {
+          const layerIndex = Math.min(settlement.layerIndex ?? 0, soilProfile.layers.length - 1);
+          const layer = soilProfile.layers[layerIndex];
+          const stressMethod = settlement.stressMethod ?? 'uniform';
+          return (
+            <div className="space-y-6">
+              <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+                <FormSelect
+                  label="Compressible Layer"
+                  name="consolidationLayer"
+                  value={layerIndex}
+                  onChange={(e) => setSettlementInput('layerIndex', parseInt(e.target.value))}
+                  options={soilProfile.layers.map((l, i) => ({ value: i, label: l.name || `Layer ${i + 1}` }))}
+                  helpText="Cc, e0 and H from the layer; σ'0 from the effective stress profile"
+                />
+                <FormInput
+                  label="Compression Index (Cc)"
+                  name="compressionIndex"
+                  value={layer?.compressionIndex ?? ''}
+                  disabled
+                />
+                <FormInput
+                  label="Initial Void Ratio (e0)"
+                  name="voidRatio"
+                  value={layer?.initialVoidRatio ?? ''}
+                  disabled
+                />
+                <FormSelect
+                  label="Stress Increase From"
+                  name="stressMethod"
+                  value={stressMethod}
+                  onChange={(e) => setSettlementInput('stressMethod', e.target.value)}
+                  options={consolidationStressSources}
+                />
+                <FormInput
+                  label={stressMethod === 'uniform' ? 'Stress Increase (Δσ)' : 'Footing Pressure (q)'}
+                  name="stressIncrease"
+                  value={settlement.pressure}
+                  onChange={(e) => setSettlementInput('pressure', parseFloat(e.target.value) || 0)}
+                  unit="kPa"
+                />
+                <FormInput
+                  label="Sublayers"
+                  name="sublayers"
+                  value={settlement.sublayers ?? 5}
+                  onChange={(e) => setSettlementInput('sublayers', parseInt(e.target.value) || 1)}
+                  min="1"
+                  step="1"
+                  helpText="Slices of the layer, each with its own σ'0 and Δσ"
+                />
+                {stressMethod !== 'uniform' && (
+                  <>
+                    <FormInput
+                      label="Footing Width (B)"
+                      name="footingWidth"
+                      value={settlement.foundationWidth}
+                      onChange={(e) => setSettlementInput('foundationWidth', parseFloat(e.target.value) || 0)}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="Footing Length (L)"
+                      name="footingLength"
+                      value={settlement.foundationLength ?? 4}
+                      onChange={(e) => setSettlementInput('foundationLength', parseFloat(e.target.value) || 0)}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="Footing Depth (Df)"
+                      name="footingDepth"
+                      value={settlement.foundationDepth ?? 0}
+                      onChange={(e) => setSettlementInput('foundationDepth', parseFloat(e.target.value) || 0)}
+                      unit="m"
+                      helpText="Δσ under the footing centre"
+                    />
+                  </>
+                )}
+              </div>
+              {renderTimeRateInputs()}
+            </div>
+          );
+        }
+        return (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+              <FormInput
+                label="Compression Index (Cc)"
+                name="compressionIndex"
+                value={0.3}
+                disabled
+                unit=""
+              />
+              <FormInput
+                label="Initial Void Ratio (e0)"
+                name="voidRatio"
+                value={0.8}
+                disabled
+                unit=""
+              />
+              <FormInput
+                label="Layer Thickness (H)"
+                name="layerThickness"
+                value={5}
+                disabled
+                unit="m"
+              />
+              <FormInput
+                label="Initial Effective Stress (σ'0)"
+                name="initialEffectiveStress"
+                value={settlement.initialEffectiveStress ?? 50}
+                onChange={(e) => setSettlementInput('initialEffectiveStress', parseFloat(e.target.value) || 0)}
+                unit="kPa"
+                helpText="Enable the soil profile to take σ'0 from the effective stress profile"
+              />
+              <FormInput
+                label="Stress Increase (Δσ)"
+                name="stressIncrease"
+                value={settlement.pressure}
+                onChange={(e) => setSettlementInput('pressure', parseFloat(e.target.value) || 0)}
+                unit="kPa"
+              />
+            </div>
+            {renderTimeRateInputs()}
+          </div>
+        );
+
+      case 'stressProfile':
+        return (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             <FormInput
-              label="Elastic Modulus (Es)"
-              name="elasticModulus"
-              value={settlement.elasticModulus}
-              onChange={(e) => setSettlementInput('elasticModulus', parseFloat(e.target.value) || 0)}
-              unit="kPa"
+              label="Capillary Rise (hc)"
+              name="capillaryRise"
+              value={stressConditions.capillaryRise}
+              onChange={(e) => setStressConditionInput('capillaryRise', parseFloat(e.target.value) || 0)}
+              unit="m"
+              helpText="Saturated zone above the water table"
             />
             <FormInput
-              label="Poisson's Ratio (μ)"
-              name="poissonRatio"
-              value={settlement.poissonRatio}
-              onChange={(e) => setSettlementInput('poissonRatio', parseFloat(e.target.value) || 0)}
-              step="0.01"
-              min={0}
-              max={0.5}
+              label="Surcharge (q)"
+              name="stressSurcharge"
+              value={stressConditions.surcharge}
+              onChange={(e) => setStressConditionInput('surcharge', parseFloat(e.target.value) || 0)}
+              unit="kPa"
+              helpText="Wide-area fill or load at the surface"
             />
+            <label className="flex items-center space-x-2 mt-6">
+              <input
+                type="checkbox"
+                checked={stressConditions.artesian}
+                onChange={(e) => setStressConditionInput('artesian', e.target.checked)}
+                className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+              />
+              <span className="text-sm font-medium text-gray-700">Confined (artesian) aquifer</span>
+            </label>
+            {stressConditions.artesian && (
+              <>
+                <FormSelect
+                  label="Aquifer Layer"
+                  name="aquiferLayer"
+                  value={stressConditions.aquiferLayer}
+                  onChange={(e) => setStressConditionInput('aquiferLayer', parseInt(e.target.value))}
+                  options={soilProfile.layers.map((l, i) => ({ value: i, label: l.name || `Layer ${i + 1}` }))}
+                  helpText="The layer above it is the confining layer"
+                />
+                <FormInput
+                  label="Artesian Head (hp)"
+                  name="artesianHead"
+                  value={stressConditions.artesianHead}
+                  onChange={(e) => setStressConditionInput('artesianHead', parseFloat(e.target.value) || 0)}
+                  unit="m above ground"
+                />
+              </>
+            )}
+            <p className="md:col-span-2 lg:col-span-3 text-sm text-gray-500">
+              Stresses are computed through the soil profile above. The same conditions set σ'0 for consolidation when the profile is in use.
+            </p>
           </div>
         );
 
-      case 'consolidation':
+      case 'stressDistribution': {
+        const { loadType, method } = stressDistributionInputs;
+        const setNumber = (key) => (e) => setStressDistributionInput(key, parseFloat(e.target.value) || 0);
         return (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            <FormSelect
+              label="Load Type"
+              name="stressLoadType"
+              value={loadType}
+              onChange={(e) => setStressDistributionInput('loadType', e.target.value)}
+              options={stressOptions.loadTypes}
+            />
+            <FormSelect
+              label="Method"
+              name="stressMethod"
+              value={method}
+              onChange={(e) => setStressDistributionInput('method', e.target.value)}
+              options={stressOptions.methods}
+              helpText={method === 'twoToOne' ? 'Loaded areas only' : undefined}
+            />
             <FormInput
-              label="Compression Index (Cc)"
-              name="compressionIndex"
-              value={0.3}
-              disabled
-              unit=""
+              label={loadType === 'point' ? 'Load (Q)' : loadType === 'line' ? 'Load per Metre (q)' : 'Pressure (q)'}
+              name="stressIntensity"
+              value={stressDistributionInputs.intensity}
+              onChange={setNumber('intensity')}
+              unit={STRESS_LOAD_TYPES[loadType]?.unit}
             />
+            {(loadType === 'strip' || loadType === 'rectangular') && (
+              <FormInput
+                label="Width (B)"
+                name="stressWidth"
+                value={stressDistributionInputs.width}
+                onChange={setNumber('width')}
+                unit="m"
+              />
+            )}
+            {loadType === 'rectangular' && (
+              <FormInput
+                label="Length (L)"
+                name="stressLength"
+                value={stressDistributionInputs.length}
+                onChange={setNumber('length')}
+                unit="m"
+              />
+            )}
+            {loadType === 'circular' && (
+              <FormInput
+                label="Radius (R)"
+                name="stressRadius"
+                value={stressDistributionInputs.radius}
+                onChange={setNumber('radius')}
+                unit="m"
+              />
+            )}
             <FormInput
-              label="Initial Void Ratio (e0)"
-              name="voidRatio"
-              value={0.8}
-              disabled
-              unit=""
+              label="Poisson's Ratio (ν)"
+              name="stressPoissonRatio"
+              value={stressDistributionInputs.poissonRatio}
+              onChange={setNumber('poissonRatio')}
+              step="0.05"
+              helpText="Westergaard only; 0 for rigid lateral reinforcement"
             />
             <FormInput
-              label="Layer Thickness (H)"
-              name="layerThickness"
-              value={5}
-              disabled
+              label="Offset x"
+              name="stressX"
+              value={stressDistributionInputs.x}
+              onChange={setNumber('x')}
               unit="m"
+              helpText="Across the width, from the load centre"
             />
+            {loadType !== 'line' && loadType !== 'strip' && (
+              <FormInput
+                label="Offset y"
+                name="stressY"
+                value={stressDistributionInputs.y}
+                onChange={setNumber('y')}
+                unit="m"
+                helpText="Along the length, from the load centre"
+              />
+            )}
             <FormInput
-              label="Stress Increase (Δσ)"
-              name="stressIncrease"
-              value={settlement.pressure}
-              onChange={(e) => setSettlementInput('pressure', parseFloat(e.target.value) || 0)}
-              unit="kPa"
+              label="Depth (z)"
+              name="stressDepth"
+              value={stressDistributionInputs.depth}
+              onChange={setNumber('depth')}
+              unit="m"
             />
           </div>
         );
+      }
 
       case 'earthPressure':
         return (
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            <FormInput
-              label="Friction Angle (φ)"
-              name="frictionAngle"
-              value={earthPressureInputs.frictionAngle}
-              onChange={(e) => setEarthPressureInput('frictionAngle', parseFloat(e.target.value) || 0)}
-              unit="degrees"
-            />
-            <FormInput
-              label="Unit Weight (γ)"
-              name="unitWeight"
-              value={earthPressureInputs.unitWeight}
-              onChange={(e) => setEarthPressureInput('unitWeight', parseFloat(e.target.value) || 0)}
-              unit="kN/m³"
-            />
+            {!useSoilProfile && (
+              <>
+                <FormInput
+                  label="Friction Angle (φ)"
+                  name="frictionAngle"
+                  value={earthPressureInputs.frictionAngle}
+                  onChange={(e) => setEarthPressureInput('frictionAngle', parseFloat(e.target.value) || 0)}
+                  unit="degrees"
+                />
+                <FormInput
+                  label="Unit Weight (γ)"
+                  name="unitWeight"
+                  value={earthPressureInputs.unitWeight}
+                  onChange={(e) => setEarthPressureInput('unitWeight', parseFloat(e.target.value) || 0)}
+                  unit="kN/m³"
+                />
+              </>
+            )}
             <FormInput
               label="Wall Height (H)"
               name="wallHeight"
@@ -228,13 +876,15 @@ function GeotechPage() {
               onChange={(e) => setEarthPressureInput('wallHeight', parseFloat(e.target.value) || 0)}
               unit="m"
             />
-            <FormInput
-              label="Cohesion (c)"
-              name="cohesion"
-              value={earthPressureInputs.cohesion}
-              onChange={(e) => setEarthPressureInput('cohesion', parseFloat(e.target.value) || 0)}
-              unit="kPa"
-            />
+            {!useSoilProfile && (
+              <FormInput
+                label="Cohesion (c)"
+                name="cohesion"
+                value={earthPressureInputs.cohesion}
+                onChange={(e) => setEarthPressureInput('cohesion', parseFloat(e.target.value) || 0)}
+                unit="kPa"
+              />
+            )}
           </div>
         );
 
@@ -243,6 +893,18 @@ function GeotechPage() {
     }
   };
 
+  const renderProfileSoilCard = () => results.soilProfile && (
+    <Card title="Soil Parameters from Profile">
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <ResultDisplay label="c (below base)" value={results.inputs.cohesion} unit="kPa" />
+        <ResultDisplay label="φ (below base)" value={results.inputs.frictionAngle} unit="degrees" />
+        <ResultDisplay label="γ' (below base)" value={results.inputs.unitWeight} unit="kN/m³" />
+        <ResultDisplay label="Overburden σ'v at Df" value={results.inputs.overburden} unit="kPa" />
+      </div>
+      <p className="text-sm text-gray-500 mt-4">c, φ and γ' are averaged over a depth B below the founding level.</p>
+    </Card>
+  );
+
   const renderResults = () => {
     if (!results) return null;
 
@@ -251,6 +913,8 @@ function GeotechPage() {
       case 'meyerhof':
         return (
           <div className="space-y-6">
+            {renderProfileSoilCard()}
+
             <Card title="Bearing Capacity Factors">
               <div className="grid grid-cols-3 gap-4">
                 <ResultDisplay label="Nc" value={results.bearingCapacityFactors.Nc} />
@@ -294,6 +958,113 @@ function GeotechPage() {
           </div>
         );
 
+      case 'generalBearing':
+        return (
+          <div className="space-y-6">
+            {results.warnings.length > 0 && (
+              <Alert type="warning" title="Notes" message={results.warnings.join(' ')} />
+            )}
+            {renderProfileSoilCard()}
+
+            <Card
+              title={`Bearing Capacity (${results.method})`}
+              actions={
+                <Badge variant={results.isSafe ? 'success' : 'danger'}>
+                  {results.isSafe ? 'SAFE' : 'UNSAFE'}
+                </Badge>
+              }
+            >
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <ResultDisplay label="Ultimate Bearing Capacity (qu)" value={results.ultimateBearingCapacity} unit="kPa" highlight />
+                <ResultDisplay label="Net Ultimate (qnu)" value={results.netUltimateBearingCapacity} unit="kPa" />
+                <ResultDisplay label="Safe Bearing Capacity (qs)" value={results.safeBearingCapacity} unit="kPa" highlight />
+                <ResultDisplay label="Effective Width (B')" value={results.effectiveWidth} unit="m" />
+                {results.effectiveLength !== undefined && (
+                  <ResultDisplay label="Effective Length (L')" value={results.effectiveLength} unit="m" />
+                )}
+                <ResultDisplay label="Effective Area (A')" value={results.effectiveArea} unit={results.effectiveLength !== undefined ? 'm²' : 'm²/m'} />
+                <ResultDisplay label="Ultimate Load (qu·A')" value={results.ultimateLoad} unit={results.effectiveLength !== undefined ? 'kN' : 'kN/m'} />
+                <ResultDisplay label="Factor of Safety on V" value={results.loadFactorOfSafety} />
+              </div>
+              <p className="text-sm text-gray-500 mt-4">
+                qs = qnu / {results.factorOfSafety} + q; the load is safe when qu·A' / V ≥ {results.factorOfSafety}.
+              </p>
+            </Card>
+
+            <Card title="Bearing Capacity Factors">
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Factor</th>
+                      <th>Cohesion (c)</th>
+                      <th>Surcharge (q)</th>
+                      <th>Self weight (γ)</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    <tr>
+                      <td className="font-medium">Bearing capacity (N)</td>
+                      <td>{results.bearingCapacityFactors.Nc}</td>
+                      <td>{results.bearingCapacityFactors.Nq}</td>
+                      <td>{results.bearingCapacityFactors.Ngamma}</td>
+                    </tr>
+                    {bearingFactorRows.map(row => (
+                      <tr key={row.key}>
+                        <td className="font-medium">{row.label}</td>
+                        <td>{results.factors[row.key].c}</td>
+                        <td>{results.factors[row.key].q}</td>
+                        <td>{results.factors[row.key].gamma}</td>
+                      </tr>
+                    ))}
+                    <tr>
+                      <td className="font-medium">Term (kPa)</td>
+                      <td>{results.contributions.cohesion}</td>
+                      <td>{results.contributions.surcharge}</td>
+                      <td>{results.contributions.selfWeight}</td>
+                    </tr>
+                  </tbody>
+                </table>
+              </div>
+              <p className="text-sm text-gray-500 mt-4">
+                Water table factor W' = {results.waterTableFactor}; γ in the self-weight term = {results.effectiveUnitWeight} kN/m³;
+                surcharge q = {results.inputs.overburden} kPa.
+              </p>
+            </Card>
+
+            <Card title="Method Comparison">
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Method</th>
+                      <th>Nc</th>
+                      <th>Nq</th>
+                      <th>Nγ</th>
+                      <th>qu (kPa)</th>
+                      <th>qs (kPa)</th>
+                      <th>Notes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.comparison.map((row, i) => (
+                      <tr key={i}>
+                        <td className="font-medium">{row.method}</td>
+                        <td>{row.Nc}</td>
+                        <td>{row.Nq}</td>
+                        <td>{row.Ngamma}</td>
+                        <td>{row.ultimateBearingCapacity}</td>
+                        <td>{row.safeBearingCapacity}</td>
+                        <td className="text-sm text-gray-500">{row.notes}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+          </div>
+        );
+
       case 'settlement':
         return (
           <Card title="Settlement Results">
@@ -308,35 +1079,233 @@ function GeotechPage() {
                 label="Influence Factor" 
                 value={results.influenceFactor}
               />
+              {results.soilProfile && (
+                <>
+                  <ResultDisplay label="Es (averaged over 2B)" value={results.inputs.elasticModulus} unit="kPa" />
+                  <ResultDisplay label="μ (averaged over 2B)" value={results.inputs.poissonRatio} />
+                </>
+              )}
             </div>
           </Card>
         );
 
-      case 'consolidation':
+      case 'stressProfile':
         return (
-          <Card title="Consolidation Settlement Results">
-            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-              <ResultDisplay 
-                label="Consolidation Settlement" 
-                value={results.consolidationSettlement} 
-                unit="mm"
-                highlight 
-              />
-              <ResultDisplay 
-                label="Compression Type" 
-                value={results.compressionType}
-              />
-              <ResultDisplay 
-                label="OCR" 
-                value={results.overConsolidationRatio}
-              />
-              <ResultDisplay 
-                label="Final Effective Stress" 
-                value={results.finalEffectiveStress}
-                unit="kPa"
-              />
+          <div className="space-y-6">
+            {results.warnings.length > 0 && (
+              <Alert type="warning" title="Notes" message={results.warnings.join(' ')} />
+            )}
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Stress Profile">
+                <StressProfileChart points={results.points} />
+              </Card>
+              <Card title="Stresses at Layer Mid-Depth">
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Layer</th>
+                        <th>z (m)</th>
+                        <th>σv (kPa)</th>
+                        <th>u (kPa)</th>
+                        <th>σ'v (kPa)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.layerStresses.map((row, i) => (
+                        <tr key={i}>
+                          <td className="font-medium">{row.name}</td>
+                          <td>{row.midDepth}</td>
+                          <td>{row.total}</td>
+                          <td>{row.porePressure}</td>
+                          <td>{row.effective}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <div className="grid grid-cols-2 gap-4 mt-4">
+                  <ResultDisplay label={`σ'v at ${results.inputs.depth} m`} value={results.effectiveStressAtBase} unit="kPa" highlight />
+                  <ResultDisplay label={`u at ${results.inputs.depth} m`} value={results.porePressureAtBase} unit="kPa" />
+                </div>
+                <p className="text-sm text-gray-500 mt-4">
+                  Mid-depth σ'v is the initial effective stress σ'0 used for consolidation of each layer.
+                </p>
+              </Card>
             </div>
-          </Card>
+          </div>
+        );
+
+      case 'stressDistribution':
+        return (
+          <div className="space-y-6">
+            {results.warnings.length > 0 && (
+              <Alert type="warning" title="Notes" message={results.warnings.join(' ')} />
+            )}
+            <Card title="Stress Increase">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                <ResultDisplay
+                  label={`Δσz at z = ${results.inputs.depth} m (${results.inputs.method})`}
+                  value={results.stressIncrease}
+                  unit="kPa"
+                  highlight
+                />
+                <ResultDisplay label="Influence Factor" value={results.influenceFactor} />
+                {results.newmarkElements !== undefined && (
+                  <ResultDisplay label="Newmark Chart Elements (0.005 each)" value={results.newmarkElements} />
+                )}
+              </div>
+            </Card>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Pressure Bulb">
+                <PressureBulbChart bulb={results.bulb} />
+              </Card>
+              <Card title="Method Comparison">
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>z (m)</th>
+                        <th>Boussinesq (kPa)</th>
+                        <th>Westergaard (kPa)</th>
+                        <th>2:1 (kPa)</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.comparison.map((row, i) => (
+                        <tr key={i}>
+                          <td className="font-medium">{row.depth}</td>
+                          <td>{row.boussinesq}</td>
+                          <td>{row.westergaard}</td>
+                          <td>{row.twoToOne ?? '-'}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+                <p className="text-sm text-gray-500 mt-4">
+                  Below the point of interest; Westergaard with ν = {results.inputs.poissonRatio}.
+                </p>
+              </Card>
+            </div>
+          </div>
+        );
+
+      case 'consolidation':
+        return (
+          <div className="space-y-6">
+            <Card title="Consolidation Settlement Results">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <ResultDisplay 
+                  label="Consolidation Settlement" 
+                  value={results.consolidationSettlement} 
+                  unit="mm"
+                  highlight 
+                />
+                <ResultDisplay 
+                  label="Compression Type" 
+                  value={results.compressionType}
+                />
+                <ResultDisplay 
+                  label="OCR" 
+                  value={results.overConsolidationRatio}
+                />
+                <ResultDisplay 
+                  label="Final Effective Stress" 
+                  value={results.finalEffectiveStress}
+                  unit="kPa"
+                />
+                {results.soilProfile && (
+                  <>
+                    <ResultDisplay label={`Initial σ'0 (${results.inputs.layer} mid-depth)`} value={results.inputs.initialEffectiveStress} unit="kPa" />
+                    <ResultDisplay label="Layer Thickness (H)" value={results.inputs.layerThickness} unit="m" />
+                  </>
+                )}
+              </div>
+              {results.sublayerSettlements && (
+                <div className="overflow-x-auto mt-6">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Sublayer (m)</th>
+                        <th>σ'0 (kPa)</th>
+                        <th>Δσ (kPa)</th>
+                        <th>Sc (mm)</th>
+                        <th>Compression</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {results.sublayerSettlements.map((row, i) => (
+                        <tr key={i}>
+                          <td className="font-medium">{row.top} - {row.bottom}</td>
+                          <td>{row.initialEffectiveStress}</td>
+                          <td>{row.stressIncrease}</td>
+                          <td>{row.settlement}</td>
+                          <td>{row.compressionType}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </Card>
+            {results.timeRate && (
+              <>
+                {results.timeRate.warnings.length > 0 && (
+                  <Alert type="warning" message={results.timeRate.warnings.join(' ')} />
+                )}
+                <Card title="Time Rate of Consolidation">
+                  <div className="grid grid-cols-2 sm:grid-cols-4 gap-4">
+                    <ResultDisplay
+                      label={`Settlement at ${results.timeRate.inputs.time} years`}
+                      value={results.timeRate.settlementAtTime}
+                      unit="mm"
+                      highlight
+                    />
+                    <ResultDisplay label="Average Degree (U)" value={results.timeRate.averageDegree} unit="%" />
+                    <ResultDisplay label="Time Factor (Tv)" value={results.timeRate.timeFactor} />
+                    <ResultDisplay label="Drainage Path (Hdr)" value={results.timeRate.drainagePath} unit="m" />
+                    {results.timeRate.radialDegree !== undefined && (
+                      <>
+                        <ResultDisplay label="Vertical Degree (Uv)" value={results.timeRate.verticalDegree} unit="%" />
+                        <ResultDisplay label="Radial Degree (Ur)" value={results.timeRate.radialDegree} unit="%" />
+                        <ResultDisplay label="n = de/dw" value={results.timeRate.spacingRatio} />
+                        <ResultDisplay label="Drain Function F(n)" value={results.timeRate.drainFunction} />
+                      </>
+                    )}
+                    <ResultDisplay label="t50" value={results.timeRate.t50} unit="years" />
+                    <ResultDisplay label="t90" value={results.timeRate.t90} unit="years" />
+                    {results.timeRate.timeToTarget !== null && (
+                      <ResultDisplay
+                        label={`Time to ${results.timeRate.inputs.targetSettlement} mm`}
+                        value={results.timeRate.timeToTarget}
+                        unit="years"
+                      />
+                    )}
+                  </div>
+                  <div className="mt-6">
+                    <ConsolidationTimeCharts timeRate={results.timeRate} />
+                  </div>
+                  <div className="overflow-x-auto mt-6">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>U (%)</th>
+                          {results.timeRate.timeFactorTable.map(row => <th key={row.degree}>{row.degree}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        <tr>
+                          <td className="font-medium">Tv</td>
+                          {results.timeRate.timeFactorTable.map(row => <td key={row.degree}>{row.timeFactor}</td>)}
+                        </tr>
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              </>
+            )}
+          </div>
         );
 
       case 'earthPressure':
@@ -393,6 +1362,62 @@ function GeotechPage() {
                 </div>
               </Card>
             </div>
+
+            {results.pressureDiagram && (
+              <Card title="Layered Pressure Distribution">
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Layer</th>
+                          <th>Ka</th>
+                          <th>Kp</th>
+                          <th>K0</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {results.layerCoefficients.map((row, i) => (
+                          <tr key={i}>
+                            <td className="font-medium">{row.layer}</td>
+                            <td>{row.Ka}</td>
+                            <td>{row.Kp}</td>
+                            <td>{row.K0}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    <p className="text-sm text-gray-500 mt-4">
+                      Water thrust included in both totals: {results.waterThrust} kN/m
+                    </p>
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Depth (m)</th>
+                          <th>Layer</th>
+                          <th>Active (kPa)</th>
+                          <th>Passive (kPa)</th>
+                          <th>u (kPa)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {results.pressureDiagram.map((point, i) => (
+                          <tr key={i}>
+                            <td>{point.depth}</td>
+                            <td>{point.layer}</td>
+                            <td>{point.active}</td>
+                            <td>{point.passive}</td>
+                            <td>{point.porePressure}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              </Card>
+            )}
           </div>
         );
 
@@ -445,6 +1470,101 @@ function GeotechPage() {
         </div>
       </Card>
 
+      {/* Soil Profile */}
+      <Card
+        title="Soil Profile"
+        className="mb-6"
+        actions={
+          <Button
+            size="sm"
+            variant="outline"
+            icon={Plus}
+            onClick={() => addSoilLayer({ ...DEFAULT_SOIL_LAYER, name: `Layer ${soilProfile.layers.length + 1}` })}
+          >
+            Add Layer
+          </Button>
+        }
+      >
+        <div className="flex flex-wrap items-end gap-6 mb-4">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={useSoilProfile}
+              onChange={(e) => {
+                setUseSoilProfile(e.target.checked);
+                setResults(null);
+              }}
+              className="rounded border-gray-300 text-amber-600 focus:ring-amber-500"
+            />
+            <span className="text-sm font-medium text-gray-700">
+              Use the layered profile in place of a single soil
+            </span>
+          </label>
+          <div className="w-56">
+            <FormInput
+              label="Water Table Depth"
+              name="waterTableDepth"
+              value={soilProfile.waterTableDepth ?? ''}
+              onChange={(e) => setWaterTableDepth(e.target.value === '' ? null : parseFloat(e.target.value) || 0)}
+              unit="m"
+              helpText="Leave empty when there is no water table"
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+          <div className="xl:col-span-2 overflow-x-auto">
+            <table className="data-table">
+              <thead>
+                <tr>
+                  <th>Layer</th>
+                  {soilLayerColumns.map(column => (
+                    <th key={column.key}>{column.label}</th>
+                  ))}
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {soilProfile.layers.map((layer) => (
+                  <tr key={layer.id}>
+                    <td>
+                      <input
+                        type="text"
+                        value={layer.name}
+                        onChange={(e) => updateSoilLayer(layer.id, { name: e.target.value })}
+                        className="border-0 bg-transparent focus:ring-1 focus:ring-amber-500 rounded px-1 w-28"
+                      />
+                    </td>
+                    {soilLayerColumns.map(column => (
+                      <td key={column.key}>
+                        <input
+                          type="number"
+                          value={layer[column.key]}
+                          onChange={(e) => updateSoilLayer(layer.id, { [column.key]: parseFloat(e.target.value) || 0 })}
+                          className={cellInput}
+                        />
+                      </td>
+                    ))}
+                    <td>
+                      <button
+                        onClick={() => removeSoilLayer(layer.id)}
+                        disabled={soilProfile.layers.length === 1}
+                        className="text-red-600 hover:text-red-800 disabled:text-gray-300"
+                      >
+                        <Trash2 className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              Layers run from the ground surface down; the last layer continues below its stated thickness.
+            </p>
+          </div>
+          <BoreholeLogChart profile={profileLog} />
+        </div>
+      </Card>
+
       {/* Input Parameters */}
       <Card title="Input Parameters" className="mb-6">
         {renderInputs()}
@@ -13,7 +13,9 @@ import {
   Lock,
   Download,
   Box,
-  GitBranch
+  GitBranch,
+  Frame,
+  Triangle
 } from 'lucide-react';
 
 const modules = [
@@ -96,6 +98,26 @@ const modules = [
     color: 'from-rose-500 to-rose-700',
     bgColor: 'bg-rose-50',
     features: ['CPM Analysis', 'PERT Method', 'Gantt Charts', 'Critical Path']
+  },
+  {
+    id: 'frame',
+    title: 'Plane Frame Analysis',
+    description: '2D frames by the direct stiffness method with member releases',
+    icon: Frame,
+    path: '/frame',
+    color: 'from-indigo-500 to-violet-700',
+    bgColor: 'bg-indigo-50',
+    features: ['Portal Frames', 'Member Hinges', 'AFD/SFD/BMD', 'Deformed Shape']
+  },
+  {
+    id: 'truss',
+    title: 'Plane Truss Analysis',
+    description: 'Member forces in pin-jointed roof and bridge trusses',
+    icon: Triangle,
+    path: '/truss',
+    color: 'from-teal-500 to-teal-700',
+    bgColor: 'bg-teal-50',
+    features: ['Determinacy Check', 'Tension/Compression', 'Joint Displacements', 'PDF Force Table']
   }
 ];
 
@@ -1,73 +1,274 @@
-import React, { useState, useCallback } from 'react';
-import { Plus, Trash2, Calculator, FileDown, RotateCcw, Building2 } from 'lucide-react';
-import { BeamAnalyzer, calculateSectionProperties, getSupportTypeOptions, SUPPORT_TYPES } from '../utils/calculators/structural';
-import { BeamCharts } from '../components/charts/AnalysisGraph';
-import { FormInput, FormSelect, Button, Card, ResultDisplay, Tabs, Alert } from '../components/ui/FormElements';
-import { useBeamStore } from '../store';
-import { generateBeamReport } from '../utils/reportGenerator';
+import React, { useState, useCallback, useMemo } from 'react';
+import { Plus, Trash2, Calculator, FileDown, RotateCcw, Building2, Truck, Layers, Activity, Hammer } from 'lucide-react';
+import { BeamAnalyzer, WinklerBeamAnalyzer, getFoundationEndOptions, calculateSectionProperties, parseSectionVertices, SECTION_DEFAULTS, getSupportTypeOptions, getSupportConditionOptions, getMovingLoadVehicleOptions, getLoadCaseOptions, buildAxleTrain, SUPPORT_TYPES, SUPPORT_CONDITIONS, MOVING_LOAD_VEHICLES, DEFAULT_LOAD_COMBINATIONS, THERMAL_EXPANSION } from '../utils/calculators/structural';
+import { designRCBeam, getRCDesignOptions } from '../utils/calculators/rcDesign';
+import { designRCSlab, getSlabDesignOptions } from '../utils/calculators/slabDesign';
+import { checkSteelBeam, getSteelGradeOptions } from '../utils/calculators/steelDesign';
+import { getSteelSection, getSectionFamilyOptions, getSteelSectionOptions } from '../utils/calculators/steelSections';
+import { analyzeBeamStresses } from '../utils/calculators/beamStress';
+import { checkSteelColumn, designRCColumn, getColumnDesignOptions } from '../utils/calculators/columnDesign';
+import { analyzeBeamVibration, getVibrationUseOptions, MATERIAL_DENSITIES } from '../utils/calculators/beamDynamics';
+import { analyzeBeamPlasticCollapse, analyzePortalPlasticCollapse, getPlasticModelOptions, getPortalBaseOptions, PLASTIC_MODELS } from '../utils/calculators/plasticAnalysis';
+import { buildSolutionSteps } from '../utils/calculators/beamSolution';
+import { settlementToBeamSupport } from '../utils/calculators/geotech';
+import { roundTo } from '../utils/math/solver';
+import { BeamCharts, InfluenceLineCharts, SectionDiagram, StressCharts, ModeShapeCharts, PlasticHingeCharts, ColumnInteractionCharts } from '../components/charts/AnalysisGraph';
+import { FormInput, FormSelect, FormTextarea, Button, Card, ResultDisplay, Tabs, Alert, Badge } from '../components/ui/FormElements';
+import { useBeamStore, useGeotechStore } from '../store';
+import { generateBeamReport, generateSlabReport } from '../utils/reportGenerator';
+import Plotly from 'plotly.js-dist-min';
 
 const loadTypes = [
   { value: 'point', label: 'Point Load' },
   { value: 'udl', label: 'Uniformly Distributed Load (UDL)' },
-  { value: 'moment', label: 'Applied Moment' }
+  { value: 'uvl', label: 'Linearly Varying Load (UVL)' },
+  { value: 'moment', label: 'Applied Moment' },
+  { value: 'thermal_gradient', label: 'Temperature Gradient (top - bottom)' },
+  { value: 'thermal_uniform', label: 'Uniform Temperature Change' }
 ];
 
+const isSpreadLoad = (type) => ['udl', 'uvl', 'thermal_gradient', 'thermal_uniform'].includes(type);
+
 const sectionTypes = [
   { value: 'rectangle', label: 'Rectangular' },
   { value: 'circle', label: 'Circular' },
   { value: 'i_beam', label: 'I-Beam' },
+  { value: 't_section', label: 'T-Section' },
+  { value: 'angle', label: 'Angle (L-Section)' },
+  { value: 'channel', label: 'Channel' },
+  { value: 'hollow_rectangle', label: 'Hollow Rectangular' },
+  { value: 'hollow_circle', label: 'Hollow Circular (Tube)' },
+  { value: 'box_girder', label: 'Box Girder' },
+  { value: 'polygon', label: 'Arbitrary Polygon' },
+  { value: 'rolled', label: 'Rolled Steel Section (IS 808)' },
   { value: 'custom', label: 'Custom (Enter I directly)' }
 ];
 
+// Dimension inputs for the plate-built section types: [key, label]
+const plateFields = [
+  ['flangeWidth', 'Flange Width'],
+  ['flangeThickness', 'Flange Thickness'],
+  ['webHeight', 'Web Height'],
+  ['webThickness', 'Web Thickness']
+];
+const sectionFields = {
+  i_beam: plateFields,
+  t_section: plateFields,
+  angle: [['legHeight', 'Vertical Leg'], ['legWidth', 'Horizontal Leg'], ['thickness', 'Thickness']],
+  channel: [['height', 'Depth'], ['flangeWidth', 'Flange Width'], ['flangeThickness', 'Flange Thickness'], ['webThickness', 'Web Thickness']],
+  hollow_rectangle: [['width', 'Width'], ['height', 'Height'], ['thickness', 'Wall Thickness']],
+  hollow_circle: [['diameter', 'Outer Diameter'], ['thickness', 'Wall Thickness']],
+  box_girder: [
+    ['width', 'Top Flange Width'], ['webSpacing', 'Web Spacing (outside)'], ['height', 'Overall Depth'],
+    ['flangeThickness', 'Flange Thickness'], ['webThickness', 'Web Thickness']
+  ]
+};
+
+const verticesToText = (vertices) => vertices.map(([x, y]) => `${x}, ${y}`).join('\n');
+
 // Support type options
 const supportTypeOptions = getSupportTypeOptions();
+const supportConditionOptions = getSupportConditionOptions();
+const foundationEndOptions = getFoundationEndOptions();
+const vibrationUseOptions = getVibrationUseOptions();
+
+const massSourceOptions = [
+  { value: 'section', label: 'Self-weight from section area × density' },
+  { value: 'input', label: 'Mass per metre' }
+];
+const plasticModelOptions = getPlasticModelOptions();
+const portalBaseOptions = getPortalBaseOptions();
+const plasticMomentSources = [
+  { value: 'section', label: 'fy × Zp of the section' },
+  { value: 'input', label: 'Plastic moment Mp' }
+];
+const vehicleOptions = getMovingLoadVehicleOptions();
+const rcOptions = getRCDesignOptions();
+const slabOptions = getSlabDesignOptions();
+const steelGradeOptions = getSteelGradeOptions();
+const sectionFamilyOptions = getSectionFamilyOptions();
+const columnOptions = getColumnDesignOptions();
+
+const columnSectionSources = [
+  { value: 'rolled', label: 'Rolled Section (IS 808)' },
+  { value: 'input', label: 'Section from Input Parameters' }
+];
+
+const STEEL_E = 200; // GPa, rolled sections
+
+const extremeLabels = {
+  maxShear: 'Max Positive Shear',
+  minShear: 'Max Negative Shear',
+  maxMoment: 'Max Sagging Moment',
+  minMoment: 'Max Hogging Moment'
+};
+
+const governingLabels = {
+  ...extremeLabels,
+  maxDeflection: 'Max Upward Deflection',
+  minDeflection: 'Max Downward Deflection'
+};
+
+const limitStateOptions = [
+  { value: 'ULS', label: 'ULS' },
+  { value: 'SLS', label: 'SLS' }
+];
 
 function StructuralPage() {
   const {
     span, E, I, sectionType, sectionDimensions, loads, results,
-    supportType, supportPositions,
+    supportType, supportPositions, supports, supportMovements, foundation, movingLoad, movingLoadResults, stiffnessSegments, hinges,
+    customLoadCases, loadCombinations, useDefaultCombinations, combinationResults,
+    rcDesign, rcDesignResults, steelDesign, steelDesignResults, stressCheck, stressResults,
+    vibration, vibrationResults, plastic, plasticResults,
+    steelColumn, steelColumnResults, rcColumn, rcColumnResults, slab, slabResults,
     setSpan, setE, setI, setSectionType, setSectionDimensions,
     addLoad, updateLoad, removeLoad, clearLoads, setResults, reset,
-    setSupportType, setSupportPositions
+    setSupportType, setSupportPositions, addSupport, updateSupport, removeSupport, setSupportMovement, setFoundationInput,
+    addStiffnessSegment, updateStiffnessSegment, removeStiffnessSegment, addHinge, updateHinge, removeHinge,
+    setMovingLoad, addCustomAxle, updateCustomAxle, removeCustomAxle, setMovingLoadResults,
+    addCustomLoadCase, removeCustomLoadCase, addLoadCombination, updateLoadCombination,
+    removeLoadCombination, setUseDefaultCombinations, setCombinationResults,
+    setRCDesignInput, setAllRCDesignInputs, setRCDesignResults,
+    setSteelDesignInput, setAllSteelDesignInputs, setSteelDesignResults,
+    setStressCheckInput, setStressResults, setVibrationInput, setVibrationResults,
+    setPlasticInput, setPlasticResults,
+    setSteelColumnInput, setAllSteelColumnInputs, setSteelColumnResults, setRCColumnInput, setRCColumnResults,
+    setSlabInput, setSlabResults
   } = useBeamStore();
+  const geotechResults = useGeotechStore((state) => state.results);
 
   const [activeTab, setActiveTab] = useState('input');
-  const [newLoad, setNewLoad] = useState({ type: 'point', magnitude: 10, position: 3, start: 0, end: 6 });
+  const [newLoad, setNewLoad] = useState({ type: 'point', magnitude: 10, endMagnitude: 20, position: 3, start: 0, end: 6, loadCase: 'DL', depth: 0.5, alpha: THERMAL_EXPANSION });
+  const [newCaseName, setNewCaseName] = useState('');
   const [error, setError] = useState(null);
   const [isCalculating, setIsCalculating] = useState(false);
 
   // Calculate section properties when section changes
-  const sectionProps = sectionType !== 'custom' 
-    ? calculateSectionProperties(sectionType, sectionDimensions)
-    : { momentOfInertia: I };
+  const sectionProps = useMemo(() => {
+    if (sectionType === 'custom') return { momentOfInertia: I };
+    try {
+      if (sectionType === 'polygon') {
+        const [vertices = []] = parseSectionVertices(sectionDimensions.vertexText);
+        return calculateSectionProperties('polygon', {
+          vertices,
+          holes: parseSectionVertices(sectionDimensions.holeText)
+        });
+      }
+      return calculateSectionProperties(sectionType, sectionDimensions);
+    } catch (err) {
+      return { momentOfInertia: 0, error: err.message };
+    }
+  }, [sectionType, sectionDimensions, I]);
+
+  const loadCaseOptions = getLoadCaseOptions(customLoadCases);
+
+  // Supports in analyzer order; continuous beam supports hold their own spring and settlement
+  const supportLayout = useMemo(() => {
+    if (supportType === SUPPORT_TYPES.CONTINUOUS) return supports;
+    const layout = new BeamAnalyzer(span || 1);
+    layout.setSupportType(supportType);
+    layout.setSupportPositions(supportPositions.a, supportPositions.b);
+    return layout.getSupports();
+  }, [span, supportType, supportPositions, supports]);
+
+  const getMovement = (support, index) =>
+    supportType === SUPPORT_TYPES.CONTINUOUS ? support : (supportMovements[index] || {});
+  const setMovement = (support, index, updates) => {
+    if (supportType === SUPPORT_TYPES.CONTINUOUS) {
+      updateSupport(support.id, updates);
+    } else {
+      Object.entries(updates).forEach(([key, value]) => setSupportMovement(index, key, value));
+    }
+  };
+
+  // Spring from immediate settlement or prescribed settlement from consolidation
+  const applyGeotechSettlement = (support, index) => {
+    try {
+      const { spring = 0, settlement = 0 } = settlementToBeamSupport(geotechResults);
+      setMovement(support, index, { spring, settlement });
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Standard load train, or undefined for a custom axle train
+  const selectedVehicle = Object.values(MOVING_LOAD_VEHICLES).find(v => v.id === movingLoad.vehicle);
+
+  // Validate beam inputs and build an analyzer with the current supports
+  const createAnalyzer = useCallback((segments = 500) => {
+    if (span <= 0) throw new Error('Span must be greater than 0');
+    if (E <= 0) throw new Error('Elastic modulus must be greater than 0');
+    if (I <= 0 && sectionType === 'custom') throw new Error('Moment of inertia must be greater than 0');
+    if (sectionProps.error) throw new Error(sectionProps.error);
+    if (supportType === SUPPORT_TYPES.CONTINUOUS) {
+      if (supports.length === 0) throw new Error('Add at least one support');
+      if (supports.some(s => s.position < 0 || s.position > span)) {
+        throw new Error(`Support positions must be between 0 and ${span} m`);
+      }
+    }
+
+    const EInPa = E * 1e9; // Convert GPa to Pa
+    const IValue = sectionType === 'custom' ? I : sectionProps.momentOfInertia;
+    
+    if (supportType === SUPPORT_TYPES.ELASTIC_FOUNDATION) {
+      const analyzer = new WinklerBeamAnalyzer(span, EInPa, IValue, foundation.subgradeModulus, foundation.width, segments, {
+        left: foundation.leftEnd,
+        right: foundation.rightEnd
+      });
+      analyzer.setStiffnessSegments(stiffnessSegments.map(segment => ({ ...segment, E: segment.E * 1e9 })));
+      analyzer.setHinges(hinges.map(h => h.position));
+      analyzer.setSectionArea(sectionProps.area);
+      return analyzer;
+    }
+
+    const analyzer = new BeamAnalyzer(span, EInPa, IValue, segments);
+    analyzer.setSupportType(supportType);
+    
+    // Set support positions for overhanging beams
+    if (supportType === SUPPORT_TYPES.OVERHANGING && supportPositions) {
+      analyzer.setSupportPositions(supportPositions.a, supportPositions.b);
+    }
+    
+    // Set support list for continuous beams; other types take springs and settlement separately
+    if (supportType === SUPPORT_TYPES.CONTINUOUS) {
+      analyzer.setSupports(supports);
+    } else {
+      analyzer.setSupportMovements(supportMovements);
+    }
+
+    // Non-prismatic segments (E in GPa)
+    analyzer.setStiffnessSegments(stiffnessSegments.map(segment => ({ ...segment, E: segment.E * 1e9 })));
+    analyzer.setHinges(hinges.map(h => h.position));
+    analyzer.setSectionArea(sectionProps.area);
+
+    return analyzer;
+  }, [span, E, I, sectionType, sectionProps, supportType, supportPositions, supports, supportMovements, foundation, stiffnessSegments, hinges]);
+
+  // Determinacy of the supports and hinges, updated while editing
+  const hingeDeterminacy = useMemo(() => {
+    if (hinges.length === 0) return null;
+    try {
+      return createAnalyzer(10).checkDeterminacy();
+    } catch (err) {
+      return { isStable: false, classification: 'Invalid', message: err.message };
+    }
+  }, [hinges, createAnalyzer]);
 
   const handleCalculate = useCallback(() => {
     setIsCalculating(true);
     setError(null);
 
     try {
-      // Validate inputs
-      if (span <= 0) throw new Error('Span must be greater than 0');
-      if (E <= 0) throw new Error('Elastic modulus must be greater than 0');
-      if (I <= 0 && sectionType === 'custom') throw new Error('Moment of inertia must be greater than 0');
       if (loads.length === 0) throw new Error('Add at least one load to analyze');
 
-      // Create beam analyzer
-      const EInPa = E * 1e9; // Convert GPa to Pa
-      const IValue = sectionType === 'custom' ? I : sectionProps.momentOfInertia;
-      
-      const analyzer = new BeamAnalyzer(span, EInPa, IValue, 500);
-      analyzer.setSupportType(supportType);
-      
-      // Set support positions for overhanging beams
-      if (supportType === SUPPORT_TYPES.OVERHANGING && supportPositions) {
-        analyzer.setSupportPositions(supportPositions.a, supportPositions.b);
-      }
-      
+      const analyzer = createAnalyzer();
       analyzer.setLoads(loads);
       
       const analysisResults = analyzer.analyze();
-      setResults(analysisResults);
+      setResults({ ...analysisResults, solutionSteps: buildSolutionSteps(analyzer, analysisResults) });
+      setStressResults(null);
       setActiveTab('results');
 
     } catch (err) {
@@ -75,7 +276,265 @@ function StructuralPage() {
     } finally {
       setIsCalculating(false);
     }
-  }, [span, E, I, sectionType, sectionProps.momentOfInertia, loads, supportType, supportPositions, setResults]);
+  }, [loads, createAnalyzer, setResults, setStressResults]);
+
+  const handleMovingLoad = useCallback(() => {
+    setIsCalculating(true);
+    setError(null);
+
+    try {
+      const { section, impactFactor, customAxles } = movingLoad;
+      if (section < 0 || section > span) {
+        throw new Error(`Section must be between 0 and ${span} m`);
+      }
+      if (impactFactor < 1) throw new Error('Impact factor must be at least 1');
+
+      const axles = selectedVehicle
+        ? buildAxleTrain(selectedVehicle.loads, selectedVehicle.spacings)
+        : buildAxleTrain(customAxles.map(a => a.load), customAxles.slice(1).map(a => a.spacing));
+
+      // A coarser grid keeps the rolling load analysis responsive
+      const analyzer = createAnalyzer(200);
+      setMovingLoadResults({
+        influence: analyzer.calculateInfluenceLines(section),
+        envelope: analyzer.calculateMovingLoadEnvelope(axles, { impactFactor }),
+        vehicleLabel: selectedVehicle ? selectedVehicle.label : 'Custom Axle Train'
+      });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCalculating(false);
+    }
+  }, [movingLoad, selectedVehicle, span, createAnalyzer, setMovingLoadResults]);
+
+  const handleCombinations = useCallback(() => {
+    setIsCalculating(true);
+    setError(null);
+
+    try {
+      if (loads.length === 0) throw new Error('Add at least one load to analyze');
+
+      const combinations = [
+        ...(useDefaultCombinations ? DEFAULT_LOAD_COMBINATIONS : []),
+        ...loadCombinations
+      ];
+      if (combinations.length === 0) throw new Error('Add a load combination or use the code defaults');
+
+      const analyzer = createAnalyzer();
+      analyzer.setLoads(loads);
+      setCombinationResults(analyzer.analyzeLoadCombinations(combinations));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCalculating(false);
+    }
+  }, [loads, useDefaultCombinations, loadCombinations, createAnalyzer, setCombinationResults]);
+
+  // Design actions from the analysis: governing combination values are already
+  // factored, single-case results take the load factor. Deflection is unfactored.
+  const getDesignActions = (loadFactor) => {
+    if (combinationResults) {
+      const { governing } = combinationResults;
+      return {
+        Mu: Math.max(Math.abs(governing.maxMoment.value), Math.abs(governing.minMoment.value)),
+        Vu: Math.max(Math.abs(governing.maxShear.value), Math.abs(governing.minShear.value)),
+        deflection: Math.max(Math.abs(governing.maxDeflection.value), Math.abs(governing.minDeflection.value))
+      };
+    }
+    if (results) {
+      return {
+        Mu: Math.abs(results.maxValues.moment) * loadFactor,
+        Vu: Math.abs(results.maxValues.shear) * loadFactor,
+        deflection: Math.abs(results.maxValues.deflection)
+      };
+    }
+    return null;
+  };
+
+  const handleRCFromAnalysis = () => {
+    const actions = getDesignActions(rcDesign.loadFactor);
+    if (!actions) return;
+
+    const supportCondition = supportType === SUPPORT_TYPES.CANTILEVER ? 'cantilever'
+      : supportType === SUPPORT_TYPES.SIMPLY_SUPPORTED || supportType === SUPPORT_TYPES.OVERHANGING
+        ? 'simply_supported' : 'continuous';
+
+    setAllRCDesignInputs({
+      Mu: roundTo(actions.Mu, 2),
+      Vu: roundTo(actions.Vu, 2),
+      supportCondition,
+      ...(sectionType === 'rectangle' && {
+        width: Math.round(sectionDimensions.width * 1000),
+        depth: Math.round(sectionDimensions.height * 1000)
+      })
+    });
+  };
+
+  const handleSteelFromAnalysis = () => {
+    const actions = getDesignActions(steelDesign.loadFactor);
+    if (!actions) return;
+
+    // A rolled beam section carries over; deflection scales with 1/EI, so it is
+    // rescaled from the analysed stiffness to the checked section
+    const section = getSteelSection(sectionType === 'rolled' ? sectionDimensions.designation : steelDesign.designation);
+    const analysedEI = E * (sectionType === 'custom' ? I : sectionProps.momentOfInertia);
+    const sectionEI = STEEL_E * section.Ixx * 1e-8;
+
+    setAllSteelDesignInputs({
+      Mu: roundTo(actions.Mu, 2),
+      Vu: roundTo(actions.Vu, 2),
+      deflection: roundTo(actions.deflection * analysedEI / sectionEI, 2),
+      unbracedLength: span,
+      family: section.family,
+      designation: section.designation
+    });
+  };
+
+  const handleSteelCheck = () => {
+    setError(null);
+    try {
+      setSteelDesignResults(checkSteelBeam({
+        ...steelDesign,
+        span,
+        isCantilever: supportType === SUPPORT_TYPES.CANTILEVER
+      }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleStressAnalysis = () => {
+    if (!results) return;
+    setError(null);
+    try {
+      setStressResults(analyzeBeamStresses(results, sectionProps, stressCheck));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleVibration = () => {
+    setError(null);
+    try {
+      const fromSection = vibration.massSource === 'section';
+      if (fromSection && !(sectionProps.area > 0)) {
+        throw new Error('A custom moment of inertia has no section area. Enter the mass per metre instead.');
+      }
+      setVibrationResults(analyzeBeamVibration(createAnalyzer(), {
+        ...vibration,
+        massPerLength: fromSection ? 0 : vibration.massPerLength,
+        area: sectionProps.area
+      }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handlePlastic = () => {
+    setError(null);
+    try {
+      if (plastic.model === PLASTIC_MODELS.PORTAL) {
+        setPlasticResults(analyzePortalPlasticCollapse({
+          span: plastic.portalSpan,
+          height: plastic.portalHeight,
+          base: plastic.portalBase,
+          verticalLoad: plastic.verticalLoad,
+          horizontalLoad: plastic.horizontalLoad,
+          beamUdl: plastic.beamUdl,
+          columnMp: plastic.columnMp,
+          beamMp: plastic.beamMp,
+          E,
+          I: sectionType === 'custom' ? I : sectionProps.momentOfInertia
+        }));
+        return;
+      }
+
+      if (loads.length === 0) throw new Error('Add at least one load to analyze');
+      const fromSection = plastic.mpSource === 'section';
+      if (fromSection && !(sectionProps.Zpx > 0)) {
+        throw new Error('A custom moment of inertia has no plastic modulus. Enter the plastic moment instead.');
+      }
+      const analyzer = createAnalyzer();
+      analyzer.setLoads(loads);
+      setPlasticResults(analyzeBeamPlasticCollapse(analyzer, fromSection
+        ? { fy: plastic.fy, Zp: sectionProps.Zpx }
+        : { Mp: plastic.Mp }
+      ));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSteelColumn = () => {
+    setError(null);
+    try {
+      const fromInput = steelColumn.sectionSource === 'input';
+      if (fromInput && sectionType === 'custom') {
+        throw new Error('A custom moment of inertia has no section geometry. Choose a section shape.');
+      }
+      if (fromInput && sectionProps.error) throw new Error(sectionProps.error);
+      setSteelColumnResults(checkSteelColumn({
+        ...steelColumn,
+        designation: fromInput
+          ? (sectionType === 'rolled' ? sectionDimensions.designation : null)
+          : steelColumn.designation,
+        properties: sectionProps,
+        sectionType,
+        sectionName: sectionTypes.find(t => t.value === sectionType)?.label
+      }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRCColumn = () => {
+    setError(null);
+    try {
+      setRCColumnResults(designRCColumn(rcColumn));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSlabDesign = () => {
+    setError(null);
+    try {
+      setSlabResults(designRCSlab(slab));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExportSlab = () => {
+    if (!slabResults) return;
+    try {
+      const report = generateSlabReport(slabResults);
+      report.download('CiviCalc_Slab_Design.pdf');
+    } catch (err) {
+      setError('Failed to export PDF: ' + err.message);
+    }
+  };
+
+  const handleRCDesign = () => {
+    setError(null);
+    try {
+      setRCDesignResults(designRCBeam({ ...rcDesign, span }));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleAddLoadCase = () => {
+    const name = newCaseName.trim();
+    if (!name) return;
+    if (loadCaseOptions.some(o => o.value.toLowerCase() === name.toLowerCase())) {
+      setError(`Load case ${name} already exists`);
+      return;
+    }
+    addCustomLoadCase(name);
+    setNewCaseName('');
+    setError(null);
+  };
 
   const handleAddLoad = () => {
     if (newLoad.type === 'point' || newLoad.type === 'moment') {
@@ -83,9 +542,13 @@ function StructuralPage() {
         setError(`Load position must be between 0 and ${span} m`);
         return;
       }
-    } else if (newLoad.type === 'udl') {
+    } else if (isSpreadLoad(newLoad.type)) {
       if (newLoad.start < 0 || newLoad.end > span || newLoad.start >= newLoad.end) {
-        setError('Invalid UDL range');
+        setError(`Invalid ${newLoad.type.startsWith('thermal') ? 'temperature load' : newLoad.type.toUpperCase()} range`);
+        return;
+      }
+      if (newLoad.type === 'thermal_gradient' && !(newLoad.depth > 0)) {
+        setError('Section depth must be greater than 0');
         return;
       }
     }
@@ -102,10 +565,27 @@ function StructuralPage() {
       span,
       E: `${E} GPa`,
       I: sectionType === 'custom' ? I : sectionProps.momentOfInertia,
+      supportType: supportTypeOptions.find(o => o.value === supportType)?.label || supportType,
       loads
     };
     
-    const report = generateBeamReport(results, inputs);
+    // Hinge diagram is captured when the plastic analysis tab is on screen
+    let hingeImage = null;
+    try {
+      const diagramElement = document.querySelector('.plastic-hinge-diagram .js-plotly-plot');
+      if (diagramElement) {
+        hingeImage = await Plotly.toImage(diagramElement, {
+          format: 'png',
+          width: 1000,
+          height: 500,
+          scale: 2
+        });
+      }
+    } catch (chartError) {
+      console.warn('Could not capture hinge diagram:', chartError);
+    }
+
+    const report = generateBeamReport(results, inputs, plasticResults, hingeImage);
     report.download('CiviCalc_Beam_Analysis.pdf');
   };
 
@@ -118,7 +598,16 @@ function StructuralPage() {
   const tabs = [
     { id: 'input', label: 'Input Parameters' },
     { id: 'loads', label: `Loads (${loads.length})` },
-    { id: 'results', label: 'Results & Diagrams' }
+    { id: 'combinations', label: 'Load Combinations' },
+    { id: 'results', label: 'Results & Diagrams' },
+    { id: 'stresses', label: 'Stresses' },
+    { id: 'vibration', label: 'Vibration' },
+    { id: 'plastic', label: 'Plastic Collapse' },
+    { id: 'moving', label: 'Influence Lines & Moving Loads' },
+    { id: 'design', label: 'RC Design (IS 456)' },
+    { id: 'steel', label: 'Steel Design (IS 800)' },
+    { id: 'column', label: 'Columns' },
+    { id: 'slab', label: 'Slab Design (IS 456)' }
   ];
 
   return (
@@ -222,6 +711,36 @@ function StructuralPage() {
                       </>
                     )}
                     
+                    {supportType === SUPPORT_TYPES.CONTINUOUS && supports.map((support) => {
+                      const ratio = span > 0 ? Math.min(Math.max(support.position / span, 0), 1) : 0;
+                      return (
+                        <div
+                          key={support.id}
+                          className="absolute -translate-x-1/2"
+                          style={{ left: `calc(2rem + (100% - 4rem) * ${ratio})`, bottom: support.type === SUPPORT_CONDITIONS.FIXED ? '0.5rem' : '1rem' }}
+                        >
+                          {support.type === SUPPORT_CONDITIONS.FIXED && (
+                            <div className="w-3 h-16 bg-gray-600 rounded"></div>
+                          )}
+                          {support.type === SUPPORT_CONDITIONS.PIN && (
+                            <div className="w-0 h-0 border-l-[10px] border-r-[10px] border-b-[15px] border-l-transparent border-r-transparent border-b-amber-500"></div>
+                          )}
+                          {support.type === SUPPORT_CONDITIONS.ROLLER && (
+                            <div className="w-5 h-5 bg-amber-500 rounded-full"></div>
+                          )}
+                        </div>
+                      );
+                    })}
+                    
+                    {supportType === SUPPORT_TYPES.ELASTIC_FOUNDATION && (
+                      <div className="absolute left-8 right-8 bottom-1 h-6 flex justify-between">
+                        {/* Winkler soil springs */}
+                        {[...Array(12)].map((_, i) => (
+                          <div key={i} className="w-[2px] h-full bg-amber-700 opacity-70"></div>
+                        ))}
+                      </div>
+                    )}
+                    
                     {supportType === SUPPORT_TYPES.PROPPED_CANTILEVER && (
                       <>
                         {/* Fixed support at A */}
@@ -232,6 +751,18 @@ function StructuralPage() {
                         </div>
                       </>
                     )}
+                    
+                    {/* Internal hinges */}
+                    {hinges.map((hinge) => {
+                      const ratio = span > 0 ? Math.min(Math.max(hinge.position / span, 0), 1) : 0;
+                      return (
+                        <div
+                          key={hinge.id}
+                          className="absolute top-1/2 -translate-x-1/2 -translate-y-1/2 w-4 h-4 bg-white border-2 border-blue-700 rounded-full"
+                          style={{ left: `calc(2rem + (100% - 4rem) * ${ratio})` }}
+                        ></div>
+                      );
+                    })}
                   </div>
                 </div>
                 
@@ -267,6 +798,84 @@ function StructuralPage() {
                   </div>
                 )}
                 
+                {/* Soil springs and end conditions for beams on elastic foundation */}
+                {supportType === SUPPORT_TYPES.ELASTIC_FOUNDATION && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <FormInput
+                      label="Modulus of Subgrade Reaction (ks)"
+                      name="subgradeModulus"
+                      value={foundation.subgradeModulus}
+                      onChange={(e) => setFoundationInput('subgradeModulus', parseFloat(e.target.value) || 0)}
+                      unit="kN/m³"
+                      min={0}
+                      helpText="Loose sand ~5000-15000, dense sand ~60000-100000"
+                    />
+                    <FormInput
+                      label="Contact Width (B)"
+                      name="foundationWidth"
+                      value={foundation.width}
+                      onChange={(e) => setFoundationInput('width', parseFloat(e.target.value) || 0)}
+                      unit="m"
+                      min={0}
+                    />
+                    <FormSelect
+                      label="Left End"
+                      name="foundationLeftEnd"
+                      value={foundation.leftEnd}
+                      onChange={(e) => setFoundationInput('leftEnd', e.target.value)}
+                      options={foundationEndOptions}
+                    />
+                    <FormSelect
+                      label="Right End"
+                      name="foundationRightEnd"
+                      value={foundation.rightEnd}
+                      onChange={(e) => setFoundationInput('rightEnd', e.target.value)}
+                      options={foundationEndOptions}
+                    />
+                  </div>
+                )}
+                
+                {/* Support list for continuous beams */}
+                {supportType === SUPPORT_TYPES.CONTINUOUS && (
+                  <div className="space-y-2">
+                    <p className="text-sm font-medium text-gray-700">Supports</p>
+                    {supports.map((support, index) => (
+                      <div key={support.id} className="grid grid-cols-[1fr_1fr_auto] gap-3 items-end">
+                        <FormInput
+                          label={`Support ${index + 1} Position`}
+                          name={`support-${support.id}`}
+                          value={support.position}
+                          onChange={(e) => updateSupport(support.id, { position: parseFloat(e.target.value) || 0 })}
+                          unit="m"
+                          min={0}
+                          max={span}
+                        />
+                        <FormSelect
+                          label="Condition"
+                          name={`support-type-${support.id}`}
+                          value={support.type}
+                          onChange={(e) => updateSupport(support.id, { type: e.target.value })}
+                          options={supportConditionOptions}
+                        />
+                        <button
+                          onClick={() => removeSupport(support.id)}
+                          className="text-red-600 hover:text-red-800 mb-3"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    ))}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      icon={Plus}
+                      onClick={() => addSupport({ position: span, type: SUPPORT_CONDITIONS.ROLLER })}
+                    >
+                      Add Support
+                    </Button>
+                  </div>
+                )}
+                
                 <FormInput
                   label="Span Length"
                   name="span"
@@ -293,10 +902,44 @@ function StructuralPage() {
                   label="Section Type"
                   name="sectionType"
                   value={sectionType}
-                  onChange={(e) => setSectionType(e.target.value)}
+                  onChange={(e) => {
+                    setSectionType(e.target.value);
+                    if (e.target.value === 'rolled' && !getSteelSection(sectionDimensions.designation)) {
+                      setSectionDimensions({ ...sectionDimensions, designation: 'ISMB 300' });
+                    }
+                    if (e.target.value === 'polygon' && sectionDimensions.vertexText === undefined) {
+                      setSectionDimensions({
+                        ...sectionDimensions,
+                        vertexText: verticesToText(SECTION_DEFAULTS.polygon.vertices),
+                        holeText: ''
+                      });
+                    }
+                  }}
                   options={sectionTypes}
                 />
 
+                {sectionType === 'rolled' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <FormSelect
+                      label="Section Family"
+                      name="rolledFamily"
+                      value={getSteelSection(sectionDimensions.designation)?.family || 'ISMB'}
+                      onChange={(e) => setSectionDimensions({
+                        ...sectionDimensions,
+                        designation: getSteelSectionOptions(e.target.value)[0].value
+                      })}
+                      options={sectionFamilyOptions}
+                    />
+                    <FormSelect
+                      label="Designation"
+                      name="rolledDesignation"
+                      value={sectionDimensions.designation}
+                      onChange={(e) => setSectionDimensions({ ...sectionDimensions, designation: e.target.value })}
+                      options={getSteelSectionOptions(getSteelSection(sectionDimensions.designation)?.family || 'ISMB')}
+                    />
+                  </div>
+                )}
+
                 {sectionType === 'rectangle' && (
                   <div className="grid grid-cols-2 gap-4">
                     <FormInput
@@ -326,6 +969,41 @@ function StructuralPage() {
                   />
                 )}
 
+                {sectionFields[sectionType] && (
+                  <div className="grid grid-cols-2 gap-4">
+                    {sectionFields[sectionType].map(([key, label]) => (
+                      <FormInput
+                        key={key}
+                        label={label}
+                        name={key}
+                        value={sectionDimensions[key] ?? SECTION_DEFAULTS[sectionType][key]}
+                        onChange={(e) => setSectionDimensions({ ...sectionDimensions, [key]: parseFloat(e.target.value) || 0 })}
+                        unit="m"
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {sectionType === 'polygon' && (
+                  <div className="grid grid-cols-2 gap-4">
+                    <FormTextarea
+                      label="Outer Boundary (x, y in m per line)"
+                      name="vertexText"
+                      value={sectionDimensions.vertexText ?? ''}
+                      onChange={(e) => setSectionDimensions({ ...sectionDimensions, vertexText: e.target.value })}
+                      rows={8}
+                    />
+                    <FormTextarea
+                      label="Holes (blank line between holes)"
+                      name="holeText"
+                      value={sectionDimensions.holeText ?? ''}
+                      onChange={(e) => setSectionDimensions({ ...sectionDimensions, holeText: e.target.value })}
+                      rows={8}
+                      placeholder={'0.1, 0.1\n0.2, 0.1\n0.2, 0.2\n0.1, 0.2'}
+                    />
+                  </div>
+                )}
+
                 {sectionType === 'custom' && (
                   <FormInput
                     label="Moment of Inertia (I)"
@@ -337,19 +1015,222 @@ function StructuralPage() {
                   />
                 )}
 
-                {sectionType !== 'custom' && (
-                  <div className="bg-blue-50 rounded-lg p-4 mt-4">
-                    <p className="text-sm text-blue-700 font-medium mb-2">Calculated Section Properties:</p>
-                    <div className="grid grid-cols-2 gap-2 text-sm">
-                      <span className="text-gray-600">Area:</span>
-                      <span className="font-mono">{sectionProps.area?.toExponential(4)} m²</span>
-                      <span className="text-gray-600">Moment of Inertia:</span>
-                      <span className="font-mono">{sectionProps.momentOfInertia?.toExponential(4)} m⁴</span>
+                {sectionProps.error && (
+                  <Alert type="error" message={sectionProps.error} />
+                )}
+
+                {sectionType !== 'custom' && !sectionProps.error && sectionProps.outline && (
+                  <>
+                    <div className="bg-blue-50 rounded-lg p-4 mt-4">
+                      <p className="text-sm text-blue-700 font-medium mb-2">Calculated Section Properties:</p>
+                      <div className="grid grid-cols-2 gap-2 text-sm">
+                        <span className="text-gray-600">Area:</span>
+                        <span className="font-mono">{sectionProps.area?.toExponential(4)} m²</span>
+                        <span className="text-gray-600">Centroid (x, y):</span>
+                        <span className="font-mono">({sectionProps.centroid.x}, {sectionProps.centroid.y}) m</span>
+                        <span className="text-gray-600">Moment of Inertia (Ixx):</span>
+                        <span className="font-mono">{sectionProps.momentOfInertia?.toExponential(4)} m⁴</span>
+                        <span className="text-gray-600">Iyy:</span>
+                        <span className="font-mono">{sectionProps.Iyy.toExponential(4)} m⁴</span>
+                        <span className="text-gray-600">Ixy:</span>
+                        <span className="font-mono">{sectionProps.Ixy.toExponential(4)} m⁴</span>
+                        <span className="text-gray-600">Principal (Iu, Iv):</span>
+                        <span className="font-mono">
+                          {sectionProps.principal.Imax.toExponential(3)}, {sectionProps.principal.Imin.toExponential(3)} m⁴
+                        </span>
+                        <span className="text-gray-600">Principal Axis Angle:</span>
+                        <span className="font-mono">{sectionProps.principal.angle}°</span>
+                        <span className="text-gray-600">Radii of Gyration (rx, ry, rmin):</span>
+                        <span className="font-mono">{sectionProps.rx}, {sectionProps.ry}, {sectionProps.rMin} m</span>
+                        <span className="text-gray-600">Elastic Modulus (Zx, Zy):</span>
+                        <span className="font-mono">{sectionProps.Zx.toExponential(3)}, {sectionProps.Zy.toExponential(3)} m³</span>
+                        <span className="text-gray-600">Plastic Modulus (Zpx, Zpy):</span>
+                        <span className="font-mono">{sectionProps.Zpx.toExponential(3)}, {sectionProps.Zpy.toExponential(3)} m³</span>
+                        <span className="text-gray-600">Shape Factor (x, y):</span>
+                        <span className="font-mono">{sectionProps.shapeFactor.x}, {sectionProps.shapeFactor.y}</span>
+                      </div>
                     </div>
+                    <SectionDiagram properties={sectionProps} />
+                  </>
+                )}
+              </div>
+            </Card>
+
+            <Card title="Non-Prismatic Segments" className="lg:col-span-2">
+              <div className="space-y-3">
+                <p className="text-sm text-gray-600">
+                  Stepped or haunched parts of the beam. Outside these segments the beam uses E and the
+                  section above; within a segment I runs from I (start) to I (end) as the cube of a linearly
+                  tapering depth.
+                </p>
+                {stiffnessSegments.map((segment, index) => (
+                  <div key={segment.id} className="grid grid-cols-2 md:grid-cols-[1fr_1fr_1fr_1fr_1fr_auto] gap-3 items-end">
+                    <FormInput
+                      label={`Segment ${index + 1} Start`}
+                      name={`segment-start-${segment.id}`}
+                      value={segment.start}
+                      onChange={(e) => updateStiffnessSegment(segment.id, { start: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="End"
+                      name={`segment-end-${segment.id}`}
+                      value={segment.end}
+                      onChange={(e) => updateStiffnessSegment(segment.id, { end: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="E"
+                      name={`segment-E-${segment.id}`}
+                      value={segment.E}
+                      onChange={(e) => updateStiffnessSegment(segment.id, { E: parseFloat(e.target.value) || 0 })}
+                      unit="GPa"
+                    />
+                    <FormInput
+                      label="I (start)"
+                      name={`segment-I-${segment.id}`}
+                      value={segment.I}
+                      onChange={(e) => updateStiffnessSegment(segment.id, { I: parseFloat(e.target.value) || 0 })}
+                      unit="m⁴"
+                    />
+                    <FormInput
+                      label="I (end)"
+                      name={`segment-Iend-${segment.id}`}
+                      value={segment.Iend}
+                      onChange={(e) => updateStiffnessSegment(segment.id, { Iend: parseFloat(e.target.value) || 0 })}
+                      unit="m⁴"
+                    />
+                    <button
+                      onClick={() => removeStiffnessSegment(segment.id)}
+                      className="text-red-600 hover:text-red-800 mb-3"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  icon={Plus}
+                  onClick={() => {
+                    const IValue = sectionType === 'custom' ? I : sectionProps.momentOfInertia;
+                    addStiffnessSegment({ start: 0, end: roundTo(span / 4, 3), E, I: 2 * IValue, Iend: IValue });
+                  }}
+                >
+                  Add Segment
+                </Button>
+              </div>
+            </Card>
+
+            <Card title="Internal Hinges" className="lg:col-span-2">
+              <div className="space-y-3">
+                <p className="text-sm text-gray-600">
+                  Moment releases within the span, as in Gerber (cantilever and suspended span) beams. Each
+                  hinge needs an extra support reaction to keep the beam stable; the slope is free to jump at
+                  the hinge.
+                </p>
+                {hinges.map((hinge, index) => (
+                  <div key={hinge.id} className="grid grid-cols-[1fr_auto] gap-3 items-end">
+                    <FormInput
+                      label={`Hinge ${index + 1} Position`}
+                      name={`hinge-${hinge.id}`}
+                      value={hinge.position}
+                      onChange={(e) => updateHinge(hinge.id, { position: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                      min={0}
+                      max={span}
+                    />
+                    <button
+                      onClick={() => removeHinge(hinge.id)}
+                      className="text-red-600 hover:text-red-800 mb-3"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                {hingeDeterminacy && (
+                  <div className="flex flex-wrap items-center gap-3 text-sm">
+                    <Badge variant={hingeDeterminacy.isStable ? 'success' : 'danger'}>
+                      {hingeDeterminacy.classification}
+                    </Badge>
+                    <span className="text-gray-600">{hingeDeterminacy.message}</span>
                   </div>
                 )}
+                <Button
+                  variant="outline"
+                  size="sm"
+                  icon={Plus}
+                  onClick={() => addHinge({ position: roundTo(span / 2, 3) })}
+                >
+                  Add Hinge
+                </Button>
               </div>
             </Card>
+
+            {supportType !== SUPPORT_TYPES.ELASTIC_FOUNDATION && (
+              <Card title="Support Springs & Settlement" className="lg:col-span-2">
+                <div className="space-y-3">
+                  <p className="text-sm text-gray-600">
+                    A spring stiffness of 0 keeps the support rigid. Settlement is downward and rotation
+                    clockwise; rotational springs and rotations apply to fixed supports. Support movements act
+                    in every load combination, unfactored.
+                  </p>
+                  {supportLayout.map((support, index) => {
+                    const movement = getMovement(support, index);
+                    const isFixed = support.type === SUPPORT_CONDITIONS.FIXED;
+                    return (
+                      <div key={support.id ?? index} className="grid grid-cols-2 md:grid-cols-[1fr_1fr_1fr_1fr_auto] gap-3 items-end">
+                        <FormInput
+                          label={`Support ${index + 1} (x = ${support.position} m) Spring`}
+                          name={`support-spring-${index}`}
+                          value={movement.spring ?? 0}
+                          onChange={(e) => setMovement(support, index, { spring: parseFloat(e.target.value) || 0 })}
+                          unit="kN/m"
+                          min={0}
+                        />
+                        <FormInput
+                          label="Settlement"
+                          name={`support-settlement-${index}`}
+                          value={movement.settlement ?? 0}
+                          onChange={(e) => setMovement(support, index, { settlement: parseFloat(e.target.value) || 0 })}
+                          unit="mm"
+                        />
+                        <FormInput
+                          label="Rotational Spring"
+                          name={`support-rotational-spring-${index}`}
+                          value={movement.rotationalSpring ?? 0}
+                          onChange={(e) => setMovement(support, index, { rotationalSpring: parseFloat(e.target.value) || 0 })}
+                          unit="kN·m/rad"
+                          min={0}
+                          disabled={!isFixed}
+                        />
+                        <FormInput
+                          label="Rotation"
+                          name={`support-rotation-${index}`}
+                          value={movement.rotation ?? 0}
+                          onChange={(e) => setMovement(support, index, { rotation: parseFloat(e.target.value) || 0 })}
+                          unit="rad"
+                          disabled={!isFixed}
+                        />
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="mb-3"
+                          onClick={() => applyGeotechSettlement(support, index)}
+                          disabled={!geotechResults}
+                        >
+                          From Geotech
+                        </Button>
+                      </div>
+                    );
+                  })}
+                  <p className="text-xs text-gray-500">
+                    From Geotech uses the last settlement result of the geotechnical calculator: immediate
+                    settlement becomes a spring k = q·B·L / Si, consolidation settlement a prescribed settlement.
+                  </p>
+                </div>
+              </Card>
+            )}
           </div>
         )}
 
@@ -365,6 +1246,13 @@ function StructuralPage() {
                   onChange={(e) => setNewLoad({ ...newLoad, type: e.target.value })}
                   options={loadTypes}
                 />
+                <FormSelect
+                  label="Load Case"
+                  name="loadCase"
+                  value={newLoad.loadCase}
+                  onChange={(e) => setNewLoad({ ...newLoad, loadCase: e.target.value })}
+                  options={loadCaseOptions}
+                />
 
                 {newLoad.type === 'point' && (
                   <>
@@ -413,23 +1301,104 @@ function StructuralPage() {
                   </>
                 )}
 
-                {newLoad.type === 'moment' && (
+                {newLoad.type === 'uvl' && (
                   <>
                     <FormInput
-                      label="Magnitude (M)"
+                      label="Start Intensity (w₁)"
                       name="magnitude"
                       value={newLoad.magnitude}
                       onChange={(e) => setNewLoad({ ...newLoad, magnitude: parseFloat(e.target.value) || 0 })}
-                      unit="kN·m"
-                      helpText="Positive = Clockwise"
+                      unit="kN/m"
                     />
                     <FormInput
-                      label="Position from A"
-                      name="position"
-                      value={newLoad.position}
-                      onChange={(e) => setNewLoad({ ...newLoad, position: parseFloat(e.target.value) || 0 })}
-                      unit="m"
-                      max={span}
+                      label="End Intensity (w₂)"
+                      name="endMagnitude"
+                      value={newLoad.endMagnitude}
+                      onChange={(e) => setNewLoad({ ...newLoad, endMagnitude: parseFloat(e.target.value) || 0 })}
+                      unit="kN/m"
+                      helpText="Equal to w₁ for a UDL, zero for a triangle"
+                    />
+                    <FormInput
+                      label="Start Position"
+                      name="start"
+                      value={newLoad.start}
+                      onChange={(e) => setNewLoad({ ...newLoad, start: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="End Position"
+                      name="end"
+                      value={newLoad.end}
+                      onChange={(e) => setNewLoad({ ...newLoad, end: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                      max={span}
+                    />
+                  </>
+                )}
+
+                {newLoad.type.startsWith('thermal') && (
+                  <>
+                    <FormInput
+                      label={newLoad.type === 'thermal_gradient' ? 'ΔT = T(top) - T(bottom)' : 'Temperature Change (ΔT)'}
+                      name="magnitude"
+                      value={newLoad.magnitude}
+                      onChange={(e) => setNewLoad({ ...newLoad, magnitude: parseFloat(e.target.value) || 0 })}
+                      unit="°C"
+                      helpText={newLoad.type === 'thermal_gradient' ? 'Positive = top hotter (beam hogs)' : 'Positive = rise in temperature'}
+                    />
+                    <FormInput
+                      label="Expansion Coefficient (α)"
+                      name="alpha"
+                      value={roundTo(newLoad.alpha * 1e6, 4)}
+                      onChange={(e) => setNewLoad({ ...newLoad, alpha: (parseFloat(e.target.value) || 0) * 1e-6 })}
+                      unit="×10⁻⁶ /°C"
+                    />
+                    {newLoad.type === 'thermal_gradient' ? (
+                      <FormInput
+                        label="Section Depth (h)"
+                        name="depth"
+                        value={newLoad.depth}
+                        onChange={(e) => setNewLoad({ ...newLoad, depth: parseFloat(e.target.value) || 0 })}
+                        unit="m"
+                      />
+                    ) : (
+                      <div />
+                    )}
+                    <FormInput
+                      label="Start Position"
+                      name="start"
+                      value={newLoad.start}
+                      onChange={(e) => setNewLoad({ ...newLoad, start: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="End Position"
+                      name="end"
+                      value={newLoad.end}
+                      onChange={(e) => setNewLoad({ ...newLoad, end: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                      max={span}
+                    />
+                  </>
+                )}
+
+                {newLoad.type === 'moment' && (
+                  <>
+                    <FormInput
+                      label="Magnitude (M)"
+                      name="magnitude"
+                      value={newLoad.magnitude}
+                      onChange={(e) => setNewLoad({ ...newLoad, magnitude: parseFloat(e.target.value) || 0 })}
+                      unit="kN·m"
+                      helpText="Positive = Clockwise"
+                    />
+                    <FormInput
+                      label="Position from A"
+                      name="position"
+                      value={newLoad.position}
+                      onChange={(e) => setNewLoad({ ...newLoad, position: parseFloat(e.target.value) || 0 })}
+                      unit="m"
+                      max={span}
                     />
                   </>
                 )}
@@ -450,6 +1419,7 @@ function StructuralPage() {
                       <tr>
                         <th>#</th>
                         <th>Type</th>
+                        <th>Load Case</th>
                         <th>Magnitude</th>
                         <th>Position</th>
                         <th>Actions</th>
@@ -459,12 +1429,28 @@ function StructuralPage() {
                       {loads.map((load, index) => (
                         <tr key={load.id}>
                           <td>{index + 1}</td>
-                          <td className="capitalize">{load.type}</td>
+                          <td className="capitalize">{load.type.replace('_', ' ')}</td>
+                          <td>
+                            <select
+                              value={load.loadCase || 'DL'}
+                              onChange={(e) => updateLoad(load.id, { loadCase: e.target.value })}
+                              className="border-0 bg-transparent focus:ring-1 focus:ring-blue-500 rounded px-1"
+                            >
+                              {loadCaseOptions.map(option => (
+                                <option key={option.value} value={option.value}>{option.value}</option>
+                              ))}
+                            </select>
+                          </td>
                           <td>
-                            {load.magnitude} {load.type === 'udl' ? 'kN/m' : load.type === 'moment' ? 'kN·m' : 'kN'}
+                            {load.type === 'uvl'
+                              ? `${load.magnitude} → ${load.endMagnitude} kN/m`
+                              : load.type.startsWith('thermal')
+                                ? `ΔT = ${load.magnitude} °C${load.type === 'thermal_gradient' ? `, h = ${load.depth} m` : ''}`
+                                : `${load.magnitude} ${load.type === 'udl' ? 'kN/m' : load.type === 'moment' ? 'kN·m' : 'kN'}`
+                            }
                           </td>
                           <td>
-                            {load.type === 'udl' 
+                            {isSpreadLoad(load.type)
                               ? `${load.start} - ${load.end} m` 
                               : `${load.position} m`
                             }
@@ -495,6 +1481,241 @@ function StructuralPage() {
           </div>
         )}
 
+        {/* Load Combinations Tab */}
+        {activeTab === 'combinations' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+              <Card title="Load Cases">
+                <div className="space-y-4">
+                  <div className="flex flex-wrap gap-2">
+                    {loadCaseOptions.map(option => (
+                      <span key={option.value} className="inline-flex items-center space-x-1">
+                        <Badge variant={customLoadCases.includes(option.value) ? 'primary' : 'default'}>
+                          {option.label}
+                        </Badge>
+                        {customLoadCases.includes(option.value) && (
+                          <button
+                            onClick={() => removeCustomLoadCase(option.value)}
+                            className="text-red-600 hover:text-red-800"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        )}
+                      </span>
+                    ))}
+                  </div>
+                  <FormInput
+                    label="New Load Case"
+                    name="newCaseName"
+                    type="text"
+                    value={newCaseName}
+                    onChange={(e) => setNewCaseName(e.target.value)}
+                    placeholder="e.g. SNOW"
+                  />
+                  <Button variant="outline" size="sm" icon={Plus} onClick={handleAddLoadCase}>
+                    Add Load Case
+                  </Button>
+                  <p className="text-xs text-gray-500">
+                    Custom load cases only enter the custom combinations you define.
+                  </p>
+                </div>
+              </Card>
+
+              <Card title="Load Combinations" className="lg:col-span-2">
+                <div className="space-y-4">
+                  <label className="flex items-center space-x-2">
+                    <input
+                      type="checkbox"
+                      checked={useDefaultCombinations}
+                      onChange={(e) => setUseDefaultCombinations(e.target.checked)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="text-sm font-medium text-gray-700">
+                      Include IS 875 (Part 5) / IS 456 Table 18 combinations
+                    </span>
+                  </label>
+
+                  {useDefaultCombinations && (
+                    <div className="flex flex-wrap gap-2">
+                      {DEFAULT_LOAD_COMBINATIONS.map(combo => (
+                        <Badge key={combo.id} variant={combo.limitState === 'ULS' ? 'warning' : 'success'}>
+                          {combo.limitState}: {combo.name}
+                        </Badge>
+                      ))}
+                    </div>
+                  )}
+
+                  {loadCombinations.length > 0 && (
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            <th>Name</th>
+                            <th>Limit State</th>
+                            {loadCaseOptions.map(option => (
+                              <th key={option.value}>{option.value}</th>
+                            ))}
+                            <th>Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {loadCombinations.map(combo => (
+                            <tr key={combo.id}>
+                              <td>
+                                <input
+                                  type="text"
+                                  value={combo.name}
+                                  onChange={(e) => updateLoadCombination(combo.id, { name: e.target.value })}
+                                  className="border-0 bg-transparent focus:ring-1 focus:ring-blue-500 rounded px-1 w-32"
+                                />
+                              </td>
+                              <td>
+                                <select
+                                  value={combo.limitState}
+                                  onChange={(e) => updateLoadCombination(combo.id, { limitState: e.target.value })}
+                                  className="border-0 bg-transparent focus:ring-1 focus:ring-blue-500 rounded px-1"
+                                >
+                                  {limitStateOptions.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                  ))}
+                                </select>
+                              </td>
+                              {loadCaseOptions.map(option => (
+                                <td key={option.value}>
+                                  <input
+                                    type="number"
+                                    step="0.1"
+                                    value={combo.factors[option.value] ?? 0}
+                                    onChange={(e) => updateLoadCombination(combo.id, {
+                                      factors: { ...combo.factors, [option.value]: parseFloat(e.target.value) || 0 }
+                                    })}
+                                    className="border-0 bg-transparent focus:ring-1 focus:ring-blue-500 rounded px-1 w-16 text-right"
+                                  />
+                                </td>
+                              ))}
+                              <td>
+                                <button
+                                  onClick={() => removeLoadCombination(combo.id)}
+                                  className="text-red-600 hover:text-red-800"
+                                >
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+
+                  <div className="flex flex-wrap gap-4">
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      icon={Plus}
+                      onClick={() => addLoadCombination({
+                        name: `Combination ${loadCombinations.length + 1}`,
+                        limitState: 'ULS',
+                        factors: { DL: 1.5, LL: 1.5 }
+                      })}
+                    >
+                      Add Combination
+                    </Button>
+                    <Button
+                      size="sm"
+                      icon={Layers}
+                      onClick={handleCombinations}
+                      loading={isCalculating}
+                      disabled={loads.length === 0}
+                    >
+                      Analyze All Combinations
+                    </Button>
+                  </div>
+                </div>
+              </Card>
+            </div>
+
+            {combinationResults ? (
+              <>
+                <Card title="Governing Values">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Extreme</th>
+                          <th>Value</th>
+                          <th>At x (m)</th>
+                          <th>Governing Combination</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(combinationResults.governing)
+                          .filter(([key, extreme]) => !(key === 'maxDeflection' && extreme.value <= 0))
+                          .map(([key, extreme]) => (
+                            <tr key={key}>
+                              <td className="font-medium">{governingLabels[key]}</td>
+                              <td>
+                                {extreme.value} {key.includes('Moment') ? 'kN·m' : key.includes('Deflection') ? 'mm' : 'kN'}
+                              </td>
+                              <td>{extreme.position}</td>
+                              <td>{extreme.combination}</td>
+                            </tr>
+                          ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-3">
+                    Shear and moment are enveloped over ULS combinations, deflection over SLS combinations.
+                  </p>
+                </Card>
+
+                <Card title="Combination Summary">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Combination</th>
+                          <th>Limit State</th>
+                          <th>Max Shear (kN)</th>
+                          <th>Max Moment (kN·m)</th>
+                          <th>Max Deflection (mm)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {combinationResults.combinations.map(combo => (
+                          <tr key={combo.id}>
+                            <td className="font-medium">{combo.name}</td>
+                            <td>{combo.limitState}</td>
+                            <td>{combo.maxValues.shear}</td>
+                            <td>{combo.maxValues.moment}</td>
+                            <td>{combo.maxValues.deflection}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {combinationResults.skipped.length > 0 && (
+                    <p className="text-xs text-gray-500 mt-3">
+                      Not analyzed (no applied load case, or same as an earlier combination): {combinationResults.skipped.join(', ')}
+                    </p>
+                  )}
+                </Card>
+
+                <Card title="Governing Envelopes">
+                  <BeamCharts envelope={{ ...combinationResults.envelope, label: 'Governing' }} />
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Layers className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Tag each load with a load case, then analyze all combinations.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+
         {/* Results Tab */}
         {activeTab === 'results' && (
           <div className="space-y-6">
@@ -502,20 +1723,48 @@ function StructuralPage() {
               <>
                 {/* Reactions */}
                 <Card title="Support Reactions">
-                  <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
-                    <ResultDisplay 
-                      label="Reaction at A (Ra)" 
-                      value={results.reactions.Ra} 
-                      unit="kN" 
-                      highlight 
-                    />
-                    <ResultDisplay 
-                      label="Reaction at B (Rb)" 
-                      value={results.reactions.Rb} 
-                      unit="kN" 
-                      highlight 
-                    />
-                  </div>
+                  {results.supportType === SUPPORT_TYPES.CONTINUOUS ? (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+                      {results.supportReactions.map((reaction, index) => (
+                        <ResultDisplay 
+                          key={index}
+                          label={`R${index + 1} at ${reaction.position} m (${reaction.type})`}
+                          value={reaction.type === SUPPORT_CONDITIONS.FIXED 
+                            ? `${reaction.force} kN, M = ${reaction.moment}` 
+                            : reaction.force}
+                          unit={reaction.type === SUPPORT_CONDITIONS.FIXED ? 'kN·m' : 'kN'}
+                          highlight 
+                        />
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <ResultDisplay 
+                        label="Reaction at A (Ra)" 
+                        value={results.reactions.Ra} 
+                        unit="kN" 
+                        highlight 
+                      />
+                      <ResultDisplay 
+                        label="Reaction at B (Rb)" 
+                        value={results.reactions.Rb} 
+                        unit="kN" 
+                        highlight 
+                      />
+                    </div>
+                  )}
+                  {results.properties.hinges?.length > 0 && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      Internal hinges at {results.properties.hinges.join(', ')} m
+                      {results.determinacy && ` — ${results.determinacy.classification.toLowerCase()} (${results.determinacy.message})`}
+                    </p>
+                  )}
+                  {results.properties.supportMovement && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      Support deflections (spring or settlement):{' '}
+                      {results.supportReactions.map(r => `${r.deflection} mm at ${r.position} m`).join(', ')}
+                    </p>
+                  )}
                 </Card>
 
                 {/* Maximum Values */}
@@ -539,10 +1788,89 @@ function StructuralPage() {
                   </div>
                 </Card>
 
+                {/* Axial restraint of uniform temperature changes */}
+                {results.thermal && (
+                  <Card title="Temperature Effects">
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                      <ResultDisplay 
+                        label="Restraint Axial Force" 
+                        value={results.thermal.maxAxialForce}
+                        unit="kN" 
+                        highlight
+                      />
+                      <ResultDisplay 
+                        label="Free Expansion" 
+                        value={results.thermal.freeExpansion}
+                        unit="mm" 
+                      />
+                      <ResultDisplay 
+                        label="Horizontal Reactions" 
+                        value={results.supportReactions.map(r => r.horizontal).join(', ')}
+                        unit="kN" 
+                      />
+                    </div>
+                    <p className="text-sm text-gray-600 mt-4">
+                      Temperature gradients cause bending moments only where fixed ends or continuity restrain the curvature.
+                      Uniform changes build axial force (tension positive) between pin and fixed supports
+                      {results.thermal.bays.length === 0 && ' - here the beam expands freely'}.
+                    </p>
+                  </Card>
+                )}
+
+                {/* Soil pressure for beams on elastic foundation */}
+                {results.foundation && (
+                  <Card title="Soil Pressure">
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                      <ResultDisplay 
+                        label="Max Soil Pressure" 
+                        value={`${results.maxValues.soilPressure} at ${results.maxValues.soilPressurePosition}m`}
+                        unit="kPa" 
+                        highlight
+                      />
+                      <ResultDisplay 
+                        label="Min Soil Pressure" 
+                        value={`${results.maxValues.minSoilPressure} at ${results.maxValues.minSoilPressurePosition}m`}
+                        unit="kPa" 
+                      />
+                      <ResultDisplay 
+                        label="λL (λ = ⁴√(ks·B / 4EI))" 
+                        value={`${results.foundation.lambdaL} – ${results.foundation.behaviour}`}
+                      />
+                    </div>
+                    {results.warnings.length > 0 && (
+                      <div className="mt-4">
+                        <Alert type="warning" message={results.warnings.join(' ')} />
+                      </div>
+                    )}
+                  </Card>
+                )}
+
                 {/* Diagrams */}
                 <Card title="Analysis Diagrams">
                   <BeamCharts results={results} />
                 </Card>
+
+                {/* Hand-calculation trace */}
+                {results.solutionSteps && (
+                  <Card title="Worked Solution">
+                    <div className="space-y-4">
+                      {results.solutionSteps.map(step => (
+                        <div key={step.step} className="border-b border-gray-100 pb-4 last:border-0">
+                          <div className="flex items-center space-x-3 mb-2">
+                            <span className="w-7 h-7 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center font-bold text-sm">
+                              {step.step}
+                            </span>
+                            <span className="font-medium text-gray-900">{step.title}</span>
+                            <span className="ml-auto font-bold text-blue-600">{step.result} {step.unit}</span>
+                          </div>
+                          <p className="font-mono text-sm text-gray-700">{step.formula}</p>
+                          <p className="text-sm text-gray-600">{step.calculation}</p>
+                          <p className="text-xs text-gray-500 italic">{step.reference}</p>
+                        </div>
+                      ))}
+                    </div>
+                  </Card>
+                )}
               </>
             ) : (
               <Card>
@@ -554,6 +1882,1638 @@ function StructuralPage() {
             )}
           </div>
         )}
+
+        {/* Influence Lines & Moving Loads Tab */}
+        {activeTab === 'moving' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Moving Load Settings">
+                <div className="space-y-4">
+                  <FormInput
+                    label="Section for Influence Lines"
+                    name="ilSection"
+                    value={movingLoad.section}
+                    onChange={(e) => setMovingLoad({ section: parseFloat(e.target.value) || 0 })}
+                    unit="m"
+                    min={0}
+                    max={span}
+                    helpText="Distance from left end"
+                  />
+                  <FormSelect
+                    label="Load Train"
+                    name="vehicle"
+                    value={movingLoad.vehicle}
+                    onChange={(e) => setMovingLoad({ vehicle: e.target.value })}
+                    options={vehicleOptions}
+                  />
+                  <FormInput
+                    label="Impact Factor"
+                    name="impactFactor"
+                    value={movingLoad.impactFactor}
+                    onChange={(e) => setMovingLoad({ impactFactor: parseFloat(e.target.value) || 1 })}
+                    min={1}
+                    helpText="Multiplier applied to all axle loads"
+                  />
+                  <Button onClick={handleMovingLoad} icon={Truck} loading={isCalculating}>
+                    Run Moving Load Analysis
+                  </Button>
+                </div>
+              </Card>
+
+              <Card title="Axles">
+                {movingLoad.vehicle === 'custom' ? (
+                  <div className="space-y-3">
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            <th>Axle</th>
+                            <th>Load (kN)</th>
+                            <th>Spacing from Previous (m)</th>
+                            <th>Actions</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {movingLoad.customAxles.map((axle, index) => (
+                            <tr key={axle.id}>
+                              <td>{index + 1}</td>
+                              <td>
+                                <input
+                                  type="number"
+                                  value={axle.load}
+                                  onChange={(e) => updateCustomAxle(axle.id, { load: parseFloat(e.target.value) || 0 })}
+                                  className="border-0 bg-transparent focus:ring-1 focus:ring-indigo-500 rounded px-1 w-16 text-right"
+                                />
+                              </td>
+                              <td>
+                                {index === 0 ? '-' : (
+                                  <input
+                                    type="number"
+                                    value={axle.spacing}
+                                    onChange={(e) => updateCustomAxle(axle.id, { spacing: parseFloat(e.target.value) || 0 })}
+                                    className="border-0 bg-transparent focus:ring-1 focus:ring-indigo-500 rounded px-1 w-16 text-right"
+                                  />
+                                )}
+                              </td>
+                              <td>
+                                <button onClick={() => removeCustomAxle(axle.id)} className="text-red-600 hover:text-red-800">
+                                  <Trash2 className="w-4 h-4" />
+                                </button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      icon={Plus}
+                      onClick={() => addCustomAxle({ load: 100, spacing: 1.5 })}
+                    >
+                      Add Axle
+                    </Button>
+                  </div>
+                ) : selectedVehicle && (
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Axle</th>
+                          <th>Load (kN)</th>
+                          <th>Spacing from Previous (m)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedVehicle.loads.map((load, index) => (
+                          <tr key={index}>
+                            <td>{index + 1}</td>
+                            <td>{load}</td>
+                            <td>{index === 0 ? '-' : selectedVehicle.spacings[index - 1]}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+                <p className="text-xs text-gray-500 mt-3">
+                  The train is rolled across the beam in both directions, leading axle first.
+                </p>
+              </Card>
+            </div>
+
+            {movingLoadResults ? (
+              <>
+                <Card title={`Critical Load Positions - ${movingLoadResults.vehicleLabel}`}>
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Extreme</th>
+                          <th>Value</th>
+                          <th>At x (m)</th>
+                          <th>Leading Axle (m)</th>
+                          <th>Direction</th>
+                          <th>Axle Positions (m)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {Object.entries(movingLoadResults.envelope.extremes).map(([key, extreme]) => (
+                          <tr key={key}>
+                            <td className="font-medium">{extremeLabels[key]}</td>
+                            <td>{extreme.value} {key.includes('Moment') ? 'kN·m' : 'kN'}</td>
+                            <td>{extreme.x}</td>
+                            <td>{extreme.leadAxlePosition ?? '-'}</td>
+                            <td className="capitalize">{extreme.direction ?? '-'}</td>
+                            <td>{extreme.axlePositions.join(', ') || '-'}</td>
+                          </tr>
+                        ))}
+                        {movingLoadResults.envelope.reactions.map((reaction, index) => (
+                          <tr key={`R${index}`}>
+                            <td className="font-medium">Max Reaction at {reaction.position} m</td>
+                            <td>{reaction.value} kN</td>
+                            <td>{reaction.position}</td>
+                            <td>{reaction.leadAxlePosition ?? '-'}</td>
+                            <td className="capitalize">{reaction.direction ?? '-'}</td>
+                            <td>{reaction.axlePositions.join(', ') || '-'}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-3">
+                    Leading axle position is measured from the end the train enters: the left end when moving forward, the right end in reverse.
+                  </p>
+                </Card>
+
+                <Card title="Shear and Moment Envelopes">
+                  <BeamCharts envelope={{ ...movingLoadResults.envelope, label: 'Moving load' }} />
+                </Card>
+
+                <Card title="Influence Lines">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                    <ResultDisplay
+                      label="Max Shear Ordinate"
+                      value={`${movingLoadResults.influence.extremes.shear.max} at ${movingLoadResults.influence.extremes.shear.maxPosition}m`}
+                    />
+                    <ResultDisplay
+                      label="Min Shear Ordinate"
+                      value={`${movingLoadResults.influence.extremes.shear.min} at ${movingLoadResults.influence.extremes.shear.minPosition}m`}
+                    />
+                    <ResultDisplay
+                      label="Max Moment Ordinate"
+                      value={`${movingLoadResults.influence.extremes.moment.max} at ${movingLoadResults.influence.extremes.moment.maxPosition}m`}
+                      unit="m"
+                    />
+                    <ResultDisplay
+                      label="Min Moment Ordinate"
+                      value={`${movingLoadResults.influence.extremes.moment.min} at ${movingLoadResults.influence.extremes.moment.minPosition}m`}
+                      unit="m"
+                    />
+                  </div>
+                  <InfluenceLineCharts influence={movingLoadResults.influence} />
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Truck className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Choose a section and load train, then run the moving load analysis.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+        {/* RC Design Tab */}
+        {activeTab === 'design' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Section & Materials">
+                <div className="grid grid-cols-2 gap-4">
+                  <FormSelect
+                    label="Concrete Grade"
+                    name="grade"
+                    value={rcDesign.grade}
+                    onChange={(e) => setRCDesignInput('grade', e.target.value)}
+                    options={rcOptions.grades.map(g => ({ value: g, label: g }))}
+                  />
+                  <FormSelect
+                    label="Steel Grade"
+                    name="steelGrade"
+                    value={rcDesign.steelGrade}
+                    onChange={(e) => setRCDesignInput('steelGrade', e.target.value)}
+                    options={rcOptions.steelGrades.map(g => ({ value: g, label: g }))}
+                  />
+                  <FormInput
+                    label="Width (b)"
+                    name="rcWidth"
+                    value={rcDesign.width}
+                    onChange={(e) => setRCDesignInput('width', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormInput
+                    label="Overall Depth (D)"
+                    name="rcDepth"
+                    value={rcDesign.depth}
+                    onChange={(e) => setRCDesignInput('depth', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormInput
+                    label="Clear Cover"
+                    name="rcCover"
+                    value={rcDesign.cover}
+                    onChange={(e) => setRCDesignInput('cover', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormSelect
+                    label="Deflection Check As"
+                    name="supportCondition"
+                    value={rcDesign.supportCondition}
+                    onChange={(e) => setRCDesignInput('supportCondition', e.target.value)}
+                    options={rcOptions.supportConditions}
+                  />
+                  <FormSelect
+                    label="Tension Bar Diameter"
+                    name="barDiameter"
+                    value={rcDesign.barDiameter}
+                    onChange={(e) => setRCDesignInput('barDiameter', parseFloat(e.target.value))}
+                    options={rcOptions.barDiameters.map(d => ({ value: d, label: `${d} mm` }))}
+                  />
+                  <FormSelect
+                    label="Compression Bar Diameter"
+                    name="compressionBarDiameter"
+                    value={rcDesign.compressionBarDiameter}
+                    onChange={(e) => setRCDesignInput('compressionBarDiameter', parseFloat(e.target.value))}
+                    options={rcOptions.barDiameters.map(d => ({ value: d, label: `${d} mm` }))}
+                  />
+                  <FormSelect
+                    label="Stirrup Diameter"
+                    name="stirrupDiameter"
+                    value={rcDesign.stirrupDiameter}
+                    onChange={(e) => setRCDesignInput('stirrupDiameter', parseFloat(e.target.value))}
+                    options={rcOptions.stirrupDiameters.map(d => ({ value: d, label: `${d} mm` }))}
+                  />
+                  <FormInput
+                    label="Stirrup Legs"
+                    name="stirrupLegs"
+                    value={rcDesign.stirrupLegs}
+                    onChange={(e) => setRCDesignInput('stirrupLegs', parseInt(e.target.value) || 2)}
+                    min={2}
+                  />
+                </div>
+              </Card>
+
+              <Card title="Design Actions">
+                <div className="space-y-4">
+                  <FormInput
+                    label="Factored Moment (Mu)"
+                    name="Mu"
+                    value={rcDesign.Mu}
+                    onChange={(e) => setRCDesignInput('Mu', parseFloat(e.target.value) || 0)}
+                    unit="kN·m"
+                  />
+                  <FormInput
+                    label="Factored Shear (Vu)"
+                    name="Vu"
+                    value={rcDesign.Vu}
+                    onChange={(e) => setRCDesignInput('Vu', parseFloat(e.target.value) || 0)}
+                    unit="kN"
+                  />
+                  <FormInput
+                    label="Load Factor"
+                    name="loadFactor"
+                    value={rcDesign.loadFactor}
+                    onChange={(e) => setRCDesignInput('loadFactor', parseFloat(e.target.value) || 1)}
+                    helpText="Applied to the beam analysis results; combination results are already factored"
+                  />
+                  <div className="flex flex-wrap gap-4">
+                    <Button
+                      variant="outline"
+                      onClick={handleRCFromAnalysis}
+                      disabled={!results && !combinationResults}
+                    >
+                      Use Analysis Results
+                    </Button>
+                    <Button onClick={handleRCDesign} icon={Calculator}>
+                      Design Section
+                    </Button>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Span {span} m is taken from the beam properties for the span/depth check.
+                  </p>
+                </div>
+              </Card>
+            </div>
+
+            {rcDesignResults ? (
+              <>
+                <Card title={`Design Summary - ${rcDesignResults.designType}`}>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <ResultDisplay
+                      label="Tension Steel"
+                      value={`${rcDesignResults.flexure.tensionBars.count} - ${rcDesignResults.flexure.tensionBars.diameter}φ`}
+                      highlight
+                    />
+                    <ResultDisplay
+                      label="Compression Steel"
+                      value={rcDesignResults.flexure.compressionBars
+                        ? `${rcDesignResults.flexure.compressionBars.count} - ${rcDesignResults.flexure.compressionBars.diameter}φ`
+                        : 'Hanger bars'}
+                    />
+                    <ResultDisplay
+                      label="Stirrups"
+                      value={rcDesignResults.shear.stirrups.spacing === null
+                        ? 'Revise section'
+                        : `${rcDesignResults.shear.stirrups.legs}L-${rcDesignResults.shear.stirrups.diameter}φ @ ${rcDesignResults.shear.stirrups.spacing}`}
+                      unit={rcDesignResults.shear.stirrups.spacing === null ? '' : 'mm c/c'}
+                    />
+                    <ResultDisplay
+                      label="Mu,lim"
+                      value={rcDesignResults.muLim}
+                      unit="kN·m"
+                    />
+                    <ResultDisplay label="Ast Required" value={rcDesignResults.flexure.astRequired} unit="mm²" />
+                    <ResultDisplay label="Ast Provided" value={rcDesignResults.flexure.astProvided} unit="mm²" />
+                    <ResultDisplay label="Effective Depth" value={rcDesignResults.effectiveDepth} unit="mm" />
+                    <ResultDisplay label="pt" value={rcDesignResults.flexure.pt} unit="%" />
+                  </div>
+                </Card>
+
+                {rcDesignResults.warnings.length > 0 && (
+                  <Alert type="warning" title="Design Notes" message={rcDesignResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Code Checks">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Check</th>
+                          <th>Value</th>
+                          <th>Limit</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rcDesignResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.value}</td>
+                            <td>{check.limit}</td>
+                            <td>
+                              <Badge variant={check.status === 'OK' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <Card title="Design Steps">
+                  <div className="space-y-4">
+                    {rcDesignResults.designSteps.map(step => (
+                      <div key={step.step} className="border-b border-gray-100 pb-4 last:border-0">
+                        <div className="flex items-center space-x-3 mb-2">
+                          <span className="w-7 h-7 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center font-bold text-sm">
+                            {step.step}
+                          </span>
+                          <span className="font-medium text-gray-900">{step.title}</span>
+                          <span className="ml-auto font-bold text-blue-600">{step.result} {step.unit}</span>
+                        </div>
+                        <p className="font-mono text-sm text-gray-700">{step.formula}</p>
+                        <p className="text-sm text-gray-600">{step.calculation}</p>
+                        <p className="text-xs text-gray-500 italic">{step.reference}</p>
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Enter the section and factored actions, or take them from the analysis, then design the section.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+        {/* Steel Design Tab */}
+        {activeTab === 'steel' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Section & Restraint">
+                <div className="grid grid-cols-2 gap-4">
+                  <FormSelect
+                    label="Section Family"
+                    name="steelFamily"
+                    value={steelDesign.family}
+                    onChange={(e) => setAllSteelDesignInputs({
+                      family: e.target.value,
+                      designation: getSteelSectionOptions(e.target.value)[0].value
+                    })}
+                    options={sectionFamilyOptions}
+                  />
+                  <FormSelect
+                    label="Designation"
+                    name="designation"
+                    value={steelDesign.designation}
+                    onChange={(e) => setSteelDesignInput('designation', e.target.value)}
+                    options={getSteelSectionOptions(steelDesign.family)}
+                  />
+                  <FormSelect
+                    label="Steel Grade"
+                    name="steelGrade"
+                    value={steelDesign.steelGrade}
+                    onChange={(e) => setSteelDesignInput('steelGrade', e.target.value)}
+                    options={steelGradeOptions}
+                  />
+                  <FormInput
+                    label="Deflection Limit (span / n)"
+                    name="deflectionLimit"
+                    value={steelDesign.deflectionLimit}
+                    onChange={(e) => setSteelDesignInput('deflectionLimit', parseFloat(e.target.value) || 300)}
+                    helpText="IS 800 Table 6: 300 for elastic cladding, 360 for brittle"
+                  />
+                  <FormInput
+                    label="Unbraced Length (LLT)"
+                    name="unbracedLength"
+                    value={steelDesign.unbracedLength}
+                    onChange={(e) => setSteelDesignInput('unbracedLength', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                    helpText="Spacing of lateral restraints to the compression flange"
+                  />
+                  <label className="flex items-center space-x-2 mt-6">
+                    <input
+                      type="checkbox"
+                      checked={steelDesign.laterallySupported}
+                      onChange={(e) => setSteelDesignInput('laterallySupported', e.target.checked)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="text-sm font-medium text-gray-700">Compression flange fully restrained</span>
+                  </label>
+                </div>
+              </Card>
+
+              <Card title="Design Actions">
+                <div className="space-y-4">
+                  <FormInput
+                    label="Factored Moment (Mu)"
+                    name="steelMu"
+                    value={steelDesign.Mu}
+                    onChange={(e) => setSteelDesignInput('Mu', parseFloat(e.target.value) || 0)}
+                    unit="kN·m"
+                  />
+                  <FormInput
+                    label="Factored Shear (Vu)"
+                    name="steelVu"
+                    value={steelDesign.Vu}
+                    onChange={(e) => setSteelDesignInput('Vu', parseFloat(e.target.value) || 0)}
+                    unit="kN"
+                  />
+                  <FormInput
+                    label="Service Deflection"
+                    name="steelDeflection"
+                    value={steelDesign.deflection}
+                    onChange={(e) => setSteelDesignInput('deflection', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormInput
+                    label="Load Factor"
+                    name="steelLoadFactor"
+                    value={steelDesign.loadFactor}
+                    onChange={(e) => setSteelDesignInput('loadFactor', parseFloat(e.target.value) || 1)}
+                    helpText="Applied to the beam analysis results; combination results are already factored"
+                  />
+                  <div className="flex flex-wrap gap-4">
+                    <Button
+                      variant="outline"
+                      onClick={handleSteelFromAnalysis}
+                      disabled={!results && !combinationResults}
+                    >
+                      Use Analysis Results
+                    </Button>
+                    <Button onClick={handleSteelCheck} icon={Calculator}>
+                      Check Section
+                    </Button>
+                  </div>
+                  <p className="text-xs text-gray-500">
+                    Deflection from the analysis is rescaled to the selected section (E = {STEEL_E} GPa).
+                  </p>
+                </div>
+              </Card>
+            </div>
+
+            {steelDesignResults ? (
+              <>
+                <Card title={`${steelDesignResults.section.designation} - ${steelDesignResults.classification.sectionClass} Section`}>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <ResultDisplay
+                      label="Utilization"
+                      value={steelDesignResults.utilization}
+                      highlight
+                    />
+                    <ResultDisplay
+                      label="Status"
+                      value={steelDesignResults.isSafe ? 'PASS' : 'FAIL'}
+                    />
+                    <ResultDisplay label="Md" value={steelDesignResults.capacities.Md} unit="kN·m" />
+                    <ResultDisplay label="Vd" value={steelDesignResults.capacities.Vd} unit="kN" />
+                    <ResultDisplay label="Zp" value={steelDesignResults.section.Zpx} unit="cm³" />
+                    <ResultDisplay label="Ze" value={steelDesignResults.section.Zxx} unit="cm³" />
+                    <ResultDisplay label="Ixx" value={steelDesignResults.section.Ixx} unit="cm⁴" />
+                    <ResultDisplay label="Mass" value={steelDesignResults.section.mass} unit="kg/m" />
+                  </div>
+                  {steelDesignResults.ltb && (
+                    <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mt-4">
+                      <ResultDisplay label="Mcr" value={steelDesignResults.ltb.Mcr} unit="kN·m" />
+                      <ResultDisplay label="λLT" value={steelDesignResults.ltb.lambdaLT} />
+                      <ResultDisplay label="χLT" value={steelDesignResults.ltb.chiLT} />
+                      <ResultDisplay label="fbd" value={steelDesignResults.ltb.fbd} unit="MPa" />
+                    </div>
+                  )}
+                </Card>
+
+                {steelDesignResults.warnings.length > 0 && (
+                  <Alert type="warning" title="Design Notes" message={steelDesignResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Clause Checks">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Clause</th>
+                          <th>Check</th>
+                          <th>Demand</th>
+                          <th>Capacity</th>
+                          <th>Utilization</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {steelDesignResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td>{check.clause}</td>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.demand} {check.unit}</td>
+                            <td>{check.capacity} {check.unit}</td>
+                            <td>{check.utilization ?? '-'}</td>
+                            <td>
+                              <Badge variant={check.status === 'PASS' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Choose a rolled section and enter the design actions, or take them from the analysis.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+
+        {/* Stresses Tab */}
+        {activeTab === 'stresses' && (
+          <div className="space-y-6">
+            {sectionType === 'custom' ? (
+              <Alert
+                type="info"
+                message="Stress distribution needs the section geometry. Choose a section shape under Input Parameters."
+              />
+            ) : (
+              <Card title="Section & Allowable Stresses">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                  <FormInput
+                    label="Section Position (x)"
+                    name="stressPosition"
+                    value={stressCheck.position}
+                    onChange={(e) => setStressCheckInput('position', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                    helpText={`0 to ${span} m from the left end`}
+                  />
+                  <FormInput
+                    label="Allowable Bending Stress"
+                    name="allowableBending"
+                    value={stressCheck.allowableBending}
+                    onChange={(e) => setStressCheckInput('allowableBending', parseFloat(e.target.value) || 0)}
+                    unit="MPa"
+                    helpText="0.66 fy for steel (IS 800:1984)"
+                  />
+                  <FormInput
+                    label="Allowable Shear Stress"
+                    name="allowableShear"
+                    value={stressCheck.allowableShear}
+                    onChange={(e) => setStressCheckInput('allowableShear', parseFloat(e.target.value) || 0)}
+                    unit="MPa"
+                    helpText="0.4 fy for steel (IS 800:1984)"
+                  />
+                </div>
+                <div className="flex flex-wrap gap-4 mt-4">
+                  <Button
+                    variant="outline"
+                    onClick={() => setStressCheckInput('position', results.maxValues.momentPosition)}
+                    disabled={!results}
+                  >
+                    At Max Moment
+                  </Button>
+                  <Button
+                    variant="outline"
+                    onClick={() => setStressCheckInput('position', results.maxValues.shearPosition)}
+                    disabled={!results}
+                  >
+                    At Max Shear
+                  </Button>
+                  <Button onClick={handleStressAnalysis} icon={Calculator} disabled={!results}>
+                    Calculate Stresses
+                  </Button>
+                </div>
+              </Card>
+            )}
+
+            {stressResults && results && sectionType !== 'custom' ? (
+              <>
+                <Card title={`Stresses at x = ${stressResults.position} m`}>
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                    <ResultDisplay label="Moment" value={stressResults.M} unit="kN·m" />
+                    <ResultDisplay label="Shear" value={stressResults.V} unit="kN" />
+                    <ResultDisplay label="Max Tension" value={stressResults.section.maxTension.value} unit="MPa" />
+                    <ResultDisplay label="Max Compression" value={stressResults.section.maxCompression.value} unit="MPa" />
+                    <ResultDisplay label="Max Shear Stress" value={stressResults.section.maxShear.value} unit="MPa" />
+                    <ResultDisplay
+                      label="Status"
+                      value={stressResults.isSafe ? 'PASS' : 'FAIL'}
+                      highlight
+                    />
+                  </div>
+                </Card>
+
+                {stressResults.warnings.length > 0 && (
+                  <Alert type="warning" message={stressResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Allowable Stress Checks">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Check</th>
+                          <th>Location</th>
+                          <th>Stress</th>
+                          <th>Allowable</th>
+                          <th>Utilization</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {stressResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.location}</td>
+                            <td>{check.demand} {check.unit}</td>
+                            <td>{check.capacity} {check.unit}</td>
+                            <td>{check.utilization}</td>
+                            <td>
+                              <Badge variant={check.status === 'PASS' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <Card title="Stress Distribution">
+                  <StressCharts stresses={stressResults} />
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Analyze the beam, then pick a section position to see its stress distribution.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+        {/* Vibration Tab */}
+        {activeTab === 'vibration' && (
+          <div className="space-y-6">
+            <Card title="Mass & Serviceability Criterion">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <FormSelect
+                  label="Mass"
+                  name="massSource"
+                  value={vibration.massSource}
+                  onChange={(e) => setVibrationInput('massSource', e.target.value)}
+                  options={massSourceOptions}
+                />
+                {vibration.massSource === 'section' ? (
+                  <FormInput
+                    label="Density"
+                    name="density"
+                    value={vibration.density}
+                    onChange={(e) => setVibrationInput('density', parseFloat(e.target.value) || 0)}
+                    unit="kg/m³"
+                    helpText={`Steel ${MATERIAL_DENSITIES.steel}, concrete ${MATERIAL_DENSITIES.concrete}; area ${roundTo((sectionProps.area || 0) * 1e4, 2)} cm²`}
+                  />
+                ) : (
+                  <FormInput
+                    label="Mass per Metre"
+                    name="massPerLength"
+                    value={vibration.massPerLength}
+                    onChange={(e) => setVibrationInput('massPerLength', parseFloat(e.target.value) || 0)}
+                    unit="kg/m"
+                  />
+                )}
+                <FormInput
+                  label="Additional Mass"
+                  name="additionalMass"
+                  value={vibration.additionalMass}
+                  onChange={(e) => setVibrationInput('additionalMass', parseFloat(e.target.value) || 0)}
+                  unit="kg/m"
+                  helpText="Deck, finishes and permanent fittings"
+                />
+                <FormInput
+                  label="Number of Modes"
+                  name="modes"
+                  value={vibration.modes}
+                  onChange={(e) => setVibrationInput('modes', parseInt(e.target.value, 10) || 1)}
+                  min={1}
+                  max={10}
+                />
+                <FormSelect
+                  label="Occupancy"
+                  name="vibrationUse"
+                  value={vibration.use}
+                  onChange={(e) => setVibrationInput('use', e.target.value)}
+                  options={vibrationUseOptions}
+                />
+                {vibration.use === 'machine' && (
+                  <FormInput
+                    label="Operating Frequency"
+                    name="operatingFrequency"
+                    value={vibration.operatingFrequency}
+                    onChange={(e) => setVibrationInput('operatingFrequency', parseFloat(e.target.value) || 0)}
+                    unit="Hz"
+                    helpText="rpm / 60"
+                  />
+                )}
+              </div>
+              <div className="flex gap-4 mt-4">
+                <Button onClick={handleVibration} icon={Activity}>
+                  Calculate Frequencies
+                </Button>
+              </div>
+            </Card>
+
+            {vibrationResults ? (
+              <>
+                <Card title="Natural Frequencies">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                    <ResultDisplay label="Mass per Metre" value={vibrationResults.mass.total} unit="kg/m" />
+                    <ResultDisplay label="Fundamental Frequency" value={vibrationResults.modes[0].frequency} unit="Hz" highlight />
+                    <ResultDisplay label="Fundamental Period" value={vibrationResults.modes[0].period} unit="s" />
+                    <ResultDisplay label="Status" value={vibrationResults.isSafe ? 'PASS' : 'FAIL'} highlight />
+                  </div>
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Mode</th>
+                          <th>Frequency (Hz)</th>
+                          <th>ω (rad/s)</th>
+                          <th>Period (s)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {vibrationResults.modes.map(mode => (
+                          <tr key={mode.mode}>
+                            <td className="font-medium">{mode.mode}</td>
+                            <td>{mode.frequency}</td>
+                            <td>{mode.omega}</td>
+                            <td>{mode.period}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                {vibrationResults.warnings.length > 0 && (
+                  <Alert type="warning" message={vibrationResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Frequency Checks">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Check</th>
+                          <th>Frequency</th>
+                          <th>Limit</th>
+                          <th>Reference</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {vibrationResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.value} {check.unit}</td>
+                            <td>{check.limit} {check.unit}</td>
+                            <td>{check.reference}</td>
+                            <td>
+                              <Badge variant={check.status === 'PASS' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <Card title="Mode Shapes">
+                  <ModeShapeCharts vibration={vibrationResults} />
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Activity className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Set the beam mass and click "Calculate Frequencies" to find its natural frequencies and mode shapes.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+
+        {/* Plastic Collapse Tab */}
+        {activeTab === 'plastic' && (
+          <div className="space-y-6">
+            <Card title="Plastic Analysis Model">
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                <FormSelect
+                  label="Structure"
+                  name="plasticModel"
+                  value={plastic.model}
+                  onChange={(e) => setPlasticInput('model', e.target.value)}
+                  options={plasticModelOptions}
+                />
+                {plastic.model === PLASTIC_MODELS.BEAM ? (
+                  <>
+                    <FormSelect
+                      label="Plastic Moment"
+                      name="mpSource"
+                      value={plastic.mpSource}
+                      onChange={(e) => setPlasticInput('mpSource', e.target.value)}
+                      options={plasticMomentSources}
+                    />
+                    {plastic.mpSource === 'section' ? (
+                      <FormInput
+                        label="Yield Strength (fy)"
+                        name="plasticFy"
+                        value={plastic.fy}
+                        onChange={(e) => setPlasticInput('fy', parseFloat(e.target.value) || 0)}
+                        unit="MPa"
+                        helpText={`Zp = ${roundTo((sectionProps.Zpx || 0) * 1e6, 2)} cm³; Mp = ${roundTo(plastic.fy * (sectionProps.Zpx || 0) * 1000, 2)} kN·m`}
+                      />
+                    ) : (
+                      <FormInput
+                        label="Plastic Moment (Mp)"
+                        name="plasticMp"
+                        value={plastic.Mp}
+                        onChange={(e) => setPlasticInput('Mp', parseFloat(e.target.value) || 0)}
+                        unit="kN·m"
+                      />
+                    )}
+                  </>
+                ) : (
+                  <>
+                    <FormInput
+                      label="Span"
+                      name="portalSpan"
+                      value={plastic.portalSpan}
+                      onChange={(e) => setPlasticInput('portalSpan', parseFloat(e.target.value) || 0)}
+                      unit="m"
+                    />
+                    <FormInput
+                      label="Column Height"
+                      name="portalHeight"
+                      value={plastic.portalHeight}
+                      onChange={(e) => setPlasticInput('portalHeight', parseFloat(e.target.value) || 0)}
+                      unit="m"
+                    />
+                    <FormSelect
+                      label="Column Bases"
+                      name="portalBase"
+                      value={plastic.portalBase}
+                      onChange={(e) => setPlasticInput('portalBase', e.target.value)}
+                      options={portalBaseOptions}
+                    />
+                    <FormInput
+                      label="Vertical Load at Midspan"
+                      name="verticalLoad"
+                      value={plastic.verticalLoad}
+                      onChange={(e) => setPlasticInput('verticalLoad', parseFloat(e.target.value) || 0)}
+                      unit="kN"
+                    />
+                    <FormInput
+                      label="Horizontal Load at Left Eave"
+                      name="horizontalLoad"
+                      value={plastic.horizontalLoad}
+                      onChange={(e) => setPlasticInput('horizontalLoad', parseFloat(e.target.value) || 0)}
+                      unit="kN"
+                    />
+                    <FormInput
+                      label="Beam UDL"
+                      name="beamUdl"
+                      value={plastic.beamUdl}
+                      onChange={(e) => setPlasticInput('beamUdl', parseFloat(e.target.value) || 0)}
+                      unit="kN/m"
+                    />
+                    <FormInput
+                      label="Column Mp"
+                      name="columnMp"
+                      value={plastic.columnMp}
+                      onChange={(e) => setPlasticInput('columnMp', parseFloat(e.target.value) || 0)}
+                      unit="kN·m"
+                    />
+                    <FormInput
+                      label="Beam Mp"
+                      name="beamMp"
+                      value={plastic.beamMp}
+                      onChange={(e) => setPlasticInput('beamMp', parseFloat(e.target.value) || 0)}
+                      unit="kN·m"
+                    />
+                  </>
+                )}
+              </div>
+              <p className="text-sm text-gray-500 mt-3">
+                {plastic.model === PLASTIC_MODELS.BEAM
+                  ? 'The beam loads are increased in proportion until a mechanism forms; λc ≥ 1 means the applied loads can be carried.'
+                  : 'Members take the beam E and I; relative stiffness affects the hinge sequence but not the collapse load.'}
+              </p>
+              <div className="flex gap-4 mt-4">
+                <Button onClick={handlePlastic} icon={Hammer}>
+                  Find Collapse Load
+                </Button>
+              </div>
+            </Card>
+
+            {plasticResults ? (
+              <>
+                <Card title="Collapse Load">
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4">
+                    <ResultDisplay label="Collapse Load Factor (λc)" value={plasticResults.collapseLoadFactor} highlight />
+                    <ResultDisplay label="Hinges Formed" value={plasticResults.hinges.length} />
+                    <ResultDisplay label="First Yield at λ" value={plasticResults.hinges[0]?.loadFactor ?? '-'} />
+                    <ResultDisplay label="Status" value={plasticResults.isSafe ? 'PASS' : 'FAIL'} highlight />
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    <span className="font-medium">{plasticResults.mechanism.type}:</span> {plasticResults.mechanism.description}
+                  </p>
+                </Card>
+
+                {plasticResults.warnings.length > 0 && (
+                  <Alert type="warning" message={plasticResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Hinge Sequence">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Hinge</th>
+                          <th>Location</th>
+                          <th>Load Factor λ</th>
+                          <th>Moment (kN·m)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {plasticResults.hinges.map(hinge => (
+                          <tr key={hinge.step}>
+                            <td className="font-medium">{hinge.step}</td>
+                            <td>{hinge.location || `x = ${hinge.x} m (${hinge.sense})`}</td>
+                            <td>{hinge.loadFactor}</td>
+                            <td>{hinge.moment}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <Card title="Collapse Mechanism">
+                  <PlasticHingeCharts plastic={plasticResults} />
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Hammer className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Choose the beam or a portal frame and click "Find Collapse Load" to trace the plastic hinges up to collapse.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+
+        {/* Columns Tab */}
+        {activeTab === 'column' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Steel Column (IS 800)">
+                <div className="grid grid-cols-2 gap-4">
+                  <FormSelect
+                    label="Section"
+                    name="columnSectionSource"
+                    value={steelColumn.sectionSource}
+                    onChange={(e) => setSteelColumnInput('sectionSource', e.target.value)}
+                    options={columnSectionSources}
+                  />
+                  <FormSelect
+                    label="Steel Grade"
+                    name="columnSteelGrade"
+                    value={steelColumn.steelGrade}
+                    onChange={(e) => setSteelColumnInput('steelGrade', e.target.value)}
+                    options={steelGradeOptions}
+                  />
+                  {steelColumn.sectionSource === 'rolled' ? (
+                    <>
+                      <FormSelect
+                        label="Section Family"
+                        name="columnFamily"
+                        value={steelColumn.family}
+                        onChange={(e) => setAllSteelColumnInputs({
+                          family: e.target.value,
+                          designation: getSteelSectionOptions(e.target.value)[0].value
+                        })}
+                        options={sectionFamilyOptions}
+                      />
+                      <FormSelect
+                        label="Designation"
+                        name="columnDesignation"
+                        value={steelColumn.designation}
+                        onChange={(e) => setSteelColumnInput('designation', e.target.value)}
+                        options={getSteelSectionOptions(steelColumn.family)}
+                      />
+                    </>
+                  ) : (
+                    <p className="col-span-2 text-sm text-gray-600">
+                      Using the {sectionTypes.find(t => t.value === sectionType)?.label} section defined under Input Parameters.
+                    </p>
+                  )}
+                  <FormInput
+                    label="Unsupported Length"
+                    name="steelColumnLength"
+                    value={steelColumn.length}
+                    onChange={(e) => setSteelColumnInput('length', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                  />
+                  <FormInput
+                    label="Minor-Axis Restraint Spacing"
+                    name="minorAxisLength"
+                    value={steelColumn.minorAxisLength}
+                    onChange={(e) => setSteelColumnInput('minorAxisLength', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                    helpText="0 when braced only at the ends"
+                  />
+                  <FormSelect
+                    label="End Conditions"
+                    name="steelEndCondition"
+                    value={steelColumn.endCondition}
+                    onChange={(e) => setSteelColumnInput('endCondition', e.target.value)}
+                    options={columnOptions.endConditions}
+                  />
+                  {steelColumn.endCondition === 'custom' && (
+                    <FormInput
+                      label="Effective Length Factor (K)"
+                      name="steelK"
+                      value={steelColumn.K}
+                      onChange={(e) => setSteelColumnInput('K', parseFloat(e.target.value) || 0)}
+                    />
+                  )}
+                  <FormInput
+                    label="Factored Axial Load (Pu)"
+                    name="steelColumnPu"
+                    value={steelColumn.Pu}
+                    onChange={(e) => setSteelColumnInput('Pu', parseFloat(e.target.value) || 0)}
+                    unit="kN"
+                  />
+                </div>
+                <div className="mt-4">
+                  <Button onClick={handleSteelColumn} icon={Calculator}>
+                    Check Column
+                  </Button>
+                </div>
+              </Card>
+
+              <Card title="RC Column (IS 456)">
+                <div className="grid grid-cols-2 gap-4">
+                  <FormSelect
+                    label="Concrete Grade"
+                    name="columnGrade"
+                    value={rcColumn.grade}
+                    onChange={(e) => setRCColumnInput('grade', e.target.value)}
+                    options={rcOptions.grades.map(g => ({ value: g, label: g }))}
+                  />
+                  <FormSelect
+                    label="Steel Grade"
+                    name="columnRebarGrade"
+                    value={rcColumn.steelGrade}
+                    onChange={(e) => setRCColumnInput('steelGrade', e.target.value)}
+                    options={rcOptions.steelGrades.map(g => ({ value: g, label: g }))}
+                  />
+                  <FormInput
+                    label="Width (b)"
+                    name="columnWidth"
+                    value={rcColumn.width}
+                    onChange={(e) => setRCColumnInput('width', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormInput
+                    label="Depth (D)"
+                    name="columnDepth"
+                    value={rcColumn.depth}
+                    onChange={(e) => setRCColumnInput('depth', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                    helpText="In the plane of Mux"
+                  />
+                  <FormInput
+                    label="Clear Cover"
+                    name="columnCover"
+                    value={rcColumn.cover}
+                    onChange={(e) => setRCColumnInput('cover', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormSelect
+                    label="Bar Diameter"
+                    name="columnBarDiameter"
+                    value={rcColumn.barDiameter}
+                    onChange={(e) => setRCColumnInput('barDiameter', parseFloat(e.target.value))}
+                    options={rcOptions.barDiameters.map(d => ({ value: d, label: `${d} mm` }))}
+                  />
+                  <FormInput
+                    label="Bars per Face along b"
+                    name="barsAlongWidth"
+                    value={rcColumn.barsAlongWidth}
+                    onChange={(e) => setRCColumnInput('barsAlongWidth', parseInt(e.target.value) || 2)}
+                    helpText="Corner bars included"
+                  />
+                  <FormInput
+                    label="Bars per Face along D"
+                    name="barsAlongDepth"
+                    value={rcColumn.barsAlongDepth}
+                    onChange={(e) => setRCColumnInput('barsAlongDepth', parseInt(e.target.value) || 2)}
+                    helpText="Corner bars included"
+                  />
+                  <FormSelect
+                    label="Tie Diameter"
+                    name="tieDiameter"
+                    value={rcColumn.tieDiameter}
+                    onChange={(e) => setRCColumnInput('tieDiameter', parseFloat(e.target.value))}
+                    options={rcOptions.stirrupDiameters.map(d => ({ value: d, label: `${d} mm` }))}
+                  />
+                  <FormInput
+                    label="Unsupported Length"
+                    name="rcColumnLength"
+                    value={rcColumn.length}
+                    onChange={(e) => setRCColumnInput('length', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                  />
+                  <FormSelect
+                    label="End Conditions"
+                    name="rcEndCondition"
+                    value={rcColumn.endCondition}
+                    onChange={(e) => setRCColumnInput('endCondition', e.target.value)}
+                    options={columnOptions.endConditions}
+                  />
+                  {rcColumn.endCondition === 'custom' && (
+                    <FormInput
+                      label="Effective Length Factor (K)"
+                      name="rcK"
+                      value={rcColumn.K}
+                      onChange={(e) => setRCColumnInput('K', parseFloat(e.target.value) || 0)}
+                    />
+                  )}
+                  <FormInput
+                    label="Factored Axial Load (Pu)"
+                    name="rcColumnPu"
+                    value={rcColumn.Pu}
+                    onChange={(e) => setRCColumnInput('Pu', parseFloat(e.target.value) || 0)}
+                    unit="kN"
+                  />
+                  <FormInput
+                    label="Moment about x (Mux)"
+                    name="columnMux"
+                    value={rcColumn.Mux}
+                    onChange={(e) => setRCColumnInput('Mux', parseFloat(e.target.value) || 0)}
+                    unit="kN·m"
+                  />
+                  <FormInput
+                    label="Moment about y (Muy)"
+                    name="columnMuy"
+                    value={rcColumn.Muy}
+                    onChange={(e) => setRCColumnInput('Muy', parseFloat(e.target.value) || 0)}
+                    unit="kN·m"
+                  />
+                </div>
+                <div className="mt-4">
+                  <Button onClick={handleRCColumn} icon={Calculator}>
+                    Design Column
+                  </Button>
+                </div>
+              </Card>
+            </div>
+
+            {steelColumnResults && (
+              <>
+                <Card title={`Steel Column - ${steelColumnResults.section.name}`}>
+                  <div className="grid grid-cols-2 md:grid-cols-3 lg:grid-cols-6 gap-4">
+                    <ResultDisplay label="Pd" value={steelColumnResults.Pd} unit="kN" highlight />
+                    <ResultDisplay label="fcd" value={steelColumnResults.fcd} unit="MPa" />
+                    <ResultDisplay label="Euler Load (min)" value={steelColumnResults.eulerLoad} unit="kN" />
+                    <ResultDisplay label="Governing Axis" value={steelColumnResults.governingAxis} />
+                    <ResultDisplay label="Utilization" value={steelColumnResults.utilization} />
+                    <ResultDisplay label="Status" value={steelColumnResults.isSafe ? 'PASS' : 'FAIL'} />
+                  </div>
+                  <div className="overflow-x-auto mt-4">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Axis</th>
+                          <th>KL (m)</th>
+                          <th>r (mm)</th>
+                          <th>KL/r</th>
+                          <th>Euler Load (kN)</th>
+                          <th>Curve</th>
+                          <th>λ</th>
+                          <th>χ</th>
+                          <th>fcd (MPa)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {steelColumnResults.axes.map(axis => (
+                          <tr key={axis.axis}>
+                            <td className="font-medium">{axis.axis}</td>
+                            <td>{axis.effectiveLength}</td>
+                            <td>{axis.r}</td>
+                            <td>{axis.slenderness}</td>
+                            <td>{axis.eulerLoad}</td>
+                            <td>{axis.curve}</td>
+                            <td>{axis.lambda}</td>
+                            <td>{axis.chi}</td>
+                            <td>{axis.fcd}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="overflow-x-auto mt-4">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Clause</th>
+                          <th>Check</th>
+                          <th>Demand</th>
+                          <th>Capacity</th>
+                          <th>Utilization</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {steelColumnResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td>{check.clause}</td>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.demand} {check.unit}</td>
+                            <td>{check.capacity} {check.unit}</td>
+                            <td>{check.utilization}</td>
+                            <td>
+                              <Badge variant={check.status === 'PASS' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+                {steelColumnResults.warnings.length > 0 && (
+                  <Alert type="warning" title="Design Notes" message={steelColumnResults.warnings.join(' ')} />
+                )}
+              </>
+            )}
+
+            {rcColumnResults && (
+              <>
+                <Card title={`RC Column - ${rcColumnResults.isShort ? 'Short' : 'Slender'}`}>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <ResultDisplay
+                      label="Longitudinal Steel"
+                      value={`${rcColumnResults.bars.length} - ${rcColumnResults.barDiameter}φ`}
+                      highlight
+                    />
+                    <ResultDisplay label="Ties" value={`${rcColumnResults.ties.diameter}φ @ ${rcColumnResults.ties.spacing}`} unit="mm c/c" />
+                    <ResultDisplay label="Asc" value={rcColumnResults.Asc} unit="mm²" />
+                    <ResultDisplay label="p" value={rcColumnResults.p} unit="%" />
+                    <ResultDisplay label="Puz" value={rcColumnResults.Puz} unit="kN" />
+                    <ResultDisplay label="Mux1 / Muy1" value={`${rcColumnResults.capacities.Mux1} / ${rcColumnResults.capacities.Muy1}`} unit="kN·m" />
+                    <ResultDisplay label="Design Mux / Muy" value={`${rcColumnResults.designMoments.x} / ${rcColumnResults.designMoments.y}`} unit="kN·m" />
+                    <ResultDisplay label="Biaxial Ratio" value={rcColumnResults.biaxialRatio} />
+                  </div>
+                </Card>
+
+                {rcColumnResults.warnings.length > 0 && (
+                  <Alert type="warning" title="Design Notes" message={rcColumnResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Code Checks">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Check</th>
+                          <th>Value</th>
+                          <th>Limit</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {rcColumnResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.value}</td>
+                            <td>{check.limit}</td>
+                            <td>
+                              <Badge variant={check.status === 'OK' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <Card title="Interaction Diagrams">
+                  <ColumnInteractionCharts design={rcColumnResults} />
+                </Card>
+
+                <Card title="Design Steps">
+                  <div className="space-y-4">
+                    {rcColumnResults.designSteps.map(step => (
+                      <div key={step.step} className="border-b border-gray-100 pb-4 last:border-0">
+                        <div className="flex items-center space-x-3 mb-2">
+                          <span className="w-7 h-7 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center font-bold text-sm">
+                            {step.step}
+                          </span>
+                          <span className="font-medium text-gray-900">{step.title}</span>
+                          <span className="ml-auto font-bold text-blue-600">{step.result} {step.unit}</span>
+                        </div>
+                        <p className="font-mono text-sm text-gray-700">{step.formula}</p>
+                        <p className="text-sm text-gray-600">{step.calculation}</p>
+                        <p className="text-xs text-gray-500 italic">{step.reference}</p>
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+              </>
+            )}
+
+            {!steelColumnResults && !rcColumnResults && (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Check a steel column for buckling or design an RC column for axial load and bending.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+        {/* Slab Design Tab */}
+        {activeTab === 'slab' && (
+          <div className="space-y-6">
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card title="Panel & Edge Conditions">
+                <div className="grid grid-cols-2 gap-4">
+                  <FormInput
+                    label="Short Span (lx)"
+                    name="slabLx"
+                    value={slab.lx}
+                    onChange={(e) => setSlabInput('lx', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                  />
+                  <FormInput
+                    label="Long Span (ly)"
+                    name="slabLy"
+                    value={slab.ly}
+                    onChange={(e) => setSlabInput('ly', parseFloat(e.target.value) || 0)}
+                    unit="m"
+                  />
+                  <div className="col-span-2">
+                    <FormSelect
+                      label="Edge Condition (Table 26)"
+                      name="slabEdgeCondition"
+                      value={slab.edgeCondition}
+                      onChange={(e) => setSlabInput('edgeCondition', e.target.value)}
+                      options={slabOptions.edgeConditions}
+                      helpText="Panels with ly/lx > 2 are designed as one-way slabs spanning lx"
+                    />
+                  </div>
+                  <FormInput
+                    label="Imposed Load"
+                    name="slabLiveLoad"
+                    value={slab.liveLoad}
+                    onChange={(e) => setSlabInput('liveLoad', parseFloat(e.target.value) || 0)}
+                    unit="kN/m²"
+                  />
+                  <FormInput
+                    label="Floor Finish"
+                    name="slabFinishLoad"
+                    value={slab.finishLoad}
+                    onChange={(e) => setSlabInput('finishLoad', parseFloat(e.target.value) || 0)}
+                    unit="kN/m²"
+                  />
+                  <FormInput
+                    label="Load Factor"
+                    name="slabLoadFactor"
+                    value={slab.loadFactor}
+                    onChange={(e) => setSlabInput('loadFactor', parseFloat(e.target.value) || 1)}
+                  />
+                </div>
+              </Card>
+
+              <Card title="Section & Materials">
+                <div className="grid grid-cols-2 gap-4">
+                  <FormSelect
+                    label="Concrete Grade"
+                    name="slabGrade"
+                    value={slab.grade}
+                    onChange={(e) => setSlabInput('grade', e.target.value)}
+                    options={slabOptions.grades.map(g => ({ value: g, label: g }))}
+                  />
+                  <FormSelect
+                    label="Steel Grade"
+                    name="slabSteelGrade"
+                    value={slab.steelGrade}
+                    onChange={(e) => setSlabInput('steelGrade', e.target.value)}
+                    options={slabOptions.steelGrades.map(g => ({ value: g, label: g }))}
+                  />
+                  <FormInput
+                    label="Overall Depth (D)"
+                    name="slabDepth"
+                    value={slab.depth}
+                    onChange={(e) => setSlabInput('depth', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormInput
+                    label="Clear Cover"
+                    name="slabCover"
+                    value={slab.cover}
+                    onChange={(e) => setSlabInput('cover', parseFloat(e.target.value) || 0)}
+                    unit="mm"
+                  />
+                  <FormSelect
+                    label="Bar Diameter"
+                    name="slabBarDiameter"
+                    value={slab.barDiameter}
+                    onChange={(e) => setSlabInput('barDiameter', parseFloat(e.target.value))}
+                    options={slabOptions.barDiameters.map(d => ({ value: d, label: `${d} mm` }))}
+                  />
+                </div>
+                <div className="mt-4 flex flex-wrap gap-4">
+                  <Button onClick={handleSlabDesign} icon={Calculator}>
+                    Design Slab
+                  </Button>
+                  <Button variant="outline" onClick={handleExportSlab} icon={FileDown} disabled={!slabResults}>
+                    Export PDF
+                  </Button>
+                </div>
+              </Card>
+            </div>
+
+            {slabResults ? (
+              <>
+                <Card title={`${slabResults.slabType} Slab - Case ${slabResults.edgeCase.case}: ${slabResults.edgeCase.label}`}>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <ResultDisplay label="ly / lx" value={slabResults.spanRatio} highlight />
+                    <ResultDisplay label="Factored Load (wu)" value={slabResults.loads.factored} unit="kN/m²" />
+                    <ResultDisplay label="dx / dy" value={`${slabResults.effectiveDepth.short} / ${slabResults.effectiveDepth.long}`} unit="mm" />
+                    <ResultDisplay label="Mu,lim" value={slabResults.muLim} unit="kN·m/m" />
+                  </div>
+                </Card>
+
+                {slabResults.warnings.length > 0 && (
+                  <Alert type="warning" title="Design Notes" message={slabResults.warnings.join(' ')} />
+                )}
+
+                <Card title="Moments & Reinforcement (per metre width)">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Location</th>
+                          <th>α</th>
+                          <th>Mu (kN·m/m)</th>
+                          <th>d (mm)</th>
+                          <th>Ast,req (mm²/m)</th>
+                          <th>Bars</th>
+                          <th>Ast,prov (mm²/m)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {slabResults.reinforcement.map(row => (
+                          <tr key={row.id}>
+                            <td className="font-medium">{row.location}</td>
+                            <td>{row.coefficient ?? '-'}</td>
+                            <td>{row.moment ?? '-'}</td>
+                            <td>{row.effectiveDepth}</td>
+                            <td>{row.astRequired}</td>
+                            <td>{row.bar}</td>
+                            <td>{row.astProvided}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  {slabResults.torsion && (
+                    <p className="mt-4 text-sm text-gray-600">
+                      {slabResults.torsion.fullCorners + slabResults.torsion.halfCorners === 0
+                        ? 'Torsion steel: not required, all edges continuous.'
+                        : `Torsion steel over ${slabResults.torsion.length} m each way, top and bottom: ` +
+                          [
+                            slabResults.torsion.fullCorners > 0 && `${slabResults.torsion.fullCorners} corner(s) ${slabResults.inputs.barDiameter}φ @ ${slabResults.torsion.spacingFull} mm (${slabResults.torsion.areaFull} mm²/m)`,
+                            slabResults.torsion.halfCorners > 0 && `${slabResults.torsion.halfCorners} corner(s) ${slabResults.inputs.barDiameter}φ @ ${slabResults.torsion.spacingHalf} mm (${slabResults.torsion.areaHalf} mm²/m)`
+                          ].filter(Boolean).join('; ')}
+                    </p>
+                  )}
+                </Card>
+
+                <Card title="Code Checks">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Check</th>
+                          <th>Value</th>
+                          <th>Limit</th>
+                          <th>Status</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {slabResults.checks.map(check => (
+                          <tr key={check.name}>
+                            <td className="font-medium">{check.name}</td>
+                            <td>{check.value}</td>
+                            <td>{check.limit}</td>
+                            <td>
+                              <Badge variant={check.status === 'OK' ? 'success' : 'danger'}>{check.status}</Badge>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <Card title="Design Steps">
+                  <div className="space-y-4">
+                    {slabResults.designSteps.map(step => (
+                      <div key={step.step} className="border-b border-gray-100 pb-4 last:border-0">
+                        <div className="flex items-center space-x-3 mb-2">
+                          <span className="w-7 h-7 bg-blue-100 text-blue-600 rounded-full flex items-center justify-center font-bold text-sm">
+                            {step.step}
+                          </span>
+                          <span className="font-medium text-gray-900">{step.title}</span>
+                          <span className="ml-auto font-bold text-blue-600">{step.result} {step.unit}</span>
+                        </div>
+                        <p className="font-mono text-sm text-gray-700">{step.formula}</p>
+                        <p className="text-sm text-gray-600">{step.calculation}</p>
+                        <p className="text-xs text-gray-500 italic">{step.reference}</p>
+                      </div>
+                    ))}
+                  </div>
+                </Card>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">Enter the panel spans, edge condition and loads, then design the slab.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Action Buttons */}
@@ -0,0 +1,588 @@
+import React, { useState, useCallback, useMemo } from 'react';
+import { Plus, Trash2, Calculator, FileDown, RotateCcw, Triangle, Layers } from 'lucide-react';
+import { TrussAnalyzer, getTrussSupportOptions } from '../utils/calculators/truss';
+import { TrussDiagram } from '../components/charts/AnalysisGraph';
+import { FormInput, FormSelect, Button, Card, ResultDisplay, Tabs, Alert } from '../components/ui/FormElements';
+import { useTrussStore } from '../store';
+import { generateTrussReport } from '../utils/reportGenerator';
+import Plotly from 'plotly.js-dist-min';
+
+const supportOptions = getTrussSupportOptions();
+
+const cellInput = 'border-0 bg-transparent focus:ring-1 focus:ring-indigo-500 rounded px-1 w-20 text-right';
+
+const natureColors = {
+  Tension: 'text-blue-700',
+  Compression: 'text-red-700',
+  Zero: 'text-gray-500'
+};
+
+function createAnalyzer({ joints, members, supports, loads }) {
+  const analyzer = new TrussAnalyzer();
+  analyzer.setJoints(joints);
+  analyzer.setMembers(members);
+  analyzer.setSupports(supports);
+  analyzer.setLoads(loads);
+  return analyzer;
+}
+
+function TrussPage() {
+  const {
+    joints, members, supports, loads, results,
+    addJoint, updateJoint, removeJoint,
+    addMember, updateMember, removeMember,
+    addSupport, updateSupport, removeSupport,
+    addLoad, removeLoad,
+    setResults, reset, loadSampleWarren
+  } = useTrussStore();
+
+  const [activeTab, setActiveTab] = useState('geometry');
+  const [error, setError] = useState(null);
+  const [isCalculating, setIsCalculating] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [newLoad, setNewLoad] = useState({ joint: '', Fx: 0, Fy: -10 });
+
+  const jointOptions = joints.map(j => ({ value: j.id, label: `Joint ${j.id}` }));
+
+  // Live determinacy check while the geometry is edited
+  const determinacy = useMemo(() => {
+    try {
+      return createAnalyzer({ joints, members, supports, loads }).checkDeterminacy();
+    } catch (err) {
+      return null;
+    }
+  }, [joints, members, supports, loads]);
+
+  const handleCalculate = useCallback(() => {
+    setIsCalculating(true);
+    setError(null);
+
+    try {
+      if (members.some(m => m.E <= 0 || m.A <= 0)) {
+        throw new Error('Member E and A must be greater than 0');
+      }
+
+      const analysisResults = createAnalyzer({ joints, members, supports, loads }).analyze();
+      setResults(analysisResults);
+      setActiveTab('results');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setIsCalculating(false);
+    }
+  }, [joints, members, supports, loads, setResults]);
+
+  const handleExportPDF = async () => {
+    if (!results) return;
+    setIsExporting(true);
+
+    try {
+      let diagramImage = null;
+      try {
+        const diagramElement = document.querySelector('.truss-diagram-container .js-plotly-plot');
+        if (diagramElement) {
+          diagramImage = await Plotly.toImage(diagramElement, {
+            format: 'png',
+            width: 1000,
+            height: 560,
+            scale: 2
+          });
+        }
+      } catch (chartError) {
+        console.warn('Could not capture truss diagram:', chartError);
+      }
+
+      const report = generateTrussReport(results, { joints, members, supports, loads }, diagramImage);
+      report.download('CiviCalc_Truss_Analysis.pdf');
+    } catch (err) {
+      setError('Failed to export PDF: ' + err.message);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const handleAddJoint = () => {
+    const last = joints[joints.length - 1];
+    addJoint({ x: last ? last.x + 3 : 0, y: last ? last.y : 0 });
+  };
+
+  const handleAddMember = () => {
+    if (joints.length < 2) {
+      setError('Add at least two joints before adding a member');
+      return;
+    }
+    const template = members[members.length - 1] || { E: 200, A: 1000 };
+    addMember({
+      start: joints[joints.length - 2].id,
+      end: joints[joints.length - 1].id,
+      E: template.E,
+      A: template.A
+    });
+  };
+
+  const handleAddLoad = () => {
+    const joint = newLoad.joint || joints[0]?.id;
+    if (!joint) {
+      setError('Add a joint first');
+      return;
+    }
+    addLoad({ ...newLoad, joint: Number(joint) });
+    setError(null);
+  };
+
+  const handleReset = () => {
+    reset();
+    setActiveTab('geometry');
+    setError(null);
+  };
+
+  const tabs = [
+    { id: 'geometry', label: `Geometry (${joints.length} joints, ${members.length} members)` },
+    { id: 'loads', label: `Joint Loads (${loads.length})` },
+    { id: 'results', label: 'Member Forces' }
+  ];
+
+  return (
+    <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+      {/* Header */}
+      <div className="mb-8">
+        <div className="flex items-center space-x-3 mb-2">
+          <div className="w-10 h-10 bg-gradient-to-br from-teal-500 to-teal-700 rounded-lg flex items-center justify-center">
+            <Triangle className="w-6 h-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900">Plane Truss Analysis</h1>
+            <p className="text-gray-600">Pin-Jointed Trusses with Determinacy Check</p>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <Alert
+          type="error"
+          message={error}
+          onClose={() => setError(null)}
+        />
+      )}
+
+      {/* Tabs */}
+      <Tabs tabs={tabs} activeTab={activeTab} onChange={setActiveTab} />
+
+      <div className="mt-6">
+        {/* Geometry Tab */}
+        {activeTab === 'geometry' && (
+          <div className="space-y-6">
+            {determinacy && (
+              <Alert
+                type={determinacy.isStable ? (determinacy.redundants === 0 ? 'success' : 'info') : 'warning'}
+                title={`${determinacy.classification} (m = ${determinacy.members}, r = ${determinacy.reactions}, j = ${determinacy.joints})`}
+                message={determinacy.message}
+              />
+            )}
+
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+              <Card
+                title="Joints"
+                actions={<Button size="sm" variant="outline" icon={Plus} onClick={handleAddJoint}>Add Joint</Button>}
+              >
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Joint</th>
+                        <th>X (m)</th>
+                        <th>Y (m)</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {joints.map((joint) => (
+                        <tr key={joint.id}>
+                          <td className="font-medium">{joint.id}</td>
+                          <td>
+                            <input
+                              type="number"
+                              value={joint.x}
+                              onChange={(e) => updateJoint(joint.id, { x: parseFloat(e.target.value) || 0 })}
+                              className={cellInput}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              value={joint.y}
+                              onChange={(e) => updateJoint(joint.id, { y: parseFloat(e.target.value) || 0 })}
+                              className={cellInput}
+                            />
+                          </td>
+                          <td>
+                            <button onClick={() => removeJoint(joint.id)} className="text-red-600 hover:text-red-800">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+
+              <Card
+                title="Members"
+                actions={<Button size="sm" variant="outline" icon={Plus} onClick={handleAddMember}>Add Member</Button>}
+              >
+                <div className="overflow-x-auto">
+                  <table className="data-table">
+                    <thead>
+                      <tr>
+                        <th>Member</th>
+                        <th>Start</th>
+                        <th>End</th>
+                        <th>E (GPa)</th>
+                        <th>A (mm²)</th>
+                        <th>Actions</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {members.map((m) => (
+                        <tr key={m.id}>
+                          <td className="font-medium">{m.id}</td>
+                          <td>
+                            <select
+                              value={m.start}
+                              onChange={(e) => updateMember(m.id, { start: Number(e.target.value) })}
+                              className="form-select py-1"
+                            >
+                              {jointOptions.map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <select
+                              value={m.end}
+                              onChange={(e) => updateMember(m.id, { end: Number(e.target.value) })}
+                              className="form-select py-1"
+                            >
+                              {jointOptions.map(o => <option key={o.value} value={o.value}>{o.value}</option>)}
+                            </select>
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              value={m.E}
+                              onChange={(e) => updateMember(m.id, { E: parseFloat(e.target.value) || 0 })}
+                              className={cellInput}
+                            />
+                          </td>
+                          <td>
+                            <input
+                              type="number"
+                              value={m.A}
+                              onChange={(e) => updateMember(m.id, { A: parseFloat(e.target.value) || 0 })}
+                              className={cellInput}
+                            />
+                          </td>
+                          <td>
+                            <button onClick={() => removeMember(m.id)} className="text-red-600 hover:text-red-800">
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            </div>
+
+            <Card
+              title="Supports"
+              actions={
+                <Button
+                  size="sm"
+                  variant="outline"
+                  icon={Plus}
+                  onClick={() => addSupport({ joint: joints[0]?.id, type: 'pin' })}
+                >
+                  Add Support
+                </Button>
+              }
+            >
+              <div className="overflow-x-auto">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Joint</th>
+                      <th>Type</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {supports.map((support) => (
+                      <tr key={support.id}>
+                        <td>
+                          <select
+                            value={support.joint}
+                            onChange={(e) => updateSupport(support.id, { joint: Number(e.target.value) })}
+                            className="form-select py-1"
+                          >
+                            {jointOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                          </select>
+                        </td>
+                        <td>
+                          <select
+                            value={support.type}
+                            onChange={(e) => updateSupport(support.id, { type: e.target.value })}
+                            className="form-select py-1"
+                          >
+                            {supportOptions.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+                          </select>
+                        </td>
+                        <td>
+                          <button onClick={() => removeSupport(support.id)} className="text-red-600 hover:text-red-800">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </Card>
+
+            <div className="flex justify-end">
+              <Button variant="outline" icon={Layers} onClick={loadSampleWarren}>
+                Load Warren Bridge Truss Sample
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {/* Loads Tab */}
+        {activeTab === 'loads' && (
+          <Card title="Joint Loads (global axes)">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <FormSelect
+                label="Joint"
+                name="loadJoint"
+                value={newLoad.joint || joints[0]?.id || ''}
+                onChange={(e) => setNewLoad({ ...newLoad, joint: Number(e.target.value) })}
+                options={jointOptions}
+              />
+              <FormInput
+                label="Fx"
+                name="Fx"
+                value={newLoad.Fx}
+                onChange={(e) => setNewLoad({ ...newLoad, Fx: parseFloat(e.target.value) || 0 })}
+                unit="kN"
+                helpText="Positive to the right"
+              />
+              <FormInput
+                label="Fy"
+                name="Fy"
+                value={newLoad.Fy}
+                onChange={(e) => setNewLoad({ ...newLoad, Fy: parseFloat(e.target.value) || 0 })}
+                unit="kN"
+                helpText="Upward positive"
+              />
+            </div>
+            <Button onClick={handleAddLoad} icon={Plus} className="mt-2">
+              Add Joint Load
+            </Button>
+
+            {loads.length > 0 && (
+              <div className="overflow-x-auto mt-4">
+                <table className="data-table">
+                  <thead>
+                    <tr>
+                      <th>Joint</th>
+                      <th>Fx (kN)</th>
+                      <th>Fy (kN)</th>
+                      <th>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {loads.map((load) => (
+                      <tr key={load.id}>
+                        <td>{load.joint}</td>
+                        <td>{load.Fx}</td>
+                        <td>{load.Fy}</td>
+                        <td>
+                          <button onClick={() => removeLoad(load.id)} className="text-red-600 hover:text-red-800">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </Card>
+        )}
+
+        {/* Results Tab */}
+        {activeTab === 'results' && (
+          <div className="space-y-6">
+            {results ? (
+              <>
+                <Card title="Summary">
+                  <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+                    <ResultDisplay
+                      label="Classification"
+                      value={results.determinacy.classification}
+                    />
+                    <ResultDisplay
+                      label={`Max Tension (member ${results.maxValues.tensionMember ?? '-'})`}
+                      value={results.maxValues.tension}
+                      unit="kN"
+                      highlight
+                    />
+                    <ResultDisplay
+                      label={`Max Compression (member ${results.maxValues.compressionMember ?? '-'})`}
+                      value={results.maxValues.compression}
+                      unit="kN"
+                      highlight
+                    />
+                    <ResultDisplay
+                      label={`Max Displacement (joint ${results.maxValues.displacementJoint ?? '-'})`}
+                      value={results.maxValues.displacement}
+                      unit="mm"
+                    />
+                  </div>
+                  {results.zeroForceMembers.length > 0 && (
+                    <p className="text-sm text-gray-600 mt-4">
+                      Zero-force members: {results.zeroForceMembers.join(', ')}
+                    </p>
+                  )}
+                </Card>
+
+                <Card title="Force Diagram">
+                  <div className="truss-diagram-container">
+                    <TrussDiagram results={results} />
+                  </div>
+                </Card>
+
+                <Card title="Member Forces">
+                  <div className="overflow-x-auto">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          <th>Member</th>
+                          <th>Joints</th>
+                          <th>Length (m)</th>
+                          <th>Force (kN)</th>
+                          <th>Nature</th>
+                          <th>Stress (MPa)</th>
+                          <th>Elongation (mm)</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {results.members.map((m) => (
+                          <tr key={m.id}>
+                            <td className="font-medium">{m.id}</td>
+                            <td>{m.start} - {m.end}</td>
+                            <td>{m.length}</td>
+                            <td>{m.force}</td>
+                            <td className={`font-medium ${natureColors[m.nature]}`}>{m.nature}</td>
+                            <td>{m.stress}</td>
+                            <td>{m.elongation}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </Card>
+
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  <Card title="Support Reactions">
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            <th>Joint</th>
+                            <th>Type</th>
+                            <th>Rx (kN)</th>
+                            <th>Ry (kN)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {results.reactions.map((r, i) => (
+                            <tr key={i}>
+                              <td>{r.joint}</td>
+                              <td className="capitalize">{r.type.replace('_', ' ')}</td>
+                              <td>{r.Rx}</td>
+                              <td>{r.Ry}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </Card>
+
+                  <Card title="Joint Displacements">
+                    <div className="overflow-x-auto">
+                      <table className="data-table">
+                        <thead>
+                          <tr>
+                            <th>Joint</th>
+                            <th>ux (mm)</th>
+                            <th>uy (mm)</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {results.displacements.map((d) => (
+                            <tr key={d.joint}>
+                              <td>{d.joint}</td>
+                              <td>{d.ux}</td>
+                              <td>{d.uy}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  </Card>
+                </div>
+              </>
+            ) : (
+              <Card>
+                <div className="text-center py-12">
+                  <Calculator className="w-12 h-12 text-gray-400 mx-auto mb-4" />
+                  <p className="text-gray-500 mb-4">No results yet. Define the truss and click "Calculate" to analyze it.</p>
+                </div>
+              </Card>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Action Buttons */}
+      <div className="mt-8 flex flex-wrap gap-4 justify-center">
+        <Button
+          variant="primary"
+          onClick={handleCalculate}
+          icon={Calculator}
+          loading={isCalculating}
+          disabled={members.length === 0}
+        >
+          Calculate
+        </Button>
+
+        <Button
+          variant="secondary"
+          onClick={handleExportPDF}
+          icon={FileDown}
+          loading={isExporting}
+          disabled={!results}
+        >
+          Export PDF
+        </Button>
+
+        <Button variant="outline" onClick={handleReset} icon={RotateCcw}>
+          Reset
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+export default TrussPage;
@@ -7,7 +7,142 @@ const SUPPORT_TYPES = {
   CANTILEVER: 'cantilever',
   OVERHANGING: 'overhanging',
   FIXED_BOTH: 'fixed_both',
-  PROPPED_CANTILEVER: 'propped_cantilever'
+  PROPPED_CANTILEVER: 'propped_cantilever',
+  CONTINUOUS: 'continuous',
+  ELASTIC_FOUNDATION: 'elastic_foundation'
+};
+
+// Default support list for continuous beams (two equal spans)
+const DEFAULT_SUPPORTS = [
+  { id: 1, position: 0, type: 'pin' },
+  { id: 2, position: 3, type: 'roller' },
+  { id: 3, position: 6, type: 'roller' }
+];
+
+// Default moving load settings (spacing is measured from the previous axle)
+const DEFAULT_MOVING_LOAD = {
+  section: 3,
+  vehicle: 'irc_class_a',
+  impactFactor: 1,
+  customAxles: [
+    { id: 1, load: 100, spacing: 0 },
+    { id: 2, load: 100, spacing: 3 }
+  ]
+};
+
+const DEFAULT_RC_DESIGN = {
+  grade: 'M25',
+  steelGrade: 'Fe415',
+  width: 300,
+  depth: 500,
+  cover: 25,
+  barDiameter: 16,
+  compressionBarDiameter: 16,
+  stirrupDiameter: 8,
+  stirrupLegs: 2,
+  supportCondition: 'simply_supported',
+  loadFactor: 1.5,
+  Mu: 100,
+  Vu: 80
+};
+
+const DEFAULT_STEEL_DESIGN = {
+  family: 'ISMB',
+  designation: 'ISMB 300',
+  steelGrade: 'E250',
+  unbracedLength: 6,
+  laterallySupported: false,
+  deflectionLimit: 300,
+  loadFactor: 1.5,
+  Mu: 50,
+  Vu: 40,
+  deflection: 0
+};
+
+const DEFAULT_STEEL_COLUMN = {
+  sectionSource: 'rolled',
+  family: 'ISHB',
+  designation: 'ISHB 200',
+  steelGrade: 'E250',
+  length: 3.5,
+  endCondition: 'pinned_pinned',
+  K: 1,
+  minorAxisLength: 0,
+  Pu: 500
+};
+
+const DEFAULT_RC_COLUMN = {
+  grade: 'M25',
+  steelGrade: 'Fe415',
+  width: 400,
+  depth: 400,
+  cover: 40,
+  tieDiameter: 8,
+  barDiameter: 20,
+  barsAlongWidth: 3,
+  barsAlongDepth: 3,
+  length: 3,
+  endCondition: 'fixed_fixed',
+  K: 1,
+  Pu: 1500,
+  Mux: 80,
+  Muy: 40
+};
+
+// Slab panel: spans in m, loads in kN/m², section in mm
+const DEFAULT_SLAB = {
+  grade: 'M25',
+  steelGrade: 'Fe415',
+  lx: 4,
+  ly: 5,
+  edgeCondition: 'interior',
+  depth: 150,
+  cover: 20,
+  barDiameter: 10,
+  liveLoad: 3,
+  finishLoad: 1,
+  loadFactor: 1.5
+};
+
+// Beam on elastic foundation: ks in kN/m³, contact width in m
+const DEFAULT_FOUNDATION = {
+  subgradeModulus: 20000,
+  width: 1,
+  leftEnd: 'free',
+  rightEnd: 'free'
+};
+
+// Natural frequencies: mass from the section self-weight or entered per metre
+const DEFAULT_VIBRATION = {
+  massSource: 'section',
+  massPerLength: 500,
+  density: 7850,
+  additionalMass: 0,
+  modes: 3,
+  use: 'footbridge',
+  operatingFrequency: 25
+};
+
+// Plastic collapse: Mp from fy and the section Zp or entered directly (kN·m)
+const DEFAULT_PLASTIC = {
+  model: 'beam',
+  mpSource: 'section',
+  fy: 250,
+  Mp: 200,
+  portalSpan: 6,
+  portalHeight: 4,
+  portalBase: 'fixed',
+  verticalLoad: 100,
+  horizontalLoad: 30,
+  beamUdl: 0,
+  columnMp: 200,
+  beamMp: 200
+};
+
+const DEFAULT_STRESS_CHECK = {
+  position: 3,
+  allowableBending: 165,
+  allowableShear: 100
 };
 
 /**
@@ -97,12 +232,65 @@ export const useBeamStore = create(
       // Support type (NEW)
       supportType: SUPPORT_TYPES.SIMPLY_SUPPORTED,
       supportPositions: { a: 0, b: 6 }, // For overhanging beams
+      supports: DEFAULT_SUPPORTS, // For continuous beams
+      
+      // Spring stiffness and settlement per support (continuous beam supports carry their own)
+      supportMovements: [],
+      
+      // Winkler foundation under the beam (elastic foundation support type)
+      foundation: DEFAULT_FOUNDATION,
+      
+      // Segments with their own E and I (non-prismatic beams)
+      stiffnessSegments: [],
+      
+      // Internal hinges (Gerber beams)
+      hinges: [],
       
       // Loads
       loads: [],
       
+      // Load cases and combinations (custom combinations are added to the code defaults)
+      customLoadCases: [],
+      loadCombinations: [],
+      useDefaultCombinations: true,
+      
+      // Influence lines and moving loads
+      movingLoad: DEFAULT_MOVING_LOAD,
+      
+      // IS 456 section design
+      rcDesign: DEFAULT_RC_DESIGN,
+      
+      // IS 800 steel beam check
+      steelDesign: DEFAULT_STEEL_DESIGN,
+      
+      // Section stress distribution
+      stressCheck: DEFAULT_STRESS_CHECK,
+      
+      // Natural frequencies and vibration check
+      vibration: DEFAULT_VIBRATION,
+      
+      // Plastic collapse analysis
+      plastic: DEFAULT_PLASTIC,
+      
+      // Steel (IS 800) and RC (IS 456) columns
+      steelColumn: DEFAULT_STEEL_COLUMN,
+      rcColumn: DEFAULT_RC_COLUMN,
+      
+      // IS 456 Annex D slab panel design
+      slab: DEFAULT_SLAB,
+      
       // Results
       results: null,
+      combinationResults: null,
+      movingLoadResults: null,
+      rcDesignResults: null,
+      steelDesignResults: null,
+      stressResults: null,
+      vibrationResults: null,
+      plasticResults: null,
+      steelColumnResults: null,
+      rcColumnResults: null,
+      slabResults: null,
       
       // Actions
       setSpan: (span) => set({ span, supportPositions: { a: 0, b: span } }),
@@ -115,6 +303,48 @@ export const useBeamStore = create(
       setSupportType: (type) => set({ supportType: type }),
       setSupportPositions: (positions) => set({ supportPositions: positions }),
       
+      // Continuous beam support list
+      addSupport: (support) => set((state) => ({
+        supports: [...state.supports, { id: Date.now(), ...support }]
+      })),
+      updateSupport: (id, updates) => set((state) => ({
+        supports: state.supports.map(s => s.id === id ? { ...s, ...updates } : s)
+      })),
+      removeSupport: (id) => set((state) => ({
+        supports: state.supports.filter(s => s.id !== id)
+      })),
+      setSupports: (supports) => set({ supports }),
+      setFoundationInput: (key, value) => set((state) => ({
+        foundation: { ...state.foundation, [key]: value }
+      })),
+      setSupportMovement: (index, key, value) => set((state) => {
+        const supportMovements = [...state.supportMovements];
+        supportMovements[index] = { ...supportMovements[index], [key]: value };
+        return { supportMovements };
+      }),
+      
+      // Non-prismatic segment actions
+      addStiffnessSegment: (segment) => set((state) => ({
+        stiffnessSegments: [...state.stiffnessSegments, { id: Date.now(), ...segment }]
+      })),
+      updateStiffnessSegment: (id, updates) => set((state) => ({
+        stiffnessSegments: state.stiffnessSegments.map(s => s.id === id ? { ...s, ...updates } : s)
+      })),
+      removeStiffnessSegment: (id) => set((state) => ({
+        stiffnessSegments: state.stiffnessSegments.filter(s => s.id !== id)
+      })),
+      
+      // Internal hinge actions
+      addHinge: (hinge) => set((state) => ({
+        hinges: [...state.hinges, { id: Date.now(), ...hinge }]
+      })),
+      updateHinge: (id, updates) => set((state) => ({
+        hinges: state.hinges.map(h => h.id === id ? { ...h, ...updates } : h)
+      })),
+      removeHinge: (id) => set((state) => ({
+        hinges: state.hinges.filter(h => h.id !== id)
+      })),
+      
       addLoad: (load) => set((state) => ({
         loads: [...state.loads, { id: Date.now(), ...load }]
       })),
@@ -126,6 +356,105 @@ export const useBeamStore = create(
       })),
       clearLoads: () => set({ loads: [] }),
       
+      // Load case and combination actions
+      addCustomLoadCase: (name) => set((state) => ({
+        customLoadCases: state.customLoadCases.includes(name)
+          ? state.customLoadCases
+          : [...state.customLoadCases, name]
+      })),
+      removeCustomLoadCase: (name) => set((state) => ({
+        customLoadCases: state.customLoadCases.filter(c => c !== name),
+        loads: state.loads.map(l => l.loadCase === name ? { ...l, loadCase: 'DL' } : l)
+      })),
+      addLoadCombination: (combination) => set((state) => ({
+        loadCombinations: [...state.loadCombinations, { id: Date.now(), ...combination }]
+      })),
+      updateLoadCombination: (id, updates) => set((state) => ({
+        loadCombinations: state.loadCombinations.map(c => c.id === id ? { ...c, ...updates } : c)
+      })),
+      removeLoadCombination: (id) => set((state) => ({
+        loadCombinations: state.loadCombinations.filter(c => c.id !== id)
+      })),
+      setUseDefaultCombinations: (useDefaultCombinations) => set({ useDefaultCombinations }),
+      setCombinationResults: (combinationResults) => set({ combinationResults }),
+      
+      // Moving load actions
+      setMovingLoad: (updates) => set((state) => ({
+        movingLoad: { ...state.movingLoad, ...updates }
+      })),
+      addCustomAxle: (axle) => set((state) => ({
+        movingLoad: {
+          ...state.movingLoad,
+          customAxles: [...state.movingLoad.customAxles, { id: Date.now(), ...axle }]
+        }
+      })),
+      updateCustomAxle: (id, updates) => set((state) => ({
+        movingLoad: {
+          ...state.movingLoad,
+          customAxles: state.movingLoad.customAxles.map(a => a.id === id ? { ...a, ...updates } : a)
+        }
+      })),
+      removeCustomAxle: (id) => set((state) => ({
+        movingLoad: {
+          ...state.movingLoad,
+          customAxles: state.movingLoad.customAxles.filter(a => a.id !== id)
+        }
+      })),
+      setMovingLoadResults: (movingLoadResults) => set({ movingLoadResults }),
+      
+      // RC design actions
+      setRCDesignInput: (key, value) => set((state) => ({
+        rcDesign: { ...state.rcDesign, [key]: value }
+      })),
+      setAllRCDesignInputs: (inputs) => set((state) => ({
+        rcDesign: { ...state.rcDesign, ...inputs }
+      })),
+      setRCDesignResults: (rcDesignResults) => set({ rcDesignResults }),
+      
+      // Steel design actions
+      setSteelDesignInput: (key, value) => set((state) => ({
+        steelDesign: { ...state.steelDesign, [key]: value }
+      })),
+      setAllSteelDesignInputs: (inputs) => set((state) => ({
+        steelDesign: { ...state.steelDesign, ...inputs }
+      })),
+      setSteelDesignResults: (steelDesignResults) => set({ steelDesignResults }),
+      
+      // Stress actions
+      setStressCheckInput: (key, value) => set((state) => ({
+        stressCheck: { ...state.stressCheck, [key]: value }
+      })),
+      setStressResults: (stressResults) => set({ stressResults }),
+      
+      // Vibration actions
+      setVibrationInput: (key, value) => set((state) => ({
+        vibration: { ...state.vibration, [key]: value }
+      })),
+      setVibrationResults: (vibrationResults) => set({ vibrationResults }),
+      
+      // Plastic analysis actions
+      setPlasticInput: (key, value) => set((state) => ({
+        plastic: { ...state.plastic, [key]: value }
+      })),
+      setPlasticResults: (plasticResults) => set({ plasticResults }),
+      
+      // Column design actions
+      setSteelColumnInput: (key, value) => set((state) => ({
+        steelColumn: { ...state.steelColumn, [key]: value }
+      })),
+      setAllSteelColumnInputs: (inputs) => set((state) => ({
+        steelColumn: { ...state.steelColumn, ...inputs }
+      })),
+      setSteelColumnResults: (steelColumnResults) => set({ steelColumnResults }),
+      setRCColumnInput: (key, value) => set((state) => ({
+        rcColumn: { ...state.rcColumn, [key]: value }
+      })),
+      setRCColumnResults: (rcColumnResults) => set({ rcColumnResults }),
+      setSlabInput: (key, value) => set((state) => ({
+        slab: { ...state.slab, [key]: value }
+      })),
+      setSlabResults: (slabResults) => set({ slabResults }),
+      
       setResults: (results) => set({ results }),
       clearResults: () => set({ results: null }),
       
@@ -137,8 +466,35 @@ export const useBeamStore = create(
         sectionDimensions: { width: 0.3, height: 0.5 },
         supportType: SUPPORT_TYPES.SIMPLY_SUPPORTED,
         supportPositions: { a: 0, b: 6 },
+        supports: DEFAULT_SUPPORTS,
+        supportMovements: [],
+        foundation: DEFAULT_FOUNDATION,
+        stiffnessSegments: [],
+        hinges: [],
         loads: [],
-        results: null
+        customLoadCases: [],
+        loadCombinations: [],
+        useDefaultCombinations: true,
+        movingLoad: DEFAULT_MOVING_LOAD,
+        results: null,
+        combinationResults: null,
+        movingLoadResults: null,
+        rcDesign: DEFAULT_RC_DESIGN,
+        rcDesignResults: null,
+        steelDesign: DEFAULT_STEEL_DESIGN,
+        steelDesignResults: null,
+        stressCheck: DEFAULT_STRESS_CHECK,
+        stressResults: null,
+        vibration: DEFAULT_VIBRATION,
+        vibrationResults: null,
+        plastic: DEFAULT_PLASTIC,
+        plasticResults: null,
+        steelColumn: DEFAULT_STEEL_COLUMN,
+        steelColumnResults: null,
+        rcColumn: DEFAULT_RC_COLUMN,
+        rcColumnResults: null,
+        slab: DEFAULT_SLAB,
+        slabResults: null
       })
     }),
     {
@@ -151,12 +507,351 @@ export const useBeamStore = create(
         sectionDimensions: state.sectionDimensions,
         supportType: state.supportType,
         supportPositions: state.supportPositions,
+        supports: state.supports,
+        supportMovements: state.supportMovements,
+        foundation: state.foundation,
+        stiffnessSegments: state.stiffnessSegments,
+        hinges: state.hinges,
+        loads: state.loads,
+        customLoadCases: state.customLoadCases,
+        loadCombinations: state.loadCombinations,
+        useDefaultCombinations: state.useDefaultCombinations,
+        movingLoad: state.movingLoad,
+        rcDesign: state.rcDesign,
+        steelDesign: state.steelDesign,
+        stressCheck: state.stressCheck,
+        vibration: state.vibration,
+        plastic: state.plastic,
+        steelColumn: state.steelColumn,
+        rcColumn: state.rcColumn,
+        slab: state.slab
+      })
+    }
+  )
+);
+
+/**
+ * Plane Frame Store
+ * Default: single-bay portal frame with fixed bases
+ */
+const PORTAL_FRAME = {
+  nodes: [
+    { id: 1, x: 0, y: 0 },
+    { id: 2, x: 0, y: 4 },
+    { id: 3, x: 6, y: 4 },
+    { id: 4, x: 6, y: 0 }
+  ],
+  members: [
+    { id: 1, start: 1, end: 2, E: 200, A: 0.0066, I: 1.3e-4, releaseStart: false, releaseEnd: false },
+    { id: 2, start: 2, end: 3, E: 200, A: 0.0066, I: 1.3e-4, releaseStart: false, releaseEnd: false },
+    { id: 3, start: 4, end: 3, E: 200, A: 0.0066, I: 1.3e-4, releaseStart: false, releaseEnd: false }
+  ],
+  supports: [
+    { id: 1, node: 1, type: 'fixed' },
+    { id: 2, node: 4, type: 'fixed' }
+  ],
+  nodalLoads: [
+    { id: 1, node: 2, Fx: 10, Fy: 0, M: 0 }
+  ],
+  memberLoads: [
+    { id: 1, member: 2, type: 'udl', magnitude: 15, position: 0, direction: 'gravity' }
+  ]
+};
+
+// Next numeric id for nodes and members, which are referenced by id
+const nextId = (items) => items.reduce((max, item) => Math.max(max, Number(item.id) || 0), 0) + 1;
+
+export const useFrameStore = create(
+  persist(
+    (set) => ({
+      ...PORTAL_FRAME,
+      
+      // Results
+      results: null,
+      
+      // Node actions
+      addNode: (node) => set((state) => ({
+        nodes: [...state.nodes, { id: nextId(state.nodes), ...node }]
+      })),
+      updateNode: (id, updates) => set((state) => ({
+        nodes: state.nodes.map(n => n.id === id ? { ...n, ...updates } : n)
+      })),
+      removeNode: (id) => set((state) => ({
+        nodes: state.nodes.filter(n => n.id !== id),
+        members: state.members.filter(m => m.start !== id && m.end !== id),
+        supports: state.supports.filter(s => s.node !== id),
+        nodalLoads: state.nodalLoads.filter(l => l.node !== id)
+      })),
+      
+      // Member actions
+      addMember: (member) => set((state) => ({
+        members: [...state.members, { id: nextId(state.members), ...member }]
+      })),
+      updateMember: (id, updates) => set((state) => ({
+        members: state.members.map(m => m.id === id ? { ...m, ...updates } : m)
+      })),
+      removeMember: (id) => set((state) => ({
+        members: state.members.filter(m => m.id !== id),
+        memberLoads: state.memberLoads.filter(l => l.member !== id)
+      })),
+      
+      // Support actions
+      addSupport: (support) => set((state) => ({
+        supports: [...state.supports, { id: Date.now(), ...support }]
+      })),
+      updateSupport: (id, updates) => set((state) => ({
+        supports: state.supports.map(s => s.id === id ? { ...s, ...updates } : s)
+      })),
+      removeSupport: (id) => set((state) => ({
+        supports: state.supports.filter(s => s.id !== id)
+      })),
+      
+      // Load actions
+      addNodalLoad: (load) => set((state) => ({
+        nodalLoads: [...state.nodalLoads, { id: Date.now(), ...load }]
+      })),
+      removeNodalLoad: (id) => set((state) => ({
+        nodalLoads: state.nodalLoads.filter(l => l.id !== id)
+      })),
+      addMemberLoad: (load) => set((state) => ({
+        memberLoads: [...state.memberLoads, { id: Date.now(), ...load }]
+      })),
+      removeMemberLoad: (id) => set((state) => ({
+        memberLoads: state.memberLoads.filter(l => l.id !== id)
+      })),
+      
+      setResults: (results) => set({ results }),
+      clearResults: () => set({ results: null }),
+      
+      reset: () => set({ ...PORTAL_FRAME, results: null }),
+      
+      // Load sample data
+      loadSampleTwoBay: () => set({
+        nodes: [
+          { id: 1, x: 0, y: 0 },
+          { id: 2, x: 6, y: 0 },
+          { id: 3, x: 12, y: 0 },
+          { id: 4, x: 0, y: 3.5 },
+          { id: 5, x: 6, y: 3.5 },
+          { id: 6, x: 12, y: 3.5 },
+          { id: 7, x: 0, y: 7 },
+          { id: 8, x: 6, y: 7 },
+          { id: 9, x: 12, y: 7 }
+        ],
+        members: [
+          { id: 1, start: 1, end: 4, E: 25, A: 0.16, I: 2.13e-3, releaseStart: false, releaseEnd: false },
+          { id: 2, start: 2, end: 5, E: 25, A: 0.16, I: 2.13e-3, releaseStart: false, releaseEnd: false },
+          { id: 3, start: 3, end: 6, E: 25, A: 0.16, I: 2.13e-3, releaseStart: false, releaseEnd: false },
+          { id: 4, start: 4, end: 7, E: 25, A: 0.16, I: 2.13e-3, releaseStart: false, releaseEnd: false },
+          { id: 5, start: 5, end: 8, E: 25, A: 0.16, I: 2.13e-3, releaseStart: false, releaseEnd: false },
+          { id: 6, start: 6, end: 9, E: 25, A: 0.16, I: 2.13e-3, releaseStart: false, releaseEnd: false },
+          { id: 7, start: 4, end: 5, E: 25, A: 0.135, I: 3.2e-3, releaseStart: false, releaseEnd: false },
+          { id: 8, start: 5, end: 6, E: 25, A: 0.135, I: 3.2e-3, releaseStart: false, releaseEnd: false },
+          { id: 9, start: 7, end: 8, E: 25, A: 0.135, I: 3.2e-3, releaseStart: false, releaseEnd: false },
+          { id: 10, start: 8, end: 9, E: 25, A: 0.135, I: 3.2e-3, releaseStart: false, releaseEnd: false }
+        ],
+        supports: [
+          { id: 1, node: 1, type: 'fixed' },
+          { id: 2, node: 2, type: 'fixed' },
+          { id: 3, node: 3, type: 'fixed' }
+        ],
+        nodalLoads: [
+          { id: 1, node: 4, Fx: 20, Fy: 0, M: 0 },
+          { id: 2, node: 7, Fx: 10, Fy: 0, M: 0 }
+        ],
+        memberLoads: [
+          { id: 1, member: 7, type: 'udl', magnitude: 25, position: 0, direction: 'gravity' },
+          { id: 2, member: 8, type: 'udl', magnitude: 25, position: 0, direction: 'gravity' },
+          { id: 3, member: 9, type: 'udl', magnitude: 15, position: 0, direction: 'gravity' },
+          { id: 4, member: 10, type: 'udl', magnitude: 15, position: 0, direction: 'gravity' }
+        ],
+        results: null
+      })
+    }),
+    {
+      name: 'civicalc-frame-storage',
+      partialize: (state) => ({
+        nodes: state.nodes,
+        members: state.members,
+        supports: state.supports,
+        nodalLoads: state.nodalLoads,
+        memberLoads: state.memberLoads
+      })
+    }
+  )
+);
+
+/**
+ * Plane Truss Store
+ * Default: pitched roof truss, 12 m span with 3 m rise
+ */
+const ROOF_TRUSS = {
+  joints: [
+    { id: 1, x: 0, y: 0 },
+    { id: 2, x: 3, y: 0 },
+    { id: 3, x: 6, y: 0 },
+    { id: 4, x: 9, y: 0 },
+    { id: 5, x: 12, y: 0 },
+    { id: 6, x: 3, y: 1.5 },
+    { id: 7, x: 6, y: 3 },
+    { id: 8, x: 9, y: 1.5 }
+  ],
+  members: [
+    { id: 1, start: 1, end: 2, E: 200, A: 1136 },
+    { id: 2, start: 2, end: 3, E: 200, A: 1136 },
+    { id: 3, start: 3, end: 4, E: 200, A: 1136 },
+    { id: 4, start: 4, end: 5, E: 200, A: 1136 },
+    { id: 5, start: 1, end: 6, E: 200, A: 1136 },
+    { id: 6, start: 6, end: 7, E: 200, A: 1136 },
+    { id: 7, start: 7, end: 8, E: 200, A: 1136 },
+    { id: 8, start: 8, end: 5, E: 200, A: 1136 },
+    { id: 9, start: 2, end: 6, E: 200, A: 568 },
+    { id: 10, start: 3, end: 7, E: 200, A: 568 },
+    { id: 11, start: 4, end: 8, E: 200, A: 568 },
+    { id: 12, start: 6, end: 3, E: 200, A: 568 },
+    { id: 13, start: 8, end: 3, E: 200, A: 568 }
+  ],
+  supports: [
+    { id: 1, joint: 1, type: 'pin' },
+    { id: 2, joint: 5, type: 'roller' }
+  ],
+  loads: [
+    { id: 1, joint: 6, Fx: 0, Fy: -10 },
+    { id: 2, joint: 7, Fx: 0, Fy: -10 },
+    { id: 3, joint: 8, Fx: 0, Fy: -10 }
+  ]
+};
+
+export const useTrussStore = create(
+  persist(
+    (set) => ({
+      ...ROOF_TRUSS,
+      
+      // Results
+      results: null,
+      
+      // Joint actions
+      addJoint: (joint) => set((state) => ({
+        joints: [...state.joints, { id: nextId(state.joints), ...joint }]
+      })),
+      updateJoint: (id, updates) => set((state) => ({
+        joints: state.joints.map(j => j.id === id ? { ...j, ...updates } : j)
+      })),
+      removeJoint: (id) => set((state) => ({
+        joints: state.joints.filter(j => j.id !== id),
+        members: state.members.filter(m => m.start !== id && m.end !== id),
+        supports: state.supports.filter(s => s.joint !== id),
+        loads: state.loads.filter(l => l.joint !== id)
+      })),
+      
+      // Member actions
+      addMember: (member) => set((state) => ({
+        members: [...state.members, { id: nextId(state.members), ...member }]
+      })),
+      updateMember: (id, updates) => set((state) => ({
+        members: state.members.map(m => m.id === id ? { ...m, ...updates } : m)
+      })),
+      removeMember: (id) => set((state) => ({
+        members: state.members.filter(m => m.id !== id)
+      })),
+      
+      // Support actions
+      addSupport: (support) => set((state) => ({
+        supports: [...state.supports, { id: Date.now(), ...support }]
+      })),
+      updateSupport: (id, updates) => set((state) => ({
+        supports: state.supports.map(s => s.id === id ? { ...s, ...updates } : s)
+      })),
+      removeSupport: (id) => set((state) => ({
+        supports: state.supports.filter(s => s.id !== id)
+      })),
+      
+      // Load actions
+      addLoad: (load) => set((state) => ({
+        loads: [...state.loads, { id: Date.now(), ...load }]
+      })),
+      removeLoad: (id) => set((state) => ({
+        loads: state.loads.filter(l => l.id !== id)
+      })),
+      
+      setResults: (results) => set({ results }),
+      clearResults: () => set({ results: null }),
+      
+      reset: () => set({ ...ROOF_TRUSS, results: null }),
+      
+      // Load sample data
+      loadSampleWarren: () => set({
+        joints: [
+          { id: 1, x: 0, y: 0 },
+          { id: 2, x: 6, y: 0 },
+          { id: 3, x: 12, y: 0 },
+          { id: 4, x: 18, y: 0 },
+          { id: 5, x: 24, y: 0 },
+          { id: 6, x: 3, y: 4 },
+          { id: 7, x: 9, y: 4 },
+          { id: 8, x: 15, y: 4 },
+          { id: 9, x: 21, y: 4 }
+        ],
+        members: [
+          { id: 1, start: 1, end: 2, E: 200, A: 4000 },
+          { id: 2, start: 2, end: 3, E: 200, A: 4000 },
+          { id: 3, start: 3, end: 4, E: 200, A: 4000 },
+          { id: 4, start: 4, end: 5, E: 200, A: 4000 },
+          { id: 5, start: 6, end: 7, E: 200, A: 5000 },
+          { id: 6, start: 7, end: 8, E: 200, A: 5000 },
+          { id: 7, start: 8, end: 9, E: 200, A: 5000 },
+          { id: 8, start: 1, end: 6, E: 200, A: 3000 },
+          { id: 9, start: 6, end: 2, E: 200, A: 3000 },
+          { id: 10, start: 2, end: 7, E: 200, A: 3000 },
+          { id: 11, start: 7, end: 3, E: 200, A: 3000 },
+          { id: 12, start: 3, end: 8, E: 200, A: 3000 },
+          { id: 13, start: 8, end: 4, E: 200, A: 3000 },
+          { id: 14, start: 4, end: 9, E: 200, A: 3000 },
+          { id: 15, start: 9, end: 5, E: 200, A: 3000 }
+        ],
+        supports: [
+          { id: 1, joint: 1, type: 'pin' },
+          { id: 2, joint: 5, type: 'roller' }
+        ],
+        loads: [
+          { id: 1, joint: 2, Fx: 0, Fy: -50 },
+          { id: 2, joint: 3, Fx: 0, Fy: -50 },
+          { id: 3, joint: 4, Fx: 0, Fy: -50 }
+        ],
+        results: null
+      })
+    }),
+    {
+      name: 'civicalc-truss-storage',
+      partialize: (state) => ({
+        joints: state.joints,
+        members: state.members,
+        supports: state.supports,
         loads: state.loads
       })
     }
   )
 );
 
+// Layered site: depths in m, unit weights in kN/m³, c and Es in kPa, φ in degrees
+const DEFAULT_SOIL_PROFILE = {
+  waterTableDepth: 2,
+  layers: [
+    {
+      id: 1, name: 'Silty sand', thickness: 2.5, unitWeight: 18, saturatedUnitWeight: 20, cohesion: 5, frictionAngle: 30,
+      compressionIndex: 0.1, recompressionIndex: 0.02, initialVoidRatio: 0.65, elasticModulus: 20000, poissonRatio: 0.3
+    },
+    {
+      id: 2, name: 'Soft clay', thickness: 4, unitWeight: 17, saturatedUnitWeight: 18.5, cohesion: 20, frictionAngle: 0,
+      compressionIndex: 0.35, recompressionIndex: 0.07, initialVoidRatio: 1, elasticModulus: 8000, poissonRatio: 0.45
+    },
+    {
+      id: 3, name: 'Dense sand', thickness: 5, unitWeight: 19, saturatedUnitWeight: 21, cohesion: 0, frictionAngle: 36,
+      compressionIndex: 0.05, recompressionIndex: 0.01, initialVoidRatio: 0.55, elasticModulus: 60000, poissonRatio: 0.3
+    }
+  ]
+};
+
 /**
  * Geotechnical Calculator Store
  */
@@ -173,12 +868,36 @@ export const useGeotechStore = create(
         foundationType: 'strip'
       },
       
+      // General bearing capacity (IS 6403 / Hansen / Vesic), with the soil,
+      // Df and B of bearingCapacity; angles in degrees, V in kN (kN/m for
+      // strip footings)
+      generalBearing: {
+        method: 'is6403',
+        foundationType: 'rectangular',
+        foundationLength: 3,
+        verticalLoad: 600,
+        loadInclination: 0,
+        eccentricityB: 0,
+        eccentricityL: 0,
+        groundSlope: 0,
+        baseTilt: 0,
+        waterTable: false,
+        waterTableDepth: 1.5,
+        saturatedUnitWeight: 20,
+        factorOfSafety: 3
+      },
+      
       // Settlement inputs
       settlement: {
         pressure: 100,
         foundationWidth: 2,
         elasticModulus: 25000,
-        poissonRatio: 0.3
+        poissonRatio: 0.3,
+        foundationDepth: 1,
+        layerIndex: 1,
+        foundationLength: 4,
+        stressMethod: 'uniform',
+        sublayers: 5
       },
       
       // Earth Pressure inputs
@@ -189,17 +908,93 @@ export const useGeotechStore = create(
         cohesion: 0
       },
       
+      // Layered soil profile, used in place of the single soil when enabled
+      soilProfile: DEFAULT_SOIL_PROFILE,
+      useSoilProfile: false,
+      
+      // In-situ stress conditions: capillary rise (m), artesian head above
+      // ground (m) in the aquifer layer, wide-area surcharge (kPa)
+      stressConditions: {
+        capillaryRise: 0,
+        surcharge: 0,
+        artesian: false,
+        artesianHead: 2,
+        aquiferLayer: 2
+      },
+      
+      // Stress distribution under a surface load; x, y locate the point
+      // from the load centre, depth below the loaded surface
+      stressDistribution: {
+        loadType: 'rectangular',
+        method: 'boussinesq',
+        intensity: 100,
+        width: 2,
+        length: 3,
+        radius: 1,
+        poissonRatio: 0,
+        x: 0,
+        y: 0,
+        depth: 2
+      },
+      
+      // Time rate of consolidation: cv and ch in m²/year, time in years,
+      // target settlement in mm (0 to skip); band drains a × b in mm
+      consolidationRate: {
+        enabled: false,
+        cv: 2,
+        drainage: 'double',
+        time: 1,
+        targetSettlement: 0,
+        drains: false,
+        drainMethod: 'hansbo',
+        ch: 4,
+        drainSpacing: 1.5,
+        drainPattern: 'triangular',
+        drainWidth: 100,
+        drainThickness: 4,
+        smearRatio: 2,
+        permeabilityRatio: 2
+      },
+      
       results: null,
       
       setBearingCapacityInput: (key, value) => set((state) => ({
         bearingCapacity: { ...state.bearingCapacity, [key]: value }
       })),
+      setGeneralBearingInput: (key, value) => set((state) => ({
+        generalBearing: { ...state.generalBearing, [key]: value }
+      })),
       setSettlementInput: (key, value) => set((state) => ({
         settlement: { ...state.settlement, [key]: value }
       })),
       setEarthPressureInput: (key, value) => set((state) => ({
         earthPressure: { ...state.earthPressure, [key]: value }
       })),
+      setUseSoilProfile: (useSoilProfile) => set({ useSoilProfile }),
+      setStressConditionInput: (key, value) => set((state) => ({
+        stressConditions: { ...state.stressConditions, [key]: value }
+      })),
+      setStressDistributionInput: (key, value) => set((state) => ({
+        stressDistribution: { ...state.stressDistribution, [key]: value }
+      })),
+      setConsolidationRateInput: (key, value) => set((state) => ({
+        consolidationRate: { ...state.consolidationRate, [key]: value }
+      })),
+      setWaterTableDepth: (waterTableDepth) => set((state) => ({
+        soilProfile: { ...state.soilProfile, waterTableDepth }
+      })),
+      addSoilLayer: (layer) => set((state) => ({
+        soilProfile: { ...state.soilProfile, layers: [...state.soilProfile.layers, { id: Date.now(), ...layer }] }
+      })),
+      updateSoilLayer: (id, updates) => set((state) => ({
+        soilProfile: {
+          ...state.soilProfile,
+          layers: state.soilProfile.layers.map(l => l.id === id ? { ...l, ...updates } : l)
+        }
+      })),
+      removeSoilLayer: (id) => set((state) => ({
+        soilProfile: { ...state.soilProfile, layers: state.soilProfile.layers.filter(l => l.id !== id) }
+      })),
       setResults: (results) => set({ results }),
       clearResults: () => set({ results: null })
     }),
@@ -302,6 +1097,8 @@ export const useTransportStore = create(
 export default {
   useAppStore,
   useBeamStore,
+  useFrameStore,
+  useTrussStore,
   useGeotechStore,
   useFluidStore,
   useTransportStore
@@ -0,0 +1,172 @@
+/**
+ * Beam Dynamics Module
+ * Natural frequencies and mode shapes of beams with a frequency-based
+ * vibration serviceability check for footbridges, floors and machine floors
+ *
+ * Units: mass in kg/m, section area in m², density in kg/m³, frequency in Hz
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { roundTo } from '../math/solver.js';
+
+/**
+ * Occupancy types with their frequency criterion
+ * Structures with a fundamental frequency above the minimum are out of
+ * reach of the first footfall harmonics; machine floors are checked for
+ * resonance with the operating frequency instead
+ */
+export const VIBRATION_USES = {
+  FOOTBRIDGE: {
+    id: 'footbridge',
+    label: 'Footbridge (vertical)',
+    minimum: 5,
+    reference: 'EN 1990 Annex A2.4.3.2',
+    // Vertical pacing range in which comfort must be verified (Sétra)
+    criticalRange: [1.25, 4.6]
+  },
+  FLOOR: {
+    id: 'floor',
+    label: 'Office / Residential Floor',
+    minimum: 3,
+    reference: 'SCI P354'
+  },
+  RHYTHMIC: {
+    id: 'rhythmic',
+    label: 'Gymnasium / Dance Floor',
+    minimum: 9,
+    reference: 'AISC Design Guide 11'
+  },
+  MACHINE: {
+    id: 'machine',
+    label: 'Machine Floor',
+    resonanceMargin: 0.2,
+    reference: 'IS 2974 (Part 1)'
+  }
+};
+
+/**
+ * Typical material densities (kg/m³)
+ */
+export const MATERIAL_DENSITIES = {
+  steel: 7850,
+  concrete: 2500,
+  timber: 600
+};
+
+/**
+ * Mass per metre from the section self-weight plus superimposed mass
+ * @param {Object} params - { massPerLength, area (m²), density (kg/m³), additionalMass (kg/m) }
+ * @returns {Object} { selfWeight, additional, total } in kg/m
+ */
+export function calculateBeamMass(params = {}) {
+  const { massPerLength, area = 0, density = MATERIAL_DENSITIES.steel, additionalMass = 0 } = params;
+  const given = parseFloat(massPerLength);
+  const selfWeight = given > 0 ? given : (parseFloat(area) || 0) * (parseFloat(density) || 0);
+  const additional = parseFloat(additionalMass) || 0;
+  if (additional < 0) throw new Error('Additional mass must not be negative');
+  const total = selfWeight + additional;
+  if (!(total > 0)) throw new Error('Mass per metre must be greater than 0: enter it or a section area and density');
+
+  return {
+    selfWeight: roundTo(selfWeight, 4),
+    additional: roundTo(additional, 4),
+    total: roundTo(total, 4)
+  };
+}
+
+/**
+ * Frequency checks for an occupancy type
+ * @param {Array} modes - Modes from BeamAnalyzer.calculateNaturalFrequencies
+ * @param {string} use - VIBRATION_USES id
+ * @param {number} operatingFrequency - Machine operating frequency (Hz)
+ * @returns {Object} { checks: [{ name, value, limit, unit, reference, status }], warnings }
+ */
+export function checkVibrationServiceability(modes, use = VIBRATION_USES.FOOTBRIDGE.id, operatingFrequency = 0) {
+  const criterion = Object.values(VIBRATION_USES).find(u => u.id === use);
+  if (!criterion) throw new Error(`Unknown occupancy type: ${use}`);
+  if (modes.length === 0) throw new Error('No vibration modes to check');
+
+  const f1 = modes[0].frequency;
+  const checks = [];
+  const warnings = [];
+
+  if (criterion.resonanceMargin !== undefined) {
+    const fo = parseFloat(operatingFrequency);
+    if (!(fo > 0)) throw new Error('Operating frequency must be greater than 0');
+    const low = fo * (1 - criterion.resonanceMargin);
+    const high = fo * (1 + criterion.resonanceMargin);
+    modes.forEach(({ mode, frequency }) => {
+      const clear = frequency < low || frequency > high;
+      checks.push({
+        name: `Mode ${mode} away from operating frequency`,
+        value: frequency,
+        limit: `outside ${roundTo(low, 2)} – ${roundTo(high, 2)}`,
+        unit: 'Hz',
+        reference: criterion.reference,
+        status: clear ? 'PASS' : 'FAIL'
+      });
+    });
+    if (modes[modes.length - 1].frequency < high) {
+      warnings.push('Compute more modes: the highest mode found is still below the resonance band.');
+    }
+  } else {
+    checks.push({
+      name: 'Fundamental frequency',
+      value: f1,
+      limit: `≥ ${criterion.minimum}`,
+      unit: 'Hz',
+      reference: criterion.reference,
+      status: f1 >= criterion.minimum ? 'PASS' : 'FAIL'
+    });
+  }
+
+  if (criterion.criticalRange) {
+    const [low, high] = criterion.criticalRange;
+    const excited = modes.filter(m => m.frequency >= low && m.frequency <= high);
+    if (excited.length > 0) {
+      warnings.push(`Mode ${excited.map(m => m.mode).join(', ')} lies in the ${low}–${high} Hz pacing range; verify pedestrian comfort (deck acceleration).`);
+    }
+  }
+
+  return { checks, warnings };
+}
+
+/**
+ * Natural frequencies, mode shapes and vibration serviceability of a beam
+ * @param {BeamAnalyzer} analyzer - Beam with its supports and stiffness set
+ * @param {Object} options - Mass inputs of calculateBeamMass plus { modes, use, operatingFrequency }
+ * @returns {Object} Mass breakdown, modes, checks, isSafe and warnings
+ */
+export function analyzeBeamVibration(analyzer, options = {}) {
+  const { modes = 3, use = VIBRATION_USES.FOOTBRIDGE.id, operatingFrequency = 0 } = options;
+  const mass = calculateBeamMass(options);
+  const modal = analyzer.calculateNaturalFrequencies({ massPerLength: mass.total, modes });
+  const { checks, warnings } = checkVibrationServiceability(modal.modes, use, operatingFrequency);
+
+  return {
+    mass,
+    x: modal.x,
+    modes: modal.modes,
+    use,
+    checks,
+    isSafe: checks.every(c => c.status === 'PASS'),
+    warnings
+  };
+}
+
+/**
+ * Get occupancy type options for UI
+ */
+export function getVibrationUseOptions() {
+  return Object.values(VIBRATION_USES).map(u => ({ value: u.id, label: u.label }));
+}
+
+export default {
+  VIBRATION_USES,
+  MATERIAL_DENSITIES,
+  calculateBeamMass,
+  checkVibrationServiceability,
+  analyzeBeamVibration,
+  getVibrationUseOptions
+};
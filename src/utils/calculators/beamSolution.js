@@ -0,0 +1,516 @@
+/**
+ * Beam Solution Trace Module
+ * Worked hand solution of a beam analysis: load resultants, determinacy,
+ * compatibility equations of the force method (consistent deformations)
+ * for indeterminate beams, equilibrium equations for the reactions and the
+ * key shear force and bending moment ordinates
+ *
+ * Steps have the same shape as the design steps of the concrete and RC
+ * modules: { step, title, formula, calculation, result, unit, reference }
+ *
+ * Sign convention: loads downward and reactions upward positive, applied
+ * moments and reaction couples clockwise positive, sagging moment positive
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { solveLinearSystem, roundTo } from '../math/solver.js';
+import { BeamAnalyzer, WinklerBeamAnalyzer, SUPPORT_TYPES, SUPPORT_CONDITIONS } from './structural.js';
+
+// Two positions closer than this are the same point (m)
+const POSITION_TOLERANCE = 1e-9;
+
+// Distance either side of a point at which the shear just left and right is taken (m)
+const SIDE_OFFSET = 1e-7;
+
+// Output intervals of the primary structures; only their nodal displacements are used
+const PRIMARY_SEGMENTS = 10;
+
+// Left and right ordinates closer than this are shown as one value
+const ORDINATE_TOLERANCE = 1e-3;
+
+// Bisection steps when locating a point of zero shear
+const BISECTION_STEPS = 60;
+
+const fmt = (value, digits = 3) => `${roundTo(value, digits) + 0}`;
+const product = (a, b) => `${fmt(Math.abs(a))}×${fmt(Math.abs(b))}`;
+const sci = (value) => value.toExponential(4);
+
+/**
+ * Render a linear equation Σ terms = 0
+ * @param {Array} terms - Array of { coefficient, symbol } (unknowns) or { value, text } (known)
+ */
+function equationText(terms) {
+  const parts = terms
+    .filter(t => (t.symbol ? t.coefficient !== 0 : t.value !== 0))
+    .map(t => {
+      if (!t.symbol) return { negative: t.value < 0, text: t.text || fmt(Math.abs(t.value)) };
+      const size = Math.abs(t.coefficient);
+      return {
+        negative: t.coefficient < 0,
+        text: size === 1 ? t.symbol : `${t.symbol}×${fmt(size)}`
+      };
+    });
+  if (parts.length === 0) return '0 = 0';
+  return parts
+    .map((p, i) => (i === 0 ? `${p.negative ? '-' : ''}${p.text}` : `${p.negative ? ' - ' : ' + '}${p.text}`))
+    .join('') + ' = 0';
+}
+
+/**
+ * Short description of one load with its resultant
+ */
+function describeLoad(analyzer, load) {
+  switch (load.type) {
+    case 'point':
+      return `P = ${fmt(load.magnitude)} kN at x = ${fmt(load.position)} m`;
+    case 'moment':
+      return `M = ${fmt(load.magnitude)} kN·m (clockwise) at x = ${fmt(load.position)} m`;
+    case 'udl':
+    case 'uvl': {
+      const { W, firstMoment } = analyzer.getLoadResultant(load, load.start, load.end);
+      const intensity = load.type === 'uvl'
+        ? `${fmt(load.magnitude)} → ${fmt(load.endMagnitude)}`
+        : fmt(load.magnitude);
+      const centroid = W !== 0 ? ` at x̄ = ${fmt(firstMoment / W)} m` : '';
+      return `w = ${intensity} kN/m over ${fmt(load.start)}–${fmt(load.end)} m: W = ${fmt(W)} kN${centroid}`;
+    }
+    case 'thermal_gradient':
+      return `ΔT = ${fmt(load.magnitude)} °C (top - bottom) over ${fmt(load.start)}–${fmt(load.end)} m: κ0 = -α·ΔT/h = ${sci(-load.alpha * load.magnitude / load.depth)} 1/m, no resultant`;
+    case 'thermal_uniform':
+      return `ΔT = ${fmt(load.magnitude)} °C over ${fmt(load.start)}–${fmt(load.end)} m: no transverse load`;
+    default:
+      return load.type;
+  }
+}
+
+/**
+ * Shear and moment at x by statics from the reactions and loads to the left
+ * Same convention as BeamAnalyzer: reactions at the right end close the
+ * diagrams and are not summed
+ */
+function sectionForces(analyzer, reactions, x) {
+  let V = 0;
+  let M = 0;
+  for (const reaction of reactions) {
+    if (reaction.position < analyzer.span - POSITION_TOLERANCE && x >= reaction.position - POSITION_TOLERANCE) {
+      V += reaction.force;
+      M += reaction.force * (x - reaction.position) + reaction.moment;
+    }
+  }
+  for (const load of analyzer.loads) {
+    if (load.type === 'point' && x >= load.position) {
+      V -= load.magnitude;
+      M -= load.magnitude * (x - load.position);
+    } else if ((load.type === 'udl' || load.type === 'uvl') && x > load.start) {
+      const { W, firstMoment } = analyzer.getLoadResultant(load, load.start, x);
+      V -= W;
+      M -= W * x - firstMoment;
+    } else if (load.type === 'moment' && x >= load.position) {
+      M += load.magnitude;
+    }
+  }
+  return { V, M };
+}
+
+/**
+ * Loads and reactions of the part of the beam in [from, to] as moment
+ * terms about p (clockwise positive)
+ * @param {Array} symbols - Reaction symbols { force, moment } by support index
+ * @param {Set} known - Symbols whose values are substituted (the redundants)
+ */
+function momentTerms(analyzer, supports, reactions, symbols, known, p, from, to) {
+  const inPart = (x) => x >= from - POSITION_TOLERANCE && x <= to + POSITION_TOLERANCE;
+  const terms = [];
+  for (const load of analyzer.loads) {
+    if ((load.type === 'point' || load.type === 'moment') && inPart(load.position)) {
+      if (load.type === 'moment') {
+        terms.push({ value: load.magnitude });
+      } else if (Math.abs(load.position - p) > POSITION_TOLERANCE) {
+        const lever = load.position - p;
+        terms.push({ value: load.magnitude * lever, text: product(load.magnitude, lever) });
+      }
+    } else if (load.type === 'udl' || load.type === 'uvl') {
+      const { W, firstMoment } = analyzer.getLoadResultant(load, from, to);
+      if (W === 0) continue;
+      const lever = firstMoment / W - p;
+      terms.push({ value: W * lever, text: product(W, lever) });
+    }
+  }
+  supports.forEach((support, i) => {
+    if (!inPart(support.position)) return;
+    const lever = support.position - p;
+    if (Math.abs(lever) > POSITION_TOLERANCE) {
+      if (known.has(symbols[i].force)) {
+        const force = reactions[i].force;
+        terms.push({ value: -force * lever, text: product(force, lever) });
+      } else {
+        terms.push({ symbol: symbols[i].force, coefficient: -lever });
+      }
+    }
+    if (support.type === SUPPORT_CONDITIONS.FIXED) {
+      if (known.has(symbols[i].moment)) {
+        terms.push({ value: reactions[i].moment });
+      } else {
+        terms.push({ symbol: symbols[i].moment, coefficient: 1 });
+      }
+    }
+  });
+  return terms;
+}
+
+/**
+ * Redundants of the force method
+ * Fixed-end moments are released first (right to left), then interior
+ * vertical reactions, then end reactions, keeping each release that leaves
+ * the beam stable until it is statically determinate
+ * @returns {Object|null} { released: [{ index, kind }], primarySupports }
+ */
+function chooseRedundants(analyzer, supports, redundants) {
+  const state = supports.map(support => ({
+    keepForce: true,
+    keepMoment: support.type === SUPPORT_CONDITIONS.FIXED
+  }));
+  const layout = () => supports
+    .map((support, i) => ({ support, i }))
+    .filter(({ i }) => state[i].keepForce)
+    .map(({ support, i }) => ({
+      ...support,
+      type: state[i].keepMoment ? SUPPORT_CONDITIONS.FIXED
+        : support.type === SUPPORT_CONDITIONS.ROLLER ? SUPPORT_CONDITIONS.ROLLER : SUPPORT_CONDITIONS.PIN
+    }));
+
+  const last = supports.length - 1;
+  const interior = supports.map((_, i) => i).filter(i => i > 0 && i < last);
+  const candidates = [
+    ...supports.map((_, i) => i).reverse().filter(i => state[i].keepMoment).map(index => ({ index, kind: 'moment' })),
+    ...[...interior, last, 0].filter((i, k, list) => i >= 0 && list.indexOf(i) === k).map(index => ({ index, kind: 'force' }))
+  ];
+
+  const released = [];
+  let remaining = redundants;
+  for (const candidate of candidates) {
+    if (remaining === 0) break;
+    const entry = state[candidate.index];
+    if (candidate.kind === 'force' && entry.keepMoment) continue;
+
+    const previous = { ...entry };
+    if (candidate.kind === 'moment') entry.keepMoment = false;
+    else entry.keepForce = false;
+
+    const trialSupports = layout();
+    let determinacy = null;
+    if (trialSupports.length > 0) {
+      const trial = new BeamAnalyzer(analyzer.span, analyzer.E, analyzer.I, PRIMARY_SEGMENTS, SUPPORT_TYPES.CONTINUOUS);
+      trial.setSupports(trialSupports);
+      trial.setHinges(analyzer.hinges);
+      determinacy = trial.checkDeterminacy();
+    }
+    if (determinacy && determinacy.isStable && determinacy.redundants < remaining) {
+      released.push(candidate);
+      remaining = determinacy.redundants;
+    } else {
+      state[candidate.index] = previous;
+    }
+  }
+
+  return remaining === 0 ? { released, primarySupports: layout() } : null;
+}
+
+/**
+ * Displacements of the primary structure along the redundants
+ * @param {Array} loads - Loads on the primary structure
+ * @returns {number[]} Deflection (m, upward) at force redundants, rotation (rad, clockwise) at moment redundants
+ */
+function primaryDisplacements(analyzer, primarySupports, released, supports, loads) {
+  const primary = new BeamAnalyzer(analyzer.span, analyzer.E, analyzer.I, PRIMARY_SEGMENTS, SUPPORT_TYPES.CONTINUOUS);
+  primary.setSupports(primarySupports);
+  primary.stiffnessSegments = analyzer.stiffnessSegments.map(segment => ({ ...segment }));
+  primary.setHinges(analyzer.hinges);
+  // Zero loads put a node at every released support
+  primary.setLoads([
+    ...loads,
+    ...released.map(({ index }) => ({ type: 'point', magnitude: 0, position: supports[index].position }))
+  ]);
+  primary.calculateReactions();
+
+  const { displacements } = primary.stiffnessSolution;
+  return released.map(({ index, kind }) => {
+    const position = supports[index].position;
+    const node = displacements.reduce((best, d) => (Math.abs(d.x - position) < Math.abs(best.x - position) ? d : best));
+    return kind === 'force' ? node.v : -node.theta;
+  });
+}
+
+/**
+ * Worked solution steps for an analyzed beam
+ * @param {BeamAnalyzer} analyzer - Analyzer after analyze()
+ * @param {Object} results - Result of analyzer.analyze()
+ * @returns {Array} Array of { step, title, formula, calculation, result, unit, reference }
+ */
+export function buildSolutionSteps(analyzer, results) {
+  const steps = [];
+  const addStep = (step) => steps.push({ step: steps.length + 1, ...step });
+  const supports = results.supports;
+  const reactions = results.supportReactions;
+  const symbols = supports.map((_, i) => ({ force: `R${i + 1}`, moment: `M${i + 1}` }));
+  const describeReaction = (i, kind) =>
+    `${kind === 'moment' ? symbols[i].moment : symbols[i].force} at x = ${fmt(supports[i].position)} m`;
+
+  // Step 1: Load resultants
+  let totalLoad = 0;
+  for (const load of analyzer.loads) {
+    if (load.type === 'point') totalLoad += load.magnitude;
+    else if (load.type === 'udl' || load.type === 'uvl') totalLoad += analyzer.getLoadResultant(load, load.start, load.end).W;
+  }
+  addStep({
+    title: 'Load Resultants',
+    formula: 'W = ΣP + Σ∫w dx (downward positive)',
+    calculation: analyzer.loads.map(load => describeLoad(analyzer, load)).join('; '),
+    result: roundTo(totalLoad, 4),
+    unit: 'kN',
+    reference: 'Statics'
+  });
+
+  if (analyzer instanceof WinklerBeamAnalyzer) {
+    const { foundation } = results;
+    addStep({
+      title: 'Beam on Elastic Foundation',
+      formula: 'EI·d⁴y/dx⁴ + kf·y = w(x), kf = ks·B, λ = (kf / 4EI)^¼',
+      calculation: `kf = ${fmt(foundation.subgradeModulus)} × ${fmt(foundation.width)} = ${fmt(foundation.foundationModulus)} kN/m²; λ = ${foundation.lambda} 1/m, λL = ${foundation.lambdaL} (${foundation.behaviour}). The soil reaction is solved by the stiffness method`,
+      result: foundation.lambdaL,
+      unit: '',
+      reference: 'Hetényi, Beams on Elastic Foundation'
+    });
+    addStep({
+      title: 'Soil Pressure and Moment',
+      formula: 'p = -ks·y; M(x) from reactions, loads and the soil reaction',
+      calculation: `p max = ${results.maxValues.soilPressure} kPa at x = ${results.maxValues.soilPressurePosition} m; M max = ${results.maxValues.moment} kN·m at x = ${results.maxValues.momentPosition} m`,
+      result: results.maxValues.moment,
+      unit: 'kN·m',
+      reference: 'Winkler foundation model'
+    });
+    return steps;
+  }
+
+  // Step 2: Determinacy
+  const { determinacy } = results;
+  addStep({
+    title: 'Degree of Indeterminacy',
+    formula: 'D = r - h - 2 (r reaction components, h internal hinges)',
+    calculation: `r = ${determinacy.reactions}, h = ${determinacy.hinges}: D = ${determinacy.reactions} - ${determinacy.hinges} - 2 = ${determinacy.degree}. ${determinacy.classification}: ${determinacy.message}`,
+    result: determinacy.redundants,
+    unit: '',
+    reference: 'Statical determinacy of beams'
+  });
+
+  // Force method: compatibility of the redundants
+  const known = new Set();
+  if (determinacy.redundants > 0) {
+    const primary = chooseRedundants(analyzer, supports, determinacy.redundants);
+    if (!primary) {
+      addStep({
+        title: 'Compatibility',
+        formula: 'Σ fij·Xj + Δi0 = Δi',
+        calculation: 'No stable statically determinate primary structure was found; the reactions come from the stiffness solution',
+        result: '-',
+        unit: '',
+        reference: 'Method of consistent deformations'
+      });
+    } else {
+      const { released, primarySupports } = primary;
+      const labels = released.map(({ index, kind }) => (kind === 'moment' ? symbols[index].moment : symbols[index].force));
+      const displacementText = (value, kind) => (kind === 'force' ? `${fmt(value * 1000, 4)} mm` : `${sci(value)} rad`);
+
+      addStep({
+        title: 'Primary Structure',
+        formula: 'Release D redundants Xi to leave a stable, statically determinate beam',
+        calculation: `X = ${released.map(({ index, kind }) => describeReaction(index, kind)).join(', ')}. Primary supports: ${primarySupports.map(s => `${s.type} at ${fmt(s.position)} m`).join(', ')}`,
+        result: labels.join(', '),
+        unit: '',
+        reference: 'Method of consistent deformations'
+      });
+
+      const delta0 = primaryDisplacements(analyzer, primarySupports, released, supports, analyzer.loads);
+      addStep({
+        title: 'Primary Structure Displacements',
+        formula: 'Δi0 = deflection (up) or rotation (clockwise) along Xi under the applied loads',
+        calculation: released.map(({ kind }, i) => `Δ${i + 1}0 = ${displacementText(delta0[i], kind)}`).join(', '),
+        result: '',
+        unit: '',
+        reference: 'Elastic curve of the primary structure'
+      });
+
+      // Column j: displacements due to a unit redundant Xj
+      const columns = released.map(({ index, kind }) => primaryDisplacements(analyzer, primarySupports, released, supports, [
+        kind === 'force'
+          ? { type: 'point', magnitude: -1, position: supports[index].position }
+          : { type: 'moment', magnitude: 1, position: supports[index].position }
+      ]));
+      const f = released.map((_, i) => released.map((__, j) => columns[j][i]));
+      addStep({
+        title: 'Flexibility Coefficients',
+        formula: 'fij = displacement along Xi due to Xj = 1 on the primary structure (fij = fji)',
+        calculation: f.map((row, i) => row.map((value, j) => `f${i + 1}${j + 1} = ${sci(value)}`).join(', ')).join('; '),
+        result: '',
+        unit: 'm/kN, rad/kN·m',
+        reference: 'Maxwell reciprocal theorem'
+      });
+
+      // Prescribed movement and spring flexibility at each redundant
+      const target = released.map(({ index, kind }) =>
+        (kind === 'force' ? -supports[index].settlement / 1000 : supports[index].rotation));
+      const springFlexibility = released.map(({ index, kind }) => {
+        const k = kind === 'force' ? supports[index].spring : supports[index].rotationalSpring;
+        return k > 0 ? 1 / k : 0;
+      });
+      const A = f.map((row, i) => row.map((value, j) => value + (i === j ? springFlexibility[i] : 0)));
+      const X = solveLinearSystem(A, target.map((value, i) => value - delta0[i]));
+      labels.forEach(label => known.add(label));
+
+      const equations = released.map((_, i) => {
+        const left = A[i].map((value, j) => `(${sci(value)})·${labels[j]}`).join(' + ');
+        return `${left} + (${sci(delta0[i])}) = ${fmt(target[i], 6)}`;
+      });
+      addStep({
+        title: 'Compatibility Equations',
+        formula: 'Σ fij·Xj + Δi0 = Δi (Δi prescribed movement; springs add 1/k to fii)',
+        calculation: `${equations.join('; ')} → ${labels.map((label, i) => `${label} = ${fmt(X[i], 4)}`).join(', ')}`,
+        result: labels.map((label, i) => `${label} = ${fmt(X[i], 4)}`).join(', '),
+        unit: '',
+        reference: 'Method of consistent deformations'
+      });
+    }
+  }
+
+  // Equilibrium equations: hinges (right-hand parts), moments about the first support, vertical forces
+  const valueOf = (symbol) => {
+    const i = symbols.findIndex(s => s.force === symbol || s.moment === symbol);
+    return symbols[i].force === symbol ? reactions[i].force : reactions[i].moment;
+  };
+  const equations = [
+    ...[...analyzer.hinges].reverse().map(position => ({
+      title: `Hinge at x = ${fmt(position)} m`,
+      formula: 'M = 0 at the hinge: ΣM of the part to its right about the hinge = 0 (clockwise positive)',
+      terms: momentTerms(analyzer, supports, reactions, symbols, known, position, position + POSITION_TOLERANCE * 10, analyzer.span)
+    })),
+    {
+      title: `Moment Equilibrium about x = ${fmt(supports[0].position)} m`,
+      formula: 'ΣM = Σ W·(x - a) + ΣM0 - Σ R·(x - a) + ΣMr = 0 (clockwise positive)',
+      terms: momentTerms(analyzer, supports, reactions, symbols, known, supports[0].position, 0, analyzer.span)
+    },
+    {
+      title: 'Vertical Equilibrium',
+      formula: 'ΣFy = ΣR - ΣW = 0',
+      terms: [
+        ...supports.map((_, i) => (known.has(symbols[i].force)
+          ? { value: reactions[i].force }
+          : { symbol: symbols[i].force, coefficient: 1 })),
+        { value: -totalLoad }
+      ]
+    }
+  ];
+
+  // Present the equations in the order a hand solution takes: one new unknown at a time
+  const solved = new Set(known);
+  const pending = [...equations];
+  while (pending.length > 0) {
+    const unknownsOf = (eq) => [...new Set(eq.terms.filter(t => t.symbol && t.coefficient !== 0).map(t => t.symbol))]
+      .filter(symbol => !solved.has(symbol));
+    let k = pending.findIndex(eq => unknownsOf(eq).length === 1);
+    if (k < 0) k = 0;
+    const [eq] = pending.splice(k, 1);
+    const unknowns = unknownsOf(eq);
+    unknowns.forEach(symbol => solved.add(symbol));
+    const answer = unknowns.map(symbol => `${symbol} = ${fmt(valueOf(symbol), 4)}`).join(', ');
+    addStep({
+      title: eq.title,
+      formula: eq.formula,
+      calculation: `${equationText(eq.terms)}${answer ? ` → ${answer}` : ' (check)'}`,
+      result: unknowns.length === 1 ? roundTo(valueOf(unknowns[0]), 4) : answer || 'OK',
+      unit: unknowns.length === 1 ? (unknowns[0].startsWith('M') ? 'kN·m' : 'kN') : '',
+      reference: unknowns.length > 1 ? 'Solved simultaneously with the remaining equations' : 'Static equilibrium'
+    });
+  }
+
+  // Key ordinates at the ends, supports, hinges and load discontinuities
+  const points = [0, analyzer.span, ...analyzer.hinges, ...supports.map(s => s.position)];
+  for (const load of analyzer.loads) {
+    if (load.type === 'point' || load.type === 'moment') points.push(load.position);
+    else if (load.type === 'udl' || load.type === 'uvl') points.push(load.start, load.end);
+  }
+  const keyPoints = points
+    .filter(x => x >= 0 && x <= analyzer.span)
+    .sort((a, b) => a - b)
+    .filter((x, i, list) => i === 0 || x - list[i - 1] > POSITION_TOLERANCE);
+  const at = (x) => sectionForces(analyzer, reactions, x);
+  const sides = keyPoints.map(x => ({
+    x,
+    left: x > 0 ? at(x - SIDE_OFFSET) : null,
+    right: x < analyzer.span ? at(x) : null
+  }));
+  const ordinate = (left, right, key, unit) => {
+    if (!left) return `${fmt(right[key])} ${unit}`;
+    if (!right || Math.abs(left[key] - right[key]) < ORDINATE_TOLERANCE) return `${fmt(left[key])} ${unit}`;
+    return `${fmt(left[key])} | ${fmt(right[key])} ${unit}`;
+  };
+
+  addStep({
+    title: 'Shear Force Ordinates',
+    formula: 'V(x) = Σ reactions - Σ loads to the left of x (left | right of a point)',
+    calculation: sides.map(s => `x = ${fmt(s.x)} m: ${ordinate(s.left, s.right, 'V', 'kN')}`).join('; '),
+    result: results.maxValues.shear,
+    unit: 'kN',
+    reference: 'Method of sections'
+  });
+
+  // Zero shear between key points gives a local moment peak
+  const peaks = [];
+  for (let i = 0; i < sides.length - 1; i++) {
+    let a = sides[i].x;
+    let b = sides[i + 1].x - SIDE_OFFSET;
+    const Va = sides[i].right.V;
+    if (Va * at(b).V >= 0 || Math.abs(Va) < 1e-9) continue;
+    for (let n = 0; n < BISECTION_STEPS; n++) {
+      const mid = (a + b) / 2;
+      if (at(mid).V * Va > 0) a = mid;
+      else b = mid;
+    }
+    const x = (a + b) / 2;
+    peaks.push(`V = 0 at x = ${fmt(x)} m: M = ${fmt(at(x).M)} kN·m`);
+  }
+
+  addStep({
+    title: 'Bending Moment Ordinates',
+    formula: 'M(x) = Σ R·(x - xR) + ΣMr - Σ W·(x - xW) + ΣM0 to the left of x (sagging positive)',
+    calculation: [
+      ...sides.map(s => `x = ${fmt(s.x)} m: ${ordinate(s.left, s.right, 'M', 'kN·m')}`),
+      ...peaks
+    ].join('; '),
+    result: results.maxValues.moment,
+    unit: 'kN·m',
+    reference: 'Method of sections'
+  });
+
+  const thermal = analyzer.loads.some(load => load.type === 'thermal_gradient');
+  const conditions = [
+    'y = 0 at rigid supports',
+    ...(supports.some(s => s.type === SUPPORT_CONDITIONS.FIXED) ? ['dy/dx = 0 at fixed supports'] : []),
+    ...(results.properties.supportMovement ? ['prescribed settlement or spring deflection at elastic supports'] : []),
+    ...(analyzer.hinges.length > 0 ? ['slope free to jump at hinges'] : [])
+  ];
+  addStep({
+    title: 'Deflection',
+    formula: thermal ? 'd²y/dx² = M(x) / EI + κ0(x)' : 'EI·d²y/dx² = M(x)',
+    calculation: `${results.properties.variableStiffness ? 'EI varies along the beam' : `EI = ${fmt(analyzer.E * analyzer.I / 1000, 2)} kN·m²`}; ${conditions.join(', ')}; |y| max = ${results.maxValues.deflection} mm at x = ${results.maxValues.deflectionPosition} m`,
+    result: results.maxValues.deflection,
+    unit: 'mm',
+    reference: 'Double integration method'
+  });
+
+  return steps;
+}
+
+export default {
+  buildSolutionSteps
+};
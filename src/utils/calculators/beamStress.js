@@ -0,0 +1,195 @@
+/**
+ * Beam Stress Module
+ * Flexural (σ = M·y / I) and shear (τ = V·Q / I·b) stress distribution
+ * through the depth of a section, stress extremes along the span and
+ * allowable-stress checks
+ *
+ * Units: M in kN·m, V in kN, section in m, stresses in MPa
+ * Sign convention: sagging moment positive, tensile stress positive
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { linearInterpolate, roundTo } from '../math/solver.js';
+import { getSectionWidthAt, getSectionPortionAbove } from './structural.js';
+
+/**
+ * Default allowable stresses for E250 steel (IS 800:1984 working stress)
+ */
+export const DEFAULT_ALLOWABLE_STRESSES = {
+  bending: 165,   // 0.66 fy
+  shear: 100      // 0.4 fy
+};
+
+/**
+ * Depth levels (m from the bottom) at which stresses are evaluated
+ * Every vertex height is sampled just below and above so that width
+ * jumps, e.g. at a flange-web junction, appear in the shear diagram
+ */
+function stressLevels(outline, count) {
+  const ys = outline.flatMap(({ points }) => points.map(p => p[1]));
+  const bottom = Math.min(...ys);
+  const top = Math.max(...ys);
+  const gap = (top - bottom) * 1e-6;
+  const levels = Array.from({ length: count }, (_, i) => bottom + (top - bottom) * i / (count - 1));
+  for (const y of ys) levels.push(y - gap, y + gap);
+  return [...new Set(levels.filter(y => y >= bottom && y <= top))].sort((a, b) => a - b);
+}
+
+/**
+ * Width, first moment of area and Q/b through the depth (about the centroid)
+ */
+function sectionShearProfile(properties, count) {
+  const { outline, centroid } = properties;
+  return stressLevels(outline, count).map(y => {
+    const b = getSectionWidthAt(outline, y);
+    const { area, firstMoment } = getSectionPortionAbove(outline, y);
+    const Q = Math.max(firstMoment - area * centroid.y, 0);
+    return { y: y - centroid.y, b, Q, qOverB: b > 1e-12 ? Q / b : 0 };
+  });
+}
+
+/**
+ * Stress distribution through the depth for a given moment and shear
+ * @param {Object} properties - Result of calculateSectionProperties (with outline)
+ * @param {number} M - Bending moment (kN·m)
+ * @param {number} V - Shear force (kN)
+ * @param {number} levels - Number of evenly spaced depth levels
+ * @returns {Object} Levels from the centroid with σ and τ, and their extremes
+ */
+export function calculateSectionStresses(properties, M, V, levels = 101) {
+  if (!properties?.outline?.length) throw new Error('Stress analysis needs a defined cross section');
+  const I = properties.Ixx;
+  if (!(I > 0)) throw new Error('Moment of inertia must be greater than 0');
+
+  const profile = sectionShearProfile(properties, levels);
+  // kN·m × m / m⁴ = kPa; /1000 gives MPa
+  const bending = profile.map(p => -M * p.y / I / 1000);
+  const shear = profile.map(p => V * p.qOverB / I / 1000);
+
+  const peak = (values, pick) => {
+    let index = 0;
+    values.forEach((v, i) => { if (pick(v, values[index])) index = i; });
+    return { value: roundTo(values[index], 4), y: roundTo(profile[index].y, 4) };
+  };
+
+  return {
+    M,
+    V,
+    y: profile.map(p => roundTo(p.y, 6)),
+    width: profile.map(p => roundTo(p.b, 6)),
+    Q: profile.map(p => p.Q),
+    bending: bending.map(s => roundTo(s, 4)),
+    shear: shear.map(s => roundTo(s, 4)),
+    maxTension: peak(bending, (a, b) => a > b),
+    maxCompression: peak(bending, (a, b) => a < b),
+    maxShear: peak(shear.map(Math.abs), (a, b) => a > b)
+  };
+}
+
+/**
+ * Extreme fibre and peak shear stresses at every point along the span
+ * @param {Object} results - BeamAnalyzer.analyze() output
+ * @param {Object} properties - Result of calculateSectionProperties
+ * @returns {Object} Stress arrays along x and their maxima with positions
+ */
+export function calculateStressAlongSpan(results, properties, levels = 101) {
+  const I = properties.Ixx;
+  if (!(I > 0)) throw new Error('Moment of inertia must be greater than 0');
+  const ys = properties.outline.flatMap(({ points }) => points.map(p => p[1]));
+  const top = Math.max(...ys) - properties.centroid.y;
+  const bottom = Math.min(...ys) - properties.centroid.y;
+  const maxQOverB = Math.max(...sectionShearProfile(properties, levels).map(p => p.qOverB));
+
+  const topFibre = results.moment.map(M => -M * top / I / 1000);
+  const bottomFibre = results.moment.map(M => -M * bottom / I / 1000);
+  const shear = results.shear.map(V => Math.abs(V) * maxQOverB / I / 1000);
+
+  const extreme = (values, pick) => {
+    let index = 0;
+    values.forEach((v, i) => { if (pick(v, values[index])) index = i; });
+    return { value: roundTo(values[index], 4), x: roundTo(results.x[index], 4) };
+  };
+  const fibres = topFibre.map((t, i) => [t, bottomFibre[i]]);
+
+  return {
+    x: results.x,
+    topFibre,
+    bottomFibre,
+    shear,
+    maxTension: extreme(fibres.map(f => Math.max(...f)), (a, b) => a > b),
+    maxCompression: extreme(fibres.map(f => Math.min(...f)), (a, b) => a < b),
+    maxShear: extreme(shear, (a, b) => a > b)
+  };
+}
+
+/**
+ * Stresses at a chosen section and along the span with allowable-stress checks
+ * @param {Object} results - BeamAnalyzer.analyze() output
+ * @param {Object} properties - Result of calculateSectionProperties
+ * @param {Object} options - { position (m), allowableBending, allowableShear (MPa) }
+ * @returns {Object} Section distribution, span profile, checks and isSafe
+ */
+export function analyzeBeamStresses(results, properties, options = {}) {
+  const {
+    position = results.maxValues?.momentPosition ?? 0,
+    allowableBending = DEFAULT_ALLOWABLE_STRESSES.bending,
+    allowableShear = DEFAULT_ALLOWABLE_STRESSES.shear
+  } = options;
+  const span = results.properties?.span ?? results.x[results.x.length - 1];
+  if (position < 0 || position > span) throw new Error(`Position must be between 0 and ${span} m`);
+  if (!(allowableBending > 0) || !(allowableShear > 0)) throw new Error('Allowable stresses must be greater than 0');
+
+  const M = linearInterpolate(results.x, results.moment, position);
+  const V = linearInterpolate(results.x, results.shear, position);
+  const section = calculateSectionStresses(properties, M, V);
+  const alongSpan = calculateStressAlongSpan(results, properties);
+
+  const warnings = [];
+  if (properties.principal && Math.abs(properties.principal.angle) > 0.5) {
+    warnings.push(`Principal axes are inclined at ${properties.principal.angle}°; σ = My/I ignores unsymmetric bending.`);
+  }
+
+  const check = (name, location, demand, capacity) => {
+    const utilization = demand / capacity;
+    return {
+      name,
+      location,
+      demand: roundTo(demand, 3),
+      capacity: roundTo(capacity, 3),
+      unit: 'MPa',
+      utilization: roundTo(utilization, 3),
+      status: utilization <= 1 ? 'PASS' : 'FAIL'
+    };
+  };
+  const bendingPeak = Math.max(alongSpan.maxTension.value, -alongSpan.maxCompression.value);
+  const bendingAt = alongSpan.maxTension.value >= -alongSpan.maxCompression.value
+    ? alongSpan.maxTension.x : alongSpan.maxCompression.x;
+
+  const checks = [
+    check('Bending stress at section', `x = ${roundTo(position, 3)} m`,
+      Math.max(section.maxTension.value, -section.maxCompression.value), allowableBending),
+    check('Shear stress at section', `x = ${roundTo(position, 3)} m`, section.maxShear.value, allowableShear),
+    check('Max bending stress along span', `x = ${bendingAt} m`, bendingPeak, allowableBending),
+    check('Max shear stress along span', `x = ${alongSpan.maxShear.x} m`, alongSpan.maxShear.value, allowableShear)
+  ];
+
+  return {
+    position,
+    M: roundTo(M, 4),
+    V: roundTo(V, 4),
+    section,
+    alongSpan,
+    allowable: { bending: allowableBending, shear: allowableShear },
+    checks,
+    isSafe: checks.every(c => c.status === 'PASS'),
+    warnings
+  };
+}
+
+export default {
+  calculateSectionStresses,
+  calculateStressAlongSpan,
+  analyzeBeamStresses,
+  DEFAULT_ALLOWABLE_STRESSES
+};
@@ -77,7 +77,7 @@ const SPECIFIC_GRAVITY = {
 /**
  * Concrete grades with characteristic strength
  */
-const CONCRETE_GRADES = {
+export const CONCRETE_GRADES = {
   'M10': 10, 'M15': 15, 'M20': 20, 'M25': 25,
   'M30': 30, 'M35': 35, 'M40': 40, 'M45': 45, 'M50': 50,
   'M55': 55, 'M60': 60, 'M65': 65, 'M70': 70, 'M75': 75, 'M80': 80
@@ -0,0 +1,552 @@
+/**
+ * Plane Frame Analysis Module
+ * Direct Stiffness Method for 2D rigid-jointed frames
+ * Supports: member end releases, nodal loads and member loads
+ *
+ * Global axes: X to the right, Y upward, moments counter-clockwise positive
+ * Units: kN, m, GPa (E), m² (A), m⁴ (I)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { linspace, zeros, solveLinearSystem, findMaxAbs, roundTo } from '../math/solver.js';
+
+/**
+ * Frame Support Types Enum
+ */
+export const FRAME_SUPPORT_TYPES = {
+  FIXED: 'fixed',
+  PIN: 'pin',
+  ROLLER: 'roller',       // Restrains Y translation only
+  ROLLER_X: 'roller_x'    // Restrains X translation only
+};
+
+/**
+ * Member load directions
+ * Positive magnitude acts: local - towards the member's local -y (downward on a
+ * left-to-right member), gravity - downward (-Y), lateral - to the right (+X)
+ * Distributed loads are per metre of member length
+ */
+export const MEMBER_LOAD_DIRECTIONS = {
+  LOCAL: 'local',
+  GRAVITY: 'gravity',
+  LATERAL: 'lateral'
+};
+
+// Restrained DOFs [ux, uy, rz] for each support type
+const SUPPORT_RESTRAINTS = {
+  [FRAME_SUPPORT_TYPES.FIXED]: [true, true, true],
+  [FRAME_SUPPORT_TYPES.PIN]: [true, true, false],
+  [FRAME_SUPPORT_TYPES.ROLLER]: [false, true, false],
+  [FRAME_SUPPORT_TYPES.ROLLER_X]: [true, false, false]
+};
+
+/**
+ * Local stiffness matrix of a plane frame member
+ * DOFs: [u1, v1, θ1, u2, v2, θ2]
+ */
+function frameMemberStiffness(EA, EI, L) {
+  const a = EA / L;
+  const b = 12 * EI / (L * L * L);
+  const c = 6 * EI / (L * L);
+  const d = 4 * EI / L;
+  const e = 2 * EI / L;
+  return [
+    [a, 0, 0, -a, 0, 0],
+    [0, b, c, 0, -b, c],
+    [0, c, d, 0, -c, e],
+    [-a, 0, 0, a, 0, 0],
+    [0, -b, -c, 0, b, -c],
+    [0, c, e, 0, -c, d]
+  ];
+}
+
+/**
+ * Transformation matrix from global to local member axes
+ */
+function transformationMatrix(c, s) {
+  const T = Array.from({ length: 6 }, () => zeros(6));
+  for (const k of [0, 3]) {
+    T[k][k] = c;
+    T[k][k + 1] = s;
+    T[k + 1][k] = -s;
+    T[k + 1][k + 1] = c;
+    T[k + 2][k + 2] = 1;
+  }
+  return T;
+}
+
+function multiply(A, B) {
+  return A.map(row => B[0].map((_, j) => row.reduce((sum, a, k) => sum + a * B[k][j], 0)));
+}
+
+function multiplyVector(A, v) {
+  return A.map(row => row.reduce((sum, a, k) => sum + a * v[k], 0));
+}
+
+function transpose(A) {
+  return A[0].map((_, j) => A.map(row => row[j]));
+}
+
+/**
+ * Statically condense released DOFs out of a member stiffness and load vector
+ * Released DOFs keep zero rows and columns
+ */
+function condenseReleases(k, f, released) {
+  if (released.length === 0) return { k, f };
+
+  const kept = [0, 1, 2, 3, 4, 5].filter(i => !released.includes(i));
+  const Krr = released.map(i => released.map(j => k[i][j]));
+  const kc = k.map(row => [...row]);
+  const fc = [...f];
+
+  // k* = kcc - kcr·krr⁻¹·krc,  f* = fc - kcr·krr⁻¹·fr
+  const KrrInvKrc = kept.map(j => solveLinearSystem(Krr, released.map(i => k[i][j])));
+  const KrrInvFr = solveLinearSystem(Krr, released.map(i => f[i]));
+
+  for (const i of kept) {
+    kept.forEach((j, jj) => {
+      kc[i][j] -= released.reduce((sum, r, rr) => sum + k[i][r] * KrrInvKrc[jj][rr], 0);
+    });
+    fc[i] -= released.reduce((sum, r, rr) => sum + k[i][r] * KrrInvFr[rr], 0);
+  }
+  for (const r of released) {
+    for (let j = 0; j < 6; j++) {
+      kc[r][j] = 0;
+      kc[j][r] = 0;
+    }
+    fc[r] = 0;
+  }
+
+  return { k: kc, f: fc };
+}
+
+/**
+ * FrameAnalyzer Class
+ * Assembles member stiffness matrices, solves nodal displacements and
+ * recovers reactions, member end forces and N/V/M diagrams
+ */
+export class FrameAnalyzer {
+  constructor(segments = 50) {
+    this.segments = segments; // Diagram points per member
+    this.nodes = [];
+    this.members = [];
+    this.supports = [];
+    this.nodalLoads = [];
+    this.memberLoads = [];
+  }
+
+  /**
+   * Set nodes
+   * @param {Array} nodes - Array of { id, x, y }
+   */
+  setNodes(nodes) {
+    this.nodes = (nodes || []).map(node => ({
+      id: node.id,
+      x: parseFloat(node.x) || 0,
+      y: parseFloat(node.y) || 0
+    }));
+  }
+
+  /**
+   * Set members
+   * @param {Array} members - Array of { id, start, end, E (GPa), A (m²), I (m⁴), releaseStart, releaseEnd }
+   */
+  setMembers(members) {
+    this.members = (members || []).map(member => ({
+      id: member.id,
+      start: member.start,
+      end: member.end,
+      E: parseFloat(member.E) || 200,
+      A: parseFloat(member.A) || 0.01,
+      I: parseFloat(member.I) || 1e-4,
+      releaseStart: Boolean(member.releaseStart),
+      releaseEnd: Boolean(member.releaseEnd)
+    }));
+  }
+
+  /**
+   * Set supports
+   * @param {Array} supports - Array of { node, type } with type from FRAME_SUPPORT_TYPES
+   */
+  setSupports(supports) {
+    this.supports = (supports || []).map(support => ({
+      node: support.node,
+      type: support.type || FRAME_SUPPORT_TYPES.FIXED
+    }));
+  }
+
+  /**
+   * Set nodal loads
+   * @param {Array} loads - Array of { node, Fx, Fy, M } in global axes (kN, kN·m)
+   */
+  setNodalLoads(loads) {
+    this.nodalLoads = (loads || []).map(load => ({
+      node: load.node,
+      Fx: parseFloat(load.Fx) || 0,
+      Fy: parseFloat(load.Fy) || 0,
+      M: parseFloat(load.M) || 0
+    }));
+  }
+
+  /**
+   * Set member loads
+   * @param {Array} loads - Array of { member, type: 'udl' | 'point', magnitude, position, direction }
+   * position is measured from the member start node (point loads only)
+   */
+  setMemberLoads(loads) {
+    this.memberLoads = (loads || []).map(load => ({
+      member: load.member,
+      type: load.type || 'udl',
+      magnitude: parseFloat(load.magnitude) || 0,
+      position: parseFloat(load.position) || 0,
+      direction: load.direction || MEMBER_LOAD_DIRECTIONS.GRAVITY
+    }));
+  }
+
+  /**
+   * Find node index by id
+   */
+  nodeIndex(id) {
+    const index = this.nodes.findIndex(node => String(node.id) === String(id));
+    if (index < 0) {
+      throw new Error(`Node ${id} does not exist`);
+    }
+    return index;
+  }
+
+  /**
+   * Member geometry: length and direction cosines
+   */
+  memberGeometry(member) {
+    const n1 = this.nodes[this.nodeIndex(member.start)];
+    const n2 = this.nodes[this.nodeIndex(member.end)];
+    const dx = n2.x - n1.x;
+    const dy = n2.y - n1.y;
+    const L = Math.sqrt(dx * dx + dy * dy);
+    if (L === 0) {
+      throw new Error(`Member ${member.id} has zero length`);
+    }
+    return { L, c: dx / L, s: dy / L, angle: Math.atan2(dy, dx) * 180 / Math.PI };
+  }
+
+  /**
+   * Resolve a member load into local components (wx along axis, wy along local +y)
+   */
+  localLoadComponents(load, c, s) {
+    const P = load.magnitude;
+    switch (load.direction) {
+      case MEMBER_LOAD_DIRECTIONS.LOCAL:
+        return { px: 0, py: -P };
+      case MEMBER_LOAD_DIRECTIONS.LATERAL:
+        // Global (P, 0) rotated into member axes
+        return { px: P * c, py: -P * s };
+      default:
+        // Gravity: global (0, -P) rotated into member axes
+        return { px: -P * s, py: -P * c };
+    }
+  }
+
+  /**
+   * Equivalent nodal loads of all loads on a member, in local axes
+   */
+  memberEquivalentLoads(member, L, c, s) {
+    const f = zeros(6);
+
+    for (const load of this.memberLoads) {
+      if (String(load.member) !== String(member.id)) continue;
+      const { px, py } = this.localLoadComponents(load, c, s);
+
+      if (load.type === 'point') {
+        const a = Math.min(Math.max(load.position, 0), L);
+        const b = L - a;
+        f[0] += px * b / L;
+        f[3] += px * a / L;
+        f[1] += py * b * b * (3 * a + b) / (L * L * L);
+        f[2] += py * a * b * b / (L * L);
+        f[4] += py * a * a * (a + 3 * b) / (L * L * L);
+        f[5] -= py * a * a * b / (L * L);
+      } else {
+        f[0] += px * L / 2;
+        f[3] += px * L / 2;
+        f[1] += py * L / 2;
+        f[2] += py * L * L / 12;
+        f[4] += py * L / 2;
+        f[5] -= py * L * L / 12;
+      }
+    }
+
+    return f;
+  }
+
+  /**
+   * Local stiffness and equivalent loads of a member with its end releases applied
+   */
+  memberLocalSystem(member) {
+    const { L, c, s } = this.memberGeometry(member);
+    const EA = member.E * 1e6 * member.A;   // GPa → kN/m²
+    const EI = member.E * 1e6 * member.I;
+    const k = frameMemberStiffness(EA, EI, L);
+    const f = this.memberEquivalentLoads(member, L, c, s);
+
+    const released = [];
+    if (member.releaseStart) released.push(2);
+    if (member.releaseEnd) released.push(5);
+
+    return { L, c, s, ...condenseReleases(k, f, released) };
+  }
+
+  /**
+   * Internal force diagrams along a member from its start end forces
+   * Axial: tension positive; Shear and Moment: beam convention viewed from the start node
+   */
+  memberDiagrams(member, L, c, s, endForces) {
+    const x = linspace(0, L, this.segments + 1);
+    const axial = zeros(x.length);
+    const shear = zeros(x.length);
+    const moment = zeros(x.length);
+    const loads = this.memberLoads
+      .filter(load => String(load.member) === String(member.id))
+      .map(load => ({ ...load, ...this.localLoadComponents(load, c, s) }));
+
+    for (let i = 0; i < x.length; i++) {
+      const xi = x[i];
+      let N = -endForces[0];
+      let V = endForces[1];
+      let M = -endForces[2] + endForces[1] * xi;
+
+      for (const load of loads) {
+        if (load.type === 'point') {
+          if (xi >= load.position) {
+            N -= load.px;
+            V += load.py;
+            M += load.py * (xi - load.position);
+          }
+        } else {
+          N -= load.px * xi;
+          V += load.py * xi;
+          M += load.py * xi * xi / 2;
+        }
+      }
+
+      axial[i] = N;
+      shear[i] = V;
+      moment[i] = M;
+    }
+
+    return { x, axial, shear, moment };
+  }
+
+  /**
+   * Run complete analysis
+   * @returns {Object} Displacements, reactions and member results
+   */
+  analyze() {
+    if (this.nodes.length < 2) throw new Error('Frame needs at least two nodes');
+    if (this.members.length === 0) throw new Error('Frame needs at least one member');
+    if (this.supports.length === 0) throw new Error('Frame needs at least one support');
+
+    const nDof = 3 * this.nodes.length;
+    const K = Array.from({ length: nDof }, () => zeros(nDof));
+    const F = zeros(nDof);
+    const memberSystems = [];
+
+    // Assemble global stiffness and member load vector
+    for (const member of this.members) {
+      const system = this.memberLocalSystem(member);
+      const T = transformationMatrix(system.c, system.s);
+      const Tt = transpose(T);
+      const kGlobal = multiply(multiply(Tt, system.k), T);
+      const fGlobal = multiplyVector(Tt, system.f);
+      const i1 = this.nodeIndex(member.start);
+      const i2 = this.nodeIndex(member.end);
+      const dofs = [3 * i1, 3 * i1 + 1, 3 * i1 + 2, 3 * i2, 3 * i2 + 1, 3 * i2 + 2];
+
+      for (let i = 0; i < 6; i++) {
+        F[dofs[i]] += fGlobal[i];
+        for (let j = 0; j < 6; j++) {
+          K[dofs[i]][dofs[j]] += kGlobal[i][j];
+        }
+      }
+      memberSystems.push({ member, system, T, dofs });
+    }
+
+    // Nodal loads
+    for (const load of this.nodalLoads) {
+      const i = this.nodeIndex(load.node);
+      F[3 * i] += load.Fx;
+      F[3 * i + 1] += load.Fy;
+      F[3 * i + 2] += load.M;
+    }
+
+    // Boundary conditions
+    const restrained = new Set();
+    for (const support of this.supports) {
+      const i = this.nodeIndex(support.node);
+      const restraints = SUPPORT_RESTRAINTS[support.type] || SUPPORT_RESTRAINTS.fixed;
+      restraints.forEach((isRestrained, d) => {
+        if (isRestrained) restrained.add(3 * i + d);
+      });
+    }
+
+    // Rotations of nodes where every member is released carry no stiffness
+    const inactive = new Set();
+    for (let i = 0; i < this.nodes.length; i++) {
+      const d = 3 * i + 2;
+      if (!restrained.has(d) && K[d][d] === 0) inactive.add(d);
+    }
+
+    const free = [];
+    for (let d = 0; d < nDof; d++) {
+      if (!restrained.has(d) && !inactive.has(d)) free.push(d);
+    }
+
+    const u = zeros(nDof);
+    if (free.length > 0) {
+      let uf;
+      try {
+        uf = solveLinearSystem(free.map(i => free.map(j => K[i][j])), free.map(i => F[i]));
+      } catch (err) {
+        throw new Error('Frame is unstable: check supports and member releases');
+      }
+      free.forEach((d, i) => { u[d] = uf[i]; });
+    }
+
+    // Reactions: R = K·u - F at restrained DOFs
+    const reactions = this.supports.map(support => {
+      const i = this.nodeIndex(support.node);
+      const restraints = SUPPORT_RESTRAINTS[support.type] || SUPPORT_RESTRAINTS.fixed;
+      const component = (d) => {
+        if (!restraints[d]) return 0;
+        let r = -F[3 * i + d];
+        for (let j = 0; j < nDof; j++) r += K[3 * i + d][j] * u[j];
+        return roundTo(r, 4);
+      };
+      return { node: support.node, type: support.type, Rx: component(0), Ry: component(1), Mz: component(2) };
+    });
+
+    // Member end forces (local): f = k·T·u - f_eq
+    let maxAxial = { value: 0, member: null };
+    let maxShear = { value: 0, member: null };
+    let maxMoment = { value: 0, member: null };
+
+    const memberResults = memberSystems.map(({ member, system, T, dofs }) => {
+      const uLocal = multiplyVector(T, dofs.map(d => u[d]));
+      const kU = multiplyVector(system.k, uLocal);
+      const endForces = kU.map((value, i) => value - system.f[i]);
+      const diagrams = this.memberDiagrams(member, system.L, system.c, system.s, endForces);
+      const dx = system.L / this.segments;
+
+      const axialMax = findMaxAbs(diagrams.axial, dx);
+      const shearMax = findMaxAbs(diagrams.shear, dx);
+      const momentMax = findMaxAbs(diagrams.moment, dx);
+      if (axialMax.absMax > Math.abs(maxAxial.value)) maxAxial = { value: axialMax.max, member: member.id };
+      if (shearMax.absMax > Math.abs(maxShear.value)) maxShear = { value: shearMax.max, member: member.id };
+      if (momentMax.absMax > Math.abs(maxMoment.value)) maxMoment = { value: momentMax.max, member: member.id };
+
+      const last = diagrams.x.length - 1;
+      return {
+        id: member.id,
+        start: member.start,
+        end: member.end,
+        length: roundTo(system.L, 4),
+        angle: roundTo(Math.atan2(system.s, system.c) * 180 / Math.PI, 2),
+        endForces: endForces.map(f => roundTo(f, 4)),
+        startForces: {
+          N: roundTo(diagrams.axial[0], 4),
+          V: roundTo(diagrams.shear[0], 4),
+          M: roundTo(diagrams.moment[0], 4)
+        },
+        endForcesInternal: {
+          N: roundTo(diagrams.axial[last], 4),
+          V: roundTo(diagrams.shear[last], 4),
+          M: roundTo(diagrams.moment[last], 4)
+        },
+        maxValues: {
+          axial: roundTo(axialMax.max, 4),
+          shear: roundTo(shearMax.max, 4),
+          moment: roundTo(momentMax.max, 4),
+          momentPosition: roundTo(momentMax.position, 4)
+        },
+        diagrams
+      };
+    });
+
+    const displacements = this.nodes.map((node, i) => ({
+      node: node.id,
+      x: node.x,
+      y: node.y,
+      ux: roundTo(u[3 * i] * 1000, 4),       // mm
+      uy: roundTo(u[3 * i + 1] * 1000, 4),   // mm
+      rz: inactive.has(3 * i + 2) ? null : roundTo(u[3 * i + 2], 6) // rad
+    }));
+
+    const maxDisplacement = displacements.reduce((best, d) => {
+      const total = Math.sqrt(d.ux * d.ux + d.uy * d.uy);
+      return total > best.value ? { value: roundTo(total, 4), node: d.node } : best;
+    }, { value: 0, node: null });
+
+    return {
+      nodes: this.nodes,
+      members: memberResults,
+      supports: this.supports,
+      displacements,
+      reactions,
+      maxValues: {
+        axial: roundTo(maxAxial.value, 4),
+        axialMember: maxAxial.member,
+        shear: roundTo(maxShear.value, 4),
+        shearMember: maxShear.member,
+        moment: roundTo(maxMoment.value, 4),
+        momentMember: maxMoment.member,
+        displacement: maxDisplacement.value,
+        displacementNode: maxDisplacement.node
+      }
+    };
+  }
+}
+
+/**
+ * Quick frame analysis function
+ */
+export function analyzeFrame({ nodes, members, supports, nodalLoads = [], memberLoads = [] }) {
+  const analyzer = new FrameAnalyzer();
+  analyzer.setNodes(nodes);
+  analyzer.setMembers(members);
+  analyzer.setSupports(supports);
+  analyzer.setNodalLoads(nodalLoads);
+  analyzer.setMemberLoads(memberLoads);
+  return analyzer.analyze();
+}
+
+/**
+ * Get frame support options for UI
+ */
+export function getFrameSupportOptions() {
+  return [
+    { value: FRAME_SUPPORT_TYPES.FIXED, label: 'Fixed' },
+    { value: FRAME_SUPPORT_TYPES.PIN, label: 'Pin' },
+    { value: FRAME_SUPPORT_TYPES.ROLLER, label: 'Roller (vertical reaction)' },
+    { value: FRAME_SUPPORT_TYPES.ROLLER_X, label: 'Roller (horizontal reaction)' }
+  ];
+}
+
+/**
+ * Get member load direction options for UI
+ */
+export function getMemberLoadDirectionOptions() {
+  return [
+    { value: MEMBER_LOAD_DIRECTIONS.GRAVITY, label: 'Gravity (global -Y)' },
+    { value: MEMBER_LOAD_DIRECTIONS.LATERAL, label: 'Lateral (global +X)' },
+    { value: MEMBER_LOAD_DIRECTIONS.LOCAL, label: 'Perpendicular to member' }
+  ];
+}
+
+export default {
+  FrameAnalyzer,
+  FRAME_SUPPORT_TYPES,
+  MEMBER_LOAD_DIRECTIONS,
+  analyzeFrame,
+  getFrameSupportOptions,
+  getMemberLoadDirectionOptions
+};
@@ -1,11 +1,261 @@
 /**
  * Geotechnical Engineering Calculator Module
  * Bearing Capacity, Settlement, and Soil Analysis
+ * Each calculator takes one homogeneous soil, or a layered soil profile
+ * (see createSoilProfile) passed as `profile`
  * 
  * @author Concreate Club, IIT Indore
  */
 
-import { roundTo, newtonRaphsonNumerical } from '../math/solver.js';
+import { roundTo, newtonRaphsonNumerical, bisection } from '../math/solver.js';
+import { stressIncreaseAt, STRESS_LOAD_TYPES, STRESS_METHODS } from './stressDistribution.js';
+
+const UNIT_WEIGHT_WATER = 9.81; // γw (kN/m³)
+
+// Diameter of the soil cylinder drained by one vertical drain, per unit
+// drain spacing (de = factor × s)
+const DRAIN_INFLUENCE_FACTORS = {
+  triangular: 1.05,
+  square: 1.128
+};
+
+/**
+ * General bearing capacity methods
+ */
+export const BEARING_CAPACITY_METHODS = {
+  is6403: 'IS 6403:1981',
+  hansen: 'Hansen',
+  vesic: 'Vesic'
+};
+
+/**
+ * Properties of a new soil layer
+ * Unit weights in kN/m³ (γ above and γsat below the water table), c and Es
+ * in kPa, φ in degrees, thickness in m
+ */
+export const DEFAULT_SOIL_LAYER = {
+  name: '',
+  thickness: 3,
+  unitWeight: 18,
+  saturatedUnitWeight: 20,
+  cohesion: 0,
+  frictionAngle: 30,
+  compressionIndex: 0.3,
+  recompressionIndex: 0.06,
+  initialVoidRatio: 0.8,
+  elasticModulus: 25000,
+  poissonRatio: 0.3
+};
+
+/**
+ * Layered Soil Profile
+ * Layers are listed from the ground surface down; the last layer is taken to
+ * continue below its stated bottom. Depths are in m below ground level.
+ * @param {Object} params - { layers, waterTableDepth } (null for no water table)
+ * @returns {Object} { layers (with top/bottom), waterTableDepth, depth }
+ */
+export function createSoilProfile({ layers = [], waterTableDepth = null } = {}) {
+  if (layers.length === 0) throw new Error('The soil profile needs at least one layer');
+
+  let top = 0;
+  const normalized = layers.map((layer, index) => {
+    const values = { ...DEFAULT_SOIL_LAYER, ...layer };
+    const properties = {};
+    for (const key of Object.keys(DEFAULT_SOIL_LAYER)) {
+      if (key !== 'name') properties[key] = parseFloat(values[key]);
+    }
+    if (!(properties.thickness > 0)) {
+      throw new Error(`Layer ${index + 1} thickness must be greater than 0`);
+    }
+    if (!(properties.unitWeight > 0) || !(properties.saturatedUnitWeight > 0)) {
+      throw new Error(`Layer ${index + 1} unit weights must be greater than 0`);
+    }
+    const result = {
+      ...properties,
+      name: values.name || `Layer ${index + 1}`,
+      top,
+      bottom: top + properties.thickness
+    };
+    top = result.bottom;
+    return result;
+  });
+
+  const hw = waterTableDepth === null || waterTableDepth === '' ? null : parseFloat(waterTableDepth);
+  if (hw !== null && !(hw >= 0)) throw new Error('Water table depth must be 0 or more');
+
+  return { layers: normalized, waterTableDepth: hw, depth: top };
+}
+
+/**
+ * Layer containing a depth; a depth on a boundary belongs to the layer below
+ */
+export function soilLayerAt(profile, depth) {
+  const { layers } = profile;
+  return layers.find(layer => depth < layer.bottom) || layers[layers.length - 1];
+}
+
+/**
+ * Split a depth range at layer boundaries and the water table so that each
+ * piece has a single unit weight
+ * Soil below `saturatedFrom` (the top of the capillary zone) is saturated
+ */
+function profileSegments(profile, from, to, saturatedFrom = profile.waterTableDepth) {
+  const cuts = [from, to];
+  for (const layer of profile.layers) cuts.push(layer.top, layer.bottom);
+  if (profile.waterTableDepth !== null) cuts.push(profile.waterTableDepth, saturatedFrom);
+  const depths = [...new Set(cuts.filter(z => z >= from && z <= to))].sort((a, b) => a - b);
+
+  const segments = [];
+  for (let i = 0; i < depths.length - 1; i++) {
+    const mid = (depths[i] + depths[i + 1]) / 2;
+    segments.push({
+      top: depths[i],
+      bottom: depths[i + 1],
+      layer: soilLayerAt(profile, mid),
+      submerged: profile.waterTableDepth !== null && mid > profile.waterTableDepth,
+      saturated: profile.waterTableDepth !== null && mid > saturatedFrom
+    });
+  }
+  return segments;
+}
+
+/**
+ * Check capillary and artesian conditions against a profile
+ * @returns {Object} { capillaryRise, artesianHead, aquifer, surcharge } with numbers parsed
+ */
+function groundwaterConditions(profile, conditions) {
+  const { capillaryRise = 0, artesianHead = null, aquiferLayer = null, surcharge = 0 } = conditions;
+  const hc = parseFloat(capillaryRise) || 0;
+  if (hc < 0) throw new Error('Capillary rise must be 0 or more');
+
+  let aquifer = null;
+  if (artesianHead !== null && aquiferLayer !== null) {
+    aquifer = profile.layers[aquiferLayer];
+    if (!aquifer) throw new Error(`Layer ${aquiferLayer + 1} is not in the soil profile`);
+    if (aquiferLayer === 0) throw new Error('The artesian aquifer must lie below a confining layer');
+  }
+
+  return {
+    capillaryRise: profile.waterTableDepth === null ? 0 : Math.min(hc, profile.waterTableDepth),
+    artesianHead: aquifer ? parseFloat(artesianHead) : null,
+    aquifer,
+    confining: aquifer ? profile.layers[aquiferLayer - 1] : null,
+    surcharge: parseFloat(surcharge) || 0
+  };
+}
+
+/**
+ * Pore pressure at a depth
+ * Hydrostatic below the water table and negative (suction) in a saturated
+ * capillary zone; a confined aquifer carries the artesian head hp above
+ * ground, u = γw (z + hp), with steady seepage (linear u) through the
+ * confining layer above it
+ */
+function porePressureAt(profile, depth, water) {
+  const zw = profile.waterTableDepth;
+  const hydrostatic = (z) => {
+    if (zw === null || z < zw - water.capillaryRise) return 0;
+    return UNIT_WEIGHT_WATER * (z - zw);
+  };
+  if (!water.aquifer) return hydrostatic(depth);
+
+  const artesian = (z) => UNIT_WEIGHT_WATER * (z + water.artesianHead);
+  if (depth >= water.aquifer.top) return artesian(depth);
+  const { confining } = water;
+  if (depth >= confining.top) {
+    const t = (depth - confining.top) / confining.thickness;
+    return hydrostatic(confining.top) + t * (artesian(water.aquifer.top) - hydrostatic(confining.top));
+  }
+  return hydrostatic(depth);
+}
+
+/**
+ * Vertical stresses at a depth
+ * σv = q + Σ γ·h (γsat below the top of the capillary zone), σ'v = σv - u.
+ * Without conditions the water table is hydrostatic with no capillary rise.
+ * @param {Object} conditions - { capillaryRise (m), artesianHead (m above ground), aquiferLayer (index), surcharge (kPa) }
+ * @returns {Object} { total, porePressure, effective } in kPa
+ */
+export function verticalStressAt(profile, depth, conditions = {}) {
+  const water = groundwaterConditions(profile, conditions);
+  const saturatedFrom = profile.waterTableDepth === null ? null : profile.waterTableDepth - water.capillaryRise;
+  const total = profileSegments(profile, 0, depth, saturatedFrom).reduce((sum, segment) => (
+    sum + (segment.saturated ? segment.layer.saturatedUnitWeight : segment.layer.unitWeight) * (segment.bottom - segment.top)
+  ), water.surcharge);
+  const porePressure = porePressureAt(profile, depth, water);
+  return { total, porePressure, effective: total - porePressure };
+}
+
+/**
+ * Thickness-weighted soil properties over a depth range
+ * The unit weight is the effective value (γsat - γw below the water table)
+ */
+export function averageSoilProperties(profile, from, to) {
+  const segments = profileSegments(profile, from, to);
+  if (segments.length === 0) {
+    const layer = soilLayerAt(profile, from);
+    const submerged = profile.waterTableDepth !== null && from >= profile.waterTableDepth;
+    segments.push({ top: from, bottom: from + 1, layer, submerged });
+  }
+
+  const totals = { cohesion: 0, frictionAngle: 0, unitWeight: 0, elasticModulus: 0, poissonRatio: 0 };
+  let thickness = 0;
+  for (const { top, bottom, layer, submerged } of segments) {
+    const h = bottom - top;
+    totals.cohesion += layer.cohesion * h;
+    totals.frictionAngle += layer.frictionAngle * h;
+    totals.unitWeight += (submerged ? layer.saturatedUnitWeight - UNIT_WEIGHT_WATER : layer.unitWeight) * h;
+    totals.elasticModulus += layer.elasticModulus * h;
+    totals.poissonRatio += layer.poissonRatio * h;
+    thickness += h;
+  }
+
+  return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, value / thickness]));
+}
+
+/**
+ * Soil parameters for bearing capacity from a profile
+ * c, φ and γ' are averaged over a depth B below the base; the surcharge is
+ * the effective overburden at the founding level
+ */
+function bearingSoilParameters(profile, Df, B) {
+  const below = averageSoilProperties(profile, Df, Df + B);
+  return {
+    cohesion: below.cohesion,
+    frictionAngle: below.frictionAngle,
+    unitWeight: below.unitWeight,
+    overburden: verticalStressAt(profile, Df).effective
+  };
+}
+
+/**
+ * Inputs echoed in a result, without the profile data (returned separately)
+ */
+function withoutProfile(params) {
+  const inputs = { ...params };
+  delete inputs.profile;
+  delete inputs.insituConditions;
+  delete inputs.loadedArea;
+  delete inputs.timeRate;
+  return inputs;
+}
+
+/**
+ * Force and first moment about the top of a linearly varying pressure
+ * between depths z1 and z2, counting only the compressive (positive) part
+ */
+function linearPressureResultant(z1, p1, z2, p2) {
+  if (p1 <= 0 && p2 <= 0) return { force: 0, moment: 0 };
+  if (p1 < 0 || p2 < 0) {
+    const zr = z1 + (z2 - z1) * p1 / (p1 - p2);
+    return p1 < 0 ? linearPressureResultant(zr, 0, z2, p2) : linearPressureResultant(z1, p1, zr, 0);
+  }
+  const h = z2 - z1;
+  return {
+    force: (p1 + p2) / 2 * h,
+    moment: h / 6 * (p1 * (2 * z1 + z2) + p2 * (z1 + 2 * z2))
+  };
+}
 
 /**
  * Terzaghi's Bearing Capacity Theory
@@ -18,18 +268,23 @@ export function terzaghiBearingCapacity(params) {
     unitWeight = 18,         // γ (kN/m³)
     foundationDepth = 1,     // Df (m)
     foundationWidth = 2,     // B (m)
-    foundationType = 'strip' // strip, square, circular
+    foundationType = 'strip', // strip, square, circular
+    profile = null           // Layered soil profile (overrides c, φ, γ)
   } = params;
 
-  const phi = frictionAngle * Math.PI / 180; // Convert to radians
-  const c = parseFloat(cohesion);
-  const gamma = parseFloat(unitWeight);
   const Df = parseFloat(foundationDepth);
   const B = parseFloat(foundationWidth);
+  const soilProfile = profile ? createSoilProfile(profile) : null;
+  const soil = soilProfile ? bearingSoilParameters(soilProfile, Df, B) : null;
+  const phiDegrees = soil ? soil.frictionAngle : parseFloat(frictionAngle);
+  const phi = phiDegrees * Math.PI / 180; // Convert to radians
+  const c = soil ? soil.cohesion : parseFloat(cohesion);
+  const gamma = soil ? soil.unitWeight : parseFloat(unitWeight);
+  const q0 = soil ? soil.overburden : gamma * Df; // Surcharge at founding level
 
   // Terzaghi bearing capacity factors
   const Nq = Math.exp(Math.PI * Math.tan(phi)) * Math.pow(Math.tan(Math.PI / 4 + phi / 2), 2);
-  const Nc = (Nq - 1) / Math.tan(phi || 0.001); // Avoid division by zero
+  const Nc = phi > 0 ? (Nq - 1) / Math.tan(phi) : Math.PI + 2; // Limit for φ = 0
   const Ngamma = 2 * (Nq + 1) * Math.tan(phi);
 
   // Shape factors
@@ -53,7 +308,7 @@ export function terzaghiBearingCapacity(params) {
 
   // Ultimate bearing capacity
   const q_c = c * Nc * sc;
-  const q_q = gamma * Df * Nq * sq;
+  const q_q = q0 * Nq * sq;
   const q_gamma = 0.5 * gamma * B * Ngamma * sg;
   const qu = q_c + q_q + q_gamma;
 
@@ -62,7 +317,7 @@ export function terzaghiBearingCapacity(params) {
   const qs = qu / FOS;
 
   // Net ultimate bearing capacity
-  const qnu = qu - gamma * Df;
+  const qnu = qu - q0;
 
   return {
     bearingCapacityFactors: {
@@ -79,7 +334,16 @@ export function terzaghiBearingCapacity(params) {
     netUltimateBearingCapacity: roundTo(qnu, 4),
     safeBearingCapacity: roundTo(qs, 4),
     factorOfSafety: FOS,
-    inputs: { cohesion: c, frictionAngle, unitWeight: gamma, foundationDepth: Df, foundationWidth: B, foundationType }
+    soilProfile,
+    inputs: {
+      cohesion: roundTo(c, 4),
+      frictionAngle: roundTo(phiDegrees, 4),
+      unitWeight: roundTo(gamma, 4),
+      overburden: roundTo(q0, 4),
+      foundationDepth: Df,
+      foundationWidth: B,
+      foundationType
+    }
   };
 }
 
@@ -95,20 +359,25 @@ export function meyerhofBearingCapacity(params) {
     foundationDepth = 1,
     foundationWidth = 2,
     foundationLength = 4,
-    loadInclination = 0
+    loadInclination = 0,
+    profile = null
   } = params;
 
-  const phi = frictionAngle * Math.PI / 180;
-  const c = parseFloat(cohesion);
-  const gamma = parseFloat(unitWeight);
   const Df = parseFloat(foundationDepth);
   const B = parseFloat(foundationWidth);
   const L = parseFloat(foundationLength);
+  const soilProfile = profile ? createSoilProfile(profile) : null;
+  const soil = soilProfile ? bearingSoilParameters(soilProfile, Df, B) : null;
+  const phiDegrees = soil ? soil.frictionAngle : parseFloat(frictionAngle);
+  const phi = phiDegrees * Math.PI / 180;
+  const c = soil ? soil.cohesion : parseFloat(cohesion);
+  const gamma = soil ? soil.unitWeight : parseFloat(unitWeight);
+  const q0 = soil ? soil.overburden : gamma * Df;
   const alpha = loadInclination * Math.PI / 180;
 
   // Meyerhof bearing capacity factors
   const Nq = Math.exp(Math.PI * Math.tan(phi)) * Math.pow(Math.tan(Math.PI / 4 + phi / 2), 2);
-  const Nc = (Nq - 1) / Math.tan(phi || 0.001);
+  const Nc = phi > 0 ? (Nq - 1) / Math.tan(phi) : Math.PI + 2;
   const Ngamma = (Nq - 1) * Math.tan(1.4 * phi);
 
   // Shape factors
@@ -124,11 +393,11 @@ export function meyerhofBearingCapacity(params) {
   // Inclination factors
   const ic = Math.pow(1 - alpha / (Math.PI / 2), 2);
   const iq = ic;
-  const ig = Math.pow(1 - alpha / phi, 2);
+  const ig = phi > 0 ? Math.pow(Math.max(0, 1 - alpha / phi), 2) : 1;
 
   // Ultimate bearing capacity
   const qu = c * Nc * sc * dc * ic + 
-             gamma * Df * Nq * sq * dq * iq + 
+             q0 * Nq * sq * dq * iq + 
              0.5 * gamma * B * Ngamma * sg * dg * ig;
 
   return {
@@ -138,7 +407,295 @@ export function meyerhofBearingCapacity(params) {
     inclinationFactors: { ic: roundTo(ic, 4), iq: roundTo(iq, 4), ig: roundTo(ig, 4) },
     ultimateBearingCapacity: roundTo(qu, 4),
     safeBearingCapacity: roundTo(qu / 3, 4),
-    inputs: params
+    soilProfile,
+    inputs: soil
+      ? { ...withoutProfile(params), cohesion: roundTo(c, 4), frictionAngle: roundTo(phiDegrees, 4), unitWeight: roundTo(gamma, 4), overburden: roundTo(q0, 4) }
+      : params
+  };
+}
+
+/**
+ * Shape, depth, inclination, ground slope and base tilt factors of the
+ * general bearing capacity equation for one method
+ * Hansen and Vesic follow Bowles (Foundation Analysis and Design, Table
+ * 4-5); IS 6403 has no ground slope or base tilt factors
+ */
+function generalBearingFactors(method, soil, footing, load) {
+  const { c, phi } = soil;
+  const { type, B, Df, Bp, Lp, Ap } = footing;
+  const { H, V, beta, eta } = load;
+  const tanPhi = Math.tan(phi);
+
+  const Nq = Math.exp(Math.PI * tanPhi) * Math.pow(Math.tan(Math.PI / 4 + phi / 2), 2);
+  const Nc = phi > 0 ? (Nq - 1) / tanPhi : Math.PI + 2;
+  const Ngamma = method === 'hansen' ? 1.5 * (Nq - 1) * tanPhi : 2 * (Nq + 1) * tanPhi;
+  const ratio = type === 'strip' ? 0 : Bp / Lp;
+
+  if (method === 'is6403') {
+    const Nphi = Math.pow(Math.tan(Math.PI / 4 + phi / 2), 2);
+    const alphaDeg = Math.atan2(H, V) * 180 / Math.PI;
+    const phiDeg = phi * 180 / Math.PI;
+    let s;
+    if (type === 'strip') s = { c: 1, q: 1, gamma: 1 };
+    else if (type === 'circular') s = { c: 1.3, q: 1.2, gamma: 0.6 };
+    else if (type === 'square' && ratio === 1) s = { c: 1.3, q: 1.2, gamma: 0.8 };
+    else s = { c: 1 + 0.2 * ratio, q: 1 + 0.2 * ratio, gamma: 1 - 0.4 * ratio };
+
+    const dq = phiDeg < 10 ? 1 : 1 + 0.1 * (Df / B) * Math.sqrt(Nphi);
+    const iq = Math.pow(1 - alphaDeg / 90, 2);
+    let ig = 1;
+    if (alphaDeg > 0) ig = alphaDeg < phiDeg ? Math.pow(1 - alphaDeg / phiDeg, 2) : 0;
+
+    return {
+      N: { c: Nc, q: Nq, gamma: Ngamma },
+      s,
+      d: { c: 1 + 0.2 * (Df / B) * Math.sqrt(Nphi), q: dq, gamma: dq },
+      i: { c: iq, q: iq, gamma: ig },
+      g: { c: 1, q: 1, gamma: 1 },
+      b: { c: 1, q: 1, gamma: 1 }
+    };
+  }
+
+  // Hansen and Vesic
+  const k = Df / B <= 1 ? Df / B : Math.atan(Df / B);
+  const d = { c: 1 + 0.4 * k, q: 1 + 2 * tanPhi * Math.pow(1 - Math.sin(phi), 2) * k, gamma: 1 };
+  const sq = 1 + ratio * (method === 'hansen' ? Math.sin(phi) : tanPhi);
+  const s = { c: 1 + (Nq / Nc) * ratio, q: sq, gamma: Math.max(0.6, 1 - 0.4 * ratio) };
+
+  // H relative to V plus the adhesion on the effective area
+  const adhesion = phi > 0 ? Ap * c / tanPhi : 0;
+  const loadRatio = V + adhesion > 0 ? H / (V + adhesion) : 0;
+  const clamp = (x) => Math.max(0, x);
+
+  if (method === 'hansen') {
+    const etaDeg = eta * 180 / Math.PI;
+    const iq = Math.pow(clamp(1 - 0.5 * loadRatio), 5);
+    const ic = phi > 0
+      ? iq - (1 - iq) / (Nq - 1)
+      : 0.5 + 0.5 * Math.sqrt(clamp(1 - (c > 0 ? H / (Ap * c) : 0)));
+    const gq = Math.pow(clamp(1 - 0.5 * Math.tan(beta)), 5);
+    return {
+      N: { c: Nc, q: Nq, gamma: Ngamma },
+      s,
+      d,
+      i: { c: ic, q: iq, gamma: Math.pow(clamp(1 - (0.7 - etaDeg / 450) * loadRatio), 5) },
+      g: { c: 1 - (beta * 180 / Math.PI) / 147, q: gq, gamma: gq },
+      b: { c: 1 - etaDeg / 147, q: Math.exp(-2 * eta * tanPhi), gamma: Math.exp(-2.7 * eta * tanPhi) }
+    };
+  }
+
+  const m = (2 + ratio) / (1 + ratio);
+  const iq = Math.pow(clamp(1 - loadRatio), m);
+  const gq = Math.pow(clamp(1 - Math.tan(beta)), 2);
+  const bq = Math.pow(clamp(1 - eta * tanPhi), 2);
+  const cohesionFactor = (x, phiZero) => (phi > 0 ? x - (1 - x) / (Nc * tanPhi) : phiZero);
+  return {
+    N: { c: Nc, q: Nq, gamma: Ngamma },
+    s,
+    d,
+    i: { c: cohesionFactor(iq, 1 - (c > 0 ? (m * H) / (Ap * c * Nc) : 0)), q: iq, gamma: Math.pow(clamp(1 - loadRatio), m + 1) },
+    g: { c: cohesionFactor(gq, 1 - (2 * beta) / Nc), q: gq, gamma: gq },
+    b: { c: cohesionFactor(bq, 1 - (2 * eta) / Nc), q: bq, gamma: bq }
+  };
+}
+
+/**
+ * General Bearing Capacity (IS 6403:1981 / Hansen / Vesic)
+ * qu = c·Nc·sc·dc·ic·gc·bc + q·Nq·sq·dq·iq·gq·bq + 0.5·γ·B'·Nγ·sγ·dγ·iγ·gγ·bγ·W'
+ * Eccentric loads act on the effective footing B' = B - 2eB, L' = L - 2eL;
+ * the load is inclined at α from the vertical in the direction of B.
+ * A water table within B below the base reduces the self-weight term
+ * (W' for IS 6403, an interpolated effective γ for Hansen and Vesic) and
+ * one above the base reduces the surcharge. The result includes a
+ * comparison with Terzaghi and Meyerhof for the same footing.
+ */
+export function generalBearingCapacity(params) {
+  const {
+    method = 'is6403',
+    cohesion = 20,              // c (kPa)
+    frictionAngle = 30,         // φ (degrees)
+    unitWeight = 18,            // γ above the water table (kN/m³)
+    saturatedUnitWeight = 20,   // γsat below the water table (kN/m³)
+    waterTableDepth = null,     // Dw below ground (m), null when deep
+    foundationDepth = 1,        // Df (m)
+    foundationWidth = 2,        // B, or diameter for circular (m)
+    foundationLength = 3,       // L for rectangular (m)
+    foundationType = 'rectangular', // strip, square, rectangular, circular
+    verticalLoad = 600,         // V (kN, or kN/m for strip)
+    loadInclination = 0,        // α from the vertical (degrees)
+    eccentricityB = 0,          // eB (m)
+    eccentricityL = 0,          // eL (m)
+    groundSlope = 0,            // β (degrees)
+    baseTilt = 0,               // η (degrees)
+    factorOfSafety = 3,
+    profile = null              // Layered soil profile (overrides soil and water table)
+  } = params;
+
+  if (!BEARING_CAPACITY_METHODS[method]) throw new Error(`Unknown bearing capacity method: ${method}`);
+  if (!['strip', 'square', 'rectangular', 'circular'].includes(foundationType)) {
+    throw new Error(`Unknown foundation type: ${foundationType}`);
+  }
+
+  const Df = parseFloat(foundationDepth);
+  const B = parseFloat(foundationWidth);
+  const L = foundationType === 'rectangular' ? parseFloat(foundationLength) : B;
+  const V = parseFloat(verticalLoad);
+  const alpha = (parseFloat(loadInclination) || 0) * Math.PI / 180;
+  const beta = (parseFloat(groundSlope) || 0) * Math.PI / 180;
+  const eta = (parseFloat(baseTilt) || 0) * Math.PI / 180;
+  const eB = Math.abs(parseFloat(eccentricityB) || 0);
+  const eL = foundationType === 'strip' ? 0 : Math.abs(parseFloat(eccentricityL) || 0);
+  const FOS = parseFloat(factorOfSafety);
+  if (!(B > 0)) throw new Error('Foundation width must be greater than 0');
+  if (!(L >= B)) throw new Error('Foundation length must not be less than the width');
+  if (!(Df >= 0)) throw new Error('Foundation depth must not be negative');
+  if (!(V > 0)) throw new Error('Vertical load must be greater than 0');
+  if (!(FOS > 0)) throw new Error('Factor of safety must be greater than 0');
+
+  // Effective footing; an eccentric circle is replaced by the square of
+  // equal area
+  const warnings = [];
+  const side = foundationType === 'circular' && (eB > 0 || eL > 0) ? Math.sqrt(Math.PI / 4) * B : null;
+  const width = side ?? B;
+  const length = foundationType === 'strip' ? Infinity : side ?? L;
+  if (eB >= width / 2 || eL >= length / 2) throw new Error('The load must act within the middle of the footing (e < B/2)');
+  if (eB > width / 6 || eL > length / 6) warnings.push('Eccentricity exceeds the kern (e > B/6): part of the base is in tension.');
+  if (side) warnings.push(`The eccentric circular footing is taken as a square of equal area (side ${roundTo(side, 3)} m).`);
+  let Bp = width - 2 * eB;
+  let Lp = length - 2 * eL;
+  if (Lp < Bp) [Bp, Lp] = [Lp, Bp];
+  const Ap = foundationType === 'strip'
+    ? Bp
+    : foundationType === 'circular' && !side ? Math.PI * B * B / 4 : Bp * Lp;
+  const effectiveType = side ? 'square' : foundationType;
+
+  // Soil and groundwater
+  const soilProfile = profile ? createSoilProfile(profile) : null;
+  const soil = soilProfile ? bearingSoilParameters(soilProfile, Df, B) : null;
+  const phiDegrees = soil ? soil.frictionAngle : parseFloat(frictionAngle);
+  const phi = phiDegrees * Math.PI / 180;
+  const c = soil ? soil.cohesion : parseFloat(cohesion);
+  const gamma = soil ? soil.unitWeight : parseFloat(unitWeight);
+  const gammaSub = parseFloat(saturatedUnitWeight) - UNIT_WEIGHT_WATER;
+  const Dw = soil || waterTableDepth === null || waterTableDepth === '' ? null : parseFloat(waterTableDepth);
+  if (Dw !== null && !(Dw >= 0)) throw new Error('Water table depth must not be negative');
+  if (Dw !== null && !(gammaSub > 0)) throw new Error('Saturated unit weight must exceed that of water');
+
+  let q0;
+  if (soil) q0 = soil.overburden;
+  else if (Dw === null || Dw >= Df) q0 = gamma * Df;
+  else q0 = gamma * Dw + gammaSub * (Df - Dw);
+
+  // Share of the depth B below the base that is above the water table
+  const below = Dw === null ? 1 : Math.min(1, Math.max(0, (Dw - Df) / B));
+
+  if (phi > 0 && beta >= phi) throw new Error('Ground slope must be less than the friction angle');
+  if (method === 'is6403' && (beta > 0 || eta > 0)) {
+    warnings.push('IS 6403 gives no ground slope or base tilt factors; they are taken as 1.');
+  }
+
+  // qu by one method for this footing
+  const H = V * Math.tan(alpha);
+  const evaluate = (key) => {
+    const f = generalBearingFactors(key, { c, phi }, { type: effectiveType, B, Df, Bp, Lp, Ap }, { H, V, beta, eta });
+    const product = (term) => ['s', 'd', 'i', 'g', 'b'].reduce((acc, k) => acc * f[k][term], f.N[term]);
+    const W = key === 'is6403' ? 0.5 + 0.5 * below : 1;
+    const gammaBase = key === 'is6403' || Dw === null ? gamma : gammaSub + below * (gamma - gammaSub);
+    const qc = c * product('c');
+    const qq = q0 * product('q');
+    const qg = 0.5 * gammaBase * Bp * product('gamma') * W;
+    return { factors: f, W, gammaBase, qc, qq, qg, qu: qc + qq + qg };
+  };
+
+  const selected = evaluate(method);
+  const { factors, W, gammaBase, qc, qq, qg, qu } = selected;
+  const qnu = qu - q0;
+  const qs = qnu / FOS + q0;
+
+  const classicSoil = { cohesion: c, frictionAngle: phiDegrees, unitWeight: gamma, foundationDepth: Df, foundationWidth: B, profile };
+  const terzaghi = terzaghiBearingCapacity({
+    ...classicSoil,
+    foundationType: foundationType === 'rectangular' ? 'strip' : foundationType
+  });
+  const meyerhof = meyerhofBearingCapacity({
+    ...classicSoil,
+    foundationLength: length === Infinity ? Infinity : L,
+    loadInclination: alpha * 180 / Math.PI
+  });
+  const ignored = [
+    eB > 0 || eL > 0 ? 'eccentricity' : null,
+    beta > 0 ? 'slope' : null,
+    eta > 0 ? 'base tilt' : null,
+    Dw !== null && Dw < Df + B ? 'water table' : null
+  ].filter(Boolean);
+  const classicRow = (label, result, extraIgnored, note) => {
+    const notes = [...extraIgnored, ...ignored];
+    return {
+      method: label,
+      Nc: roundTo(result.bearingCapacityFactors.Nc, 4),
+      Nq: roundTo(result.bearingCapacityFactors.Nq, 4),
+      Ngamma: roundTo(result.bearingCapacityFactors.Ngamma, 4),
+      ultimateBearingCapacity: roundTo(result.ultimateBearingCapacity, 4),
+      safeBearingCapacity: roundTo((result.ultimateBearingCapacity - q0) / FOS + q0, 4),
+      notes: [note, notes.length ? `ignores ${notes.join(', ')}` : null].filter(Boolean).join('; ')
+    };
+  };
+  const comparison = [
+    classicRow('Terzaghi', terzaghi, alpha > 0 ? ['inclination'] : [], foundationType === 'rectangular' ? 'strip factors' : null),
+    classicRow('Meyerhof', meyerhof, [], null),
+    ...Object.keys(BEARING_CAPACITY_METHODS).map(key => {
+      const row = key === method ? selected : evaluate(key);
+      return {
+        method: BEARING_CAPACITY_METHODS[key],
+        Nc: roundTo(row.factors.N.c, 4),
+        Nq: roundTo(row.factors.N.q, 4),
+        Ngamma: roundTo(row.factors.N.gamma, 4),
+        ultimateBearingCapacity: roundTo(row.qu, 4),
+        safeBearingCapacity: roundTo((row.qu - q0) / FOS + q0, 4),
+        notes: key === method ? 'selected' : ''
+      };
+    })
+  ];
+
+  const roundFactors = (group) => ({ c: roundTo(group.c, 4), q: roundTo(group.q, 4), gamma: roundTo(group.gamma, 4) });
+
+  return {
+    method: BEARING_CAPACITY_METHODS[method],
+    bearingCapacityFactors: { Nc: roundTo(factors.N.c, 4), Nq: roundTo(factors.N.q, 4), Ngamma: roundTo(factors.N.gamma, 4) },
+    factors: {
+      shape: roundFactors(factors.s),
+      depth: roundFactors(factors.d),
+      inclination: roundFactors(factors.i),
+      groundSlope: roundFactors(factors.g),
+      baseTilt: roundFactors(factors.b)
+    },
+    waterTableFactor: roundTo(W, 4),
+    effectiveUnitWeight: roundTo(gammaBase, 4),
+    contributions: {
+      cohesion: roundTo(qc, 4),
+      surcharge: roundTo(qq, 4),
+      selfWeight: roundTo(qg, 4)
+    },
+    effectiveWidth: roundTo(Bp, 4),
+    ...(foundationType !== 'strip' && { effectiveLength: roundTo(Lp, 4) }),
+    effectiveArea: roundTo(Ap, 4),
+    ultimateBearingCapacity: roundTo(qu, 4),
+    netUltimateBearingCapacity: roundTo(qnu, 4),
+    safeBearingCapacity: roundTo(qs, 4),
+    ultimateLoad: roundTo(qu * Ap, 4),
+    loadFactorOfSafety: roundTo(qu * Ap / V, 4),
+    factorOfSafety: FOS,
+    isSafe: qu * Ap / V >= FOS,
+    comparison,
+    warnings,
+    soilProfile,
+    inputs: {
+      ...withoutProfile(params),
+      cohesion: roundTo(c, 4),
+      frictionAngle: roundTo(phiDegrees, 4),
+      unitWeight: roundTo(gamma, 4),
+      overburden: roundTo(q0, 4)
+    }
   };
 }
 
@@ -153,14 +710,21 @@ export function immediateSettlement(params) {
     elasticModulus = 25000,  // Es (kPa)
     poissonRatio = 0.3,      // μ
     foundationType = 'flexible-center',
-    foundationLength = 4     // L (m) for rectangular
+    foundationLength = 4,    // L (m) for rectangular
+    foundationDepth = 0,     // Df (m), locates the footing in a profile
+    profile = null           // Layered soil profile (overrides Es, μ)
   } = params;
 
   const q = parseFloat(pressure);
   const B = parseFloat(foundationWidth);
   const L = parseFloat(foundationLength);
-  const Es = parseFloat(elasticModulus);
-  const mu = parseFloat(poissonRatio);
+  const Df = parseFloat(foundationDepth);
+
+  // Es and μ averaged over the influence depth of 2B below the base
+  const soilProfile = profile ? createSoilProfile(profile) : null;
+  const soil = soilProfile ? averageSoilProperties(soilProfile, Df, Df + 2 * B) : null;
+  const Es = soil ? soil.elasticModulus : parseFloat(elasticModulus);
+  const mu = soil ? soil.poissonRatio : parseFloat(poissonRatio);
 
   // Influence factors based on foundation type and shape
   let If;
@@ -184,13 +748,132 @@ export function immediateSettlement(params) {
   return {
     immediateSettlement: roundTo(Si * 1000, 4), // Convert to mm
     influenceFactor: roundTo(If, 4),
-    inputs: { pressure: q, foundationWidth: B, foundationLength: L, elasticModulus: Es, poissonRatio: mu }
+    soilProfile,
+    inputs: {
+      pressure: q,
+      foundationWidth: B,
+      foundationLength: L,
+      ...(soilProfile && { foundationDepth: Df }),
+      elasticModulus: roundTo(Es, 4),
+      poissonRatio: roundTo(mu, 4)
+    }
   };
 }
 
+/**
+ * Effective Stress Profile
+ * Total stress, pore pressure and effective stress with depth through a
+ * layered profile, with capillary rise above the water table and an
+ * optional artesian aquifer
+ */
+export function effectiveStressProfile(params) {
+  const {
+    profile,
+    depth = 0,              // Analysis depth (m), 0 for the full profile
+    capillaryRise = 0,      // hc (m above the water table)
+    artesianHead = null,    // Piezometric level of the aquifer (m above ground)
+    aquiferLayer = null,    // Index of the confined aquifer layer
+    surcharge = 0           // Wide-area surcharge q (kPa)
+  } = params;
+
+  if (!profile) throw new Error('Define the soil profile first');
+  const soilProfile = createSoilProfile(profile);
+  const conditions = { capillaryRise, artesianHead, aquiferLayer, surcharge };
+  const water = groundwaterConditions(soilProfile, conditions);
+  const maxDepth = parseFloat(depth) > 0 ? parseFloat(depth) : soilProfile.depth;
+
+  // Regular points plus every depth where a stress gradient changes
+  const breaks = soilProfile.layers.flatMap(layer => [layer.top, layer.bottom]);
+  if (soilProfile.waterTableDepth !== null) {
+    breaks.push(soilProfile.waterTableDepth, soilProfile.waterTableDepth - water.capillaryRise);
+  }
+  const spacing = maxDepth / 50;
+  for (let i = 0; i <= 50; i++) breaks.push(i * spacing);
+  const depths = [...new Set(breaks.map(z => roundTo(z, 6)).filter(z => z >= 0 && z <= maxDepth))].sort((a, b) => a - b);
+
+  const stressAt = (z) => {
+    const stress = verticalStressAt(soilProfile, z, conditions);
+    return {
+      depth: roundTo(z, 4),
+      layer: soilLayerAt(soilProfile, z).name,
+      total: roundTo(stress.total, 4),
+      porePressure: roundTo(stress.porePressure, 4),
+      effective: roundTo(stress.effective, 4)
+    };
+  };
+  const points = depths.map(stressAt);
+
+  // Mid-depth values are the σ'0 used for consolidation of each layer
+  const layerStresses = soilProfile.layers
+    .filter(layer => layer.top < maxDepth)
+    .map(layer => {
+      const mid = stressAt((layer.top + layer.bottom) / 2);
+      return { name: layer.name, top: layer.top, bottom: layer.bottom, midDepth: mid.depth, total: mid.total, porePressure: mid.porePressure, effective: mid.effective };
+    });
+
+  const warnings = [];
+  const negative = points.find(point => point.effective < 0);
+  if (negative) {
+    warnings.push(`Effective stress is negative at ${negative.depth} m: the artesian pressure would heave the confining layer.`);
+  }
+  if (water.capillaryRise > 0) {
+    warnings.push(`Soil in the ${roundTo(water.capillaryRise, 2)} m capillary zone is taken as saturated with negative pore pressure.`);
+  }
+
+  return {
+    points,
+    layerStresses,
+    maxEffectiveStress: roundTo(Math.max(...points.map(point => point.effective)), 4),
+    porePressureAtBase: points[points.length - 1].porePressure,
+    effectiveStressAtBase: points[points.length - 1].effective,
+    warnings,
+    soilProfile,
+    inputs: {
+      depth: roundTo(maxDepth, 4),
+      capillaryRise: water.capillaryRise,
+      artesianHead: water.artesianHead,
+      aquifer: water.aquifer ? water.aquifer.name : null,
+      surcharge: water.surcharge
+    }
+  };
+}
+
+/**
+ * Primary consolidation of one slice of clay, through recompression up to
+ * σ'c and virgin compression beyond it
+ */
+function compressionSettlement({ Cc, Cr, e0, H, sigma0, deltaSigma, sigmaC }) {
+  const sigmaFinal = sigma0 + deltaSigma;
+
+  if (sigma0 >= sigmaC) {
+    // Normally consolidated
+    return {
+      settlement: (Cc * H) / (1 + e0) * Math.log10(sigmaFinal / sigma0),
+      compressionType: 'Normally Consolidated'
+    };
+  }
+  if (sigmaFinal <= sigmaC) {
+    // Over-consolidated (recompression only)
+    return {
+      settlement: (Cr * H) / (1 + e0) * Math.log10(sigmaFinal / sigma0),
+      compressionType: 'Over-Consolidated (Recompression)'
+    };
+  }
+  // Over-consolidated transitioning to normally consolidated
+  const Sc1 = (Cr * H) / (1 + e0) * Math.log10(sigmaC / sigma0);
+  const Sc2 = (Cc * H) / (1 + e0) * Math.log10(sigmaFinal / sigmaC);
+  return { settlement: Sc1 + Sc2, compressionType: 'Over-Consolidated (Transition)' };
+}
+
 /**
  * Consolidation Settlement
  * Sc = Cc × H / (1 + e0) × log10((σ'0 + Δσ) / σ'0)
+ * With a profile, Cc, Cr, e0 and H come from the layer at `layerIndex` and
+ * σ'0 is the effective stress at its mid-depth, including any capillary or
+ * artesian `insituConditions` of the effective stress profile.
+ * A `loadedArea` (see stressDistribution.stressIncreaseAt, applied at its
+ * `depth` below ground) replaces the uniform Δσ; the layer is then split
+ * into `sublayers` slices, each with its own σ'0 and Δσ.
  */
 export function consolidationSettlement(params) {
   const {
@@ -200,44 +883,406 @@ export function consolidationSettlement(params) {
     initialEffectiveStress = 50, // σ'0 (kPa)
     stressIncrease = 100,        // Δσ (kPa)
     recompressionIndex = 0.06,   // Cr
-    preconsolidationPressure = 80 // σ'c (kPa)
+    preconsolidationPressure = 80, // σ'c (kPa)
+    profile = null,
+    layerIndex = 0,
+    insituConditions = {},
+    loadedArea = null,           // Footing or area load producing Δσ
+    sublayers = 1,               // Slices for integrating σ'0 and Δσ
+    timeRate = null              // consolidationTimeRate inputs for the layer
   } = params;
 
-  const Cc = parseFloat(compressionIndex);
-  const Cr = parseFloat(recompressionIndex);
-  const e0 = parseFloat(initialVoidRatio);
-  const H = parseFloat(layerThickness);
-  const sigma0 = parseFloat(initialEffectiveStress);
-  const deltaSigma = parseFloat(stressIncrease);
-  const sigmaC = parseFloat(preconsolidationPressure);
+  const soilProfile = profile ? createSoilProfile(profile) : null;
+  const layer = soilProfile ? soilProfile.layers[layerIndex] : null;
+  if (soilProfile && !layer) throw new Error(`Layer ${layerIndex + 1} is not in the soil profile`);
+  if (loadedArea && !layer) throw new Error('Define the soil profile to take Δσ from a loaded area');
 
-  const sigmaFinal = sigma0 + deltaSigma;
+  const Cc = layer ? layer.compressionIndex : parseFloat(compressionIndex);
+  const Cr = layer ? layer.recompressionIndex : parseFloat(recompressionIndex);
+  const e0 = layer ? layer.initialVoidRatio : parseFloat(initialVoidRatio);
+  const H = layer ? layer.thickness : parseFloat(layerThickness);
+  const sigmaC = parseFloat(preconsolidationPressure);
+  const top = layer ? layer.top : 0;
+  const loadDepth = loadedArea ? parseFloat(loadedArea.depth) || 0 : 0;
 
-  let Sc;
-  let compressionType;
+  const sigma0At = (z) => {
+    const sigma0 = layer
+      ? verticalStressAt(soilProfile, z, insituConditions).effective
+      : parseFloat(initialEffectiveStress);
+    if (!(sigma0 > 0)) throw new Error('Initial effective stress must be greater than 0');
+    return sigma0;
+  };
+  if (!(H > 0)) throw new Error('Layer thickness must be greater than 0');
+  const deltaSigmaAt = (z) => {
+    if (!loadedArea) return parseFloat(stressIncrease);
+    if (z <= loadDepth) throw new Error('The compressible layer must lie below the loaded area');
+    return stressIncreaseAt(loadedArea, parseFloat(loadedArea.x) || 0, parseFloat(loadedArea.y) || 0, z - loadDepth);
+  };
 
-  if (sigma0 >= sigmaC) {
-    // Normally consolidated
-    Sc = (Cc * H) / (1 + e0) * Math.log10(sigmaFinal / sigma0);
-    compressionType = 'Normally Consolidated';
-  } else if (sigmaFinal <= sigmaC) {
-    // Over-consolidated (recompression only)
-    Sc = (Cr * H) / (1 + e0) * Math.log10(sigmaFinal / sigma0);
-    compressionType = 'Over-Consolidated (Recompression)';
-  } else {
-    // Over-consolidated transitioning to normally consolidated
-    const Sc1 = (Cr * H) / (1 + e0) * Math.log10(sigmaC / sigma0);
-    const Sc2 = (Cc * H) / (1 + e0) * Math.log10(sigmaFinal / sigmaC);
-    Sc = Sc1 + Sc2;
-    compressionType = 'Over-Consolidated (Transition)';
+  const n = Math.max(1, parseInt(sublayers) || 1);
+  const h = H / n;
+  const slices = [];
+  for (let i = 0; i < n; i++) {
+    const z = top + (i + 0.5) * h;
+    const sigma0 = sigma0At(z);
+    const deltaSigma = deltaSigmaAt(z);
+    slices.push({ z, sigma0, deltaSigma, ...compressionSettlement({ Cc, Cr, e0, H: h, sigma0, deltaSigma, sigmaC }) });
   }
 
+  const Sc = slices.reduce((sum, slice) => sum + slice.settlement, 0);
+  const types = [...new Set(slices.map(slice => slice.compressionType))];
+  const compressionType = types.length === 1 ? types[0] : 'Mixed (see sublayers)';
+
+  // Layer values at mid-depth
+  const sigma0 = sigma0At(top + H / 2);
+  const sigmaFinal = sigma0 + deltaSigmaAt(top + H / 2);
+
   return {
     consolidationSettlement: roundTo(Sc * 1000, 4), // mm
     compressionType,
     finalEffectiveStress: roundTo(sigmaFinal, 4),
     overConsolidationRatio: roundTo(sigmaC / sigma0, 4),
-    inputs: params
+    ...((n > 1 || loadedArea) && {
+      sublayerSettlements: slices.map(slice => ({
+        top: roundTo(slice.z - h / 2, 4),
+        bottom: roundTo(slice.z + h / 2, 4),
+        initialEffectiveStress: roundTo(slice.sigma0, 4),
+        stressIncrease: roundTo(slice.deltaSigma, 4),
+        settlement: roundTo(slice.settlement * 1000, 4),
+        compressionType: slice.compressionType
+      }))
+    }),
+    ...(timeRate && {
+      timeRate: consolidationTimeRate({ ...timeRate, ultimateSettlement: Sc * 1000, layerThickness: H })
+    }),
+    soilProfile,
+    inputs: layer
+      ? {
+        ...withoutProfile(params),
+        ...(loadedArea && {
+          midDepthStressIncrease: roundTo(sigmaFinal - sigma0, 4),
+          loadedArea: STRESS_LOAD_TYPES[loadedArea.loadType || 'rectangular'].label,
+          stressMethod: STRESS_METHODS[loadedArea.method || 'boussinesq'],
+          loadDepth
+        }),
+        layer: layer.name,
+        compressionIndex: Cc,
+        recompressionIndex: Cr,
+        initialVoidRatio: e0,
+        layerThickness: H,
+        initialEffectiveStress: roundTo(sigma0, 4)
+      }
+      : withoutProfile(params)
+  };
+}
+
+/**
+ * Average degree of vertical consolidation for a time factor Tv
+ * U = 1 - Σ (2 / M²) exp(-M² Tv), M = π(2m + 1) / 2
+ * Very early on the series converges slowly and U = √(4Tv / π) is exact
+ * to within rounding
+ */
+export function degreeOfConsolidation(Tv) {
+  if (!(Tv > 0)) return 0;
+  if (Tv < 1e-4) return Math.sqrt((4 * Tv) / Math.PI);
+
+  let sum = 0;
+  for (let m = 0; ; m++) {
+    const M = (Math.PI * (2 * m + 1)) / 2;
+    const term = (2 / (M * M)) * Math.exp(-M * M * Tv);
+    sum += term;
+    if (term < 1e-12) break;
+  }
+  return Math.min(1, Math.max(0, 1 - sum));
+}
+
+/**
+ * Drain function F for radial consolidation towards a vertical drain
+ * Barron (ideal drain, equal strain) or Hansbo (with a smear zone of
+ * diameter ds and permeability ks, neglecting well resistance)
+ */
+function drainFunction(method, n, s, kRatio) {
+  if (method === 'hansbo') {
+    return Math.log(n / s) + kRatio * Math.log(s) - 0.75;
+  }
+  return ((n * n) / (n * n - 1)) * Math.log(n) - (3 * n * n - 1) / (4 * n * n);
+}
+
+/**
+ * Time Rate of Consolidation
+ * Terzaghi 1D theory: Tv = cv·t / Hdr², with optional prefabricated
+ * vertical (wick) drains: Ur = 1 - exp(-8Th / F), Th = ch·t / de², and the
+ * combined degree U = 1 - (1 - Uv)(1 - Ur) (Carrillo)
+ * Times in years, cv and ch in m²/year
+ */
+export function consolidationTimeRate(params) {
+  const {
+    ultimateSettlement = 100,   // Sc (mm)
+    layerThickness = 5,         // H (m)
+    cv = 2,                     // Coefficient of consolidation (m²/year)
+    drainage = 'double',        // 'double' (top and bottom) or 'single'
+    time = 1,                   // Time of interest (years)
+    targetSettlement = null,    // Settlement to reach (mm)
+    drains = null               // { method, ch, spacing, pattern, width, thickness, smearRatio, permeabilityRatio }
+  } = params;
+
+  const Sc = parseFloat(ultimateSettlement);
+  const H = parseFloat(layerThickness);
+  const cvValue = parseFloat(cv);
+  const t = parseFloat(time) || 0;
+  if (!(Sc > 0)) throw new Error('Ultimate settlement must be greater than 0');
+  if (!(H > 0)) throw new Error('Layer thickness must be greater than 0');
+  if (!(cvValue > 0)) throw new Error('Coefficient of consolidation must be greater than 0');
+  if (drainage !== 'double' && drainage !== 'single') throw new Error(`Unknown drainage condition: ${drainage}`);
+
+  const Hdr = drainage === 'double' ? H / 2 : H;
+  const Uv = (time) => degreeOfConsolidation((cvValue * time) / (Hdr * Hdr));
+
+  // Radial drainage to vertical drains
+  let radial = null;
+  if (drains) {
+    const {
+      method = 'hansbo',
+      ch = 2 * cvValue,           // m²/year
+      spacing = 1.5,              // s (m)
+      pattern = 'triangular',
+      width = 100,                // Band drain a (mm)
+      thickness = 4,              // Band drain b (mm)
+      smearRatio = 2,             // ds / dw
+      permeabilityRatio = 2       // kh / ks
+    } = drains;
+    const chValue = parseFloat(ch);
+    const factor = DRAIN_INFLUENCE_FACTORS[pattern];
+    if (!factor) throw new Error(`Unknown drain pattern: ${pattern}`);
+    if (!(chValue > 0)) throw new Error('Horizontal coefficient of consolidation must be greater than 0');
+    if (!(parseFloat(spacing) > 0)) throw new Error('Drain spacing must be greater than 0');
+
+    const de = factor * parseFloat(spacing);
+    const dw = (2 * (parseFloat(width) + parseFloat(thickness))) / Math.PI / 1000; // Hansbo equivalent diameter
+    const n = de / dw;
+    const sRatio = method === 'hansbo' ? parseFloat(smearRatio) : 1;
+    const kRatio = method === 'hansbo' ? parseFloat(permeabilityRatio) : 1;
+    if (!(dw > 0) || !(n > 1)) throw new Error('The drain must be smaller than its zone of influence');
+    if (!(sRatio >= 1 && sRatio < n)) throw new Error('The smear zone must lie between the drain and its zone of influence');
+    if (!(kRatio >= 1)) throw new Error('kh / ks must be at least 1');
+
+    const F = drainFunction(method, n, sRatio, kRatio);
+    radial = {
+      method,
+      de,
+      dw,
+      n,
+      F,
+      Ur: (time) => (time > 0 ? 1 - Math.exp((-8 * chValue * time) / (de * de * F)) : 0)
+    };
+  }
+
+  const degreeAt = (time) => (radial ? 1 - (1 - Uv(time)) * (1 - radial.Ur(time)) : Uv(time));
+
+  // Time to reach a degree of consolidation, bracketing by doubling
+  const timeFor = (U) => {
+    let upper = (Hdr * Hdr) / cvValue;
+    while (degreeAt(upper) < U) upper *= 2;
+    return bisection((time) => degreeAt(time) - U, 0, upper, 1e-9, 200).root;
+  };
+
+  const warnings = [];
+  let timeToTarget = null;
+  const target = parseFloat(targetSettlement);
+  if (target > 0) {
+    if (target < Sc) {
+      timeToTarget = timeFor(target / Sc);
+    } else {
+      warnings.push(`The target settlement of ${target} mm is not reached: the ultimate settlement is ${roundTo(Sc, 2)} mm.`);
+    }
+  }
+
+  // Settlement-time curve to 99% consolidation, denser at early times
+  const tEnd = timeFor(0.99);
+  const curve = [];
+  for (let i = 0; i <= 60; i++) {
+    const ti = tEnd * Math.pow(i / 60, 2);
+    curve.push({
+      time: roundTo(ti, 4),
+      settlement: roundTo(Sc * degreeAt(ti), 4),
+      ...(radial && { verticalSettlement: roundTo(Sc * Uv(ti), 4) })
+    });
+  }
+
+  // Exact U–Tv relation for vertical drainage
+  const degreeCurve = [];
+  for (let i = 0; i <= 60; i++) {
+    const Tv = Math.pow(10, -3 + (i * 3.3) / 60);
+    degreeCurve.push({ timeFactor: roundTo(Tv, 6), degree: roundTo(degreeOfConsolidation(Tv) * 100, 4) });
+  }
+  const timeFactorTable = [10, 20, 30, 40, 50, 60, 70, 80, 90, 95].map(U => ({
+    degree: U,
+    timeFactor: roundTo(bisection((Tv) => degreeOfConsolidation(Tv) - U / 100, 0, 3, 1e-9, 200).root, 4)
+  }));
+
+  const U = degreeAt(t);
+  return {
+    drainagePath: roundTo(Hdr, 4),
+    timeFactor: roundTo((cvValue * t) / (Hdr * Hdr), 4),
+    verticalDegree: roundTo(Uv(t) * 100, 4),
+    ...(radial && {
+      radialDegree: roundTo(radial.Ur(t) * 100, 4),
+      drainInfluenceDiameter: roundTo(radial.de, 4),
+      drainEquivalentDiameter: roundTo(radial.dw * 1000, 4), // mm
+      spacingRatio: roundTo(radial.n, 4),
+      drainFunction: roundTo(radial.F, 4)
+    }),
+    averageDegree: roundTo(U * 100, 4),
+    settlementAtTime: roundTo(Sc * U, 4),
+    timeToTarget: timeToTarget === null ? null : roundTo(timeToTarget, 4),
+    t50: roundTo(timeFor(0.5), 4),
+    t90: roundTo(timeFor(0.9), 4),
+    curve,
+    degreeCurve,
+    timeFactorTable,
+    warnings,
+    inputs: {
+      ultimateSettlement: roundTo(Sc, 4),
+      layerThickness: H,
+      cv: cvValue,
+      drainage,
+      time: t,
+      ...(target > 0 && { targetSettlement: target }),
+      ...(radial && {
+        drainMethod: radial.method === 'hansbo' ? 'Hansbo (smear)' : 'Barron (ideal drain)',
+        ch: parseFloat(drains.ch ?? 2 * cvValue),
+        drainSpacing: parseFloat(drains.spacing ?? 1.5),
+        drainPattern: drains.pattern ?? 'triangular'
+      })
+    }
+  };
+}
+
+/**
+ * Beam support from a settlement result
+ * Immediate settlement is elastic, so the footing acts as a spring of secant
+ * stiffness k = q·B·L / Si; consolidation settlement is a long-term
+ * movement and is applied as a prescribed support settlement
+ * @param {Object} result - Output of immediateSettlement or consolidationSettlement
+ * @returns {Object} { spring (kN/m) } or { settlement (mm) }, with a source label
+ */
+export function settlementToBeamSupport(result) {
+  if (result?.immediateSettlement !== undefined) {
+    const { pressure, foundationWidth, foundationLength } = result.inputs;
+    const load = pressure * foundationWidth * foundationLength;
+    if (!(result.immediateSettlement > 0) || !(load > 0)) {
+      throw new Error('Immediate settlement and footing load must be greater than 0');
+    }
+    return {
+      spring: roundTo(load / (result.immediateSettlement / 1000), 2),
+      source: `Immediate settlement ${result.immediateSettlement} mm under ${roundTo(load, 2)} kN`
+    };
+  }
+  if (result?.consolidationSettlement !== undefined) {
+    return {
+      settlement: result.consolidationSettlement,
+      source: `Consolidation settlement (${result.compressionType})`
+    };
+  }
+  throw new Error('Run an immediate or consolidation settlement calculation first');
+}
+
+/**
+ * Rankine coefficients for a friction angle in degrees
+ */
+function rankineCoefficients(frictionAngle) {
+  const phi = frictionAngle * Math.PI / 180;
+  return {
+    Ka: Math.pow(Math.tan(Math.PI / 4 - phi / 2), 2),
+    Kp: Math.pow(Math.tan(Math.PI / 4 + phi / 2), 2),
+    K0: 1 - Math.sin(phi)
+  };
+}
+
+/**
+ * Rankine earth pressure against a wall retaining a layered profile
+ * Lateral pressure = K (σ'v + q) ∓ 2c√K + u, using the coefficients of the
+ * layer at each depth; tension in the active zone is ignored
+ */
+function layeredEarthPressure(params, soilProfile) {
+  const { wallHeight = 5, surcharge = 0 } = params;
+  const H = parseFloat(wallHeight);
+  const q = parseFloat(surcharge);
+
+  const lateralPressure = (depth, layer) => {
+    const { effective, porePressure } = verticalStressAt(soilProfile, depth);
+    const { Ka, Kp } = rankineCoefficients(layer.frictionAngle);
+    const sv = effective + q;
+    return {
+      active: Ka * sv - 2 * layer.cohesion * Math.sqrt(Ka),
+      passive: Kp * sv + 2 * layer.cohesion * Math.sqrt(Kp),
+      porePressure
+    };
+  };
+
+  const active = { force: 0, moment: 0 };
+  const passive = { force: 0, moment: 0 };
+  const water = { force: 0, moment: 0 };
+  const add = (total, part) => {
+    total.force += part.force;
+    total.moment += part.moment;
+  };
+  const pressureDiagram = [];
+  const segments = profileSegments(soilProfile, 0, H);
+
+  for (const { top, bottom, layer } of segments) {
+    const upper = lateralPressure(top, layer);
+    const lower = lateralPressure(bottom, layer);
+    add(active, linearPressureResultant(top, upper.active, bottom, lower.active));
+    add(passive, linearPressureResultant(top, upper.passive, bottom, lower.passive));
+    add(water, linearPressureResultant(top, upper.porePressure, bottom, lower.porePressure));
+    for (const [depth, values] of [[top, upper], [bottom, lower]]) {
+      const point = {
+        depth: roundTo(depth, 4),
+        layer: layer.name,
+        active: roundTo(Math.max(0, values.active) + values.porePressure, 4),
+        passive: roundTo(values.passive + values.porePressure, 4),
+        porePressure: roundTo(values.porePressure, 4)
+      };
+      // Keep both sides of a jump at a layer boundary, drop repeats at the water table
+      const last = pressureDiagram[pressureDiagram.length - 1];
+      if (!last || last.depth !== point.depth || last.active !== point.active || last.passive !== point.passive) {
+        pressureDiagram.push(point);
+      }
+    }
+  }
+
+  const Pa = active.force + water.force;
+  const Pp = passive.force + water.force;
+  const base = pressureDiagram[pressureDiagram.length - 1];
+  const baseLayer = segments[segments.length - 1].layer;
+  const coefficients = rankineCoefficients(baseLayer.frictionAngle);
+  const wallLayers = [...new Set(segments.map(segment => segment.layer))];
+
+  return {
+    coefficients: {
+      Ka: roundTo(coefficients.Ka, 4),
+      Kp: roundTo(coefficients.Kp, 4),
+      K0: roundTo(coefficients.K0, 4)
+    },
+    layerCoefficients: wallLayers.map(layer => {
+      const k = rankineCoefficients(layer.frictionAngle);
+      return { layer: layer.name, Ka: roundTo(k.Ka, 4), Kp: roundTo(k.Kp, 4), K0: roundTo(k.K0, 4) };
+    }),
+    activePressure: {
+      atBase: base.active,
+      totalThrust: roundTo(Pa, 4),
+      applicationPoint: roundTo(Pa > 0 ? H - (active.moment + water.moment) / Pa : 0, 4)
+    },
+    passivePressure: {
+      atBase: base.passive,
+      totalThrust: roundTo(Pp, 4),
+      applicationPoint: roundTo(Pp > 0 ? H - (passive.moment + water.moment) / Pp : 0, 4)
+    },
+    waterThrust: roundTo(water.force, 4),
+    pressureDiagram,
+    soilProfile,
+    inputs: withoutProfile(params)
   };
 }
 
@@ -245,6 +1290,8 @@ export function consolidationSettlement(params) {
  * Earth Pressure Calculations (Rankine's Theory)
  */
 export function earthPressure(params) {
+  if (params.profile) return layeredEarthPressure(params, createSoilProfile(params.profile));
+
   const {
     frictionAngle = 30,     // φ (degrees)
     unitWeight = 18,        // γ (kN/m³)
@@ -346,10 +1393,21 @@ export function retainingWallStability(params) {
 }
 
 export default {
+  createSoilProfile,
+  soilLayerAt,
+  verticalStressAt,
+  averageSoilProperties,
   terzaghiBearingCapacity,
   meyerhofBearingCapacity,
+  generalBearingCapacity,
   immediateSettlement,
+  effectiveStressProfile,
   consolidationSettlement,
+  degreeOfConsolidation,
+  consolidationTimeRate,
+  settlementToBeamSupport,
   earthPressure,
-  retainingWallStability
+  retainingWallStability,
+  DEFAULT_SOIL_LAYER,
+  BEARING_CAPACITY_METHODS
 };
@@ -0,0 +1,602 @@
+/**
+ * Plastic Analysis Module
+ * Collapse load factor, plastic hinge sequence and collapse mechanism of
+ * beams and portal frames by the incremental (event-to-event) hinge method
+ *
+ * The reference loads are scaled by a common load factor. Between events the
+ * structure responds elastically; when the moment at a member end reaches Mp
+ * a hinge is inserted there as a member end release and loading continues on
+ * the modified structure until the hinges form a mechanism. Hinges are
+ * assumed to keep rotating in one sense (no unloading) and axial force does
+ * not reduce Mp
+ *
+ * Units: kN, m, kN·m, MPa (fy), m³ (Zp)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { FrameAnalyzer, FRAME_SUPPORT_TYPES, MEMBER_LOAD_DIRECTIONS } from './frame.js';
+import { SUPPORT_CONDITIONS, SUPPORT_TYPES } from './structural.js';
+import { linspace, roundTo } from '../math/solver.js';
+
+/**
+ * Structures handled by the plastic analysis
+ */
+export const PLASTIC_MODELS = {
+  BEAM: 'beam',
+  PORTAL: 'portal'
+};
+
+/**
+ * Column base fixity of the portal frame
+ */
+export const PORTAL_BASES = {
+  FIXED: 'fixed',
+  PINNED: 'pinned'
+};
+
+// Hinges can only form at element ends, so beams are subdivided uniformly
+const BEAM_DIVISIONS = 40;
+const PORTAL_BEAM_DIVISIONS = 20;
+
+// Diagram points per element
+const ELEMENT_POINTS = 10;
+
+// Moment increments below this fraction of the largest are taken as zero
+const MOMENT_TOLERANCE = 1e-9;
+
+// Sections reaching Mp within this fraction of the load factor form hinges together
+const EVENT_TOLERANCE = 1e-6;
+
+// Growth of the displacement increment that signals a mechanism
+const MECHANISM_RATIO = 1e6;
+
+const MAX_EVENTS = 100;
+
+const POSITION_TOLERANCE = 1e-9;
+
+/**
+ * Sorted positions with near-duplicates removed
+ */
+function sortedPositions(points) {
+  const sorted = points.filter(Number.isFinite).sort((a, b) => a - b);
+  return sorted.filter((x, i) => i === 0 || x - sorted[i - 1] > POSITION_TOLERANCE);
+}
+
+function nearestNode(nodes, position) {
+  return nodes.reduce((best, node) =>
+    Math.abs(node.x - position) < Math.abs(best.x - position) ? node : best
+  ).id;
+}
+
+/**
+ * Plastic moment of resistance
+ * @param {number} fy - Yield strength (MPa)
+ * @param {number} Zp - Plastic section modulus (m³)
+ * @returns {number} Mp (kN·m)
+ */
+export function plasticMoment(fy, Zp) {
+  const strength = parseFloat(fy);
+  const modulus = parseFloat(Zp);
+  if (!(strength > 0)) throw new Error('Yield strength must be greater than 0');
+  if (!(modulus > 0)) throw new Error('Plastic section modulus must be greater than 0');
+  return strength * 1000 * modulus;
+}
+
+/**
+ * Incremental plastic hinge analysis of a plane frame under proportional loading
+ * @param {Object} model - FrameAnalyzer input { nodes, members, supports, nodalLoads, memberLoads }
+ *   where every member also carries its plastic moment Mp (kN·m)
+ * @returns {Object} { collapseLoadFactor, hinges, events, members, displacements }
+ */
+export function incrementalHingeAnalysis(model) {
+  const { nodes, members, supports, nodalLoads = [], memberLoads = [] } = model;
+  members.forEach(member => {
+    if (!(member.Mp > 0)) throw new Error(`Plastic moment of member ${member.id} must be greater than 0`);
+  });
+
+  // Candidate hinge sections: both ends of every member
+  const sections = members.flatMap((member, index) => ['start', 'end'].map(end => ({
+    index,
+    member: member.id,
+    end,
+    node: String(end === 'start' ? member.start : member.end),
+    Mp: member.Mp,
+    moment: 0,
+    hinge: false
+  })));
+
+  const memberEnds = {};
+  sections.forEach(section => { memberEnds[section.node] = (memberEnds[section.node] || 0) + 1; });
+  const rotationRestrained = new Set(
+    supports.filter(s => s.type === FRAME_SUPPORT_TYPES.FIXED).map(s => String(s.node))
+  );
+
+  const moments = members.map(() => null);
+  const displacements = nodes.map(() => ({ ux: 0, uy: 0 }));
+  const hinges = [];
+  const events = [];
+  let loadFactor = 0;
+  let elasticDisplacement = null;
+  let collapsed = false;
+
+  for (let event = 1; event <= MAX_EVENTS && !collapsed; event++) {
+    const analyzer = new FrameAnalyzer(ELEMENT_POINTS);
+    analyzer.setNodes(nodes);
+    analyzer.setMembers(members.map((member, i) => ({
+      ...member,
+      releaseStart: member.releaseStart || sections[2 * i].hinge,
+      releaseEnd: member.releaseEnd || sections[2 * i + 1].hinge
+    })));
+    analyzer.setSupports(supports);
+    analyzer.setNodalLoads(nodalLoads);
+    analyzer.setMemberLoads(memberLoads);
+
+    let result;
+    try {
+      result = analyzer.analyze();
+    } catch (err) {
+      if (event === 1) throw err;
+      collapsed = true;
+      break;
+    }
+
+    // A near-singular stiffness shows up as runaway displacements
+    const peak = Math.max(...result.displacements.map(d => Math.hypot(d.ux, d.uy)));
+    if (elasticDisplacement === null) {
+      elasticDisplacement = peak;
+    } else if (peak > elasticDisplacement * MECHANISM_RATIO) {
+      collapsed = true;
+      break;
+    }
+
+    const increments = sections.map(section => {
+      if (section.hinge) return 0;
+      const diagram = result.members[section.index].diagrams.moment;
+      return section.end === 'start' ? diagram[0] : diagram[diagram.length - 1];
+    });
+    const scale = Math.max(...increments.map(Math.abs));
+    if (!(scale > 0)) {
+      if (event === 1) throw new Error('Loads produce no bending moment: nothing to collapse');
+      collapsed = true;
+      break;
+    }
+
+    // Load factor increment that brings each section to ±Mp
+    const reach = sections.map((section, i) => {
+      const m = increments[i];
+      if (section.hinge || Math.abs(m) <= scale * MOMENT_TOLERANCE) return Infinity;
+      const target = m > 0 ? section.Mp : -section.Mp;
+      return Math.max((target - section.moment) / m, 0);
+    });
+    const step = Math.min(...reach);
+    if (!Number.isFinite(step)) {
+      collapsed = true;
+      break;
+    }
+
+    loadFactor += step;
+    sections.forEach((section, i) => { section.moment += step * increments[i]; });
+    result.members.forEach((member, i) => {
+      const { x, moment } = member.diagrams;
+      moments[i] = {
+        x,
+        moment: moment.map((m, j) => (moments[i] ? moments[i].moment[j] : 0) + step * m)
+      };
+    });
+    result.displacements.forEach((d, i) => {
+      displacements[i].ux += step * d.ux;
+      displacements[i].uy += step * d.uy;
+    });
+
+    const formed = [];
+    sections.forEach((section, i) => {
+      if (reach[i] - step > EVENT_TOLERANCE * loadFactor) return;
+      // Hinges in all but one member end already free the joint rotation
+      if (!rotationRestrained.has(section.node)) {
+        const hinged = sections.filter(s => s.node === section.node && s.hinge).length;
+        if (hinged >= memberEnds[section.node] - 1) return;
+      }
+      section.hinge = true;
+      section.moment = Math.sign(section.moment) * section.Mp;
+      hinges.push({
+        step: hinges.length + 1,
+        event,
+        member: section.member,
+        end: section.end,
+        node: section.node,
+        loadFactor: roundTo(loadFactor, 4),
+        moment: roundTo(section.moment, 4)
+      });
+      formed.push(hinges.length);
+    });
+
+    events.push({
+      event,
+      loadFactor: roundTo(loadFactor, 4),
+      maxDisplacement: roundTo(Math.max(...displacements.map(d => Math.hypot(d.ux, d.uy))), 4),
+      hinges: formed
+    });
+
+    // A joint whose moment cannot be resisted on either side rotates freely
+    if (formed.length === 0) collapsed = true;
+  }
+
+  if (!collapsed) {
+    throw new Error(`No collapse mechanism found within ${MAX_EVENTS} hinge events`);
+  }
+
+  return {
+    collapseLoadFactor: roundTo(loadFactor, 4),
+    hinges,
+    events,
+    members: members.map((member, i) => ({
+      id: member.id,
+      start: member.start,
+      end: member.end,
+      Mp: member.Mp,
+      x: moments[i] ? moments[i].x : [],
+      moment: moments[i] ? moments[i].moment : []
+    })),
+    displacements: nodes.map((node, i) => ({
+      node: node.id,
+      ux: roundTo(displacements[i].ux, 4),
+      uy: roundTo(displacements[i].uy, 4)
+    }))
+  };
+}
+
+/**
+ * Frame model of a beam from BeamAnalyzer for the hinge analysis
+ * Elements end at supports, internal hinges, load points, stiffness changes
+ * and a uniform grid
+ * @param {BeamAnalyzer} analyzer - Beam with supports, stiffness and loads set
+ * @param {number} Mp - Plastic moment (kN·m)
+ * @param {number} divisions - Uniform elements along the span
+ * @returns {Object} Model for incrementalHingeAnalysis plus warnings
+ */
+export function beamPlasticModel(analyzer, Mp, divisions = BEAM_DIVISIONS) {
+  if (analyzer.supportType === SUPPORT_TYPES.ELASTIC_FOUNDATION) {
+    throw new Error('Plastic analysis is not available for beams on elastic foundation');
+  }
+
+  const span = analyzer.span;
+  const supports = analyzer.getSupports();
+  const warnings = [];
+  const points = [...linspace(0, span, divisions + 1), ...analyzer.hinges, ...supports.map(s => s.position)];
+  for (const segment of analyzer.stiffnessSegments) points.push(segment.start, segment.end);
+  for (const load of analyzer.loads) {
+    if (load.type === 'udl' || load.type === 'uvl') points.push(load.start, load.end);
+    else if (load.type === 'point' || load.type === 'moment') points.push(load.position);
+  }
+
+  const nodes = sortedPositions(points.filter(x => x >= 0 && x <= span))
+    .map((x, i) => ({ id: i + 1, x, y: 0 }));
+  const members = nodes.slice(1).map((node, i) => {
+    const L = node.x - nodes[i].x;
+    const EI = analyzer.getFlexuralRigidity(nodes[i].x + L / 2);   // kN·m²
+    return {
+      id: i + 1,
+      start: nodes[i].id,
+      end: node.id,
+      E: EI / (analyzer.I * 1e6),   // GPa
+      // Axial stiffness of the order of the bending stiffness keeps the system well conditioned
+      A: 12 * analyzer.I / (L * L),
+      I: analyzer.I,
+      Mp,
+      // Internal hinges of the beam are permanent releases
+      releaseEnd: analyzer.isHingeAt(node.x)
+    };
+  });
+
+  const frameSupports = supports.map(support => ({
+    node: nearestNode(nodes, support.position),
+    type: support.type === SUPPORT_CONDITIONS.FIXED ? FRAME_SUPPORT_TYPES.FIXED
+      : support.type === SUPPORT_CONDITIONS.PIN ? FRAME_SUPPORT_TYPES.PIN
+        : FRAME_SUPPORT_TYPES.ROLLER
+  }));
+  if (frameSupports.length > 0 && frameSupports.every(s => s.type === FRAME_SUPPORT_TYPES.ROLLER)) {
+    frameSupports[0].type = FRAME_SUPPORT_TYPES.PIN;
+  }
+  if (analyzer.hasSupportMovement()) {
+    warnings.push('Support springs and settlements are ignored: supports are taken as rigid.');
+  }
+
+  // Beam loads act downward and applied moments clockwise
+  const nodalLoads = [];
+  const memberLoads = [];
+  for (const load of analyzer.loads) {
+    if (load.type === 'udl' || load.type === 'uvl') {
+      members.forEach((member, i) => {
+        const { W } = analyzer.getLoadResultant(load, nodes[i].x, nodes[i + 1].x);
+        if (W === 0) return;
+        memberLoads.push({
+          member: member.id,
+          type: 'udl',
+          magnitude: W / (nodes[i + 1].x - nodes[i].x),
+          direction: MEMBER_LOAD_DIRECTIONS.GRAVITY
+        });
+      });
+    } else if (load.type === 'point' || load.type === 'moment') {
+      nodalLoads.push({
+        node: nearestNode(nodes, load.position),
+        Fx: 0,
+        Fy: load.type === 'moment' ? 0 : -load.magnitude,
+        M: load.type === 'moment' ? -load.magnitude : 0
+      });
+    }
+  }
+  if (analyzer.loads.some(load => load.type.startsWith('thermal'))) {
+    warnings.push('Temperature loads are ignored: self-equilibrating restraint moments do not change the collapse load.');
+  }
+  if (analyzer.loads.some(load => load.type === 'uvl')) {
+    warnings.push('Varying loads are applied as uniform intensity over each element.');
+  }
+
+  return { nodes, members, supports: frameSupports, nodalLoads, memberLoads, warnings };
+}
+
+/**
+ * Safety check of the collapse load factor against the applied (factored) loads
+ */
+function collapseCheck(collapseLoadFactor) {
+  return {
+    name: 'Plastic collapse',
+    demand: 1,
+    capacity: collapseLoadFactor,
+    unit: 'λ',
+    utilization: roundTo(1 / collapseLoadFactor, 3),
+    status: collapseLoadFactor >= 1 ? 'PASS' : 'FAIL'
+  };
+}
+
+/**
+ * Plastic collapse of a beam
+ * @param {BeamAnalyzer} analyzer - Beam with supports, stiffness and loads set
+ * @param {Object} options - { Mp (kN·m) } or { fy (MPa), Zp (m³) }, divisions
+ * @returns {Object} Collapse load factor, hinge sequence, mechanism and collapse moment diagram
+ */
+export function analyzeBeamPlasticCollapse(analyzer, options = {}) {
+  const { divisions = BEAM_DIVISIONS } = options;
+  const Mp = parseFloat(options.Mp) > 0 ? parseFloat(options.Mp) : plasticMoment(options.fy, options.Zp);
+  const model = beamPlasticModel(analyzer, Mp, divisions);
+  const result = incrementalHingeAnalysis(model);
+  const positionOf = (id) => model.nodes.find(node => String(node.id) === String(id)).x;
+
+  const hinges = result.hinges.map(hinge => ({
+    step: hinge.step,
+    event: hinge.event,
+    x: roundTo(positionOf(hinge.node), 4),
+    loadFactor: hinge.loadFactor,
+    moment: hinge.moment,
+    sense: hinge.moment > 0 ? 'sagging' : 'hogging'
+  }));
+
+  // Collapse moment diagram along the beam
+  const x = [];
+  const moment = [];
+  result.members.forEach((member, i) => {
+    const x1 = model.nodes[i].x;
+    member.x.forEach((xi, j) => {
+      if (i > 0 && j === 0) return;
+      x.push(roundTo(x1 + xi, 6));
+      moment.push(roundTo(member.moment[j], 4));
+    });
+  });
+
+  // Mechanism: the regions between supports (or a free end) in which the
+  // hinges of the final event form
+  const supportPositions = model.supports.map(s => positionOf(s.node));
+  const bounds = sortedPositions([0, analyzer.span, ...supportPositions]);
+  const regions = bounds.slice(1).map((b, i) => [bounds[i], b]);
+  const finalHinges = hinges.filter(h => h.event === hinges[hinges.length - 1].event);
+  const inRegion = ([a, b], h) => h.x >= a - POSITION_TOLERANCE && h.x <= b + POSITION_TOLERANCE;
+  const insideRegion = ([a, b], h) => h.x > a + POSITION_TOLERANCE && h.x < b - POSITION_TOLERANCE;
+  let collapsing = regions.filter(r => finalHinges.some(h => insideRegion(r, h)));
+  if (collapsing.length === 0) {
+    collapsing = regions
+      .filter(r => finalHinges.some(h => inRegion(r, h)))
+      .sort((r1, r2) => hinges.filter(h => inRegion(r2, h)).length - hinges.filter(h => inRegion(r1, h)).length)
+      .slice(0, 1);
+  }
+  const isSupported = (position) => supportPositions.some(s => Math.abs(s - position) < POSITION_TOLERANCE);
+  const mechanisms = collapsing.map(region => ({
+    region: region.map(v => roundTo(v, 4)),
+    cantilever: !isSupported(region[0]) || !isSupported(region[1]),
+    hinges: hinges.filter(h => inRegion(region, h)).map(h => h.step)
+  }));
+  const type = mechanisms.every(m => m.cantilever) ? 'Cantilever mechanism' : 'Beam mechanism';
+
+  const warnings = [...model.warnings];
+  const peak = Math.max(...moment.map(Math.abs));
+  if (peak > Mp * 1.01) {
+    warnings.push(`Moment between hinge sections reaches ${roundTo(peak / Mp, 3)} Mp: refine the element divisions.`);
+  }
+
+  const collapseLoadFactor = result.collapseLoadFactor;
+  return {
+    model: PLASTIC_MODELS.BEAM,
+    span: analyzer.span,
+    Mp: roundTo(Mp, 4),
+    collapseLoadFactor,
+    hinges,
+    events: result.events,
+    mechanism: {
+      type,
+      regions: mechanisms,
+      hinges: [...new Set(mechanisms.flatMap(m => m.hinges))].sort((h1, h2) => h1 - h2),
+      description: `${type} in ${mechanisms.map(m =>
+        `x = ${m.region[0]}–${m.region[1]} m (hinges ${m.hinges.join(', ')})`).join(' and ')}`
+    },
+    collapseMoment: { x, moment },
+    checks: [collapseCheck(collapseLoadFactor)],
+    isSafe: collapseLoadFactor >= 1,
+    warnings
+  };
+}
+
+/**
+ * Frame model of a single-bay portal frame
+ * Columns carry no span loads, so hinges in them form at the ends only
+ * @param {Object} params - { span, height, base, verticalLoad (kN at midspan), horizontalLoad (kN at left eave),
+ *   beamUdl (kN/m), columnMp, beamMp (kN·m), E (GPa), I (m⁴), A (m²) }
+ * @returns {Object} Model for incrementalHingeAnalysis with member roles
+ */
+export function portalFramePlasticModel(params = {}) {
+  const span = parseFloat(params.span);
+  const height = parseFloat(params.height);
+  const columnMp = parseFloat(params.columnMp);
+  const beamMp = parseFloat(params.beamMp);
+  const verticalLoad = parseFloat(params.verticalLoad) || 0;
+  const horizontalLoad = parseFloat(params.horizontalLoad) || 0;
+  const beamUdl = parseFloat(params.beamUdl) || 0;
+  const E = parseFloat(params.E) || 200;
+  const I = parseFloat(params.I) || 1e-4;
+  const A = parseFloat(params.A) || 0.01;
+  const base = params.base || PORTAL_BASES.FIXED;
+
+  if (!(span > 0)) throw new Error('Portal span must be greater than 0');
+  if (!(height > 0)) throw new Error('Portal height must be greater than 0');
+  if (!(columnMp > 0) || !(beamMp > 0)) throw new Error('Plastic moments must be greater than 0');
+  if (verticalLoad === 0 && horizontalLoad === 0 && beamUdl === 0) throw new Error('Apply at least one load to the portal frame');
+
+  const beamX = sortedPositions([...linspace(0, span, PORTAL_BEAM_DIVISIONS + 1), span / 2]);
+  const nodes = [
+    { id: 1, x: 0, y: 0 },
+    ...beamX.map((x, i) => ({ id: i + 2, x, y: height })),
+    { id: beamX.length + 2, x: span, y: 0 }
+  ];
+  const leftEave = 2;
+  const rightEave = beamX.length + 1;
+  const rightBase = beamX.length + 2;
+
+  const members = [
+    { id: 'C1', role: 'column', start: 1, end: leftEave, E, A, I, Mp: columnMp },
+    ...beamX.slice(1).map((x, i) => ({
+      id: `B${i + 1}`, role: 'beam', start: i + 2, end: i + 3, E, A, I, Mp: beamMp
+    })),
+    { id: 'C2', role: 'column', start: rightBase, end: rightEave, E, A, I, Mp: columnMp }
+  ];
+
+  const supportType = base === PORTAL_BASES.PINNED ? FRAME_SUPPORT_TYPES.PIN : FRAME_SUPPORT_TYPES.FIXED;
+  const supports = [{ node: 1, type: supportType }, { node: rightBase, type: supportType }];
+
+  const nodalLoads = [];
+  if (verticalLoad !== 0) {
+    nodalLoads.push({ node: nearestNode(nodes.slice(1, -1), span / 2), Fx: 0, Fy: -verticalLoad, M: 0 });
+  }
+  if (horizontalLoad !== 0) {
+    nodalLoads.push({ node: leftEave, Fx: horizontalLoad, Fy: 0, M: 0 });
+  }
+  const memberLoads = beamUdl === 0 ? [] : members
+    .filter(m => m.role === 'beam')
+    .map(m => ({ member: m.id, type: 'udl', magnitude: beamUdl, direction: MEMBER_LOAD_DIRECTIONS.GRAVITY }));
+
+  return {
+    nodes, members, supports, nodalLoads, memberLoads,
+    eaves: [leftEave, rightEave],
+    bases: [1, rightBase]
+  };
+}
+
+/**
+ * Plastic collapse of a single-bay portal frame
+ * @param {Object} params - See portalFramePlasticModel
+ * @returns {Object} Collapse load factor, hinge sequence and mechanism type
+ */
+export function analyzePortalPlasticCollapse(params = {}) {
+  const model = portalFramePlasticModel(params);
+  const result = incrementalHingeAnalysis(model);
+  const nodeOf = (id) => model.nodes.find(node => String(node.id) === String(id));
+  const roleOf = (id) => model.members.find(member => member.id === id).role;
+  const span = parseFloat(params.span);
+
+  const hinges = result.hinges.map(hinge => {
+    const node = nodeOf(hinge.node);
+    const role = roleOf(hinge.member);
+    let location;
+    if (model.bases.includes(node.id)) {
+      location = node.x === 0 ? 'Left column base' : 'Right column base';
+    } else if (model.eaves.includes(node.id)) {
+      location = `${node.x === 0 ? 'Left' : 'Right'} eave (${role})`;
+    } else {
+      location = `Beam at x = ${roundTo(node.x, 3)} m`;
+    }
+    return {
+      step: hinge.step,
+      member: hinge.member,
+      role,
+      location,
+      x: roundTo(node.x, 4),
+      y: roundTo(node.y, 4),
+      loadFactor: hinge.loadFactor,
+      moment: hinge.moment
+    };
+  });
+
+  // Classify from where the hinges sit: a beam mechanism hinges both eaves,
+  // a combined mechanism sways with only the leeward eave hinged
+  const inBeam = hinges.some(h => h.role === 'beam' && h.x > POSITION_TOLERANCE && h.x < span - POSITION_TOLERANCE);
+  const eaves = new Set(hinges.filter(h => h.location.includes('eave')).map(h => h.x));
+  let type;
+  if (!inBeam) {
+    type = 'Sway mechanism';
+  } else if (eaves.size === 2) {
+    type = 'Beam mechanism';
+  } else {
+    type = 'Combined mechanism';
+  }
+
+  const collapseLoadFactor = result.collapseLoadFactor;
+  return {
+    model: PLASTIC_MODELS.PORTAL,
+    span,
+    height: parseFloat(params.height),
+    collapseLoadFactor,
+    hinges,
+    events: result.events,
+    mechanism: {
+      type,
+      hinges: hinges.map(h => h.step),
+      description: `${type} with hinges at ${hinges.map(h => h.location.toLowerCase()).join(', ')}`
+    },
+    nodes: model.nodes,
+    members: result.members.map((member, i) => ({ ...member, role: model.members[i].role })),
+    checks: [collapseCheck(collapseLoadFactor)],
+    isSafe: collapseLoadFactor >= 1,
+    warnings: ['Plastic moments are not reduced for axial force.']
+  };
+}
+
+/**
+ * Get plastic analysis model options for UI
+ */
+export function getPlasticModelOptions() {
+  return [
+    { value: PLASTIC_MODELS.BEAM, label: 'Current Beam' },
+    { value: PLASTIC_MODELS.PORTAL, label: 'Portal Frame' }
+  ];
+}
+
+/**
+ * Get portal frame base options for UI
+ */
+export function getPortalBaseOptions() {
+  return [
+    { value: PORTAL_BASES.FIXED, label: 'Fixed Bases' },
+    { value: PORTAL_BASES.PINNED, label: 'Pinned Bases' }
+  ];
+}
+
+export default {
+  PLASTIC_MODELS,
+  PORTAL_BASES,
+  plasticMoment,
+  incrementalHingeAnalysis,
+  beamPlasticModel,
+  analyzeBeamPlasticCollapse,
+  portalFramePlasticModel,
+  analyzePortalPlasticCollapse,
+  getPlasticModelOptions,
+  getPortalBaseOptions
+};
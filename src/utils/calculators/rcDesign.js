@@ -0,0 +1,473 @@
+/**
+ * Reinforced Concrete Design Module
+ * IS 456:2000 Limit State Design of rectangular beams
+ * Flexure (singly / doubly reinforced), shear and deflection control
+ *
+ * Units: N, mm, MPa (inputs Mu in kN·m, Vu in kN, span in m)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { roundTo } from '../math/solver.js';
+import { CONCRETE_GRADES } from './concrete.js';
+
+/**
+ * Characteristic yield strength of reinforcement (MPa)
+ */
+export const STEEL_GRADES = {
+  'Fe250': 250,
+  'Fe415': 415,
+  'Fe500': 500
+};
+
+/**
+ * Limiting depth of neutral axis xu,max / d (IS 456:2000 Clause 38.1, Note)
+ */
+export const XU_MAX_RATIO = {
+  'Fe250': 0.53,
+  'Fe415': 0.48,
+  'Fe500': 0.46
+};
+
+/**
+ * Design stress-strain points for cold worked bars (SP 16:1980 Table A)
+ * Each entry is [strain, stress (MPa)]
+ */
+const HYSD_STRESS_STRAIN = {
+  'Fe415': [
+    [0.00144, 288.7], [0.00163, 306.7], [0.00192, 324.8],
+    [0.00241, 342.8], [0.00276, 351.8], [0.00380, 360.9]
+  ],
+  'Fe500': [
+    [0.00174, 347.8], [0.00195, 369.6], [0.00226, 391.3],
+    [0.00277, 413.0], [0.00312, 423.9], [0.00417, 434.8]
+  ]
+};
+
+/**
+ * Maximum shear stress τc,max (MPa) (IS 456:2000 Table 20)
+ */
+const MAX_SHEAR_STRESS = [
+  [15, 2.5], [20, 2.8], [25, 3.1], [30, 3.5], [35, 3.7], [40, 4.0]
+];
+
+/**
+ * Basic span/effective depth ratios (IS 456:2000 Clause 23.2.1)
+ */
+const BASIC_SPAN_DEPTH = {
+  cantilever: 7,
+  simply_supported: 20,
+  continuous: 26
+};
+
+const ES = 200000; // Modulus of elasticity of steel (MPa)
+
+const barArea = (diameter) => Math.PI * diameter * diameter / 4;
+
+/**
+ * Design stress in reinforcement for a given strain (magnitude)
+ */
+export function steelStress(strain, steelGrade) {
+  const fy = STEEL_GRADES[steelGrade];
+  const points = HYSD_STRESS_STRAIN[steelGrade];
+  if (!points) {
+    return Math.min(ES * strain, 0.87 * fy);
+  }
+  if (strain <= points[0][0]) return ES * strain;
+  for (let i = 1; i < points.length; i++) {
+    const [e1, f1] = points[i - 1];
+    const [e2, f2] = points[i];
+    if (strain <= e2) return f1 + (f2 - f1) * (strain - e1) / (e2 - e1);
+  }
+  return 0.87 * fy;
+}
+
+/**
+ * Design shear strength of concrete τc (MPa) (IS 456:2000 Table 19)
+ * Closed form of the table from SP 16; no increase beyond M40
+ */
+export function designShearStrength(fck, pt) {
+  const p = Math.min(Math.max(pt, 0.15), 3.0);
+  const f = Math.min(fck, 40);
+  const beta = Math.max(0.8 * f / (6.89 * p), 1);
+  return 0.85 * Math.sqrt(0.8 * f) * (Math.sqrt(1 + 5 * beta) - 1) / (6 * beta);
+}
+
+/**
+ * Modification factor kt for tension reinforcement (IS 456:2000 Fig. 4)
+ * Curve fit of the figure; fs is the steel stress at service (MPa)
+ */
+export function tensionModificationFactor(fs, pt) {
+  return Math.min(2.0, 1 / (0.225 + 0.00322 * fs - 0.625 * Math.log10(1 / Math.max(pt, 0.1))));
+}
+
+/**
+ * Maximum shear stress τc,max (MPa) (IS 456:2000 Table 20)
+ */
+function maxShearStress(fck) {
+  let value = MAX_SHEAR_STRESS[0][1];
+  for (const [grade, tau] of MAX_SHEAR_STRESS) {
+    if (fck >= grade) value = tau;
+  }
+  return value;
+}
+
+/**
+ * RC Beam Design as per IS 456:2000 (Limit State Method)
+ * @param {Object} params - Section, materials and factored actions
+ * @returns {Object} Reinforcement, checks and step-by-step design
+ */
+export function designRCBeam(params) {
+  const {
+    grade = 'M25',
+    steelGrade = 'Fe415',
+    width = 230,              // b (mm)
+    depth = 450,              // Overall depth D (mm)
+    cover = 25,               // Clear cover (mm)
+    barDiameter = 16,         // Tension bars (mm)
+    compressionBarDiameter = 16,
+    stirrupDiameter = 8,
+    stirrupLegs = 2,
+    Mu = 0,                   // Factored moment (kN·m)
+    Vu = 0,                   // Factored shear (kN)
+    span = 0,                 // Effective span (m)
+    supportCondition = 'simply_supported'
+  } = params;
+
+  const fck = CONCRETE_GRADES[grade];
+  const fy = STEEL_GRADES[steelGrade];
+  if (!fck) throw new Error(`Unknown concrete grade ${grade}`);
+  if (!fy) throw new Error(`Unknown steel grade ${steelGrade}`);
+  if (width <= 0 || depth <= 0) throw new Error('Section width and depth must be greater than 0');
+
+  const b = width;
+  const D = depth;
+  const MuNmm = Math.abs(Mu) * 1e6;
+  const VuN = Math.abs(Vu) * 1e3;
+
+  const steps = [];
+  const warnings = [];
+  const addStep = (step) => steps.push({ step: steps.length + 1, ...step });
+
+  if (fck < 20) {
+    warnings.push(`${grade} is below the minimum grade M20 for reinforced concrete (IS 456:2000 Table 5).`);
+  }
+
+  // Step 1: Effective depth
+  const d = D - cover - stirrupDiameter - barDiameter / 2;
+  if (d <= 0) throw new Error('Cover and bar sizes leave no effective depth');
+
+  addStep({
+    title: 'Effective Depth',
+    formula: 'd = D - clear cover - φstirrup - φbar / 2',
+    calculation: `d = ${D} - ${cover} - ${stirrupDiameter} - ${barDiameter} / 2 = ${roundTo(d, 1)} mm`,
+    result: roundTo(d, 1),
+    unit: 'mm',
+    reference: 'IS 456:2000, Clause 26.4'
+  });
+
+  // Step 2: Limiting moment of resistance
+  const xuMaxRatio = XU_MAX_RATIO[steelGrade];
+  const xuMax = xuMaxRatio * d;
+  const muLim = 0.36 * fck * b * xuMax * (d - 0.42 * xuMax);
+
+  addStep({
+    title: 'Limiting Moment of Resistance',
+    formula: 'Mu,lim = 0.36 fck b xu,max (d - 0.42 xu,max)',
+    calculation: `xu,max = ${xuMaxRatio} × ${roundTo(d, 1)} = ${roundTo(xuMax, 1)} mm; Mu,lim = 0.36 × ${fck} × ${b} × ${roundTo(xuMax, 1)} × (${roundTo(d, 1)} - 0.42 × ${roundTo(xuMax, 1)}) = ${roundTo(muLim / 1e6, 2)} kN·m`,
+    result: roundTo(muLim / 1e6, 2),
+    unit: 'kN·m',
+    reference: 'IS 456:2000, Clause 38.1 & Annex G-1.1'
+  });
+
+  // Step 3: Tension (and compression) steel for flexure
+  const isDoubly = MuNmm > muLim;
+  let astFlexure;
+  let ascRequired = 0;
+  let dPrime = 0;
+  let fsc = 0;
+
+  if (!isDoubly) {
+    const ratio = 4.6 * MuNmm / (fck * b * d * d);
+    astFlexure = 0.5 * fck / fy * (1 - Math.sqrt(1 - ratio)) * b * d;
+
+    addStep({
+      title: 'Tension Steel (Singly Reinforced)',
+      formula: 'Ast = 0.5 fck / fy [1 - √(1 - 4.6 Mu / (fck b d²))] b d',
+      calculation: `Mu = ${roundTo(MuNmm / 1e6, 2)} kN·m ≤ Mu,lim = ${roundTo(muLim / 1e6, 2)} kN·m; Ast = 0.5 × ${fck} / ${fy} × [1 - √(1 - ${roundTo(ratio, 4)})] × ${b} × ${roundTo(d, 1)}`,
+      result: roundTo(astFlexure, 0),
+      unit: 'mm²',
+      reference: 'IS 456:2000, Annex G-1.1(b)'
+    });
+  } else {
+    dPrime = cover + stirrupDiameter + compressionBarDiameter / 2;
+    const strain = 0.0035 * (1 - dPrime / xuMax);
+    fsc = steelStress(strain, steelGrade);
+    const mu2 = MuNmm - muLim;
+    const ast1 = 0.36 * fck * b * xuMax / (0.87 * fy);
+    ascRequired = mu2 / ((fsc - 0.446 * fck) * (d - dPrime));
+    const ast2 = ascRequired * (fsc - 0.446 * fck) / (0.87 * fy);
+    astFlexure = ast1 + ast2;
+
+    addStep({
+      title: 'Compression Steel (Doubly Reinforced)',
+      formula: "εsc = 0.0035 (1 - d'/xu,max); Asc = (Mu - Mu,lim) / [(fsc - 0.446 fck)(d - d')]",
+      calculation: `d' = ${dPrime} mm, εsc = ${roundTo(strain, 5)}, fsc = ${roundTo(fsc, 1)} MPa; Asc = ${roundTo(mu2 / 1e6, 2)} × 10⁶ / [(${roundTo(fsc, 1)} - ${roundTo(0.446 * fck, 2)}) × ${roundTo(d - dPrime, 1)}]`,
+      result: roundTo(ascRequired, 0),
+      unit: 'mm²',
+      reference: 'IS 456:2000, Clause 38.1 & SP 16 Table A'
+    });
+
+    addStep({
+      title: 'Tension Steel (Doubly Reinforced)',
+      formula: 'Ast = 0.36 fck b xu,max / (0.87 fy) + Asc (fsc - 0.446 fck) / (0.87 fy)',
+      calculation: `Ast1 = ${roundTo(ast1, 0)} mm², Ast2 = ${roundTo(ast2, 0)} mm²`,
+      result: roundTo(astFlexure, 0),
+      unit: 'mm²',
+      reference: 'IS 456:2000, Annex G-1.2'
+    });
+  }
+
+  // Step 4: Minimum and maximum tension steel
+  const astMin = 0.85 * b * d / fy;
+  const astMax = 0.04 * b * D;
+  const astRequired = Math.max(astFlexure, astMin);
+
+  addStep({
+    title: 'Minimum and Maximum Steel',
+    formula: 'Ast,min = 0.85 b d / fy; Ast,max = 0.04 b D',
+    calculation: `Ast,min = 0.85 × ${b} × ${roundTo(d, 1)} / ${fy} = ${roundTo(astMin, 0)} mm²; Ast,max = 0.04 × ${b} × ${D} = ${roundTo(astMax, 0)} mm²`,
+    result: roundTo(astRequired, 0),
+    unit: 'mm²',
+    reference: 'IS 456:2000, Clause 26.5.1.1'
+  });
+
+  if (astFlexure < astMin) {
+    warnings.push('Flexural steel is less than the minimum; minimum tension steel governs.');
+  }
+
+  // Step 5: Bars provided
+  const tensionBars = Math.max(2, Math.ceil(astRequired / barArea(barDiameter)));
+  const astProvided = tensionBars * barArea(barDiameter);
+  const compressionBars = isDoubly
+    ? Math.max(2, Math.ceil(ascRequired / barArea(compressionBarDiameter)))
+    : 2; // Hanger bars
+  const ascProvided = isDoubly ? compressionBars * barArea(compressionBarDiameter) : 0;
+
+  addStep({
+    title: 'Reinforcement Provided',
+    formula: 'n = Ast,req / (π φ² / 4)',
+    calculation: `Tension: ${tensionBars} - ${barDiameter}φ (${roundTo(astProvided, 0)} mm²)` +
+      (isDoubly
+        ? `; Compression: ${compressionBars} - ${compressionBarDiameter}φ (${roundTo(ascProvided, 0)} mm²)`
+        : `; Hanger bars: 2 - ${Math.min(compressionBarDiameter, 12)}φ`),
+    result: roundTo(astProvided, 0),
+    unit: 'mm²',
+    reference: 'IS 456:2000, Clause 26.5.1'
+  });
+
+  const clearSpacing = (b - 2 * cover - 2 * stirrupDiameter - tensionBars * barDiameter) / (tensionBars - 1);
+  if (clearSpacing < Math.max(barDiameter, 25)) {
+    warnings.push(`${tensionBars} bars of ${barDiameter} mm do not fit in one layer (clear spacing ${roundTo(clearSpacing, 0)} mm); use larger bars or two layers and recheck d.`);
+  }
+
+  // Step 6: Nominal shear stress
+  const tauV = VuN / (b * d);
+  const tauCMax = maxShearStress(fck);
+
+  addStep({
+    title: 'Nominal Shear Stress',
+    formula: 'τv = Vu / (b d)',
+    calculation: `τv = ${roundTo(VuN / 1e3, 2)} × 10³ / (${b} × ${roundTo(d, 1)}) = ${roundTo(tauV, 3)} MPa; τc,max = ${tauCMax} MPa`,
+    result: roundTo(tauV, 3),
+    unit: 'MPa',
+    reference: 'IS 456:2000, Clause 40.1 & Table 20'
+  });
+
+  // Step 7: Design shear strength of concrete
+  const pt = 100 * astProvided / (b * d);
+  const tauC = designShearStrength(fck, pt);
+
+  addStep({
+    title: 'Design Shear Strength of Concrete',
+    formula: 'τc from Table 19 for pt = 100 Ast / (b d)',
+    calculation: `pt = 100 × ${roundTo(astProvided, 0)} / (${b} × ${roundTo(d, 1)}) = ${roundTo(pt, 3)}%`,
+    result: roundTo(tauC, 3),
+    unit: 'MPa',
+    reference: 'IS 456:2000, Table 19'
+  });
+
+  // Step 8: Shear reinforcement
+  const fyv = Math.min(fy, 415); // Stirrup strength is limited to 415 MPa (Clause 40.4)
+  const asv = stirrupLegs * barArea(stirrupDiameter);
+  const maxSpacing = Math.min(0.75 * d, 300);
+  const shearFails = tauV > tauCMax;
+  let vus = 0;
+  let spacingRequired = maxSpacing;
+  let spacingCalculation;
+
+  if (shearFails) {
+    spacingRequired = null;
+    spacingCalculation = `τv = ${roundTo(tauV, 3)} MPa > τc,max = ${tauCMax} MPa: increase the section`;
+    warnings.push('Nominal shear stress exceeds τc,max. Revise the section size or concrete grade.');
+  } else if (tauV <= tauC) {
+    const sMin = 0.87 * fyv * asv / (0.4 * b);
+    spacingRequired = Math.min(sMin, maxSpacing);
+    spacingCalculation = `τv ≤ τc: minimum stirrups, sv = 0.87 × ${fyv} × ${roundTo(asv, 1)} / (0.4 × ${b}) = ${roundTo(sMin, 0)} mm`;
+  } else {
+    vus = VuN - tauC * b * d;
+    const sDesign = 0.87 * fyv * asv * d / vus;
+    spacingRequired = Math.min(sDesign, maxSpacing);
+    spacingCalculation = `Vus = Vu - τc b d = ${roundTo(vus / 1e3, 2)} kN; sv = 0.87 × ${fyv} × ${roundTo(asv, 1)} × ${roundTo(d, 1)} / Vus = ${roundTo(sDesign, 0)} mm`;
+  }
+
+  // Round spacing down to a practical 5 mm multiple
+  const stirrupSpacing = spacingRequired === null ? null : Math.floor(spacingRequired / 5) * 5;
+
+  addStep({
+    title: 'Shear Reinforcement',
+    formula: 'sv = 0.87 fy Asv d / Vus ≤ min(0.75 d, 300 mm)',
+    calculation: `${spacingCalculation}; max spacing = ${roundTo(maxSpacing, 0)} mm`,
+    result: stirrupSpacing === null ? 'Section inadequate' : `${stirrupLegs}L - ${stirrupDiameter}φ @ ${stirrupSpacing} mm c/c`,
+    unit: '',
+    reference: 'IS 456:2000, Clause 40.4 & 26.5.1.5'
+  });
+
+  // Step 9: Deflection control by span/depth ratio
+  const basicRatio = BASIC_SPAN_DEPTH[supportCondition] || BASIC_SPAN_DEPTH.simply_supported;
+  const fs = 0.58 * fy * astRequired / astProvided;
+  const kt = tensionModificationFactor(fs, pt);
+  const pc = 100 * ascProvided / (b * d);
+  const kc = Math.min(1.5, 1 + pc / (3 + pc));
+  const spanFactor = span > 10 && supportCondition !== 'cantilever' ? 10 / span : 1;
+  const allowedRatio = basicRatio * kt * kc * spanFactor;
+  const actualRatio = span > 0 ? span * 1000 / d : 0;
+  const deflectionOk = actualRatio <= allowedRatio;
+
+  addStep({
+    title: 'Deflection Check (Span/Depth)',
+    formula: 'l/d ≤ (l/d)basic × kt × kc' + (spanFactor < 1 ? ' × 10/l' : ''),
+    calculation: `fs = 0.58 × ${fy} × ${roundTo(astRequired, 0)} / ${roundTo(astProvided, 0)} = ${roundTo(fs, 1)} MPa, kt = ${roundTo(kt, 2)}, kc = ${roundTo(kc, 2)}; allowed = ${basicRatio} × ${roundTo(kt, 2)} × ${roundTo(kc, 2)}${spanFactor < 1 ? ` × ${roundTo(spanFactor, 3)}` : ''} = ${roundTo(allowedRatio, 2)}, actual = ${roundTo(actualRatio, 2)}`,
+    result: deflectionOk ? 'OK' : 'Not OK',
+    unit: '',
+    reference: 'IS 456:2000, Clause 23.2.1 & Fig. 4, 5'
+  });
+
+  if (!deflectionOk) {
+    warnings.push('Span/depth ratio exceeds the allowable value. Increase the depth or the tension steel.');
+  }
+
+  const checks = [
+    {
+      name: 'Minimum tension steel',
+      value: roundTo(astProvided, 0),
+      limit: `≥ ${roundTo(astMin, 0)} mm²`,
+      status: astProvided >= astMin ? 'OK' : 'FAIL'
+    },
+    {
+      name: 'Maximum tension steel',
+      value: roundTo(astProvided, 0),
+      limit: `≤ ${roundTo(astMax, 0)} mm²`,
+      status: astProvided <= astMax ? 'OK' : 'FAIL'
+    },
+    {
+      name: 'Maximum compression steel',
+      value: roundTo(ascProvided, 0),
+      limit: `≤ ${roundTo(astMax, 0)} mm²`,
+      status: ascProvided <= astMax ? 'OK' : 'FAIL'
+    },
+    {
+      name: 'Shear stress',
+      value: roundTo(tauV, 3),
+      limit: `≤ τc,max = ${tauCMax} MPa`,
+      status: shearFails ? 'FAIL' : 'OK'
+    },
+    {
+      name: 'Span/depth ratio',
+      value: roundTo(actualRatio, 2),
+      limit: `≤ ${roundTo(allowedRatio, 2)}`,
+      status: deflectionOk ? 'OK' : 'FAIL'
+    }
+  ];
+
+  if (astProvided > astMax || ascProvided > astMax) {
+    warnings.push('Reinforcement exceeds 4% of the gross section. Increase the section size.');
+  }
+
+  return {
+    inputs: {
+      grade,
+      steelGrade,
+      width: b,
+      depth: D,
+      cover,
+      Mu: Math.abs(Mu),
+      Vu: Math.abs(Vu),
+      span,
+      supportCondition
+    },
+    fck,
+    fy,
+    effectiveDepth: roundTo(d, 1),
+    xuMax: roundTo(xuMax, 1),
+    muLim: roundTo(muLim / 1e6, 2),
+    designType: isDoubly ? 'Doubly Reinforced' : 'Singly Reinforced',
+    flexure: {
+      astRequired: roundTo(astRequired, 0),
+      astProvided: roundTo(astProvided, 0),
+      tensionBars: { count: tensionBars, diameter: barDiameter },
+      ascRequired: roundTo(ascRequired, 0),
+      ascProvided: roundTo(ascProvided, 0),
+      compressionBars: isDoubly ? { count: compressionBars, diameter: compressionBarDiameter } : null,
+      fsc: roundTo(fsc, 1),
+      pt: roundTo(pt, 3)
+    },
+    shear: {
+      tauV: roundTo(tauV, 3),
+      tauC: roundTo(tauC, 3),
+      tauCMax: tauCMax,
+      vus: roundTo(vus / 1e3, 2),
+      stirrups: { legs: stirrupLegs, diameter: stirrupDiameter, spacing: stirrupSpacing },
+      maxSpacing: roundTo(maxSpacing, 0)
+    },
+    deflection: {
+      basicRatio,
+      kt: roundTo(kt, 2),
+      kc: roundTo(kc, 2),
+      allowedRatio: roundTo(allowedRatio, 2),
+      actualRatio: roundTo(actualRatio, 2),
+      isOk: deflectionOk
+    },
+    checks,
+    isSafe: checks.every(check => check.status === 'OK'),
+    designSteps: steps,
+    warnings,
+    standardsReference: ['IS 456:2000', 'SP 16:1980']
+  };
+}
+
+/**
+ * Get available options for dropdowns
+ */
+export function getRCDesignOptions() {
+  return {
+    grades: Object.keys(CONCRETE_GRADES).filter(grade => CONCRETE_GRADES[grade] >= 20),
+    steelGrades: Object.keys(STEEL_GRADES),
+    barDiameters: [10, 12, 16, 20, 25, 28, 32],
+    stirrupDiameters: [6, 8, 10, 12],
+    supportConditions: [
+      { value: 'simply_supported', label: 'Simply Supported' },
+      { value: 'continuous', label: 'Continuous' },
+      { value: 'cantilever', label: 'Cantilever' }
+    ]
+  };
+}
+
+export default {
+  designRCBeam,
+  designShearStrength,
+  tensionModificationFactor,
+  steelStress,
+  getRCDesignOptions,
+  STEEL_GRADES
+};
@@ -0,0 +1,622 @@
+/**
+ * RC Slab Design Module
+ * IS 456:2000 Limit State Design of solid slabs
+ * Two-way panels by the Annex D moment coefficients (Table 26) and
+ * one-way slabs by the Table 12 coefficients, with corner torsion steel,
+ * shear and deflection control
+ *
+ * Units: kN, m for loads and spans; N, mm, MPa for sections (per metre width)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { linearInterpolate, roundTo } from '../math/solver.js';
+import { CONCRETE_GRADES } from './concrete.js';
+import {
+  STEEL_GRADES,
+  XU_MAX_RATIO,
+  designShearStrength,
+  tensionModificationFactor
+} from './rcDesign.js';
+
+/**
+ * ly/lx ratios at which Table 26 tabulates the short span coefficients
+ */
+const SPAN_RATIOS = [1.0, 1.1, 1.2, 1.3, 1.4, 1.5, 1.75, 2.0];
+
+/**
+ * Bending moment coefficients for rectangular panels supported on four
+ * sides with provision for torsion at corners (IS 456:2000 Table 26)
+ * Short span coefficients follow SPAN_RATIOS; long span coefficients are
+ * the same for all ratios. null marks an edge with no continuity moment.
+ * discontinuousShort / discontinuousLong count the discontinuous edges.
+ */
+export const SLAB_EDGE_CONDITIONS = {
+  interior: {
+    case: 1,
+    label: 'Interior panel',
+    discontinuousShort: 0,
+    discontinuousLong: 0,
+    shortNegative: [0.032, 0.037, 0.043, 0.047, 0.051, 0.053, 0.060, 0.065],
+    shortPositive: [0.024, 0.028, 0.032, 0.036, 0.039, 0.041, 0.045, 0.049],
+    longNegative: 0.032,
+    longPositive: 0.024
+  },
+  one_short_discontinuous: {
+    case: 2,
+    label: 'One short edge discontinuous',
+    discontinuousShort: 1,
+    discontinuousLong: 0,
+    shortNegative: [0.037, 0.043, 0.048, 0.051, 0.055, 0.057, 0.064, 0.068],
+    shortPositive: [0.028, 0.032, 0.036, 0.039, 0.041, 0.044, 0.048, 0.052],
+    longNegative: 0.037,
+    longPositive: 0.028
+  },
+  one_long_discontinuous: {
+    case: 3,
+    label: 'One long edge discontinuous',
+    discontinuousShort: 0,
+    discontinuousLong: 1,
+    shortNegative: [0.037, 0.044, 0.052, 0.057, 0.063, 0.067, 0.077, 0.085],
+    shortPositive: [0.028, 0.033, 0.039, 0.044, 0.047, 0.051, 0.059, 0.065],
+    longNegative: 0.037,
+    longPositive: 0.028
+  },
+  two_adjacent_discontinuous: {
+    case: 4,
+    label: 'Two adjacent edges discontinuous',
+    discontinuousShort: 1,
+    discontinuousLong: 1,
+    shortNegative: [0.047, 0.053, 0.060, 0.065, 0.071, 0.075, 0.084, 0.091],
+    shortPositive: [0.035, 0.040, 0.045, 0.049, 0.053, 0.056, 0.063, 0.069],
+    longNegative: 0.047,
+    longPositive: 0.035
+  },
+  two_short_discontinuous: {
+    case: 5,
+    label: 'Two short edges discontinuous',
+    discontinuousShort: 2,
+    discontinuousLong: 0,
+    shortNegative: [0.045, 0.049, 0.052, 0.056, 0.059, 0.060, 0.065, 0.069],
+    shortPositive: [0.035, 0.037, 0.040, 0.043, 0.044, 0.045, 0.049, 0.052],
+    longNegative: null,
+    longPositive: 0.035
+  },
+  two_long_discontinuous: {
+    case: 6,
+    label: 'Two long edges discontinuous',
+    discontinuousShort: 0,
+    discontinuousLong: 2,
+    shortNegative: null,
+    shortPositive: [0.035, 0.043, 0.051, 0.057, 0.063, 0.068, 0.080, 0.088],
+    longNegative: 0.045,
+    longPositive: 0.035
+  },
+  three_discontinuous_long_continuous: {
+    case: 7,
+    label: 'Three edges discontinuous (one long edge continuous)',
+    discontinuousShort: 2,
+    discontinuousLong: 1,
+    shortNegative: [0.057, 0.064, 0.071, 0.076, 0.080, 0.084, 0.091, 0.097],
+    shortPositive: [0.043, 0.048, 0.053, 0.057, 0.060, 0.064, 0.069, 0.073],
+    longNegative: null,
+    longPositive: 0.043
+  },
+  three_discontinuous_short_continuous: {
+    case: 8,
+    label: 'Three edges discontinuous (one short edge continuous)',
+    discontinuousShort: 1,
+    discontinuousLong: 2,
+    shortNegative: null,
+    shortPositive: [0.043, 0.051, 0.059, 0.065, 0.071, 0.076, 0.087, 0.096],
+    longNegative: 0.057,
+    longPositive: 0.043
+  },
+  four_discontinuous: {
+    case: 9,
+    label: 'Four edges discontinuous',
+    discontinuousShort: 2,
+    discontinuousLong: 2,
+    shortNegative: null,
+    shortPositive: [0.056, 0.064, 0.072, 0.079, 0.085, 0.089, 0.100, 0.107],
+    longNegative: null,
+    longPositive: 0.056
+  }
+};
+
+/**
+ * Bending moment coefficients for continuous one-way slabs
+ * (IS 456:2000 Table 12), as [dead load, imposed load]
+ * Keyed by the number of discontinuous long edges of the panel
+ */
+const ONE_WAY_COEFFICIENTS = {
+  0: { positive: [1 / 16, 1 / 12], negative: [1 / 12, 1 / 9], span: 'interior span' },
+  1: { positive: [1 / 12, 1 / 10], negative: [1 / 10, 1 / 9], span: 'end span' },
+  2: { positive: [1 / 8, 1 / 8], negative: null, span: 'single span' }
+};
+
+const CONCRETE_UNIT_WEIGHT = 25; // kN/m³ (IS 875 Part 1)
+const STRIP_WIDTH = 1000;        // Design strip b (mm)
+
+const barArea = (diameter) => Math.PI * diameter * diameter / 4;
+
+const formatCoefficient = (value) => (value === null ? '-' : roundTo(value, 4));
+
+/**
+ * Shear strength enhancement factor k for solid slabs (IS 456:2000 Clause 40.2.1.1)
+ */
+function slabShearFactor(depth) {
+  return Math.min(1.3, Math.max(1.0, 1.3 - 0.3 * (depth - 150) / 150));
+}
+
+/**
+ * RC Slab Design as per IS 456:2000 (Limit State Method)
+ * @param {Object} params - Panel spans, edge condition, loads and materials
+ * @returns {Object} Moments, reinforcement, checks and step-by-step design
+ */
+export function designRCSlab(params) {
+  const {
+    grade = 'M25',
+    steelGrade = 'Fe415',
+    lx = 4,                    // Short effective span (m)
+    ly = 5,                    // Long effective span (m)
+    edgeCondition = 'interior',
+    depth = 150,               // Overall depth D (mm)
+    cover = 20,                // Clear cover (mm)
+    barDiameter = 10,          // Main bars (mm)
+    liveLoad = 3,              // Imposed load (kN/m²)
+    finishLoad = 1,            // Floor finish and other dead load (kN/m²)
+    loadFactor = 1.5
+  } = params;
+
+  const fck = CONCRETE_GRADES[grade];
+  const fy = STEEL_GRADES[steelGrade];
+  const edges = SLAB_EDGE_CONDITIONS[edgeCondition];
+  if (!fck) throw new Error(`Unknown concrete grade ${grade}`);
+  if (!fy) throw new Error(`Unknown steel grade ${steelGrade}`);
+  if (!edges) throw new Error(`Unknown edge condition ${edgeCondition}`);
+  if (lx <= 0 || ly <= 0) throw new Error('Panel spans must be greater than 0');
+  if (lx > ly) throw new Error('lx must be the shorter span of the panel');
+  if (depth <= 0) throw new Error('Slab depth must be greater than 0');
+
+  const D = depth;
+  const b = STRIP_WIDTH;
+  const ratio = ly / lx;
+  const isTwoWay = ratio <= 2;
+
+  const steps = [];
+  const warnings = [];
+  const addStep = (step) => steps.push({ step: steps.length + 1, ...step });
+
+  if (fck < 20) {
+    warnings.push(`${grade} is below the minimum grade M20 for reinforced concrete (IS 456:2000 Table 5).`);
+  }
+
+  // Step 1: Panel type
+  addStep({
+    title: 'Panel Type',
+    formula: 'ly / lx ≤ 2: two-way slab; ly / lx > 2: one-way slab',
+    calculation: `ly / lx = ${ly} / ${lx} = ${roundTo(ratio, 3)}; ${edges.label} (Table 26 case ${edges.case})`,
+    result: isTwoWay ? 'Two-way' : 'One-way',
+    unit: '',
+    reference: 'IS 456:2000, Clause 24.4 & Annex D'
+  });
+
+  // Step 2: Loads per square metre
+  const selfWeight = D / 1000 * CONCRETE_UNIT_WEIGHT;
+  const deadLoad = selfWeight + finishLoad;
+  const serviceLoad = deadLoad + liveLoad;
+  const wu = loadFactor * serviceLoad;
+
+  addStep({
+    title: 'Design Load',
+    formula: 'wu = γf (D × 25 + finishes + imposed)',
+    calculation: `self weight = ${D / 1000} × ${CONCRETE_UNIT_WEIGHT} = ${roundTo(selfWeight, 2)} kN/m²; wu = ${loadFactor} × (${roundTo(selfWeight, 2)} + ${finishLoad} + ${liveLoad}) = ${roundTo(wu, 2)} kN/m²`,
+    result: roundTo(wu, 2),
+    unit: 'kN/m²',
+    reference: 'IS 456:2000, Table 18; IS 875 (Part 1)'
+  });
+
+  // Step 3: Moment coefficients
+  let coefficients;
+  let coefficientCalculation;
+  if (isTwoWay) {
+    const shortCoefficient = (values) => (values ? linearInterpolate(SPAN_RATIOS, values, ratio) : null);
+    coefficients = {
+      shortNegative: shortCoefficient(edges.shortNegative),
+      shortPositive: shortCoefficient(edges.shortPositive),
+      longNegative: edges.longNegative,
+      longPositive: edges.longPositive
+    };
+    coefficientCalculation = `ly / lx = ${roundTo(ratio, 3)}: αx- = ${formatCoefficient(coefficients.shortNegative)}, αx+ = ${formatCoefficient(coefficients.shortPositive)}, αy- = ${formatCoefficient(coefficients.longNegative)}, αy+ = ${formatCoefficient(coefficients.longPositive)}`;
+  } else {
+    // Equivalent α = Mu / (wu lx²) from the dead and imposed load coefficients
+    const table = ONE_WAY_COEFFICIENTS[edges.discontinuousLong];
+    const equivalent = (pair) => (pair ? (pair[0] * deadLoad + pair[1] * liveLoad) / serviceLoad : null);
+    coefficients = {
+      shortNegative: equivalent(table.negative),
+      shortPositive: equivalent(table.positive),
+      longNegative: null,
+      longPositive: null
+    };
+    const fraction = (value) => `1/${Math.round(1 / value)}`;
+    const describe = (pair) => `${fraction(pair[0])} (DL), ${fraction(pair[1])} (LL)`;
+    coefficientCalculation = `${table.span}: span ${describe(table.positive)}` +
+      (table.negative ? `; support ${describe(table.negative)}` : '') +
+      `; equivalent αx+ = ${formatCoefficient(coefficients.shortPositive)}, αx- = ${formatCoefficient(coefficients.shortNegative)}`;
+  }
+
+  addStep({
+    title: 'Bending Moment Coefficients',
+    formula: isTwoWay ? 'αx from Table 26 (interpolated on ly/lx), αy constant' : 'M = (αDL wDL + αLL wLL) lx²',
+    calculation: coefficientCalculation,
+    result: formatCoefficient(coefficients.shortPositive),
+    unit: 'αx+',
+    reference: isTwoWay ? 'IS 456:2000, Annex D-1.1 & Table 26' : 'IS 456:2000, Clause 22.5 & Table 12'
+  });
+
+  // Step 4: Design moments per metre width
+  const momentOf = (alpha) => (alpha === null ? null : alpha * wu * lx * lx);
+  const moments = {
+    shortNegative: momentOf(coefficients.shortNegative),
+    shortPositive: momentOf(coefficients.shortPositive),
+    longNegative: momentOf(coefficients.longNegative),
+    longPositive: momentOf(coefficients.longPositive)
+  };
+  const momentText = (label, value) => (value === null ? null : `${label} = ${roundTo(value, 2)}`);
+  const maxMoment = Math.max(...Object.values(moments).filter(value => value !== null));
+
+  addStep({
+    title: 'Design Moments',
+    formula: 'M = α wu lx²',
+    calculation: [
+      momentText('Mx-', moments.shortNegative),
+      momentText('Mx+', moments.shortPositive),
+      momentText('My-', moments.longNegative),
+      momentText('My+', moments.longPositive)
+    ].filter(Boolean).join(', ') + ' kN·m/m',
+    result: roundTo(maxMoment, 2),
+    unit: 'kN·m/m',
+    reference: isTwoWay ? 'IS 456:2000, Annex D-1.1' : 'IS 456:2000, Clause 22.5.1'
+  });
+
+  // Step 5: Effective depths (short span bars in the outer layer)
+  const dx = D - cover - barDiameter / 2;
+  const dy = dx - barDiameter;
+  if (dy <= 0) throw new Error('Cover and bar sizes leave no effective depth');
+
+  const xuMaxRatio = XU_MAX_RATIO[steelGrade];
+  const muLim = 0.36 * fck * b * xuMaxRatio * dx * (dx - 0.42 * xuMaxRatio * dx);
+  const dRequired = Math.sqrt(maxMoment * 1e6 / (0.36 * fck * b * xuMaxRatio * (1 - 0.42 * xuMaxRatio)));
+  const depthOk = dRequired <= dx;
+
+  addStep({
+    title: 'Effective Depth',
+    formula: 'dx = D - cover - φ/2, dy = dx - φ; d,req = √(Mu / (0.36 fck b (xu,max/d)(1 - 0.42 xu,max/d)))',
+    calculation: `dx = ${D} - ${cover} - ${barDiameter / 2} = ${roundTo(dx, 1)} mm, dy = ${roundTo(dy, 1)} mm; d,req = ${roundTo(dRequired, 1)} mm; Mu,lim = ${roundTo(muLim / 1e6, 2)} kN·m/m`,
+    result: depthOk ? 'OK' : 'Increase depth',
+    unit: '',
+    reference: 'IS 456:2000, Clause 38.1 & Annex G-1.1'
+  });
+
+  if (!depthOk) {
+    warnings.push('Slab depth is insufficient for the design moment. Slabs are designed singly reinforced; increase the depth.');
+  }
+
+  // Step 6: Reinforcement per metre width
+  const astMinRatio = steelGrade === 'Fe250' ? 0.0015 : 0.0012;
+  const astMin = astMinRatio * b * D;
+  const areaPerBar = barArea(barDiameter);
+
+  const designStrip = ({ id, location, moment, coefficient, d, distribution = false }) => {
+    const maxSpacing = distribution ? Math.min(5 * d, 450) : Math.min(3 * d, 300);
+    let astFlexure = 0;
+    if (moment !== null && moment > 0) {
+      const k = Math.min(4.6 * moment * 1e6 / (fck * b * d * d), 1);
+      astFlexure = 0.5 * fck / fy * (1 - Math.sqrt(1 - k)) * b * d;
+    }
+    const astRequired = Math.max(astFlexure, astMin);
+    const spacing = Math.floor(Math.min(b * areaPerBar / astRequired, maxSpacing) / 5) * 5;
+    const astProvided = b * areaPerBar / spacing;
+
+    addStep({
+      title: `Reinforcement - ${location}`,
+      formula: distribution
+        ? 'Ast,min = 0.12% b D (0.15% for mild steel); s ≤ min(5d, 450)'
+        : 'Ast = 0.5 fck / fy [1 - √(1 - 4.6 Mu / (fck b d²))] b d ≥ Ast,min; s ≤ min(3d, 300)',
+      calculation: (moment !== null && !distribution
+        ? `Mu = ${roundTo(moment, 2)} kN·m/m, d = ${roundTo(d, 1)} mm: Ast = ${roundTo(astFlexure, 0)} mm²/m; `
+        : '') +
+        `Ast,min = ${roundTo(astMin, 0)} mm²/m; s = 1000 × ${roundTo(areaPerBar, 1)} / ${roundTo(astRequired, 0)} → ${spacing} mm (max ${roundTo(maxSpacing, 0)} mm)`,
+      result: `${barDiameter}φ @ ${spacing} mm c/c`,
+      unit: '',
+      reference: distribution ? 'IS 456:2000, Clause 26.5.2.1 & 26.3.3(b)' : 'IS 456:2000, Annex G-1.1(b) & Clause 26.3.3(b)'
+    });
+
+    return {
+      id,
+      location,
+      coefficient: coefficient === null ? null : roundTo(coefficient, 4),
+      moment: moment === null ? null : roundTo(moment, 2),
+      effectiveDepth: roundTo(d, 1),
+      astFlexure: roundTo(astFlexure, 0),
+      astRequired: roundTo(astRequired, 0),
+      astMin: roundTo(astMin, 0),
+      spacing,
+      maxSpacing: roundTo(maxSpacing, 0),
+      astProvided: roundTo(astProvided, 0),
+      bar: `${barDiameter}φ @ ${spacing} mm c/c`
+    };
+  };
+
+  const reinforcement = [];
+  reinforcement.push(designStrip({
+    id: 'shortPositive',
+    location: 'Short span, midspan (bottom)',
+    moment: moments.shortPositive,
+    coefficient: coefficients.shortPositive,
+    d: dx
+  }));
+  if (moments.shortNegative !== null) {
+    reinforcement.push(designStrip({
+      id: 'shortNegative',
+      location: 'Short span, continuous edge (top)',
+      moment: moments.shortNegative,
+      coefficient: coefficients.shortNegative,
+      d: dx
+    }));
+  }
+  if (isTwoWay) {
+    reinforcement.push(designStrip({
+      id: 'longPositive',
+      location: 'Long span, midspan (bottom)',
+      moment: moments.longPositive,
+      coefficient: coefficients.longPositive,
+      d: dy
+    }));
+    if (moments.longNegative !== null) {
+      reinforcement.push(designStrip({
+        id: 'longNegative',
+        location: 'Long span, continuous edge (top)',
+        moment: moments.longNegative,
+        coefficient: coefficients.longNegative,
+        d: dy
+      }));
+    }
+  } else {
+    reinforcement.push(designStrip({
+      id: 'distribution',
+      location: 'Long span, distribution (bottom)',
+      moment: null,
+      coefficient: null,
+      d: dy,
+      distribution: true
+    }));
+  }
+
+  const mainSteel = reinforcement[0];
+
+  if (barDiameter > D / 8) {
+    warnings.push(`Bar diameter ${barDiameter} mm exceeds D/8 = ${roundTo(D / 8, 1)} mm (IS 456:2000 Clause 26.5.2.2).`);
+  }
+
+  // Step 7: Torsion reinforcement at corners (two-way panels only)
+  let torsion = null;
+  if (isTwoWay) {
+    const s = edges.discontinuousShort;
+    const l = edges.discontinuousLong;
+    // Corners pair one short and one long edge
+    const fullCorners = s * l;
+    const halfCorners = s * (2 - l) + l * (2 - s);
+    const length = lx / 5;
+    const areaFull = 0.75 * mainSteel.astRequired;
+    const areaHalf = areaFull / 2;
+    const cornerSpacing = (area) => Math.floor(Math.min(b * areaPerBar / area, Math.min(3 * dx, 300)) / 5) * 5;
+
+    torsion = {
+      length: roundTo(length, 3),
+      fullCorners,
+      halfCorners,
+      areaFull: roundTo(areaFull, 0),
+      areaHalf: roundTo(areaHalf, 0),
+      spacingFull: fullCorners > 0 ? cornerSpacing(areaFull) : null,
+      spacingHalf: halfCorners > 0 ? cornerSpacing(areaHalf) : null
+    };
+
+    addStep({
+      title: 'Torsion Reinforcement at Corners',
+      formula: 'At = ¾ Ast(x+) in four layers over lx/5 each way; ½ At where one edge is continuous',
+      calculation: fullCorners + halfCorners === 0
+        ? 'All edges continuous: no torsion reinforcement required'
+        : `length = ${lx} / 5 = ${roundTo(length, 3)} m; ` +
+          (fullCorners > 0 ? `${fullCorners} corner(s) with both edges discontinuous: At = 0.75 × ${mainSteel.astRequired} = ${roundTo(areaFull, 0)} mm²/m (${barDiameter}φ @ ${torsion.spacingFull} mm)` : '') +
+          (fullCorners > 0 && halfCorners > 0 ? '; ' : '') +
+          (halfCorners > 0 ? `${halfCorners} corner(s) with one edge discontinuous: At/2 = ${roundTo(areaHalf, 0)} mm²/m (${barDiameter}φ @ ${torsion.spacingHalf} mm)` : ''),
+      result: fullCorners + halfCorners === 0 ? 'Not required' : `${fullCorners + halfCorners} corners`,
+      unit: '',
+      reference: 'IS 456:2000, Annex D-1.8 to D-1.10'
+    });
+  }
+
+  // Step 8: Shear at the long edges
+  const Vu = wu * lx / 2;
+  const tauV = Vu * 1e3 / (b * dx);
+  const pt = 100 * mainSteel.astProvided / (b * dx);
+  const tauC = designShearStrength(fck, pt);
+  const k = slabShearFactor(D);
+  const shearOk = tauV <= k * tauC;
+
+  addStep({
+    title: 'Shear Check',
+    formula: 'Vu = wu lx / 2; τv = Vu / (b d) ≤ k τc',
+    calculation: `Vu = ${roundTo(wu, 2)} × ${lx} / 2 = ${roundTo(Vu, 2)} kN/m; τv = ${roundTo(tauV, 3)} MPa; pt = ${roundTo(pt, 3)}%, τc = ${roundTo(tauC, 3)} MPa, k = ${roundTo(k, 2)}; k τc = ${roundTo(k * tauC, 3)} MPa`,
+    result: shearOk ? 'OK' : 'Not OK',
+    unit: '',
+    reference: 'IS 456:2000, Clause 40.2.1.1 & Table 19'
+  });
+
+  if (!shearOk) {
+    warnings.push('Nominal shear stress exceeds k τc. Slabs are normally kept free of shear reinforcement; increase the depth.');
+  }
+
+  // Step 9: Deflection control on the short span
+  const simplySupported = isTwoWay ? edgeCondition === 'four_discontinuous' : edges.discontinuousLong === 2;
+  const useSlabRule = isTwoWay && lx <= 3.5 && liveLoad <= 3 && steelGrade !== 'Fe500';
+  let deflection;
+
+  if (useSlabRule) {
+    const steelFactor = steelGrade === 'Fe415' ? 0.8 : 1;
+    const basicRatio = simplySupported ? 35 : 40;
+    const allowedRatio = basicRatio * steelFactor;
+    const actualRatio = lx * 1000 / D;
+    deflection = {
+      method: 'Clause 24.1 (two-way slab)',
+      basicRatio,
+      kt: null,
+      allowedRatio: roundTo(allowedRatio, 2),
+      actualRatio: roundTo(actualRatio, 2),
+      isOk: actualRatio <= allowedRatio
+    };
+
+    addStep({
+      title: 'Deflection Check (Span/Overall Depth)',
+      formula: 'lx / D ≤ 35 (simply supported) or 40 (continuous), × 0.8 for Fe 415',
+      calculation: `lx ≤ 3.5 m and imposed load ≤ 3 kN/m²: allowed = ${basicRatio}${steelFactor < 1 ? ' × 0.8' : ''} = ${roundTo(allowedRatio, 2)}, actual = ${lx * 1000} / ${D} = ${roundTo(actualRatio, 2)}`,
+      result: deflection.isOk ? 'OK' : 'Not OK',
+      unit: '',
+      reference: 'IS 456:2000, Clause 24.1, Note 2'
+    });
+  } else {
+    const basicRatio = simplySupported ? 20 : 26;
+    const fs = 0.58 * fy * mainSteel.astRequired / mainSteel.astProvided;
+    const kt = tensionModificationFactor(fs, pt);
+    const allowedRatio = basicRatio * kt;
+    const actualRatio = lx * 1000 / dx;
+    deflection = {
+      method: 'Clause 23.2.1',
+      basicRatio,
+      kt: roundTo(kt, 2),
+      allowedRatio: roundTo(allowedRatio, 2),
+      actualRatio: roundTo(actualRatio, 2),
+      isOk: actualRatio <= allowedRatio
+    };
+
+    addStep({
+      title: 'Deflection Check (Span/Depth)',
+      formula: 'lx / d ≤ (l/d)basic × kt',
+      calculation: `fs = 0.58 × ${fy} × ${mainSteel.astRequired} / ${mainSteel.astProvided} = ${roundTo(fs, 1)} MPa, kt = ${roundTo(kt, 2)}; allowed = ${basicRatio} × ${roundTo(kt, 2)} = ${roundTo(allowedRatio, 2)}, actual = ${roundTo(actualRatio, 2)}`,
+      result: deflection.isOk ? 'OK' : 'Not OK',
+      unit: '',
+      reference: 'IS 456:2000, Clause 23.2.1 & Fig. 4'
+    });
+  }
+
+  if (!deflection.isOk) {
+    warnings.push('Span/depth ratio exceeds the allowable value. Increase the slab depth.');
+  }
+
+  const checks = [
+    {
+      name: 'Depth for flexure',
+      value: roundTo(dx, 1),
+      limit: `≥ ${roundTo(dRequired, 1)} mm`,
+      status: depthOk ? 'OK' : 'FAIL'
+    },
+    {
+      name: 'Shear stress',
+      value: roundTo(tauV, 3),
+      limit: `≤ k τc = ${roundTo(k * tauC, 3)} MPa`,
+      status: shearOk ? 'OK' : 'FAIL'
+    },
+    {
+      name: 'Span/depth ratio',
+      value: deflection.actualRatio,
+      limit: `≤ ${deflection.allowedRatio}`,
+      status: deflection.isOk ? 'OK' : 'FAIL'
+    },
+    {
+      name: 'Bar diameter',
+      value: barDiameter,
+      limit: `≤ D/8 = ${roundTo(D / 8, 1)} mm`,
+      status: barDiameter <= D / 8 ? 'OK' : 'FAIL'
+    }
+  ];
+
+  return {
+    inputs: {
+      grade,
+      steelGrade,
+      lx,
+      ly,
+      edgeCondition,
+      depth: D,
+      cover,
+      barDiameter,
+      liveLoad,
+      finishLoad,
+      loadFactor
+    },
+    fck,
+    fy,
+    slabType: isTwoWay ? 'Two-way' : 'One-way',
+    edgeCase: { case: edges.case, label: edges.label },
+    spanRatio: roundTo(ratio, 3),
+    loads: {
+      selfWeight: roundTo(selfWeight, 2),
+      finish: finishLoad,
+      live: liveLoad,
+      service: roundTo(serviceLoad, 2),
+      factored: roundTo(wu, 2)
+    },
+    coefficients: {
+      shortNegative: coefficients.shortNegative === null ? null : roundTo(coefficients.shortNegative, 4),
+      shortPositive: roundTo(coefficients.shortPositive, 4),
+      longNegative: coefficients.longNegative,
+      longPositive: coefficients.longPositive
+    },
+    moments: {
+      shortNegative: moments.shortNegative === null ? null : roundTo(moments.shortNegative, 2),
+      shortPositive: roundTo(moments.shortPositive, 2),
+      longNegative: moments.longNegative === null ? null : roundTo(moments.longNegative, 2),
+      longPositive: moments.longPositive === null ? null : roundTo(moments.longPositive, 2)
+    },
+    effectiveDepth: { short: roundTo(dx, 1), long: roundTo(dy, 1) },
+    muLim: roundTo(muLim / 1e6, 2),
+    reinforcement,
+    torsion,
+    shear: {
+      Vu: roundTo(Vu, 2),
+      tauV: roundTo(tauV, 3),
+      tauC: roundTo(tauC, 3),
+      k: roundTo(k, 2),
+      pt: roundTo(pt, 3)
+    },
+    deflection,
+    checks,
+    isSafe: checks.every(check => check.status === 'OK'),
+    designSteps: steps,
+    warnings,
+    standardsReference: ['IS 456:2000', 'SP 16:1980']
+  };
+}
+
+/**
+ * Get available options for dropdowns
+ */
+export function getSlabDesignOptions() {
+  return {
+    grades: Object.keys(CONCRETE_GRADES).filter(grade => CONCRETE_GRADES[grade] >= 20),
+    steelGrades: Object.keys(STEEL_GRADES),
+    barDiameters: [8, 10, 12, 16],
+    edgeConditions: Object.entries(SLAB_EDGE_CONDITIONS).map(([value, edges]) => ({
+      value,
+      label: `${edges.case}. ${edges.label}`
+    }))
+  };
+}
+
+export default {
+  designRCSlab,
+  getSlabDesignOptions,
+  SLAB_EDGE_CONDITIONS
+};
@@ -0,0 +1,232 @@
+/**
+ * Steel Design Module
+ * IS 800:2007 Limit State Design of rolled steel beams
+ * Section classification, bending with lateral-torsional buckling,
+ * shear (including high shear interaction) and deflection
+ *
+ * Units: N, mm, MPa (inputs Mu in kN·m, Vu in kN, lengths in m, deflection in mm)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { roundTo } from '../math/solver.js';
+import { getSteelSection } from './steelSections.js';
+
+/**
+ * Yield strength of structural steel, thickness up to 20 mm (IS 2062:2011)
+ */
+export const STEEL_GRADES = {
+  E250: { fy: 250, fu: 410 },
+  E300: { fy: 300, fu: 440 },
+  E350: { fy: 350, fu: 490 },
+  E410: { fy: 410, fu: 540 }
+};
+
+const E_STEEL = 200000;   // MPa
+const GAMMA_M0 = 1.10;    // Partial safety factor for yielding (Table 5)
+const ALPHA_LT = 0.21;    // Imperfection factor for rolled sections (Cl. 8.2.2)
+
+/**
+ * Section class from width/thickness ratios (IS 800:2007 Table 2)
+ * Outstands of compression flanges and webs with the neutral axis at mid-depth
+ */
+function classifySection(section, epsilon) {
+  const outstand = section.shape === 'I' ? section.B / 2 : section.B;
+  const flangeRatio = outstand / section.tf;
+  const flangeClass = flangeRatio <= 9.4 * epsilon ? 1
+    : flangeRatio <= 10.5 * epsilon ? 2
+      : flangeRatio <= 15.7 * epsilon ? 3 : 4;
+
+  let webRatio = null;
+  let webClass = 1;
+  if (section.shape !== 'angle') {
+    webRatio = (section.D - 2 * section.tf) / section.tw;
+    webClass = webRatio <= 84 * epsilon ? 1
+      : webRatio <= 105 * epsilon ? 2
+        : webRatio <= 126 * epsilon ? 3 : 4;
+  }
+
+  const names = ['Plastic', 'Compact', 'Semi-compact', 'Slender'];
+  return {
+    flangeRatio: roundTo(flangeRatio, 2),
+    webRatio: webRatio === null ? null : roundTo(webRatio, 2),
+    flangeClass: names[flangeClass - 1],
+    webClass: names[webClass - 1],
+    sectionClass: names[Math.max(flangeClass, webClass) - 1]
+  };
+}
+
+/**
+ * Elastic critical moment for doubly symmetric sections (IS 800:2007 Annex E-1.2)
+ * Mcr = π² E Iy hf / (2 LLT²) × [1 + ((LLT / ry) / (hf / tf))² / 20]^0.5
+ */
+function criticalMoment(section, LLT) {
+  const Iy = section.Iyy * 1e4;
+  const ry = section.ryy * 10;
+  const hf = section.D - section.tf;
+  const slenderness = (LLT / ry) / (hf / section.tf);
+  return Math.PI * Math.PI * E_STEEL * Iy * hf / (2 * LLT * LLT) *
+    Math.sqrt(1 + slenderness * slenderness / 20);
+}
+
+/**
+ * Check a rolled steel beam to IS 800:2007
+ * @param {Object} params - Section, grade, factored actions and service deflection
+ * @returns {Object} Classification, capacities, per-clause checks and utilization
+ */
+export function checkSteelBeam(params) {
+  const {
+    designation = 'ISMB 300',
+    steelGrade = 'E250',
+    Mu = 0,                       // Factored moment (kN·m)
+    Vu = 0,                       // Factored shear (kN)
+    span = 0,                     // m
+    unbracedLength = 0,           // LLT (m); compression flange restraint spacing
+    laterallySupported = false,
+    deflection = 0,               // Service deflection (mm)
+    deflectionLimit = 300,        // Span / limit (IS 800 Table 6)
+    isCantilever = false
+  } = params;
+
+  const section = getSteelSection(designation);
+  if (!section) throw new Error(`Section ${designation} is not in the library`);
+  const grade = STEEL_GRADES[steelGrade];
+  if (!grade) throw new Error(`Unknown steel grade ${steelGrade}`);
+
+  const { fy } = grade;
+  const epsilon = Math.sqrt(250 / fy);
+  const MuNmm = Math.abs(Mu) * 1e6;
+  const VuN = Math.abs(Vu) * 1e3;
+  const Ze = section.Zxx * 1e3;
+  const Zp = section.Zpx * 1e3;
+  const warnings = [];
+
+  // Classification
+  const classification = classifySection(section, epsilon);
+  const isSlender = classification.sectionClass === 'Slender';
+  const betaB = classification.sectionClass === 'Semi-compact' ? Ze / Zp : 1.0;
+
+  // Shear capacity (Cl. 8.4): Av = D tw, the web (or vertical leg of an angle)
+  const Av = section.D * section.tw;
+  const Vd = Av * fy / (Math.sqrt(3) * GAMMA_M0);
+  const webSlenderness = section.shape === 'angle' ? 0 : (section.D - 2 * section.tf) / section.tw;
+  if (webSlenderness > 67 * epsilon) {
+    warnings.push(`Web d/tw = ${roundTo(webSlenderness, 1)} exceeds 67ε; check shear buckling (Cl. 8.4.2).`);
+  }
+
+  // Design bending strength of a laterally supported beam (Cl. 8.2.1.2)
+  const elasticLimit = (isCantilever ? 1.5 : 1.2) * Ze * fy / GAMMA_M0;
+  let Md = Math.min(betaB * Zp * fy / GAMMA_M0, elasticLimit);
+
+  // Lateral-torsional buckling (Cl. 8.2.2)
+  const LLT = (unbracedLength || span) * 1000;
+  let ltb = null;
+  if (!laterallySupported && LLT > 0) {
+    if (section.shape === 'angle') {
+      warnings.push('Lateral-torsional buckling of angles is not covered; provide lateral restraint to the compression leg.');
+    } else {
+      const Mcr = criticalMoment(section, LLT);
+      const lambdaLT = Math.sqrt(betaB * Zp * fy / Mcr);
+      const phiLT = 0.5 * (1 + ALPHA_LT * (lambdaLT - 0.2) + lambdaLT * lambdaLT);
+      const chiLT = lambdaLT <= 0.4 ? 1 : Math.min(1, 1 / (phiLT + Math.sqrt(phiLT * phiLT - lambdaLT * lambdaLT)));
+      const fbd = chiLT * fy / GAMMA_M0;
+      Md = Math.min(Md, betaB * Zp * fbd);
+      ltb = {
+        LLT: roundTo(LLT / 1000, 3),
+        Mcr: roundTo(Mcr / 1e6, 2),
+        lambdaLT: roundTo(lambdaLT, 3),
+        phiLT: roundTo(phiLT, 3),
+        chiLT: roundTo(chiLT, 3),
+        fbd: roundTo(fbd, 2)
+      };
+      if (section.shape === 'channel') {
+        warnings.push('Channel checked for LTB with the symmetric-section formula; load should act through the shear centre.');
+      }
+    }
+  }
+
+  // High shear reduces the moment capacity (Cl. 9.2.2)
+  let highShear = null;
+  if (VuN > 0.6 * Vd && section.shape !== 'angle') {
+    const Mfd = section.B * section.tf * (section.D - section.tf) * fy / GAMMA_M0;
+    const beta = Math.pow(2 * VuN / Vd - 1, 2);
+    const Mdv = Math.min(Md - beta * (Md - Mfd), Md);
+    highShear = { beta: roundTo(beta, 3), Mfd: roundTo(Mfd / 1e6, 2), Mdv: roundTo(Mdv / 1e6, 2) };
+    Md = Math.max(Mdv, 0);
+  }
+
+  // Deflection (Table 6); cantilever limits are half the span limits
+  const effectiveLimit = isCantilever ? deflectionLimit / 2 : deflectionLimit;
+  const allowableDeflection = span > 0 ? span * 1000 / effectiveLimit : Infinity;
+
+  const check = (clause, name, demand, capacity, unit) => {
+    const utilization = capacity > 0 ? demand / capacity : Infinity;
+    return {
+      clause,
+      name,
+      demand: roundTo(demand, 3),
+      capacity: roundTo(capacity, 3),
+      unit,
+      utilization: roundTo(utilization, 3),
+      status: utilization <= 1 ? 'PASS' : 'FAIL'
+    };
+  };
+
+  const checks = [
+    {
+      clause: 'Table 2',
+      name: `Section classification (${classification.sectionClass})`,
+      demand: classification.flangeRatio,
+      capacity: roundTo(15.7 * epsilon, 2),
+      unit: 'b/tf',
+      utilization: null,
+      status: isSlender ? 'FAIL' : 'PASS'
+    },
+    check(highShear ? 'Cl. 8.2 & 9.2.2' : ltb ? 'Cl. 8.2.2' : 'Cl. 8.2.1.2', 'Bending strength', MuNmm / 1e6, Md / 1e6, 'kN·m'),
+    check('Cl. 8.4', 'Shear strength', VuN / 1e3, Vd / 1e3, 'kN'),
+    check('Cl. 5.6.1 & Table 6', 'Deflection', Math.abs(deflection), allowableDeflection, 'mm')
+  ];
+
+  if (isSlender) {
+    warnings.push('Slender section: IS 800 design of slender sections is outside this check.');
+  }
+
+  const utilization = Math.max(...checks.filter(c => c.utilization !== null).map(c => c.utilization));
+
+  return {
+    section,
+    steelGrade,
+    fy,
+    epsilon: roundTo(epsilon, 3),
+    classification,
+    betaB: roundTo(betaB, 3),
+    capacities: {
+      Md: roundTo(Md / 1e6, 2),
+      Vd: roundTo(Vd / 1e3, 2),
+      allowableDeflection: roundTo(allowableDeflection, 2)
+    },
+    ltb,
+    highShear,
+    checks,
+    utilization: roundTo(utilization, 3),
+    isSafe: checks.every(c => c.status === 'PASS'),
+    warnings,
+    standardsReference: ['IS 800:2007', 'IS 808:1989', 'IS 2062:2011']
+  };
+}
+
+/**
+ * Get steel grade options for UI
+ */
+export function getSteelGradeOptions() {
+  return Object.entries(STEEL_GRADES).map(([value, grade]) => ({
+    value,
+    label: `${value} (fy = ${grade.fy} MPa)`
+  }));
+}
+
+export default {
+  checkSteelBeam,
+  getSteelGradeOptions,
+  STEEL_GRADES
+};
@@ -0,0 +1,177 @@
+/**
+ * Rolled Steel Section Library
+ * Indian Standard hot rolled sections (IS 808:1989, SP 6(1))
+ * ISMB, ISHB and ISMC from the published tables; ISA equal angles are
+ * computed from leg size and thickness with root and toe radii neglected
+ *
+ * Units: mm (dimensions), cm² (area), cm⁴ (I), cm³ (Z), cm (r), kg/m (mass)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { roundTo } from '../math/solver.js';
+
+/**
+ * Section families
+ */
+export const SECTION_FAMILIES = {
+  ISMB: { label: 'ISMB - Medium Weight Beams', shape: 'I' },
+  ISHB: { label: 'ISHB - Wide Flange Beams', shape: 'I' },
+  ISMC: { label: 'ISMC - Medium Weight Channels', shape: 'channel' },
+  ISA: { label: 'ISA - Equal Angles', shape: 'angle' }
+};
+
+// [designation, mass, D, B, tw, tf, A, Ixx, Iyy, Zpx]
+const I_SECTIONS = [
+  ['ISMB 100', 11.5, 100, 75, 4.0, 7.2, 14.6, 257.5, 40.8, 58.9],
+  ['ISMB 125', 13.0, 125, 75, 4.4, 7.6, 16.6, 449.0, 43.7, 81.9],
+  ['ISMB 150', 14.9, 150, 80, 4.8, 7.6, 19.0, 726.4, 52.6, 110.5],
+  ['ISMB 175', 19.3, 175, 90, 5.5, 8.6, 24.6, 1272.0, 85.0, 166.1],
+  ['ISMB 200', 25.4, 200, 100, 5.7, 10.8, 32.3, 2235.4, 150.0, 253.9],
+  ['ISMB 225', 31.2, 225, 110, 6.5, 11.8, 39.7, 3441.8, 218.3, 348.3],
+  ['ISMB 250', 37.3, 250, 125, 6.9, 12.5, 47.5, 5131.6, 334.5, 465.7],
+  ['ISMB 300', 44.2, 300, 140, 7.5, 12.4, 56.3, 8603.6, 453.9, 651.7],
+  ['ISMB 350', 52.4, 350, 140, 8.1, 14.2, 66.7, 13630.3, 537.7, 889.6],
+  ['ISMB 400', 61.6, 400, 140, 8.9, 16.0, 78.5, 20458.4, 622.1, 1176.2],
+  ['ISMB 450', 72.4, 450, 150, 9.4, 17.4, 92.3, 30390.8, 834.0, 1533.4],
+  ['ISMB 500', 86.9, 500, 180, 10.2, 17.2, 110.7, 45218.3, 1369.8, 2074.7],
+  ['ISMB 550', 103.7, 550, 190, 11.2, 19.3, 132.1, 64893.6, 1833.8, 2712.0],
+  ['ISMB 600', 122.6, 600, 210, 12.0, 20.8, 156.2, 91813.0, 2651.0, 3510.6],
+  ['ISHB 150', 27.1, 150, 150, 5.4, 9.0, 34.5, 1455.6, 431.7, null],
+  ['ISHB 200', 37.3, 200, 200, 6.1, 9.0, 47.5, 3608.4, 967.1, null],
+  ['ISHB 225', 43.1, 225, 225, 6.5, 9.1, 54.9, 5279.5, 1353.8, null],
+  ['ISHB 250', 51.0, 250, 250, 6.9, 9.7, 65.0, 7736.5, 1961.4, null],
+  ['ISHB 300', 58.8, 300, 250, 7.6, 10.6, 74.9, 12545.2, 2193.6, null],
+  ['ISHB 350', 67.4, 350, 250, 8.3, 11.6, 85.9, 19159.7, 2451.4, null],
+  ['ISHB 400', 77.4, 400, 250, 9.1, 12.7, 98.7, 28083.5, 2728.3, null],
+  ['ISHB 450', 87.2, 450, 250, 9.8, 13.7, 111.1, 39210.8, 2985.2, null]
+];
+
+// [designation, mass, D, B, tw, tf, A, Ixx, Iyy]
+const CHANNELS = [
+  ['ISMC 75', 6.8, 75, 40, 4.4, 7.3, 8.7, 76.0, 12.6],
+  ['ISMC 100', 9.2, 100, 50, 4.7, 7.5, 11.7, 186.7, 25.9],
+  ['ISMC 125', 12.7, 125, 65, 5.0, 8.1, 16.2, 416.4, 59.9],
+  ['ISMC 150', 16.4, 150, 75, 5.4, 9.0, 20.9, 779.4, 102.3],
+  ['ISMC 175', 19.1, 175, 75, 5.7, 10.2, 24.4, 1223.3, 121.0],
+  ['ISMC 200', 22.1, 200, 75, 6.1, 11.4, 28.2, 1819.3, 140.4],
+  ['ISMC 225', 25.9, 225, 80, 6.4, 12.4, 33.0, 2694.6, 187.2],
+  ['ISMC 250', 30.4, 250, 80, 7.1, 14.1, 38.7, 3816.8, 219.1],
+  ['ISMC 300', 35.8, 300, 90, 7.6, 13.6, 45.6, 6362.6, 310.8],
+  ['ISMC 350', 42.1, 350, 100, 8.1, 13.5, 53.7, 10008.0, 430.6],
+  ['ISMC 400', 49.4, 400, 100, 8.6, 15.3, 62.9, 15082.8, 504.8]
+];
+
+// [leg a, thickness t] in mm
+const EQUAL_ANGLES = [
+  [50, 6], [65, 6], [75, 8], [90, 8], [100, 10],
+  [110, 10], [130, 10], [150, 12], [200, 15]
+];
+
+/**
+ * Plastic section modulus about the major axis from plate dimensions (cm³)
+ * Used where the tables do not list Zp
+ */
+function plateModulus(D, B, tw, tf) {
+  return (B * tf * (D - tf) + tw * Math.pow(D - 2 * tf, 2) / 4) / 1000;
+}
+
+function flangedSection(family, [designation, mass, D, B, tw, tf, A, Ixx, Iyy, Zpx]) {
+  const shape = SECTION_FAMILIES[family].shape;
+  return {
+    designation,
+    family,
+    shape,
+    mass,
+    D, B, tw, tf,
+    A,
+    Ixx,
+    Iyy,
+    rxx: roundTo(Math.sqrt(Ixx / A), 2),
+    ryy: roundTo(Math.sqrt(Iyy / A), 2),
+    Zxx: roundTo(Ixx / (D / 20), 1),
+    Zpx: Zpx ?? roundTo(plateModulus(D, B, tw, tf), 1)
+  };
+}
+
+/**
+ * Equal angle properties about the axis parallel to a leg (x-x) and
+ * the minor principal axis (v-v)
+ */
+function angleSection([a, t]) {
+  const A1 = a * t;                 // Vertical leg
+  const A2 = (a - t) * t;           // Horizontal leg beyond the corner
+  const A = A1 + A2;
+  const c = (A1 * a / 2 + A2 * t / 2) / A;
+
+  const Ixx = t * Math.pow(a, 3) / 12 + A1 * Math.pow(a / 2 - c, 2) +
+    (a - t) * Math.pow(t, 3) / 12 + A2 * Math.pow(t / 2 - c, 2);
+  const Ixy = A1 * (t / 2 - c) * (a / 2 - c) + A2 * ((a + t) / 2 - c) * (t / 2 - c);
+  const Ivv = Ixx - Math.abs(Ixy);
+
+  // Plastic neutral axis halves the area; it lies within the horizontal leg
+  const yp = A / (2 * a);
+  const Zp = a * yp * yp / 2 + a * Math.pow(t - yp, 2) / 2 +
+    t * (Math.pow(a - yp, 2) - Math.pow(t - yp, 2)) / 2;
+
+  return {
+    designation: `ISA ${a}x${a}x${t}`,
+    family: 'ISA',
+    shape: 'angle',
+    mass: roundTo(A * 7850e-6, 1),
+    D: a, B: a, tw: t, tf: t,
+    A: roundTo(A / 100, 2),
+    Ixx: roundTo(Ixx / 1e4, 1),
+    Iyy: roundTo(Ixx / 1e4, 1),
+    Ivv: roundTo(Ivv / 1e4, 1),
+    cxx: roundTo(c / 10, 2),
+    rxx: roundTo(Math.sqrt(Ixx / A) / 10, 2),
+    ryy: roundTo(Math.sqrt(Ixx / A) / 10, 2),
+    rvv: roundTo(Math.sqrt(Ivv / A) / 10, 2),
+    Zxx: roundTo(Ixx / (a - c) / 1000, 1),
+    Zpx: roundTo(Zp / 1000, 1)
+  };
+}
+
+/**
+ * Complete section library
+ */
+export const STEEL_SECTIONS = [
+  ...I_SECTIONS.map(row => flangedSection(row[0].split(' ')[0], row)),
+  ...CHANNELS.map(row => flangedSection('ISMC', row)),
+  ...EQUAL_ANGLES.map(angleSection)
+];
+
+/**
+ * Find a section by designation
+ * @param {string} designation - e.g. 'ISMB 300'
+ * @returns {Object|undefined}
+ */
+export function getSteelSection(designation) {
+  return STEEL_SECTIONS.find(section => section.designation === designation);
+}
+
+/**
+ * Get section family options for UI
+ */
+export function getSectionFamilyOptions() {
+  return Object.entries(SECTION_FAMILIES).map(([value, family]) => ({ value, label: family.label }));
+}
+
+/**
+ * Get section designation options for UI
+ * @param {string} family - Family key, all sections when omitted
+ */
+export function getSteelSectionOptions(family) {
+  return STEEL_SECTIONS
+    .filter(section => !family || section.family === family)
+    .map(section => ({ value: section.designation, label: `${section.designation} (${section.mass} kg/m)` }));
+}
+
+export default {
+  STEEL_SECTIONS,
+  SECTION_FAMILIES,
+  getSteelSection,
+  getSectionFamilyOptions,
+  getSteelSectionOptions
+};
@@ -0,0 +1,328 @@
+/**
+ * Stress Distribution Module
+ * Vertical stress increase Δσz in a soil mass under surface loads by
+ * Boussinesq (isotropic elastic half-space), Westergaard (laterally
+ * reinforced, with Poisson's ratio ν) and the 2:1 dispersion approximation
+ *
+ * Coordinates are measured from the centre of the load: x across the width
+ * B, y along the length L (line and strip loads run along y), z downward.
+ * Rectangular areas are built from the corner (Newmark) solution by
+ * superposition; circular areas are integrated ray by ray about the point.
+ *
+ * Units: kN, m, kPa
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { roundTo } from '../math/solver.js';
+
+/**
+ * Surface load types; `unit` is the unit of the load intensity
+ */
+export const STRESS_LOAD_TYPES = {
+  point: { label: 'Point load (Q)', unit: 'kN' },
+  line: { label: 'Line load (q)', unit: 'kN/m' },
+  strip: { label: 'Strip footing (B wide)', unit: 'kPa' },
+  rectangular: { label: 'Rectangular area (B × L)', unit: 'kPa' },
+  circular: { label: 'Circular area (radius R)', unit: 'kPa' }
+};
+
+export const STRESS_METHODS = {
+  boussinesq: 'Boussinesq',
+  westergaard: 'Westergaard',
+  twoToOne: '2:1 Dispersion'
+};
+
+const AREA_LOADS = ['strip', 'rectangular', 'circular'];
+
+// Influence value of one element of a Newmark chart
+const NEWMARK_ELEMENT = 0.005;
+
+// Angular steps for integrating circular areas
+const CIRCLE_STEPS = 180;
+
+/**
+ * Share of a uniform disk load of radius ρ, centred above the point,
+ * that reaches depth z
+ */
+function diskFraction(method, z, eta) {
+  if (method === 'westergaard') {
+    return (rho) => 1 - (eta * z) / Math.sqrt(eta * eta * z * z + rho * rho);
+  }
+  return (rho) => 1 - Math.pow(z * z / (rho * rho + z * z), 1.5);
+}
+
+/**
+ * Influence factor of a uniform rectangle a × b at depth z below its corner
+ */
+function cornerInfluence(method, a, b, z, eta) {
+  if (a === 0 || b === 0) return 0;
+  if (method === 'westergaard') {
+    return Math.atan((a * b) / (eta * z * Math.sqrt(a * a + b * b + eta * eta * z * z))) / (2 * Math.PI);
+  }
+  const R = Math.sqrt(a * a + b * b + z * z);
+  return (Math.atan((a * b) / (z * R)) + (a * b * z / R) * (1 / (a * a + z * z) + 1 / (b * b + z * z))) / (2 * Math.PI);
+}
+
+/**
+ * Influence factor of a uniform circle of radius a for a point offset r
+ * from its centre, integrating the disk solution over rays from the point
+ */
+function circularInfluence(method, a, r, z, eta) {
+  const fraction = diskFraction(method, z, eta);
+  if (r < 1e-9 * a) return fraction(a);
+
+  let sum = 0;
+  if (r < a) {
+    const dTheta = Math.PI / CIRCLE_STEPS;
+    for (let i = 0; i < CIRCLE_STEPS; i++) {
+      const theta = (i + 0.5) * dTheta;
+      const rho = r * Math.cos(theta) + Math.sqrt(a * a - Math.pow(r * Math.sin(theta), 2));
+      sum += fraction(rho) * dTheta;
+    }
+  } else {
+    const dTheta = Math.asin(a / r) / CIRCLE_STEPS;
+    for (let i = 0; i < CIRCLE_STEPS; i++) {
+      const theta = (i + 0.5) * dTheta;
+      const chord = Math.sqrt(Math.max(0, a * a - Math.pow(r * Math.sin(theta), 2)));
+      sum += (fraction(r * Math.cos(theta) + chord) - fraction(r * Math.cos(theta) - chord)) * dTheta;
+    }
+  }
+  return sum / Math.PI;
+}
+
+/**
+ * 2:1 dispersion: the load spreads over an area growing by z in each
+ * plan dimension, with zero stress outside it
+ */
+function twoToOneStress(load, x, y, z) {
+  const { loadType, q, B, L, R } = load;
+  switch (loadType) {
+    case 'strip':
+      return Math.abs(x) <= (B + z) / 2 ? (q * B) / (B + z) : 0;
+    case 'rectangular':
+      return Math.abs(x) <= (B + z) / 2 && Math.abs(y) <= (L + z) / 2
+        ? (q * B * L) / ((B + z) * (L + z))
+        : 0;
+    case 'circular':
+      return Math.hypot(x, y) <= R + z / 2 ? q * Math.pow(2 * R / (2 * R + z), 2) : 0;
+    default:
+      throw new Error('The 2:1 method applies to loaded areas only');
+  }
+}
+
+/**
+ * Validate a load definition and resolve its dimensions
+ */
+function resolveLoad(load) {
+  const {
+    loadType = 'rectangular',
+    method = 'boussinesq',
+    intensity = 100,     // Q (kN), q (kN/m) or q (kPa) by load type
+    width = 2,           // B (m)
+    length = 3,          // L (m)
+    radius = 1,          // R (m)
+    poissonRatio = 0     // ν, Westergaard only
+  } = load;
+
+  if (!STRESS_LOAD_TYPES[loadType]) throw new Error(`Unknown load type: ${loadType}`);
+  if (!STRESS_METHODS[method]) throw new Error(`Unknown stress distribution method: ${method}`);
+
+  const resolved = {
+    loadType,
+    method,
+    q: parseFloat(intensity),
+    B: parseFloat(width),
+    L: parseFloat(length),
+    R: parseFloat(radius),
+    nu: parseFloat(poissonRatio)
+  };
+  if ((loadType === 'strip' || loadType === 'rectangular') && !(resolved.B > 0)) {
+    throw new Error('Load width must be greater than 0');
+  }
+  if (loadType === 'rectangular' && !(resolved.L > 0)) throw new Error('Load length must be greater than 0');
+  if (loadType === 'circular' && !(resolved.R > 0)) throw new Error('Load radius must be greater than 0');
+  if (method === 'westergaard' && !(resolved.nu >= 0 && resolved.nu < 0.5)) {
+    throw new Error("Poisson's ratio for Westergaard must be between 0 and 0.5");
+  }
+  if (method === 'twoToOne' && !AREA_LOADS.includes(loadType)) {
+    throw new Error('The 2:1 method applies to loaded areas only');
+  }
+  resolved.eta = Math.sqrt((1 - 2 * resolved.nu) / (2 - 2 * resolved.nu));
+  return resolved;
+}
+
+/**
+ * Vertical stress increase at a point
+ * @param {Object} load - { loadType, method, intensity, width, length, radius, poissonRatio }
+ * @param {number} x - Offset across the width from the load centre (m)
+ * @param {number} y - Offset along the length from the load centre (m)
+ * @param {number} z - Depth below the loaded surface (m)
+ * @returns {number} Δσz (kPa)
+ */
+export function stressIncreaseAt(load, x, y, z) {
+  const resolved = load.eta === undefined ? resolveLoad(load) : load;
+  const { loadType, method, q, B, L, R, eta } = resolved;
+
+  if (!(z > 0)) {
+    if (!AREA_LOADS.includes(loadType)) throw new Error('Depth below a point or line load must be greater than 0');
+    const inside = loadType === 'circular'
+      ? Math.hypot(x, y) <= R
+      : Math.abs(x) <= B / 2 && (loadType === 'strip' || Math.abs(y) <= L / 2);
+    return inside ? q : 0;
+  }
+
+  if (method === 'twoToOne') return twoToOneStress(resolved, x, y, z);
+  const westergaard = method === 'westergaard';
+
+  switch (loadType) {
+    case 'point': {
+      const r2 = x * x + y * y;
+      return westergaard
+        ? (q * eta * z) / (2 * Math.PI * Math.pow(eta * eta * z * z + r2, 1.5))
+        : (3 * q * Math.pow(z, 3)) / (2 * Math.PI * Math.pow(r2 + z * z, 2.5));
+    }
+    case 'line':
+      return westergaard
+        ? (q * eta * z) / (Math.PI * (eta * eta * z * z + x * x))
+        : (2 * q * Math.pow(z, 3)) / (Math.PI * Math.pow(x * x + z * z, 2));
+    case 'strip': {
+      if (westergaard) {
+        return (q / Math.PI) * (Math.atan((x + B / 2) / (eta * z)) - Math.atan((x - B / 2) / (eta * z)));
+      }
+      const t1 = Math.atan((x - B / 2) / z);
+      const t2 = Math.atan((x + B / 2) / z);
+      return (q / Math.PI) * (t2 - t1 + Math.sin(t2) * Math.cos(t2) - Math.sin(t1) * Math.cos(t1));
+    }
+    case 'rectangular': {
+      // Four rectangles sharing a corner above the point; signed sides
+      // subtract the parts that lie outside the loaded area
+      let influence = 0;
+      for (const a of [B / 2 - x, B / 2 + x]) {
+        for (const b of [L / 2 - y, L / 2 + y]) {
+          influence += Math.sign(a) * Math.sign(b) * cornerInfluence(method, Math.abs(a), Math.abs(b), z, eta);
+        }
+      }
+      return q * influence;
+    }
+    case 'circular':
+      return q * circularInfluence(method, R, Math.hypot(x, y), z, eta);
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Stress Distribution
+ * Δσz at a point by the chosen method, a Boussinesq / Westergaard / 2:1
+ * comparison with depth, and a pressure bulb on the section y = 0
+ */
+export function stressDistribution(params) {
+  const {
+    loadType = 'rectangular',
+    method = 'boussinesq',
+    intensity = 100,
+    width = 2,
+    length = 3,
+    radius = 1,
+    poissonRatio = 0,
+    x = 0,                  // Point of interest (m from the load centre)
+    y = 0,
+    depth = 2,              // z (m)
+    bulbDepth = 0           // Depth of the pressure bulb plot (m), 0 for automatic
+  } = params;
+
+  const spec = { loadType, intensity, width, length, radius, poissonRatio };
+  const load = resolveLoad({ ...spec, method });
+  const px = parseFloat(x) || 0;
+  const py = parseFloat(y) || 0;
+  const z = parseFloat(depth);
+  if (!(z > 0)) throw new Error('Depth must be greater than 0');
+
+  const isArea = AREA_LOADS.includes(loadType);
+  const stress = stressIncreaseAt(load, px, py, z);
+
+  // Boussinesq influence factor: Δσ/q for areas, Δσ·z/q for line and
+  // Δσ·z²/Q for point loads
+  const influenceFactor = isArea
+    ? stress / load.q
+    : stress * Math.pow(z, loadType === 'point' ? 2 : 1) / load.q;
+
+  // Comparison of the three methods below the point of interest
+  const compare = (m, zi) => {
+    if (m === 'twoToOne' && !isArea) return null;
+    return roundTo(stressIncreaseAt({ ...spec, method: m }, px, py, zi), 4);
+  };
+  const reference = loadType === 'circular' ? 2 * load.R : isArea ? load.B : z;
+  const maxDepth = parseFloat(bulbDepth) > 0 ? parseFloat(bulbDepth) : (isArea ? 4 * reference : 2 * z);
+  const comparison = [];
+  for (let i = 1; i <= 10; i++) {
+    const zi = (maxDepth * i) / 10;
+    comparison.push({
+      depth: roundTo(zi, 4),
+      boussinesq: compare('boussinesq', zi),
+      westergaard: compare('westergaard', zi),
+      twoToOne: compare('twoToOne', zi)
+    });
+  }
+
+  // Pressure bulb: Δσ/q contours for areas, Δσ for point and line loads
+  const halfWidth = 0.75 * maxDepth;
+  const xs = [];
+  const zs = [];
+  for (let i = 0; i <= 40; i++) xs.push(roundTo(-halfWidth + (2 * halfWidth * i) / 40, 4));
+  for (let j = 1; j <= 40; j++) zs.push(roundTo((maxDepth * j) / 40, 4));
+  const values = zs.map(zj => xs.map(xi => {
+    const s = stressIncreaseAt(load, xi, 0, zj);
+    return roundTo(isArea ? s / load.q : s, 4);
+  }));
+
+  const warnings = [];
+  if (method === 'twoToOne' && stress === 0) {
+    warnings.push('The point lies outside the 2:1 spread area, where the method gives no stress.');
+  }
+
+  return {
+    stressIncrease: roundTo(stress, 4),
+    influenceFactor: roundTo(influenceFactor, 4),
+    ...(isArea && method === 'boussinesq' && {
+      newmarkElements: roundTo(stress / (load.q * NEWMARK_ELEMENT), 2)
+    }),
+    comparison,
+    bulb: {
+      x: xs,
+      z: zs,
+      values,
+      relative: isArea,
+      load: { loadType, width: load.B, radius: load.R }
+    },
+    warnings,
+    inputs: {
+      loadType: STRESS_LOAD_TYPES[loadType].label,
+      method: STRESS_METHODS[method],
+      intensity: load.q,
+      ...((loadType === 'strip' || loadType === 'rectangular') && { width: load.B }),
+      ...(loadType === 'rectangular' && { length: load.L }),
+      ...(loadType === 'circular' && { radius: load.R }),
+      poissonRatio: load.nu,
+      x: px,
+      y: py,
+      depth: z
+    }
+  };
+}
+
+export function getStressDistributionOptions() {
+  return {
+    loadTypes: Object.entries(STRESS_LOAD_TYPES).map(([value, type]) => ({ value, label: type.label })),
+    methods: Object.entries(STRESS_METHODS).map(([value, label]) => ({ value, label }))
+  };
+}
+
+export default {
+  stressIncreaseAt,
+  stressDistribution,
+  getStressDistributionOptions,
+  STRESS_LOAD_TYPES,
+  STRESS_METHODS
+};
@@ -1,7 +1,15 @@
 /**
  * Structural Engineering Calculator Module
  * Beam Analysis with SFD, BMD, and Deflection
- * Supports: Simply Supported, Cantilever, and Overhanging Beams
+ * Supports: Simply Supported, Cantilever, Overhanging and Continuous Beams
+ * Prismatic or non-prismatic (stepped and haunched) beams
+ * Elastic (spring) supports and prescribed support settlement or rotation
+ * Internal hinges (Gerber beams) with determinacy and stability checks
+ * Temperature gradient and uniform temperature change loads
+ * Beams on Winkler elastic foundation (combined and strip footings)
+ * Natural frequencies and mode shapes
+ * Influence lines and moving load envelopes (IRC Class A / 70R or custom axle trains)
+ * Cross-section properties of standard, rolled and arbitrary polygon sections
  * 
  * @author Concreate Club, IIT Indore
  */
@@ -11,9 +19,14 @@ import {
   zeros, 
   cumulativeIntegral, 
   doubleIntegral,
+  linearInterpolate,
+  solveLinearSystem,
+  matrixRank,
+  generalizedEigen,
   findMaxAbs, 
   roundTo 
 } from '../math/solver.js';
+import { getSteelSection } from './steelSections.js';
 
 /**
  * Support Types Enum
@@ -23,9 +36,294 @@ export const SUPPORT_TYPES = {
   CANTILEVER: 'cantilever',
   OVERHANGING: 'overhanging',
   FIXED_BOTH: 'fixed_both',
-  PROPPED_CANTILEVER: 'propped_cantilever'
+  PROPPED_CANTILEVER: 'propped_cantilever',
+  CONTINUOUS: 'continuous',
+  ELASTIC_FOUNDATION: 'elastic_foundation'
 };
 
+/**
+ * End conditions of a beam on elastic foundation
+ */
+export const FOUNDATION_END_CONDITIONS = {
+  FREE: 'free',
+  HINGED: 'hinged',
+  FIXED: 'fixed'
+};
+
+/**
+ * Individual support conditions (used by continuous beams)
+ */
+export const SUPPORT_CONDITIONS = {
+  PIN: 'pin',
+  ROLLER: 'roller',
+  FIXED: 'fixed'
+};
+
+// Support types whose reactions come from the stiffness solver
+const STIFFNESS_SUPPORT_TYPES = [
+  SUPPORT_TYPES.FIXED_BOTH,
+  SUPPORT_TYPES.PROPPED_CANTILEVER,
+  SUPPORT_TYPES.CONTINUOUS
+];
+
+// Load types spread over a length [start, end]
+const DISTRIBUTED_LOAD_TYPES = ['udl', 'uvl'];
+
+// Temperature load types over [start, end]: a top-minus-bottom gradient
+// bends the beam, a uniform change lengthens it (magnitude in °C)
+const THERMAL_LOAD_TYPES = ['thermal_gradient', 'thermal_uniform'];
+
+// Default coefficient of thermal expansion (/°C), IS 456 cl. 6.2.6 / IS 800 cl. 2.2.4
+export const THERMAL_EXPANSION = 12e-6;
+
+// Two positions closer than this are treated as the same point (m)
+const POSITION_TOLERANCE = 1e-9;
+
+// Elements per tapered stiffness segment in the stiffness model
+const TAPER_ELEMENTS = 20;
+
+// Elements along a beam on elastic foundation in the stiffness model
+const FOUNDATION_ELEMENTS = 100;
+
+// Elements along the beam for natural frequencies and mode shapes
+const MODAL_ELEMENTS = 50;
+
+// 3-point Gauss-Legendre quadrature on [0, 1]
+const GAUSS_POINTS = [
+  { xi: 0.5 - Math.sqrt(0.15), weight: 5 / 18 },
+  { xi: 0.5, weight: 8 / 18 },
+  { xi: 0.5 + Math.sqrt(0.15), weight: 5 / 18 }
+];
+
+/**
+ * Standard load cases; users may add their own case names
+ */
+export const LOAD_CASES = {
+  DEAD: 'DL',
+  LIVE: 'LL',
+  WIND: 'WL',
+  EARTHQUAKE: 'EL'
+};
+
+/**
+ * Default load combinations
+ * Limit state of collapse and serviceability, IS 875 (Part 5) cl. 6.3 / IS 456 Table 18
+ * Wind and earthquake are taken in both directions
+ */
+const combination = (id, name, limitState, factors) => ({ id, name, limitState, factors });
+
+export const DEFAULT_LOAD_COMBINATIONS = [
+  combination('uls_1', '1.5(DL + LL)', 'ULS', { DL: 1.5, LL: 1.5 }),
+  combination('uls_2', '1.5(DL + WL)', 'ULS', { DL: 1.5, WL: 1.5 }),
+  combination('uls_3', '1.5(DL - WL)', 'ULS', { DL: 1.5, WL: -1.5 }),
+  combination('uls_4', '0.9DL + 1.5WL', 'ULS', { DL: 0.9, WL: 1.5 }),
+  combination('uls_5', '0.9DL - 1.5WL', 'ULS', { DL: 0.9, WL: -1.5 }),
+  combination('uls_6', '1.2(DL + LL + WL)', 'ULS', { DL: 1.2, LL: 1.2, WL: 1.2 }),
+  combination('uls_7', '1.2(DL + LL - WL)', 'ULS', { DL: 1.2, LL: 1.2, WL: -1.2 }),
+  combination('uls_8', '1.5(DL + EL)', 'ULS', { DL: 1.5, EL: 1.5 }),
+  combination('uls_9', '1.5(DL - EL)', 'ULS', { DL: 1.5, EL: -1.5 }),
+  combination('uls_10', '0.9DL + 1.5EL', 'ULS', { DL: 0.9, EL: 1.5 }),
+  combination('uls_11', '0.9DL - 1.5EL', 'ULS', { DL: 0.9, EL: -1.5 }),
+  combination('uls_12', '1.2(DL + LL + EL)', 'ULS', { DL: 1.2, LL: 1.2, EL: 1.2 }),
+  combination('uls_13', '1.2(DL + LL - EL)', 'ULS', { DL: 1.2, LL: 1.2, EL: -1.2 }),
+  combination('sls_1', 'DL + LL', 'SLS', { DL: 1, LL: 1 }),
+  combination('sls_2', 'DL + WL', 'SLS', { DL: 1, WL: 1 }),
+  combination('sls_3', 'DL - WL', 'SLS', { DL: 1, WL: -1 }),
+  combination('sls_4', 'DL + 0.8LL + 0.8WL', 'SLS', { DL: 1, LL: 0.8, WL: 0.8 }),
+  combination('sls_5', 'DL + 0.8LL - 0.8WL', 'SLS', { DL: 1, LL: 0.8, WL: -0.8 }),
+  combination('sls_6', 'DL + EL', 'SLS', { DL: 1, EL: 1 }),
+  combination('sls_7', 'DL - EL', 'SLS', { DL: 1, EL: -1 }),
+  combination('sls_8', 'DL + 0.8LL + 0.8EL', 'SLS', { DL: 1, LL: 0.8, EL: 0.8 }),
+  combination('sls_9', 'DL + 0.8LL - 0.8EL', 'SLS', { DL: 1, LL: 0.8, EL: -0.8 })
+];
+
+/**
+ * Standard moving load trains, axle loads (kN) from front to rear
+ * spacings[i] is the distance between axle i and axle i + 1 (m)
+ * IRC 6:2017 Class A (one lane) and Class 70R wheeled vehicle
+ */
+export const MOVING_LOAD_VEHICLES = {
+  IRC_CLASS_A: {
+    id: 'irc_class_a',
+    label: 'IRC Class A (one lane)',
+    loads: [27, 27, 114, 114, 68, 68, 68, 68],
+    spacings: [1.1, 3.2, 1.2, 4.3, 3.0, 3.0, 3.0]
+  },
+  IRC_70R_WHEELED: {
+    id: 'irc_70r',
+    label: 'IRC Class 70R (wheeled)',
+    loads: [80, 120, 120, 170, 170, 170, 170],
+    spacings: [3.96, 1.52, 2.13, 1.37, 3.05, 1.37]
+  }
+};
+
+/**
+ * Spring stiffness and prescribed movement of a support, rigid by default
+ * @param {Object} support - { spring, rotationalSpring, settlement, rotation }
+ */
+function supportMovement(support = {}) {
+  const movement = {
+    spring: parseFloat(support.spring) || 0,                     // kN/m
+    rotationalSpring: parseFloat(support.rotationalSpring) || 0, // kN·m/rad
+    settlement: parseFloat(support.settlement) || 0,             // mm, downward positive
+    rotation: parseFloat(support.rotation) || 0                  // rad, clockwise positive
+  };
+  if (movement.spring < 0 || movement.rotationalSpring < 0) {
+    throw new Error('Support spring stiffness must not be negative');
+  }
+  return movement;
+}
+
+/**
+ * Euler-Bernoulli beam element stiffness matrix
+ * DOFs: [v1, θ1, v2, θ2] with v upward and θ counter-clockwise
+ */
+function beamElementStiffness(EI, L) {
+  const k = EI / (L * L * L);
+  return [
+    [12 * k, 6 * L * k, -12 * k, 6 * L * k],
+    [6 * L * k, 4 * L * L * k, -6 * L * k, 2 * L * L * k],
+    [-12 * k, -6 * L * k, 12 * k, -6 * L * k],
+    [6 * L * k, 2 * L * L * k, -6 * L * k, 4 * L * L * k]
+  ];
+}
+
+/**
+ * Stiffness matrix of an element whose EI varies along it
+ * k = ∫ EI B·Bᵀ dx with B the curvatures of the Hermite shape functions;
+ * 3-point Gauss quadrature is exact for EI up to cubic in x
+ * @param {Function} rigidityAt - EI at local coordinate xi ∈ [0, 1]
+ */
+function variableBeamElementStiffness(rigidityAt, L) {
+  const k = Array.from({ length: 4 }, () => zeros(4));
+  for (const { xi, weight } of GAUSS_POINTS) {
+    const B = hermiteCurvatures(xi, L);
+    const EI = rigidityAt(xi);
+    for (let i = 0; i < 4; i++) {
+      for (let j = 0; j < 4; j++) {
+        k[i][j] += EI * B[i] * B[j] * L * weight;
+      }
+    }
+  }
+  return k;
+}
+
+/**
+ * Consistent element matrix ∫ c·N·Nᵀ dx for a uniform c along the element
+ * Winkler foundation stiffness with c = kf (kN/m²), consistent mass with c = m (kg/m)
+ */
+function consistentElementMatrix(value, L) {
+  const c = value * L / 420;
+  return [
+    [156 * c, 22 * L * c, 54 * c, -13 * L * c],
+    [22 * L * c, 4 * L * L * c, 13 * L * c, -3 * L * L * c],
+    [54 * c, 13 * L * c, 156 * c, -22 * L * c],
+    [-13 * L * c, -3 * L * L * c, -22 * L * c, 4 * L * L * c]
+  ];
+}
+
+/**
+ * Sorted positions within [0, span] with near-duplicates removed
+ */
+function uniquePositions(points, span) {
+  const sorted = points
+    .filter(p => p >= 0 && p <= span)
+    .sort((a, b) => a - b);
+  return sorted.filter((p, i) => i === 0 || p - sorted[i - 1] > POSITION_TOLERANCE);
+}
+
+/**
+ * Index of the mesh node closest to a position
+ */
+function nearestNodeIndex(nodes, position) {
+  let best = 0;
+  nodes.forEach((x, i) => {
+    if (Math.abs(x - position) < Math.abs(nodes[best] - position)) best = i;
+  });
+  return best;
+}
+
+/**
+ * Hermite cubic shape functions at local coordinate xi ∈ [0, 1]
+ */
+function hermiteShapeFunctions(xi, L) {
+  return [
+    1 - 3 * xi * xi + 2 * xi * xi * xi,
+    L * (xi - 2 * xi * xi + xi * xi * xi),
+    3 * xi * xi - 2 * xi * xi * xi,
+    L * (-xi * xi + xi * xi * xi)
+  ];
+}
+
+/**
+ * Second derivatives (curvatures) of the Hermite shape functions at xi ∈ [0, 1]
+ */
+function hermiteCurvatures(xi, L) {
+  return [(12 * xi - 6) / (L * L), (6 * xi - 4) / L, (6 - 12 * xi) / (L * L), (6 * xi - 2) / L];
+}
+
+/**
+ * Deflection at x interpolated from nodal displacements
+ * @param {Array} displacements - Array of { x, v, theta, thetaRight } sorted by x;
+ * thetaRight is the rotation just right of an internal hinge
+ */
+function hermiteDeflection(displacements, x) {
+  let e = 0;
+  while (e < displacements.length - 2 && x > displacements[e + 1].x) e++;
+  const a = displacements[e];
+  const b = displacements[e + 1];
+  const L = b.x - a.x;
+  const N = hermiteShapeFunctions((x - a.x) / L, L);
+  return N[0] * a.v + N[1] * (a.thetaRight ?? a.theta) + N[2] * b.v + N[3] * b.theta;
+}
+
+/**
+ * Nodal displacements from a solution vector numbered by BeamAnalyzer.meshDofs
+ */
+function nodalDisplacements(nodes, u, hingeDofs) {
+  return nodes.map((x, i) => ({
+    x,
+    v: u[2 * i],
+    theta: u[2 * i + 1],
+    ...(hingeDofs.has(i) && { thetaRight: u[hingeDofs.get(i)] })
+  }));
+}
+
+/**
+ * Shear and moment at x from reactions and downward point loads
+ * Uses the same sign convention as the SFD/BMD: reactions at the right
+ * end close the diagram and are not summed
+ */
+function pointLoadStatics(x, reactions, pointLoads, span) {
+  let V = 0;
+  let M = 0;
+  for (const reaction of reactions) {
+    if (reaction.position < span - POSITION_TOLERANCE && x >= reaction.position - POSITION_TOLERANCE) {
+      V += reaction.force;
+      M += reaction.force * (x - reaction.position) + reaction.moment;
+    }
+  }
+  for (const load of pointLoads) {
+    if (x >= load.position) {
+      V -= load.magnitude;
+      M -= load.magnitude * (x - load.position);
+    }
+  }
+  return { V, M };
+}
+
+/**
+ * Convert axle loads and spacings into a train of { load, offset }
+ * offset is the distance behind the leading axle
+ */
+export function buildAxleTrain(loads, spacings = []) {
+  let offset = 0;
+  return loads.map((load, i) => {
+    if (i > 0) offset += parseFloat(spacings[i - 1]) || 0;
+    return { load: parseFloat(load) || 0, offset };
+  });
+}
+
 /**
  * BeamAnalyzer Class
  * Discretizes beam into segments and calculates internal forces
@@ -54,6 +352,23 @@ export class BeamAnalyzer {
     
     // Support positions for overhanging beams
     this.supportPositions = { a: 0, b: span }; // Default: supports at ends
+    
+    // Support list and reactions for continuous beams
+    this.supports = [];
+    this.supportReactions = [];
+    this.stiffnessSolution = null;
+
+    // Segments with their own E and I (non-prismatic beams)
+    this.stiffnessSegments = [];
+
+    // Spring stiffness and prescribed movement per support (getSupports order)
+    this.supportMovements = [];
+
+    // Internal hinge (moment release) positions
+    this.hinges = [];
+
+    // Cross-section area (m²), needed for restrained uniform temperature change
+    this.A = 0;
   }
   
   /**
@@ -74,21 +389,313 @@ export class BeamAnalyzer {
     this.supportPositions.b = parseFloat(b) || this.span;
   }
 
+  /**
+   * Set the support list for continuous beams
+   * @param {Array} supports - Array of { position, type } with type from SUPPORT_CONDITIONS,
+   * optionally with the spring and movement fields of setSupportMovements
+   */
+  setSupports(supports) {
+    this.supports = (supports || [])
+      .map(support => ({
+        position: parseFloat(support.position) || 0,
+        type: support.type || SUPPORT_CONDITIONS.PIN,
+        ...supportMovement(support)
+      }))
+      .sort((a, b) => a.position - b.position);
+  }
+
+  /**
+   * Set beam segments with their own stiffness
+   * Outside the segments the beam keeps the E and I it was built with.
+   * Within a segment I runs from I to Iend as the cube of a linearly
+   * tapering depth (a haunch); Iend = I gives a prismatic step
+   * @param {Array} segments - Array of { start, end, E (Pa), I (m^4), Iend (m^4) }
+   */
+  setStiffnessSegments(segments) {
+    const list = (segments || [])
+      .map(segment => {
+        const I = parseFloat(segment.I) || this.I;
+        return {
+          start: parseFloat(segment.start) || 0,
+          end: parseFloat(segment.end) || 0,
+          E: parseFloat(segment.E) || this.E,
+          I,
+          Iend: parseFloat(segment.Iend) || I
+        };
+      })
+      .sort((a, b) => a.start - b.start);
+
+    list.forEach((segment, i) => {
+      if (segment.start < -POSITION_TOLERANCE || segment.end > this.span + POSITION_TOLERANCE || segment.end <= segment.start) {
+        throw new Error(`Stiffness segment ${segment.start}-${segment.end} m must lie within the span`);
+      }
+      if (segment.E <= 0 || segment.I <= 0 || segment.Iend <= 0) {
+        throw new Error('Segment E and I must be greater than 0');
+      }
+      if (i > 0 && segment.start < list[i - 1].end - POSITION_TOLERANCE) {
+        throw new Error('Stiffness segments must not overlap');
+      }
+    });
+    this.stiffnessSegments = list;
+  }
+
+  /**
+   * Flexural rigidity at a point
+   * @param {number} x - Position along beam (m)
+   * @returns {number} EI (kN·m²)
+   */
+  getFlexuralRigidity(x) {
+    for (const segment of this.stiffnessSegments) {
+      if (x >= segment.start - POSITION_TOLERANCE && x <= segment.end + POSITION_TOLERANCE) {
+        const t = Math.min(Math.max((x - segment.start) / (segment.end - segment.start), 0), 1);
+        const depthRatio = Math.cbrt(segment.I) + (Math.cbrt(segment.Iend) - Math.cbrt(segment.I)) * t;
+        return segment.E * Math.pow(depthRatio, 3) / 1000;
+      }
+    }
+    return this.E * this.I / 1000;
+  }
+
+  /**
+   * Set the cross-section area
+   * Only the axial force of a restrained uniform temperature change uses it
+   * @param {number} A - Area (m²)
+   */
+  setSectionArea(A) {
+    const area = parseFloat(A) || 0;
+    if (area < 0) throw new Error('Section area must not be negative');
+    this.A = area;
+  }
+
+  /**
+   * Set internal hinges (moment releases)
+   * Each hinge adds a condition M = 0 and lets the slope jump; extra
+   * supports are needed to keep the beam stable (Gerber beams)
+   * @param {number[]} positions - Hinge positions (m), strictly inside the span
+   */
+  setHinges(positions) {
+    const list = (positions || []).map(p => parseFloat(p)).sort((a, b) => a - b);
+    list.forEach((position, i) => {
+      if (!(position > POSITION_TOLERANCE && position < this.span - POSITION_TOLERANCE)) {
+        throw new Error(`Hinge at ${position} m must lie inside the span`);
+      }
+      if (i > 0 && position - list[i - 1] < POSITION_TOLERANCE) {
+        throw new Error(`Two hinges at ${position} m`);
+      }
+    });
+    this.hinges = list;
+  }
+
+  /**
+   * True when an internal hinge sits at the position
+   */
+  isHingeAt(position) {
+    return this.hinges.some(h => Math.abs(h - position) < POSITION_TOLERANCE);
+  }
+
+  /**
+   * Statical determinacy and stability of the supports and hinges
+   * The parts between hinges are rigid bodies with a deflection and a
+   * rotation each; supports and hinges constrain them. Vertical reactions
+   * count one each, fixed supports two
+   * @returns {Object} { reactions, hinges, degree, rank, mechanisms, redundants, isStable, classification, message }
+   */
+  checkDeterminacy() {
+    const supports = this.getSupports();
+    const h = this.hinges.length;
+    const bounds = [0, ...this.hinges];
+    const part = (position) => {
+      let k = 0;
+      while (k < h && position > this.hinges[k] + POSITION_TOLERANCE) k++;
+      return k;
+    };
+    const unknowns = 2 * (h + 1);
+
+    // Compatibility rows: deflection of part k at x is v_k + θ_k·(x - x_k)
+    const rows = [];
+    const deflectionRow = (k, position) => {
+      const row = zeros(unknowns);
+      row[2 * k] = 1;
+      row[2 * k + 1] = position - bounds[k];
+      return row;
+    };
+    for (const support of supports) {
+      const k = part(support.position);
+      rows.push(deflectionRow(k, support.position));
+      if (support.type === SUPPORT_CONDITIONS.FIXED) {
+        if (this.isHingeAt(support.position)) {
+          throw new Error(`Hinge at ${support.position} m coincides with a fixed support`);
+        }
+        const row = zeros(unknowns);
+        row[2 * k + 1] = 1;
+        rows.push(row);
+      }
+    }
+    const r = rows.length;
+    this.hinges.forEach((position, k) => {
+      const row = deflectionRow(k, position);
+      row[2 * (k + 1)] = -1;
+      rows.push(row);
+    });
+
+    const rank = matrixRank(rows);
+    const degree = r - h - 2;
+    const mechanisms = unknowns - rank;
+    const redundants = r + h - rank;
+    const isStable = mechanisms === 0;
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    let classification;
+    let message;
+    if (!isStable && degree < 0) {
+      classification = 'Unstable';
+      message = `r = ${r} < h + 2 = ${h + 2}: not enough reactions for ${plural(h, 'hinge')}`;
+    } else if (!isStable) {
+      classification = 'Geometrically Unstable';
+      message = `r >= h + 2 but the supports and hinges form ${plural(mechanisms, 'mechanism')}`;
+    } else if (redundants === 0) {
+      classification = 'Statically Determinate';
+      message = `r = h + 2 = ${h + 2}: reactions follow from equilibrium and the hinge conditions`;
+    } else {
+      classification = 'Statically Indeterminate';
+      message = `Degree of indeterminacy = ${redundants}: reactions depend on the beam stiffness`;
+    }
+
+    return { reactions: r, hinges: h, degree, rank, mechanisms, redundants, isStable, classification, message };
+  }
+
+  /**
+   * Set spring stiffness and prescribed movement of the supports
+   * Entries follow the order of getSupports(); continuous beam supports may
+   * carry the same fields directly. A spring replaces the rigid restraint,
+   * rotational springs and rotations apply to fixed supports only
+   * @param {Array} movements - Array of { spring (kN/m), rotationalSpring (kN·m/rad), settlement (mm, downward), rotation (rad, clockwise) }
+   */
+  setSupportMovements(movements) {
+    this.supportMovements = (movements || []).map(supportMovement);
+  }
+
+  /**
+   * True when any support is elastic or has a prescribed movement
+   */
+  hasSupportMovement() {
+    return this.getSupports().some(support =>
+      support.spring > 0 || support.rotationalSpring > 0 || support.settlement !== 0 || support.rotation !== 0
+    );
+  }
+
+  /**
+   * True when reactions come from the stiffness solution: indeterminate
+   * support types, and any beam whose supports are elastic or move or
+   * that has internal hinges
+   */
+  usesStiffnessSolution() {
+    return STIFFNESS_SUPPORT_TYPES.includes(this.supportType) || this.hasSupportMovement() || this.hinges.length > 0;
+  }
+
+  /**
+   * Get the supports implied by the current support type
+   * @returns {Array} Array of { position, type, spring, rotationalSpring, settlement, rotation }
+   */
+  getSupports() {
+    let layout;
+    switch (this.supportType) {
+      case SUPPORT_TYPES.CANTILEVER:
+        layout = [{ position: 0, type: SUPPORT_CONDITIONS.FIXED }];
+        break;
+      case SUPPORT_TYPES.OVERHANGING:
+        layout = [
+          { position: this.supportPositions.a, type: SUPPORT_CONDITIONS.PIN },
+          { position: this.supportPositions.b, type: SUPPORT_CONDITIONS.ROLLER }
+        ];
+        break;
+      case SUPPORT_TYPES.FIXED_BOTH:
+        layout = [
+          { position: 0, type: SUPPORT_CONDITIONS.FIXED },
+          { position: this.span, type: SUPPORT_CONDITIONS.FIXED }
+        ];
+        break;
+      case SUPPORT_TYPES.PROPPED_CANTILEVER:
+        layout = [
+          { position: 0, type: SUPPORT_CONDITIONS.FIXED },
+          { position: this.span, type: SUPPORT_CONDITIONS.ROLLER }
+        ];
+        break;
+      case SUPPORT_TYPES.CONTINUOUS:
+        layout = this.supports;
+        break;
+      default:
+        layout = [
+          { position: 0, type: SUPPORT_CONDITIONS.PIN },
+          { position: this.span, type: SUPPORT_CONDITIONS.ROLLER }
+        ];
+    }
+
+    return layout.map((support, i) => ({
+      ...support,
+      ...supportMovement(this.supportMovements[i] || support)
+    }));
+  }
+
   /**
    * Add a load to the beam
-   * @param {Object} load - Load object { type, magnitude, position, start, end }
+   * @param {Object} load - Load object { type, magnitude, endMagnitude, position, start, end, loadCase }
+   * For 'uvl' loads magnitude is the intensity at start and endMagnitude the intensity at end.
+   * Temperature loads take magnitude as ΔT (°C) over [start, end] with alpha (/°C);
+   * a 'thermal_gradient' is T(top) - T(bottom) across the section depth (m)
    */
   addLoad(load) {
+    const magnitude = parseFloat(load.magnitude || load.P || load.w || load.M || 0);
     const normalizedLoad = {
       type: load.type || 'point',
-      magnitude: parseFloat(load.magnitude || load.P || load.w || load.M || 0),
+      loadCase: load.loadCase || LOAD_CASES.DEAD,
+      magnitude,
+      endMagnitude: load.type === 'uvl' ? parseFloat(load.endMagnitude || 0) : magnitude,
       position: parseFloat(load.position || load.a || 0),
       start: parseFloat(load.start || 0),
       end: parseFloat(load.end || this.span)
     };
+    if (THERMAL_LOAD_TYPES.includes(normalizedLoad.type)) {
+      normalizedLoad.alpha = parseFloat(load.alpha) || THERMAL_EXPANSION;
+      normalizedLoad.depth = parseFloat(load.depth) || 0;
+      if (normalizedLoad.type === 'thermal_gradient' && !(normalizedLoad.depth > 0)) {
+        throw new Error('Section depth of a temperature gradient must be greater than 0');
+      }
+    }
     this.loads.push(normalizedLoad);
   }
 
+  /**
+   * Intensity of a distributed load at a point
+   * @param {Object} load - Normalized 'udl' or 'uvl' load
+   * @param {number} x - Position along beam (m)
+   * @returns {number} Intensity (kN/m), zero outside the loaded length
+   */
+  getLoadIntensity(load, x) {
+    if (x < load.start || x > load.end) return 0;
+    const length = load.end - load.start;
+    if (load.type !== 'uvl' || length <= 0) return load.magnitude;
+    return load.magnitude + (load.endMagnitude - load.magnitude) * (x - load.start) / length;
+  }
+
+  /**
+   * Resultant of the part of a distributed load lying in [from, to]
+   * Exact for uniform and linearly varying intensity
+   * @returns {Object} { W: total force (kN), firstMoment: ∫ w·x dx about x = 0 (kN·m) }
+   */
+  getLoadResultant(load, from, to) {
+    const a = Math.max(from, load.start);
+    const b = Math.min(to, load.end);
+    if (b <= a) return { W: 0, firstMoment: 0 };
+
+    const wa = this.getLoadIntensity(load, a);
+    const wb = this.getLoadIntensity(load, b);
+    const length = b - a;
+    return {
+      W: (wa + wb) * length / 2,
+      firstMoment: length * (wa * (2 * a + b) + wb * (a + 2 * b)) / 6
+    };
+  }
+
   /**
    * Set multiple loads at once
    * @param {Array} loads - Array of load objects
@@ -103,6 +710,17 @@ export class BeamAnalyzer {
    * ΣMa = 0 and ΣFy = 0
    */
   calculateReactions() {
+    const determinacy = this.checkDeterminacy();
+    if (!determinacy.isStable) {
+      throw new Error(`Beam is unstable (${determinacy.classification.toLowerCase()}): ${determinacy.message}`);
+    }
+
+    // Elastic or moving supports and internal hinges need the displacement
+    // solution for any support type
+    if (this.hasSupportMovement() || this.hinges.length > 0) {
+      return this.calculateStiffnessReactions();
+    }
+
     switch (this.supportType) {
       case SUPPORT_TYPES.CANTILEVER:
         return this.calculateCantileverReactions();
@@ -112,6 +730,8 @@ export class BeamAnalyzer {
         return this.calculateFixedBothReactions();
       case SUPPORT_TYPES.PROPPED_CANTILEVER:
         return this.calculateProppedCantileverReactions();
+      case SUPPORT_TYPES.CONTINUOUS:
+        return this.calculateContinuousReactions();
       default:
         return this.calculateSimplySupportedReactions();
     }
@@ -129,12 +749,10 @@ export class BeamAnalyzer {
       if (load.type === 'point') {
         totalForce += load.magnitude;
         momentAboutA += load.magnitude * load.position;
-      } else if (load.type === 'udl') {
-        const length = load.end - load.start;
-        const W = load.magnitude * length;
-        const centroid = load.start + length / 2;
+      } else if (DISTRIBUTED_LOAD_TYPES.includes(load.type)) {
+        const { W, firstMoment } = this.getLoadResultant(load, load.start, load.end);
         totalForce += W;
-        momentAboutA += W * centroid;
+        momentAboutA += firstMoment;
       } else if (load.type === 'moment') {
         momentAboutA += load.magnitude;
       }
@@ -164,12 +782,10 @@ export class BeamAnalyzer {
       if (load.type === 'point') {
         totalForce += load.magnitude;
         momentAboutA += load.magnitude * load.position;
-      } else if (load.type === 'udl') {
-        const length = load.end - load.start;
-        const W = load.magnitude * length;
-        const centroid = load.start + length / 2;
+      } else if (DISTRIBUTED_LOAD_TYPES.includes(load.type)) {
+        const { W, firstMoment } = this.getLoadResultant(load, load.start, load.end);
         totalForce += W;
-        momentAboutA += W * centroid;
+        momentAboutA += firstMoment;
       } else if (load.type === 'moment') {
         momentAboutA += load.magnitude;
       }
@@ -200,12 +816,10 @@ export class BeamAnalyzer {
       if (load.type === 'point') {
         totalForce += load.magnitude;
         momentAboutA += load.magnitude * (load.position - a);
-      } else if (load.type === 'udl') {
-        const length = load.end - load.start;
-        const W = load.magnitude * length;
-        const centroid = load.start + length / 2;
+      } else if (DISTRIBUTED_LOAD_TYPES.includes(load.type)) {
+        const { W, firstMoment } = this.getLoadResultant(load, load.start, load.end);
         totalForce += W;
-        momentAboutA += W * (centroid - a);
+        momentAboutA += firstMoment - W * a;
       } else if (load.type === 'moment') {
         momentAboutA += load.magnitude;
       }
@@ -225,50 +839,10 @@ export class BeamAnalyzer {
   /**
    * Calculate reactions for Fixed Both Ends Beam
    * Boundary conditions: y(0) = 0, θ(0) = 0, y(L) = 0, θ(L) = 0
+   * Fixed-end moments for arbitrary loading come from the stiffness solution
    */
   calculateFixedBothReactions() {
-    // For uniformly distributed load: symmetric reactions
-    // For point loads: use moment distribution or numerical methods
-    let totalForce = 0;
-    let momentAboutA = 0;
-    let momentAboutB = 0;
-
-    for (const load of this.loads) {
-      if (load.type === 'point') {
-        const P = load.magnitude;
-        const a = load.position;
-        const b = this.span - a;
-        const L = this.span;
-        
-        // Fixed end moments for point load
-        const Mab = P * a * b * b / (L * L);
-        const Mba = P * a * a * b / (L * L);
-        
-        momentAboutA += Mab;
-        momentAboutB += Mba;
-        totalForce += P;
-      } else if (load.type === 'udl') {
-        const w = load.magnitude;
-        const length = load.end - load.start;
-        const W = w * length;
-        
-        // Simplified: assuming full span UDL
-        if (load.start === 0 && load.end === this.span) {
-          const L = this.span;
-          momentAboutA += w * L * L / 12;
-          momentAboutB += w * L * L / 12;
-        }
-        totalForce += W;
-      }
-    }
-
-    // Approximate reactions (simplified)
-    this.reactions.Ra = totalForce / 2 + (momentAboutA - momentAboutB) / this.span;
-    this.reactions.Rb = totalForce - this.reactions.Ra;
-    this.reactions.Ma = -momentAboutA;
-    this.reactions.Mb = -momentAboutB;
-
-    return this.reactions;
+    return this.calculateStiffnessReactions();
   }
   
   /**
@@ -277,109 +851,414 @@ export class BeamAnalyzer {
    * Boundary conditions: y(0) = 0, θ(0) = 0, y(L) = 0
    */
   calculateProppedCantileverReactions() {
-    let totalForce = 0;
-    let momentSum = 0;
+    return this.calculateStiffnessReactions();
+  }
 
-    for (const load of this.loads) {
-      if (load.type === 'point') {
-        const P = load.magnitude;
-        const a = load.position;
-        const L = this.span;
-        
-        // Reaction at prop (B) for point load
-        const Rb = P * a * a * (3 * L - a) / (2 * L * L * L);
-        this.reactions.Rb += Rb;
-        totalForce += P;
-      } else if (load.type === 'udl') {
-        const w = load.magnitude;
-        const length = load.end - load.start;
-        
-        if (load.start === 0 && load.end === this.span) {
-          const L = this.span;
-          this.reactions.Rb = 3 * w * L / 8;
-        }
-        totalForce += w * length;
-      }
+  /**
+   * Calculate reactions for Continuous Beam
+   * Any number of pin, roller and fixed supports
+   */
+  calculateContinuousReactions() {
+    if (this.supports.length === 0) {
+      throw new Error('Continuous beam needs at least one support');
     }
+    return this.calculateStiffnessReactions();
+  }
 
-    this.reactions.Ra = totalForce - this.reactions.Rb;
-    
-    // Calculate moment at A
-    let Ma = 0;
-    for (const load of this.loads) {
-      if (load.type === 'point') {
-        Ma += load.magnitude * load.position;
-      } else if (load.type === 'udl') {
-        const length = load.end - load.start;
-        const centroid = load.start + length / 2;
-        Ma += load.magnitude * length * centroid;
-      }
-    }
-    Ma -= this.reactions.Rb * this.span;
-    this.reactions.Ma = -Ma;
+  /**
+   * Calculate reactions of statically indeterminate beams by the stiffness method
+   */
+  calculateStiffnessReactions() {
+    const supports = this.getSupports();
+
+    const solution = this.solveStiffness(supports);
+    this.stiffnessSolution = solution;
+    this.supportReactions = solution.reactions;
+
+    const first = solution.reactions[0];
+    const last = solution.reactions[solution.reactions.length - 1];
+    this.reactions.Ra = first.force;
+    this.reactions.Rb = solution.reactions.length > 1 ? last.force : 0;
+    this.reactions.Ma = first.moment;
+    this.reactions.Mb = solution.reactions.length > 1 ? last.moment : 0;
 
     return this.reactions;
   }
 
   /**
-   * Calculate Shear Force at each point
-   * @returns {number[]} Shear force array
+   * Node positions for the stiffness model
+   * Nodes are placed at the beam ends, supports, hinges and every load discontinuity
+   * @param {Array} supports - Support list
+   * @param {boolean} includeLoads - Place nodes at load positions (not needed for modal analysis)
+   * @returns {number[]} Sorted unique node positions
    */
-  calculateShearForce() {
-    const V = zeros(this.x.length);
+  buildMeshNodes(supports, includeLoads = true) {
+    const points = [0, this.span, ...this.hinges];
+    supports.forEach(support => points.push(support.position));
 
-    for (let i = 0; i < this.x.length; i++) {
-      const xi = this.x[i];
-      let shear = 0;
-      
-      // Initial shear depends on support type
-      if (this.supportType === SUPPORT_TYPES.CANTILEVER) {
-        // Cantilever: Start with Ra at fixed end
-        shear = this.reactions.Ra;
-      } else if (this.supportType === SUPPORT_TYPES.OVERHANGING) {
-        // Overhanging: Consider support positions
-        const a = this.supportPositions.a;
-        const b = this.supportPositions.b;
-        
-        if (xi < a) {
-          shear = 0; // Before first support
-        } else if (xi >= a && xi < b) {
-          shear = this.reactions.Ra;
-        } else {
-          shear = this.reactions.Ra + this.reactions.Rb;
-        }
-        
-        // Add reaction at first support
-        if (xi >= a) {
-          shear = this.reactions.Ra;
-        }
-        // Add reaction at second support
-        if (xi >= b) {
-          shear += this.reactions.Rb;
-        }
-      } else {
-        // Simply Supported and others: Start with Ra
-        shear = this.reactions.Ra;
+    // Element ends at stiffness changes; tapered segments are subdivided
+    for (const segment of this.stiffnessSegments) {
+      const divisions = segment.Iend !== segment.I ? TAPER_ELEMENTS : 1;
+      for (let i = 0; i <= divisions; i++) {
+        points.push(segment.start + (segment.end - segment.start) * i / divisions);
       }
+    }
 
-      // Subtract loads applied before xi
-      for (const load of this.loads) {
-        if (load.type === 'point') {
-          if (xi >= load.position) {
-            shear -= load.magnitude;
-          }
-        } else if (load.type === 'udl') {
-          if (xi > load.start) {
-            const effectiveLength = Math.min(xi, load.end) - load.start;
-            if (effectiveLength > 0) {
-              shear -= load.magnitude * effectiveLength;
-            }
-          }
-        }
-        // Moments don't affect shear force
+    for (const load of includeLoads ? this.loads : []) {
+      if (DISTRIBUTED_LOAD_TYPES.includes(load.type) || THERMAL_LOAD_TYPES.includes(load.type)) {
+        points.push(load.start, load.end);
+      } else {
+        points.push(load.position);
       }
-
-      V[i] = shear;
+    }
+
+    return uniquePositions(points, this.span);
+  }
+
+  /**
+   * Total distributed load intensity at a point
+   * @param {number} x - Position along beam (m)
+   * @returns {number} Intensity (kN/m, downward positive)
+   */
+  getDistributedLoadAt(x) {
+    let w = 0;
+    for (const load of this.loads) {
+      if (DISTRIBUTED_LOAD_TYPES.includes(load.type)) {
+        w += this.getLoadIntensity(load, x);
+      }
+    }
+    return w;
+  }
+
+  /**
+   * Free curvature from temperature gradients at a point
+   * A top hotter than the bottom hogs an unrestrained beam: κ0 = -α·ΔT/h
+   * @param {number} x - Position along beam (m)
+   * @returns {number} Curvature (1/m, sagging positive)
+   */
+  getThermalCurvatureAt(x) {
+    let kappa = 0;
+    for (const load of this.loads) {
+      if (load.type === 'thermal_gradient' && x >= load.start && x <= load.end) {
+        kappa -= load.alpha * load.magnitude / load.depth;
+      }
+    }
+    return kappa;
+  }
+
+  /**
+   * Free elongation of [from, to] under uniform temperature changes
+   * @returns {number} Elongation (m)
+   */
+  getThermalElongation(from, to) {
+    let elongation = 0;
+    for (const load of this.loads) {
+      if (load.type === 'thermal_uniform') {
+        const length = Math.min(to, load.end) - Math.max(from, load.start);
+        if (length > 0) elongation += load.alpha * load.magnitude * length;
+      }
+    }
+    return elongation;
+  }
+
+  /**
+   * Axial force from uniform temperature changes
+   * Pin and fixed supports hold the beam horizontally, so every bay between
+   * two of them is fully restrained: N = -∫α·ΔT dx / ∫dx/EA. Beyond the
+   * outer ones the beam expands freely
+   * @returns {Object} { axialForce[] (kN, tension positive), bays: [{ start, end, force }], horizontal[] (kN, per support, +x), freeExpansion (mm) }
+   */
+  calculateThermalAxialForce() {
+    const supports = this.getSupports();
+    const anchors = supports
+      .map((support, index) => ({ position: support.position, index, type: support.type }))
+      .filter(support => support.type !== SUPPORT_CONDITIONS.ROLLER);
+
+    // Axial flexibility ∫dx/EA (m/kN) with E per stiffness segment
+    const flexibility = (from, to) => {
+      let covered = 0;
+      let sum = 0;
+      for (const segment of this.stiffnessSegments) {
+        const length = Math.max(0, Math.min(to, segment.end) - Math.max(from, segment.start));
+        covered += length;
+        sum += length / segment.E;
+      }
+      return (sum + (to - from - covered) / this.E) * 1000 / this.A;
+    };
+
+    const bays = [];
+    for (let k = 1; k < anchors.length; k++) {
+      const start = anchors[k - 1].position;
+      const end = anchors[k].position;
+      if (end - start <= POSITION_TOLERANCE) continue;
+      const elongation = this.getThermalElongation(start, end);
+      if (elongation !== 0 && !(this.A > 0)) {
+        throw new Error('Section area is needed for the restraint force of a uniform temperature change');
+      }
+      bays.push({ start, end, force: elongation === 0 ? 0 : -elongation / flexibility(start, end) });
+    }
+
+    // Horizontal reaction on the beam: N(left bay) - N(right bay)
+    const horizontal = zeros(supports.length);
+    for (const anchor of anchors) {
+      const left = bays.find(bay => Math.abs(bay.end - anchor.position) < POSITION_TOLERANCE);
+      const right = bays.find(bay => Math.abs(bay.start - anchor.position) < POSITION_TOLERANCE);
+      horizontal[anchor.index] = (left ? left.force : 0) - (right ? right.force : 0);
+    }
+
+    return {
+      axialForce: this.x.map(x => {
+        const bay = bays.find(b => x >= b.start - POSITION_TOLERANCE && x <= b.end + POSITION_TOLERANCE);
+        return bay ? bay.force : 0;
+      }),
+      bays,
+      horizontal,
+      freeExpansion: this.getThermalElongation(0, this.span) * 1000
+    };
+  }
+
+  /**
+   * Stiffness matrix of the element starting at x1
+   * @param {number} x1 - Element start (m)
+   * @param {number} L - Element length (m)
+   * @returns {number[][]} 4×4 matrix for [v1, θ1, v2, θ2]
+   */
+  elementStiffness(x1, L) {
+    if (this.stiffnessSegments.length === 0) {
+      return beamElementStiffness(this.E * this.I / 1000, L);
+    }
+    return variableBeamElementStiffness(xi => this.getFlexuralRigidity(x1 + xi * L), L);
+  }
+
+  /**
+   * DOF numbering of the mesh: [v, θ] at each node, then one extra rotation
+   * per internal hinge used by the element to its right
+   * @param {number[]} nodes - Node positions (m)
+   * @returns {Object} { nDof, elements: [[v1, θ1, v2, θ2]], hingeDofs: Map(node index → right rotation DOF) }
+   */
+  meshDofs(nodes) {
+    const hingeDofs = new Map();
+    nodes.forEach((x, i) => {
+      if (this.isHingeAt(x)) hingeDofs.set(i, 2 * nodes.length + hingeDofs.size);
+    });
+    const elements = nodes.slice(1).map((x, e) => [
+      2 * e,
+      hingeDofs.has(e) ? hingeDofs.get(e) : 2 * e + 1,
+      2 * e + 2,
+      2 * e + 3
+    ]);
+    return { nDof: 2 * nodes.length + hingeDofs.size, elements, hingeDofs };
+  }
+
+  /**
+   * Assemble a global matrix over the mesh DOFs
+   * @param {number[]} nodes - Node positions (m)
+   * @param {Function} elementMatrix - (x1, L) => 4×4 element matrix
+   * @returns {number[][]} Global matrix
+   */
+  assembleMatrix(nodes, elementMatrix) {
+    const { nDof, elements } = this.meshDofs(nodes);
+    const K = Array.from({ length: nDof }, () => zeros(nDof));
+    elements.forEach((dofs, e) => {
+      const ke = elementMatrix(nodes[e], nodes[e + 1] - nodes[e]);
+      for (let i = 0; i < 4; i++) {
+        for (let j = 0; j < 4; j++) {
+          K[dofs[i]][dofs[j]] += ke[i][j];
+        }
+      }
+    });
+    return K;
+  }
+
+  /**
+   * Restrained support DOFs with their spring stiffness and prescribed movement
+   * Movements are in DOF sense: settlement downward and rotation clockwise flip sign
+   * @returns {Array} Array of { dof, stiffness (0 = rigid), movement (m or rad) }
+   */
+  supportRestraints(nodes, supports) {
+    const restraints = [];
+    for (const support of supports) {
+      const idx = nearestNodeIndex(nodes, support.position);
+      restraints.push({ dof: 2 * idx, stiffness: support.spring, movement: -support.settlement / 1000 });
+      if (support.type === SUPPORT_CONDITIONS.FIXED) {
+        restraints.push({ dof: 2 * idx + 1, stiffness: support.rotationalSpring, movement: -support.rotation });
+      }
+    }
+    return restraints;
+  }
+
+  /**
+   * Solve the beam by the direct stiffness method
+   * Loads are in kN, so EI is taken in kN·m² and displacements come out in m
+   * @param {Array} supports - Support list
+   * @returns {Object} { nodes, displacements, reactions }
+   */
+  solveStiffness(supports) {
+    const nodes = this.buildMeshNodes(supports);
+    const { nDof, elements, hingeDofs } = this.meshDofs(nodes);
+    const K = this.assembleMatrix(nodes, (x1, L) => this.elementStiffness(x1, L));
+    const F = zeros(nDof);
+    const nodeIndex = (position) => nearestNodeIndex(nodes, position);
+
+    // Equivalent nodal loads
+    for (let e = 0; e < nodes.length - 1; e++) {
+      const x1 = nodes[e];
+      const L = nodes[e + 1] - x1;
+      const dofs = elements[e];
+
+      // Consistent nodal loads: fe = -∫ N·w dx (w downward positive)
+      // Temperature gradients act as initial curvature: fe = ∫ EI·κ0·N'' dx
+      for (const { xi, weight } of GAUSS_POINTS) {
+        const w = this.getDistributedLoadAt(x1 + xi * L);
+        if (w !== 0) {
+          const N = hermiteShapeFunctions(xi, L);
+          for (let i = 0; i < 4; i++) {
+            F[dofs[i]] -= w * N[i] * L * weight;
+          }
+        }
+        const kappa = this.getThermalCurvatureAt(x1 + xi * L);
+        if (kappa !== 0) {
+          const B = hermiteCurvatures(xi, L);
+          const EI = this.getFlexuralRigidity(x1 + xi * L);
+          for (let i = 0; i < 4; i++) {
+            F[dofs[i]] += EI * kappa * B[i] * L * weight;
+          }
+        }
+      }
+    }
+
+    // Concentrated loads always sit on a node
+    for (const load of this.loads) {
+      if (load.type === 'point') {
+        F[2 * nodeIndex(load.position)] -= load.magnitude;
+      } else if (load.type === 'moment') {
+        // Applied moments are clockwise positive, rotation DOF is counter-clockwise
+        F[2 * nodeIndex(load.position) + 1] -= load.magnitude;
+      }
+    }
+
+    // Boundary conditions: a rigid restraint fixes the DOF at its prescribed
+    // movement, a spring adds k to the diagonal and pushes with k × movement
+    const prescribed = new Map();
+    const springs = new Map();
+    for (const { dof, stiffness, movement } of this.supportRestraints(nodes, supports)) {
+      if (stiffness > 0) {
+        K[dof][dof] += stiffness;
+        F[dof] += stiffness * movement;
+        springs.set(dof, { stiffness, movement });
+      } else {
+        prescribed.set(dof, movement);
+      }
+    }
+    const free = [];
+    for (let d = 0; d < nDof; d++) {
+      if (!prescribed.has(d)) free.push(d);
+    }
+
+    const u = zeros(nDof);
+    prescribed.forEach((movement, d) => { u[d] = movement; });
+    if (free.length > 0) {
+      const Kff = free.map(i => free.map(j => K[i][j]));
+      // Prescribed movements act on the free DOFs through the coupling terms
+      const Ff = free.map(i => {
+        let f = F[i];
+        prescribed.forEach((movement, d) => { f -= K[i][d] * movement; });
+        return f;
+      });
+      let uf;
+      try {
+        uf = solveLinearSystem(Kff, Ff);
+      } catch (err) {
+        throw new Error('Beam is unstable: add supports to prevent rigid body movement');
+      }
+      free.forEach((d, i) => { u[d] = uf[i]; });
+    }
+
+    // Reactions: R = K·u - F at restrained DOFs, k × (movement - u) at springs
+    const reactionAt = (d) => {
+      if (springs.has(d)) {
+        const { stiffness, movement } = springs.get(d);
+        return stiffness * (movement - u[d]);
+      }
+      let r = -F[d];
+      for (let j = 0; j < nDof; j++) r += K[d][j] * u[j];
+      return r;
+    };
+
+    const reactions = supports.map(support => {
+      const idx = nodeIndex(support.position);
+      const isFixed = support.type === SUPPORT_CONDITIONS.FIXED;
+      return {
+        position: support.position,
+        type: support.type,
+        force: reactionAt(2 * idx),
+        // Reaction couple, clockwise positive (same sense as Ma)
+        moment: isFixed ? -reactionAt(2 * idx + 1) : 0,
+        // Support deflection (mm, upward), non-zero for springs and settlement
+        deflection: u[2 * idx] * 1000
+      };
+    });
+
+    return {
+      nodes,
+      displacements: nodalDisplacements(nodes, u, hingeDofs),
+      reactions
+    };
+  }
+
+  /**
+   * Support reactions as point actions along the beam
+   * @returns {Array} Array of { position, type, force, moment }
+   */
+  getReactionForces() {
+    if (this.usesStiffnessSolution()) {
+      return this.supportReactions;
+    }
+
+    const { Ra, Rb, Ma, Mb } = this.reactions;
+    return this.getSupports().map((support, i) => ({
+      ...support,
+      force: i === 0 ? Ra : Rb,
+      moment: support.type === SUPPORT_CONDITIONS.FIXED ? (i === 0 ? Ma : Mb) : 0
+    }));
+  }
+
+  /**
+   * Calculate Shear Force at each point
+   * @returns {number[]} Shear force array
+   */
+  calculateShearForce() {
+    const V = zeros(this.x.length);
+    // Reactions at the right end close the diagram and are not drawn
+    const reactions = this.getReactionForces()
+      .filter(r => r.position < this.span - POSITION_TOLERANCE);
+
+    for (let i = 0; i < this.x.length; i++) {
+      const xi = this.x[i];
+      let shear = 0;
+      
+      // Add reactions applied before xi
+      for (const reaction of reactions) {
+        if (xi >= reaction.position - POSITION_TOLERANCE) {
+          shear += reaction.force;
+        }
+      }
+
+      // Subtract loads applied before xi
+      for (const load of this.loads) {
+        if (load.type === 'point') {
+          if (xi >= load.position) {
+            shear -= load.magnitude;
+          }
+        } else if (DISTRIBUTED_LOAD_TYPES.includes(load.type)) {
+          if (xi > load.start) {
+            shear -= this.getLoadResultant(load, load.start, xi).W;
+          }
+        }
+        // Moments don't affect shear force
+      }
+
+      V[i] = shear;
     }
 
     return V;
@@ -391,38 +1270,18 @@ export class BeamAnalyzer {
    */
   calculateBendingMoment() {
     const M = zeros(this.x.length);
+    const reactions = this.getReactionForces()
+      .filter(r => r.position < this.span - POSITION_TOLERANCE);
 
     for (let i = 0; i < this.x.length; i++) {
       const xi = this.x[i];
       let moment = 0;
       
-      // Initial moment depends on support type
-      if (this.supportType === SUPPORT_TYPES.CANTILEVER) {
-        // Cantilever: Start with Ma at fixed end, Ra * xi
-        moment = this.reactions.Ma + this.reactions.Ra * xi;
-      } else if (this.supportType === SUPPORT_TYPES.OVERHANGING) {
-        // Overhanging: Consider support positions
-        const a = this.supportPositions.a;
-        const b = this.supportPositions.b;
-        
-        if (xi < a) {
-          moment = 0;
-        } else {
-          moment = this.reactions.Ra * (xi - a);
-        }
-        
-        if (xi >= b) {
-          moment += this.reactions.Rb * (xi - b);
+      // Reaction forces and fixed-end moments to the left of xi
+      for (const reaction of reactions) {
+        if (xi >= reaction.position - POSITION_TOLERANCE) {
+          moment += reaction.force * (xi - reaction.position) + reaction.moment;
         }
-      } else if (this.supportType === SUPPORT_TYPES.FIXED_BOTH) {
-        // Fixed both: Include fixed end moment
-        moment = this.reactions.Ma + this.reactions.Ra * xi;
-      } else if (this.supportType === SUPPORT_TYPES.PROPPED_CANTILEVER) {
-        // Propped cantilever
-        moment = this.reactions.Ma + this.reactions.Ra * xi;
-      } else {
-        // Simply Supported
-        moment = this.reactions.Ra * xi;
       }
 
       // Subtract moment due to loads
@@ -431,18 +1290,15 @@ export class BeamAnalyzer {
           if (xi >= load.position) {
             moment -= load.magnitude * (xi - load.position);
           }
-        } else if (load.type === 'udl') {
+        } else if (DISTRIBUTED_LOAD_TYPES.includes(load.type)) {
           if (xi > load.start) {
-            const effectiveLength = Math.min(xi, load.end) - load.start;
-            if (effectiveLength > 0) {
-              const W = load.magnitude * effectiveLength;
-              const centroid = load.start + effectiveLength / 2;
-              moment -= W * (xi - centroid);
-            }
+            const { W, firstMoment } = this.getLoadResultant(load, load.start, xi);
+            moment -= W * xi - firstMoment;
           }
         } else if (load.type === 'moment') {
+          // Clockwise applied moment increases sagging moment to its right
           if (xi >= load.position) {
-            moment -= load.magnitude;
+            moment += load.magnitude;
           }
         }
       }
@@ -454,15 +1310,14 @@ export class BeamAnalyzer {
   }
 
   /**
-   * Calculate deflection by double integration of M/EI
+   * Calculate deflection by double integration of M/EI plus the free
+   * curvature of temperature gradients
    * @param {number[]} M - Bending moment array
    * @returns {number[]} Deflection array
    */
   calculateDeflection(M) {
-    const EI = this.E * this.I;
-    
-    // Curvature: M / EI
-    const curvature = M.map(m => m / EI);
+    // Curvature: M / EI with EI in kN·m² (moments are in kN·m)
+    const curvature = M.map((m, i) => m / this.getFlexuralRigidity(this.x[i]) + this.getThermalCurvatureAt(this.x[i]));
     
     // First integration: Slope
     const slope = cumulativeIntegral(curvature, this.dx, 0);
@@ -470,6 +1325,12 @@ export class BeamAnalyzer {
     // Second integration: Deflection
     const deflection = cumulativeIntegral(slope, this.dx, 0);
     
+    // Indeterminate beams and elastic or moving supports: match the nodal
+    // deflections of the stiffness solution
+    if (this.usesStiffnessSolution()) {
+      return this.anchorDeflection(deflection);
+    }
+
     // Apply boundary conditions based on support type
     switch (this.supportType) {
       case SUPPORT_TYPES.CANTILEVER:
@@ -496,28 +1357,6 @@ export class BeamAnalyzer {
         }
         break;
         
-      case SUPPORT_TYPES.FIXED_BOTH:
-        // Fixed both: y(0) = 0, θ(0) = 0, y(L) = 0, θ(L) = 0
-        // Complex - use superposition (simplified approach)
-        const endDefl = deflection[deflection.length - 1];
-        const endSlope = slope[slope.length - 1];
-        
-        for (let i = 0; i < deflection.length; i++) {
-          const xi = this.x[i];
-          const correction = endDefl * (3 * xi * xi / (this.span * this.span) - 2 * xi * xi * xi / (this.span * this.span * this.span));
-          deflection[i] -= correction;
-        }
-        break;
-        
-      case SUPPORT_TYPES.PROPPED_CANTILEVER:
-        // Propped: y(0) = 0, θ(0) = 0, y(L) = 0
-        const endDeflProp = deflection[deflection.length - 1];
-        for (let i = 0; i < deflection.length; i++) {
-          const xi = this.x[i];
-          deflection[i] -= endDeflProp * (xi / this.span) * (xi / this.span) * (3 - 2 * xi / this.span);
-        }
-        break;
-        
       default:
         // Simply Supported: y(0) = 0, y(L) = 0
         const endDeflection = deflection[deflection.length - 1];
@@ -531,6 +1370,103 @@ export class BeamAnalyzer {
     return deflection;
   }
 
+  /**
+   * Shift an integrated M/EI curve onto the stiffness solution
+   * Within each element the exact deflection differs from the integrated
+   * curve only by a straight line, fixed by the two nodal deflections
+   * @param {number[]} deflection - Doubly integrated curvature
+   * @returns {number[]} Deflection array (m)
+   */
+  anchorDeflection(deflection) {
+    const { displacements } = this.stiffnessSolution;
+    const offsets = displacements.map(d => d.v - linearInterpolate(this.x, deflection, d.x));
+    const result = zeros(deflection.length);
+
+    let e = 0;
+    for (let i = 0; i < this.x.length; i++) {
+      const xi = this.x[i];
+      while (e < displacements.length - 2 && xi > displacements[e + 1].x) e++;
+
+      const x1 = displacements[e].x;
+      const x2 = displacements[e + 1] ? displacements[e + 1].x : x1;
+      const t = x2 > x1 ? (xi - x1) / (x2 - x1) : 0;
+      const offset2 = displacements[e + 1] ? offsets[e + 1] : offsets[e];
+      result[i] = deflection[i] + offsets[e] * (1 - t) + offset2 * t;
+    }
+
+    return result;
+  }
+
+  /**
+   * Natural frequencies and mode shapes of free vertical vibration
+   * Consistent-mass beam elements; springs and a Winkler foundation add
+   * stiffness and rigid supports are held fixed. Loads and support
+   * movements play no part
+   * @param {Object} options - { massPerLength (kg/m), modes, points }
+   * @returns {Object} { massPerLength, x, modes: [{ mode, omega (rad/s), frequency (Hz), period (s), shape[] }] }
+   */
+  calculateNaturalFrequencies(options = {}) {
+    const { massPerLength, modes = 3, points = 200 } = options;
+    const m = parseFloat(massPerLength);
+    if (!(m > 0)) throw new Error('Mass per metre must be greater than 0');
+
+    const supports = this.getSupports();
+    const nodes = uniquePositions([
+      ...this.buildMeshNodes(supports, false),
+      ...linspace(0, this.span, MODAL_ELEMENTS + 1)
+    ], this.span);
+    const { nDof, hingeDofs } = this.meshDofs(nodes);
+    const K = this.assembleMatrix(nodes, (x1, L) => this.elementStiffness(x1, L));
+    const M = this.assembleMatrix(nodes, (x1, L) => consistentElementMatrix(m, L));
+
+    const restrained = new Set();
+    for (const { dof, stiffness } of this.supportRestraints(nodes, supports)) {
+      if (stiffness > 0) {
+        K[dof][dof] += stiffness;
+      } else {
+        restrained.add(dof);
+      }
+    }
+    const free = [];
+    for (let d = 0; d < nDof; d++) {
+      if (!restrained.has(d)) free.push(d);
+    }
+
+    // Stiffness in N so that ω² comes out in (rad/s)² with mass in kg
+    const { values, vectors } = generalizedEigen(
+      free.map(i => free.map(j => K[i][j] * 1000)),
+      free.map(i => free.map(j => M[i][j]))
+    );
+    if (!(values[0] > values[values.length - 1] * 1e-12)) {
+      throw new Error('Beam is unstable: add supports to prevent rigid body movement');
+    }
+
+    const x = linspace(0, this.span, points + 1);
+    const count = Math.min(Math.max(parseInt(modes, 10) || 1, 1), values.length);
+
+    return {
+      massPerLength: m,
+      x,
+      modes: values.slice(0, count).map((lambda, k) => {
+        const u = zeros(nDof);
+        free.forEach((d, i) => { u[d] = vectors[k][i]; });
+        const displacements = nodalDisplacements(nodes, u, hingeDofs);
+        const shape = x.map(xi => hermiteDeflection(displacements, xi));
+
+        // Scale to a peak ordinate of +1
+        const peak = shape.reduce((best, v) => (Math.abs(v) > Math.abs(best) ? v : best), 0);
+        const omega = Math.sqrt(lambda);
+        return {
+          mode: k + 1,
+          omega: roundTo(omega, 4),
+          frequency: roundTo(omega / (2 * Math.PI), 4),
+          period: roundTo(2 * Math.PI / omega, 5),
+          shape: shape.map(v => v / peak)
+        };
+      })
+    };
+  }
+
   /**
    * Run complete analysis
    * @returns {Object} Complete analysis results
@@ -552,6 +1488,10 @@ export class BeamAnalyzer {
     const maxMoment = findMaxAbs(moment, this.dx);
     const maxDeflection = findMaxAbs(deflectionMm, this.dx);
 
+    const thermal = this.loads.some(load => THERMAL_LOAD_TYPES.includes(load.type))
+      ? this.calculateThermalAxialForce()
+      : null;
+
     return {
       x: this.x,
       shear,
@@ -559,6 +1499,16 @@ export class BeamAnalyzer {
       deflection: deflectionMm,
       supportType: this.supportType,
       supportPositions: this.supportPositions,
+      supports: this.getSupports(),
+      supportReactions: this.getReactionForces().map((r, i) => ({
+        position: roundTo(r.position, 4),
+        type: r.type,
+        force: roundTo(r.force, 4),
+        moment: roundTo(r.moment, 4),
+        deflection: roundTo(r.deflection || 0, 4),
+        // Horizontal restraint of a uniform temperature change (kN, +x)
+        horizontal: roundTo(thermal ? thermal.horizontal[i] : 0, 4)
+      })),
       reactions: {
         Ra: roundTo(this.reactions.Ra, 4),
         Rb: roundTo(this.reactions.Rb, 4),
@@ -578,68 +1528,976 @@ export class BeamAnalyzer {
         E: this.E,
         I: this.I,
         EI: this.E * this.I,
-        supportType: this.supportType
+        supportType: this.supportType,
+        variableStiffness: this.stiffnessSegments.length > 0,
+        supportMovement: this.hasSupportMovement(),
+        hinges: [...this.hinges],
+        A: this.A
+      },
+      // Axial force (kN, tension positive) and free expansion from temperature loads
+      thermal: thermal && {
+        axialForce: thermal.axialForce,
+        bays: thermal.bays.map(bay => ({
+          start: roundTo(bay.start, 4),
+          end: roundTo(bay.end, 4),
+          force: roundTo(bay.force, 4)
+        })),
+        maxAxialForce: roundTo(findMaxAbs(thermal.axialForce, this.dx).max, 4),
+        freeExpansion: roundTo(thermal.freeExpansion, 4)
+      },
+      determinacy: this.checkDeterminacy(),
+      // Flexural rigidity along the beam (kN·m²)
+      flexuralRigidity: this.x.map(x => this.getFlexuralRigidity(x))
+    };
+  }
+
+  /**
+   * Analyze every load combination and envelope the results
+   * Shear and moment are enveloped over ULS combinations and deflection over
+   * SLS combinations (all combinations when a limit state has none).
+   * Combinations that reduce to an earlier one for the load cases present
+   * are skipped.
+   * @param {Array} combinations - Array of { id, name, limitState, factors: { [loadCase]: factor } }
+   * @returns {Object} Per-combination maxima, envelopes and governing combinations
+   */
+  analyzeLoadCombinations(combinations = DEFAULT_LOAD_COMBINATIONS) {
+    const presentCases = new Set(this.loads.map(load => load.loadCase));
+    const seen = new Set();
+    const skipped = [];
+    const active = [];
+
+    for (const combo of combinations) {
+      const factors = Object.entries(combo.factors || {})
+        .filter(([loadCase, factor]) => presentCases.has(loadCase) && parseFloat(factor))
+        .map(([loadCase, factor]) => [loadCase, parseFloat(factor)])
+        .sort(([a], [b]) => a.localeCompare(b));
+      const key = `${combo.limitState}|${JSON.stringify(factors)}`;
+      if (factors.length === 0 || seen.has(key)) {
+        skipped.push(combo.name);
+        continue;
+      }
+      seen.add(key);
+      active.push({ ...combo, factors: Object.fromEntries(factors) });
+    }
+
+    if (active.length === 0) {
+      throw new Error('No load combination acts on the applied load cases');
+    }
+
+    const runs = active.map(combo => {
+      const loads = this.loads
+        .filter(load => combo.factors[load.loadCase] !== undefined)
+        .map(load => ({
+          ...load,
+          magnitude: load.magnitude * combo.factors[load.loadCase],
+          endMagnitude: load.endMagnitude * combo.factors[load.loadCase]
+        }));
+      return { combo, results: this.cloneWithLoads(loads).analyze() };
+    });
+
+    const uls = runs.filter(run => run.combo.limitState === 'ULS');
+    const sls = runs.filter(run => run.combo.limitState === 'SLS');
+    const strengthRuns = uls.length > 0 ? uls : runs;
+    const serviceRuns = sls.length > 0 ? sls : runs;
+
+    // Pointwise envelope of one result array, remembering the governing run
+    const envelopeOf = (group, key) => {
+      const n = this.x.length;
+      const max = zeros(n).fill(-Infinity);
+      const min = zeros(n).fill(Infinity);
+      const maxBy = zeros(n);
+      const minBy = zeros(n);
+      group.forEach((run, r) => {
+        run.results[key].forEach((value, i) => {
+          if (value > max[i]) { max[i] = value; maxBy[i] = r; }
+          if (value < min[i]) { min[i] = value; minBy[i] = r; }
+        });
+      });
+
+      const extreme = (values, by, pickMax) => {
+        let best = 0;
+        values.forEach((value, i) => {
+          if (pickMax ? value > values[best] : value < values[best]) best = i;
+        });
+        return {
+          value: roundTo(values[best], 4),
+          position: roundTo(this.x[best], 4),
+          combination: group[by[best]].combo.name
+        };
+      };
+
+      return { max, min, maxGoverning: extreme(max, maxBy, true), minGoverning: extreme(min, minBy, false) };
+    };
+
+    const shear = envelopeOf(strengthRuns, 'shear');
+    const moment = envelopeOf(strengthRuns, 'moment');
+    const deflection = envelopeOf(serviceRuns, 'deflection');
+
+    return {
+      combinations: runs.map(({ combo, results }) => ({
+        id: combo.id,
+        name: combo.name,
+        limitState: combo.limitState,
+        factors: combo.factors,
+        maxValues: results.maxValues,
+        reactions: results.supportReactions
+      })),
+      skipped,
+      envelope: {
+        x: this.x,
+        shearMax: shear.max,
+        shearMin: shear.min,
+        momentMax: moment.max,
+        momentMin: moment.min,
+        deflectionMax: deflection.max,
+        deflectionMin: deflection.min
+      },
+      governing: {
+        maxShear: shear.maxGoverning,
+        minShear: shear.minGoverning,
+        maxMoment: moment.maxGoverning,
+        minMoment: moment.minGoverning,
+        maxDeflection: deflection.maxGoverning,
+        minDeflection: deflection.minGoverning
+      }
+    };
+  }
+
+  /**
+   * Copy of this beam (same span, stiffness and supports) carrying other loads
+   * @param {Array} loads - Array of load objects
+   * @returns {BeamAnalyzer}
+   */
+  cloneWithLoads(loads) {
+    const clone = new BeamAnalyzer(this.span, this.E, this.I, this.segments, this.supportType);
+    clone.setSupportPositions(this.supportPositions.a, this.supportPositions.b);
+    clone.supports = this.supports.map(support => ({ ...support }));
+    clone.stiffnessSegments = this.stiffnessSegments.map(segment => ({ ...segment }));
+    clone.supportMovements = this.supportMovements.map(movement => ({ ...movement }));
+    clone.hinges = [...this.hinges];
+    clone.A = this.A;
+    clone.setLoads(loads);
+    return clone;
+  }
+
+  /**
+   * Support reactions due to a unit downward load at each position
+   * @param {number[]} positions - Unit load positions (m)
+   * @returns {Array} One entry per support: { position, type, force[], moment[] }
+   */
+  getReactionInfluence(positions) {
+    const supports = this.getSupports();
+    const influence = supports.map(support => ({
+      position: support.position,
+      type: support.type,
+      force: zeros(positions.length),
+      moment: zeros(positions.length)
+    }));
+
+    // Support movements give reactions without any load; only the part
+    // caused by the unit load belongs to the influence line
+    let base = supports.map(() => ({ force: 0, moment: 0 }));
+    if (this.hasSupportMovement()) {
+      const unloaded = this.cloneWithLoads([]);
+      unloaded.calculateReactions();
+      base = unloaded.getReactionForces();
+    }
+
+    positions.forEach((p, k) => {
+      const unit = this.cloneWithLoads([{ type: 'point', magnitude: 1, position: p }]);
+      unit.calculateReactions();
+      unit.getReactionForces().forEach((reaction, j) => {
+        influence[j].force[k] = reaction.force - base[j].force;
+        influence[j].moment[k] = reaction.moment - base[j].moment;
+      });
+    });
+
+    return influence;
+  }
+
+  /**
+   * Influence lines for support reactions, and shear and moment at a section
+   * Shear is evaluated just right of the section; the unit load is placed on
+   * both sides of the section so the jump in the shear influence line is kept
+   * @param {number} section - Section position (m)
+   * @param {number} points - Number of unit load intervals
+   * @returns {Object} Influence line ordinates and their extremes
+   */
+  calculateInfluenceLines(section, points = 200) {
+    const x0 = parseFloat(section);
+    if (!(x0 >= 0 && x0 <= this.span)) {
+      throw new Error(`Section must lie between 0 and ${this.span} m`);
+    }
+
+    const delta = this.span * 1e-6;
+    const grid = linspace(0, this.span, points + 1);
+    const positions = [...grid, Math.max(x0 - delta, 0), Math.min(x0 + delta, this.span)]
+      .sort((a, b) => a - b);
+
+    const reactionInfluence = this.getReactionInfluence(positions);
+    const shear = zeros(positions.length);
+    const moment = zeros(positions.length);
+
+    positions.forEach((p, k) => {
+      const reactions = reactionInfluence.map(r => ({ position: r.position, force: r.force[k], moment: r.moment[k] }));
+      const { V, M } = pointLoadStatics(x0, reactions, [{ position: p, magnitude: 1 }], this.span);
+      shear[k] = V;
+      moment[k] = M;
+    });
+
+    const extremes = (values) => {
+      let max = 0;
+      let min = 0;
+      let maxPosition = 0;
+      let minPosition = 0;
+      values.forEach((value, k) => {
+        if (value > max) { max = value; maxPosition = positions[k]; }
+        if (value < min) { min = value; minPosition = positions[k]; }
+      });
+      return {
+        max: roundTo(max, 4),
+        maxPosition: roundTo(maxPosition, 4),
+        min: roundTo(min, 4),
+        minPosition: roundTo(minPosition, 4)
+      };
+    };
+
+    return {
+      section: x0,
+      x: positions,
+      reactions: reactionInfluence.map(r => ({
+        position: r.position,
+        type: r.type,
+        force: r.force,
+        moment: r.moment,
+        extremes: extremes(r.force)
+      })),
+      shear,
+      moment,
+      extremes: {
+        shear: extremes(shear),
+        moment: extremes(moment)
+      }
+    };
+  }
+
+  /**
+   * Roll a train of axle loads across the beam
+   * Reactions come from interpolated reaction influence lines; shear and
+   * moment at every section then follow exactly from statics
+   * @param {Array} axles - Array of { load (kN), offset (m) behind the leading axle }
+   * @param {Object} options - { step (m), impactFactor, bothDirections }
+   * @returns {Object} Max/min shear and moment envelopes with critical load positions
+   */
+  calculateMovingLoadEnvelope(axles, options = {}) {
+    const { step = this.span / 200, impactFactor = 1, bothDirections = true } = options;
+    const train = (axles || [])
+      .map(axle => ({ load: (parseFloat(axle.load) || 0) * impactFactor, offset: parseFloat(axle.offset) || 0 }))
+      .filter(axle => axle.load !== 0);
+    if (train.length === 0) throw new Error('Moving load needs at least one axle');
+    if (train.some(axle => axle.offset < 0)) throw new Error('Axle offsets must not be negative');
+    if (!(step > 0)) throw new Error('Step must be greater than 0');
+
+    const trainLength = Math.max(...train.map(axle => axle.offset));
+    const positions = linspace(0, this.span, Math.max(200, Math.ceil(this.span / step)) + 1);
+    const reactionInfluence = this.getReactionInfluence(positions);
+    const n = this.x.length;
+
+    const envelope = {
+      shearMax: zeros(n),
+      shearMin: zeros(n),
+      momentMax: zeros(n),
+      momentMin: zeros(n)
+    };
+    const empty = { value: 0, x: 0, leadAxlePosition: null, direction: null, axlePositions: [] };
+    const extremes = {
+      maxShear: { ...empty },
+      minShear: { ...empty },
+      maxMoment: { ...empty },
+      minMoment: { ...empty }
+    };
+    const reactionMax = reactionInfluence.map(r => ({ position: r.position, type: r.type, ...empty }));
+
+    const directions = bothDirections ? ['forward', 'reverse'] : ['forward'];
+    const nSteps = Math.ceil((this.span + trainLength) / step);
+
+    for (const direction of directions) {
+      for (let t = 0; t <= nSteps; t++) {
+        const lead = Math.min(t * step, this.span + trainLength);
+        const loads = train
+          .map(axle => ({
+            position: direction === 'forward' ? lead - axle.offset : this.span - lead + axle.offset,
+            magnitude: axle.load
+          }))
+          .filter(load => load.position >= -POSITION_TOLERANCE && load.position <= this.span + POSITION_TOLERANCE);
+        if (loads.length === 0) continue;
+
+        const reactions = reactionInfluence.map(r => {
+          let force = 0;
+          let moment = 0;
+          for (const load of loads) {
+            force += load.magnitude * linearInterpolate(positions, r.force, load.position);
+            moment += load.magnitude * linearInterpolate(positions, r.moment, load.position);
+          }
+          return { position: r.position, force, moment };
+        });
+
+        const record = (target, value, x) => {
+          target.value = value;
+          target.x = x;
+          target.leadAxlePosition = lead;
+          target.direction = direction;
+          target.axlePositions = loads.map(load => roundTo(load.position, 3));
+        };
+
+        reactions.forEach((reaction, j) => {
+          if (Math.abs(reaction.force) > Math.abs(reactionMax[j].value)) {
+            record(reactionMax[j], reaction.force, reaction.position);
+          }
+        });
+
+        for (let i = 0; i < n; i++) {
+          const { V, M } = pointLoadStatics(this.x[i], reactions, loads, this.span);
+          if (V > envelope.shearMax[i]) envelope.shearMax[i] = V;
+          if (V < envelope.shearMin[i]) envelope.shearMin[i] = V;
+          if (M > envelope.momentMax[i]) envelope.momentMax[i] = M;
+          if (M < envelope.momentMin[i]) envelope.momentMin[i] = M;
+          if (V > extremes.maxShear.value) record(extremes.maxShear, V, this.x[i]);
+          if (V < extremes.minShear.value) record(extremes.minShear, V, this.x[i]);
+          if (M > extremes.maxMoment.value) record(extremes.maxMoment, M, this.x[i]);
+          if (M < extremes.minMoment.value) record(extremes.minMoment, M, this.x[i]);
+        }
+      }
+    }
+
+    const rounded = (extreme) => ({
+      ...extreme,
+      value: roundTo(extreme.value, 4),
+      x: roundTo(extreme.x, 4),
+      leadAxlePosition: extreme.leadAxlePosition === null ? null : roundTo(extreme.leadAxlePosition, 4)
+    });
+
+    return {
+      x: this.x,
+      ...envelope,
+      extremes: {
+        maxShear: rounded(extremes.maxShear),
+        minShear: rounded(extremes.minShear),
+        maxMoment: rounded(extremes.maxMoment),
+        minMoment: rounded(extremes.minMoment)
+      },
+      reactions: reactionMax.map(rounded),
+      train: {
+        axles: train,
+        length: trainLength,
+        totalLoad: roundTo(train.reduce((sum, axle) => sum + axle.load, 0), 4),
+        impactFactor
       }
     };
   }
 }
 
 /**
- * Section Property Calculator
+ * Beam on Winkler elastic foundation
+ * The soil acts as independent springs, p = ks·B·y, along the whole beam;
+ * each end may be free, hinged or fixed. Loads, stiffness segments and
+ * load combinations work as for BeamAnalyzer; soil pressure is compressive positive
  */
-export function calculateSectionProperties(type, dimensions) {
-  const props = { area: 0, momentOfInertia: 0, sectionModulus: 0, yMax: 0 };
+export class WinklerBeamAnalyzer extends BeamAnalyzer {
+  /**
+   * @param {number} span - Beam length (m)
+   * @param {number} E - Young's modulus (Pa)
+   * @param {number} I - Moment of inertia (m^4)
+   * @param {number} subgradeModulus - Modulus of subgrade reaction ks (kN/m³)
+   * @param {number} width - Contact width B (m)
+   * @param {number} segments - Number of output intervals
+   * @param {Object} ends - { left, right } from FOUNDATION_END_CONDITIONS
+   */
+  constructor(span, E, I, subgradeModulus, width, segments = 500, ends = {}) {
+    super(span, E, I, segments, SUPPORT_TYPES.ELASTIC_FOUNDATION);
+    this.subgradeModulus = parseFloat(subgradeModulus);
+    this.width = parseFloat(width);
+    this.ends = {
+      left: ends.left || FOUNDATION_END_CONDITIONS.FREE,
+      right: ends.right || FOUNDATION_END_CONDITIONS.FREE
+    };
+    if (!(this.subgradeModulus > 0)) throw new Error('Modulus of subgrade reaction must be greater than 0');
+    if (!(this.width > 0)) throw new Error('Foundation width must be greater than 0');
 
-  switch (type) {
-    case 'rectangle': {
-      const b = parseFloat(dimensions.width || 0.1);
-      const h = parseFloat(dimensions.height || 0.2);
-      props.area = b * h;
-      props.momentOfInertia = (b * Math.pow(h, 3)) / 12;
-      props.sectionModulus = (b * Math.pow(h, 2)) / 6;
-      props.yMax = h / 2;
-      break;
+    // Soil reaction along the beam (kN/m, upward)
+    this.soilReaction = zeros(this.x.length);
+  }
+
+  /**
+   * Foundation modulus per unit length kf = ks·B (kN/m²)
+   */
+  get foundationModulus() {
+    return this.subgradeModulus * this.width;
+  }
+
+  /**
+   * End supports; free ends rest on the soil alone
+   * @returns {Array} Array of { position, type, ... }
+   */
+  getSupports() {
+    const conditions = {
+      [FOUNDATION_END_CONDITIONS.HINGED]: SUPPORT_CONDITIONS.PIN,
+      [FOUNDATION_END_CONDITIONS.FIXED]: SUPPORT_CONDITIONS.FIXED
+    };
+    return [[0, this.ends.left], [this.span, this.ends.right]]
+      .filter(([, end]) => conditions[end])
+      .map(([position, end]) => ({ position, type: conditions[end], ...supportMovement() }));
+  }
+
+  usesStiffnessSolution() {
+    return true;
+  }
+
+  elementStiffness(x1, L) {
+    const ke = super.elementStiffness(x1, L);
+    const kf = consistentElementMatrix(this.foundationModulus, L);
+    return ke.map((row, i) => row.map((k, j) => k + kf[i][j]));
+  }
+
+  buildMeshNodes(supports, includeLoads = true) {
+    return uniquePositions([
+      ...super.buildMeshNodes(supports, includeLoads),
+      ...linspace(0, this.span, FOUNDATION_ELEMENTS + 1)
+    ], this.span);
+  }
+
+  /**
+   * Deflection at x from the nodal displacements (Hermite interpolation)
+   * @param {number} x - Position along beam (m)
+   * @returns {number} Deflection (m, upward)
+   */
+  displacementAt(x) {
+    return hermiteDeflection(this.stiffnessSolution.displacements, x);
+  }
+
+  /**
+   * End reactions and the soil reaction along the beam
+   */
+  calculateReactions() {
+    const solution = this.solveStiffness(this.getSupports());
+    this.stiffnessSolution = solution;
+    this.supportReactions = solution.reactions;
+
+    const endReaction = (position) =>
+      solution.reactions.find(r => Math.abs(r.position - position) < POSITION_TOLERANCE) || { force: 0, moment: 0 };
+    const left = endReaction(0);
+    const right = endReaction(this.span);
+    this.reactions = { Ra: left.force, Rb: right.force, Ma: left.moment, Mb: right.moment };
+
+    // Settlement pushes the soil back: p = -kf·y
+    this.soilReaction = this.x.map(x => -this.foundationModulus * this.displacementAt(x));
+    return this.reactions;
+  }
+
+  /**
+   * Shear force including the soil reaction to the left of each point
+   */
+  calculateShearForce() {
+    const soilShear = cumulativeIntegral(this.soilReaction, this.dx, 0);
+    return super.calculateShearForce().map((V, i) => V + soilShear[i]);
+  }
+
+  /**
+   * Bending moment including the soil reaction to the left of each point
+   */
+  calculateBendingMoment() {
+    const soilMoment = cumulativeIntegral(cumulativeIntegral(this.soilReaction, this.dx, 0), this.dx, 0);
+    return super.calculateBendingMoment().map((M, i) => M + soilMoment[i]);
+  }
+
+  /**
+   * Run complete analysis
+   * @returns {Object} BeamAnalyzer results with soil pressure and foundation data
+   */
+  analyze() {
+    const results = super.analyze();
+    const soilPressure = this.soilReaction.map(p => p / this.width);
+
+    let maxIndex = 0;
+    let minIndex = 0;
+    soilPressure.forEach((p, i) => {
+      if (p > soilPressure[maxIndex]) maxIndex = i;
+      if (p < soilPressure[minIndex]) minIndex = i;
+    });
+
+    // Characteristic parameter λ = (kf / 4EI)^(1/4) (Hetényi)
+    const lambda = Math.pow(this.foundationModulus / (4 * this.E * this.I / 1000), 0.25);
+    const lambdaL = lambda * this.span;
+    let behaviour = 'Intermediate';
+    if (lambdaL < Math.PI / 4) behaviour = 'Short (rigid)';
+    else if (lambdaL > Math.PI) behaviour = 'Long (flexible)';
+
+    const warnings = [];
+    if (soilPressure[minIndex] < 0) {
+      warnings.push(`Soil pressure is tensile near x = ${roundTo(this.x[minIndex], 3)} m; the Winkler model assumes the soil can hold the beam down there.`);
     }
+
+    return {
+      ...results,
+      soilReaction: this.soilReaction,
+      soilPressure,
+      maxValues: {
+        ...results.maxValues,
+        soilPressure: roundTo(soilPressure[maxIndex], 4),
+        soilPressurePosition: roundTo(this.x[maxIndex], 4),
+        minSoilPressure: roundTo(soilPressure[minIndex], 4),
+        minSoilPressurePosition: roundTo(this.x[minIndex], 4)
+      },
+      foundation: {
+        subgradeModulus: this.subgradeModulus,
+        width: this.width,
+        foundationModulus: this.foundationModulus,
+        ends: { ...this.ends },
+        lambda: roundTo(lambda, 6),
+        lambdaL: roundTo(lambdaL, 4),
+        behaviour
+      },
+      warnings
+    };
+  }
+
+  cloneWithLoads(loads) {
+    const clone = new WinklerBeamAnalyzer(this.span, this.E, this.I, this.subgradeModulus, this.width, this.segments, this.ends);
+    clone.stiffnessSegments = this.stiffnessSegments.map(segment => ({ ...segment }));
+    clone.hinges = [...this.hinges];
+    clone.A = this.A;
+    clone.setLoads(loads);
+    return clone;
+  }
+
+  // The foundation restrains every point, so supports and hinges alone say nothing
+  checkDeterminacy() {
+    return null;
+  }
+
+  // Reaction influence lines do not capture the soil reaction
+  calculateInfluenceLines() {
+    throw new Error('Influence lines are not available for beams on elastic foundation');
+  }
+
+  calculateMovingLoadEnvelope() {
+    throw new Error('Moving load envelopes are not available for beams on elastic foundation');
+  }
+}
+
+/**
+ * Default dimensions (m) for each cross-section type
+ */
+export const SECTION_DEFAULTS = {
+  rectangle: { width: 0.1, height: 0.2 },
+  circle: { diameter: 0.1 },
+  i_beam: { flangeWidth: 0.15, flangeThickness: 0.01, webHeight: 0.2, webThickness: 0.008 },
+  t_section: { flangeWidth: 0.2, flangeThickness: 0.02, webHeight: 0.28, webThickness: 0.012 },
+  angle: { legHeight: 0.1, legWidth: 0.1, thickness: 0.01 },
+  channel: { height: 0.3, flangeWidth: 0.09, flangeThickness: 0.0136, webThickness: 0.0076 },
+  hollow_rectangle: { width: 0.2, height: 0.3, thickness: 0.01 },
+  hollow_circle: { diameter: 0.2, thickness: 0.01 },
+  box_girder: { width: 1.2, webSpacing: 0.8, height: 1.0, flangeThickness: 0.025, webThickness: 0.012 },
+  polygon: {
+    vertices: [[0, 0], [0.3, 0], [0.3, 0.05], [0.175, 0.05], [0.175, 0.4], [0.125, 0.4], [0.125, 0.05], [0, 0.05]],
+    holes: []
+  }
+};
+
+// Vertices used to trace circular boundaries
+const CIRCLE_SEGMENTS = 360;
+
+const rectanglePoints = (x, y, w, h) => [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+
+/**
+ * Regular polygon with the same area as the circle of diameter d, centred at (cx, cy)
+ */
+function circlePoints(cx, cy, d) {
+  const n = CIRCLE_SEGMENTS;
+  const r = d / 2 * Math.sqrt(2 * Math.PI / (n * Math.sin(2 * Math.PI / n)));
+  return Array.from({ length: n }, (_, i) => {
+    const t = 2 * Math.PI * i / n;
+    return [cx + r * Math.cos(t), cy + r * Math.sin(t)];
+  });
+}
+
+/**
+ * Cross-section outline as solid and hole polygons
+ * Coordinates in m from the lower-left corner of the bounding box
+ * @param {string} type - Section type key of SECTION_DEFAULTS
+ * @param {Object} dimensions - Section dimensions (m)
+ * @returns {Array} Array of { points: [[x, y], ...], hole }
+ */
+export function getSectionOutline(type, dimensions = {}) {
+  const defaults = SECTION_DEFAULTS[type] || {};
+  const dim = (key) => {
+    const value = parseFloat(dimensions[key]);
+    return Number.isFinite(value) && value > 0 ? value : defaults[key];
+  };
+  const solid = (points) => ({ points, hole: false });
+  const hole = (points) => ({ points, hole: true });
+
+  switch (type) {
+    case 'rectangle':
+      return [solid(rectanglePoints(0, 0, dim('width'), dim('height')))];
     case 'circle': {
-      const d = parseFloat(dimensions.diameter || 0.1);
-      const r = d / 2;
-      props.area = Math.PI * r * r;
-      props.momentOfInertia = (Math.PI * Math.pow(d, 4)) / 64;
-      props.sectionModulus = (Math.PI * Math.pow(d, 3)) / 32;
-      props.yMax = r;
-      break;
+      const d = dim('diameter');
+      return [solid(circlePoints(d / 2, d / 2, d))];
+    }
+    case 'hollow_circle': {
+      const d = dim('diameter');
+      const t = Math.min(dim('thickness'), d / 2);
+      return [solid(circlePoints(d / 2, d / 2, d)), hole(circlePoints(d / 2, d / 2, d - 2 * t))];
+    }
+    case 'hollow_rectangle': {
+      const b = dim('width');
+      const h = dim('height');
+      const t = Math.min(dim('thickness'), b / 2, h / 2);
+      return [solid(rectanglePoints(0, 0, b, h)), hole(rectanglePoints(t, t, b - 2 * t, h - 2 * t))];
     }
     case 'i_beam': {
-      const bf = parseFloat(dimensions.flangeWidth || 0.15);
-      const tf = parseFloat(dimensions.flangeThickness || 0.01);
-      const hw = parseFloat(dimensions.webHeight || 0.2);
-      const tw = parseFloat(dimensions.webThickness || 0.008);
+      const bf = dim('flangeWidth');
+      const tf = dim('flangeThickness');
+      const hw = dim('webHeight');
+      const tw = dim('webThickness');
       const H = hw + 2 * tf;
-      
-      props.area = 2 * bf * tf + hw * tw;
-      props.momentOfInertia = (bf * Math.pow(H, 3) - (bf - tw) * Math.pow(hw, 3)) / 12;
-      props.sectionModulus = props.momentOfInertia / (H / 2);
-      props.yMax = H / 2;
-      break;
+      return [solid([
+        [0, 0], [bf, 0], [bf, tf], [(bf + tw) / 2, tf], [(bf + tw) / 2, H - tf], [bf, H - tf],
+        [bf, H], [0, H], [0, H - tf], [(bf - tw) / 2, H - tf], [(bf - tw) / 2, tf], [0, tf]
+      ])];
+    }
+    case 't_section': {
+      const bf = dim('flangeWidth');
+      const tf = dim('flangeThickness');
+      const hw = dim('webHeight');
+      const tw = dim('webThickness');
+      const H = hw + tf;
+      return [solid([
+        [(bf - tw) / 2, 0], [(bf + tw) / 2, 0], [(bf + tw) / 2, hw], [bf, hw],
+        [bf, H], [0, H], [0, hw], [(bf - tw) / 2, hw]
+      ])];
+    }
+    case 'angle': {
+      const h = dim('legHeight');
+      const b = dim('legWidth');
+      const t = dim('thickness');
+      return [solid([[0, 0], [b, 0], [b, t], [t, t], [t, h], [0, h]])];
+    }
+    case 'channel': {
+      const h = dim('height');
+      const bf = dim('flangeWidth');
+      const tf = dim('flangeThickness');
+      const tw = dim('webThickness');
+      return [solid([[0, 0], [bf, 0], [bf, tf], [tw, tf], [tw, h - tf], [bf, h - tf], [bf, h], [0, h]])];
+    }
+    case 'box_girder': {
+      // Top flange of full width; webs and bottom flange span the web spacing
+      const b = dim('width');
+      const s = Math.min(dim('webSpacing'), b);
+      const h = dim('height');
+      const tf = dim('flangeThickness');
+      const tw = dim('webThickness');
+      const x0 = (b - s) / 2;
+      return [
+        solid(rectanglePoints(0, h - tf, b, tf)),
+        solid(rectanglePoints(x0, 0, s, tf)),
+        solid(rectanglePoints(x0, tf, tw, h - 2 * tf)),
+        solid(rectanglePoints(x0 + s - tw, tf, tw, h - 2 * tf))
+      ];
+    }
+    case 'polygon': {
+      const vertices = dimensions.vertices || defaults.vertices;
+      const holes = dimensions.holes || [];
+      if (vertices.length < 3) throw new Error('A polygon section needs at least three vertices');
+      // Shift so the bounding box starts at the origin
+      const minX = Math.min(...vertices.map(p => p[0]));
+      const minY = Math.min(...vertices.map(p => p[1]));
+      const shift = (points) => points.map(([x, y]) => [x - minX, y - minY]);
+      return [
+        solid(shift(vertices)),
+        ...holes.filter(h => h.length >= 3).map(h => hole(shift(h)))
+      ];
+    }
+    default:
+      return [];
+  }
+}
+
+/**
+ * Area, first moments and second moments of a polygon about the origin
+ * Orientation independent; holes enter with a negative sign
+ */
+function polygonIntegrals(points, sign = 1) {
+  let A = 0, Sx = 0, Sy = 0, Ixx = 0, Iyy = 0, Ixy = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x1, y1] = points[i];
+    const [x2, y2] = points[(i + 1) % points.length];
+    const cross = x1 * y2 - x2 * y1;
+    A += cross / 2;
+    Sy += (x1 + x2) * cross / 6;
+    Sx += (y1 + y2) * cross / 6;
+    Ixx += (y1 * y1 + y1 * y2 + y2 * y2) * cross / 12;
+    Iyy += (x1 * x1 + x1 * x2 + x2 * x2) * cross / 12;
+    Ixy += (x1 * y2 + 2 * x1 * y1 + 2 * x2 * y2 + x2 * y1) * cross / 24;
+  }
+  const s = (A < 0 ? -1 : 1) * sign;
+  return { A: A * s, Sx: Sx * s, Sy: Sy * s, Ixx: Ixx * s, Iyy: Iyy * s, Ixy: Ixy * s };
+}
+
+function sumIntegrals(outline) {
+  const total = { A: 0, Sx: 0, Sy: 0, Ixx: 0, Iyy: 0, Ixy: 0 };
+  for (const { points, hole } of outline) {
+    const part = polygonIntegrals(points, hole ? -1 : 1);
+    for (const key in total) total[key] += part[key];
+  }
+  return total;
+}
+
+/**
+ * Clip a polygon to the half-plane where coordinate axis (0 = x, 1 = y)
+ * is above (keepAbove) or below the given value (Sutherland-Hodgman)
+ */
+function clipPolygon(points, axis, value, keepAbove) {
+  const inside = (p) => keepAbove ? p[axis] >= value : p[axis] <= value;
+  const result = [];
+  for (let i = 0; i < points.length; i++) {
+    const current = points[i];
+    const next = points[(i + 1) % points.length];
+    if (inside(current)) result.push(current);
+    if (inside(current) !== inside(next)) {
+      const t = (value - current[axis]) / (next[axis] - current[axis]);
+      result.push([
+        current[0] + t * (next[0] - current[0]),
+        current[1] + t * (next[1] - current[1])
+      ]);
     }
   }
+  return result;
+}
 
+/**
+ * Plastic section modulus about the axis normal to the given coordinate
+ * The plastic neutral axis divides the area equally
+ */
+function plasticModulus(outline, axis, totalArea) {
+  const coords = outline.flatMap(({ points }) => points.map(p => p[axis]));
+  let lo = Math.min(...coords);
+  let hi = Math.max(...coords);
+
+  const sideOf = (value, keepAbove) => sumIntegrals(outline.map(({ points, hole }) => ({
+    points: clipPolygon(points, axis, value, keepAbove),
+    hole
+  })));
+
+  for (let iter = 0; iter < 60; iter++) {
+    const mid = (lo + hi) / 2;
+    if (sideOf(mid, false).A < totalArea / 2) lo = mid;
+    else hi = mid;
+  }
+  const pna = (lo + hi) / 2;
+  const firstMoment = (part) => axis === 1 ? part.Sx : part.Sy;
+  const above = sideOf(pna, true);
+  const below = sideOf(pna, false);
   return {
-    area: roundTo(props.area, 6),
-    momentOfInertia: roundTo(props.momentOfInertia, 10),
-    sectionModulus: roundTo(props.sectionModulus, 8),
-    yMax: roundTo(props.yMax, 4)
+    pna,
+    Zp: (firstMoment(above) - above.A * pna) + (below.A * pna - firstMoment(below))
   };
 }
 
+/**
+ * Net width of a section cut by the horizontal line at height y (m)
+ * @param {Array} outline - Section outline from getSectionOutline
+ * @param {number} y - Height from the bottom of the bounding box (m)
+ */
+export function getSectionWidthAt(outline, y) {
+  let width = 0;
+  for (const { points, hole } of outline) {
+    const crossings = [];
+    for (let i = 0; i < points.length; i++) {
+      const [x1, y1] = points[i];
+      const [x2, y2] = points[(i + 1) % points.length];
+      // Half-open test so a vertex on the line is counted once
+      if ((y1 <= y && y2 > y) || (y2 <= y && y1 > y)) {
+        crossings.push(x1 + (y - y1) / (y2 - y1) * (x2 - x1));
+      }
+    }
+    crossings.sort((a, b) => a - b);
+    let chord = 0;
+    for (let i = 0; i + 1 < crossings.length; i += 2) chord += crossings[i + 1] - crossings[i];
+    width += hole ? -chord : chord;
+  }
+  return Math.max(width, 0);
+}
+
+/**
+ * Area of the section above height y and its first moment about y = 0
+ * @returns {Object} { area (m²), firstMoment (m³) }
+ */
+export function getSectionPortionAbove(outline, y) {
+  const part = sumIntegrals(outline.map(({ points, hole }) => ({
+    points: clipPolygon(points, 1, y, true),
+    hole
+  })));
+  return { area: part.A, firstMoment: part.Sx };
+}
+
+/**
+ * Section Property Calculator
+ * Any section is reduced to solid and hole polygons; properties follow from
+ * Green's theorem about the centroid, principal axes from Mohr's circle and
+ * plastic moduli from the equal-area axes. Rolled sections keep their
+ * tabulated area, second moments and moduli.
+ * @returns {Object} Area, centroid, second moments, principal axes, radii of
+ *   gyration, elastic and plastic moduli, shape factors and the outline
+ */
+export function calculateSectionProperties(type, dimensions = {}) {
+  let outline;
+  let rolled = null;
+  if (type === 'rolled') {
+    rolled = getSteelSection(dimensions.designation);
+    if (!rolled) return { area: 0, momentOfInertia: 0, sectionModulus: 0, yMax: 0, outline: [] };
+    outline = rolledSectionOutline(rolled);
+  } else {
+    outline = getSectionOutline(type, dimensions);
+  }
+  if (outline.length === 0) {
+    return { area: 0, momentOfInertia: 0, sectionModulus: 0, yMax: 0, outline: [] };
+  }
+
+  const { A, Sx, Sy, Ixx: Ix0, Iyy: Iy0, Ixy: Ixy0 } = sumIntegrals(outline);
+  if (A <= 0) throw new Error('Section area must be greater than 0');
+
+  const cx = Sy / A;
+  const cy = Sx / A;
+  let Ixx = Ix0 - A * cy * cy;
+  let Iyy = Iy0 - A * cx * cx;
+  const Ixy = Ixy0 - A * cx * cy;
+  let area = A;
+
+  const xs = outline.flatMap(({ points }) => points.map(p => p[0]));
+  const ys = outline.flatMap(({ points }) => points.map(p => p[1]));
+  const top = Math.max(...ys) - cy;
+  const bottom = cy - Math.min(...ys);
+  const right = Math.max(...xs) - cx;
+  const left = cx - Math.min(...xs);
+
+  let ZxTop = Ixx / top;
+  let ZxBottom = Ixx / bottom;
+  let plasticX = plasticModulus(outline, 1, A);
+  const plasticY = plasticModulus(outline, 0, A);
+
+  if (rolled) {
+    // Tabulated values include root fillets and flange taper (cm units)
+    area = rolled.A * 1e-4;
+    Ixx = rolled.Ixx * 1e-8;
+    Iyy = rolled.Iyy * 1e-8;
+    ZxTop = Ixx / top;
+    ZxBottom = Ixx / bottom;
+    plasticX = { ...plasticX, Zp: rolled.Zpx * 1e-6 };
+  }
+
+  // Principal axes (Mohr's circle); angle of the major axis from x, counter-clockwise
+  const avg = (Ixx + Iyy) / 2;
+  const radius = Math.sqrt(Math.pow((Ixx - Iyy) / 2, 2) + Ixy * Ixy);
+  // Axes are taken as x-y when Ixy vanishes, or for any isotropic section (circle)
+  const theta = radius <= 1e-9 * avg ? 0 : 0.5 * Math.atan2(-2 * Ixy, Ixx - Iyy);
+
+  const Zx = Math.min(ZxTop, ZxBottom);
+  const Zy = Math.min(Iyy / right, Iyy / left);
+
+  return {
+    area: roundTo(area, 6),
+    momentOfInertia: roundTo(Ixx, 10),
+    sectionModulus: roundTo(Zx, 8),
+    yMax: roundTo(Math.max(top, bottom), 4),
+    centroid: { x: roundTo(cx, 4), y: roundTo(cy, 4) },
+    Ixx: roundTo(Ixx, 10),
+    Iyy: roundTo(Iyy, 10),
+    Ixy: roundTo(Ixy, 10),
+    principal: {
+      Imax: roundTo(avg + radius, 10),
+      Imin: roundTo(avg - radius, 10),
+      angle: roundTo(theta * 180 / Math.PI, 2)
+    },
+    rx: roundTo(Math.sqrt(Ixx / area), 4),
+    ry: roundTo(Math.sqrt(Iyy / area), 4),
+    rMin: roundTo(Math.sqrt((avg - radius) / area), 4),
+    elasticModulus: {
+      xTop: roundTo(ZxTop, 8),
+      xBottom: roundTo(ZxBottom, 8),
+      yRight: roundTo(Iyy / right, 8),
+      yLeft: roundTo(Iyy / left, 8)
+    },
+    Zx: roundTo(Zx, 8),
+    Zy: roundTo(Zy, 8),
+    Zpx: roundTo(plasticX.Zp, 8),
+    Zpy: roundTo(plasticY.Zp, 8),
+    plasticNeutralAxis: { y: roundTo(plasticX.pna, 4), x: roundTo(plasticY.pna, 4) },
+    shapeFactor: {
+      x: roundTo(plasticX.Zp / Zx, 3),
+      y: roundTo(plasticY.Zp / Zy, 3)
+    },
+    outline
+  };
+}
+
+/**
+ * Plate idealisation of a rolled section for drawing and minor-axis properties
+ */
+function rolledSectionOutline(section) {
+  const m = 1e-3;
+  switch (section.shape) {
+    case 'I':
+      return getSectionOutline('i_beam', {
+        flangeWidth: section.B * m,
+        flangeThickness: section.tf * m,
+        webHeight: (section.D - 2 * section.tf) * m,
+        webThickness: section.tw * m
+      });
+    case 'channel':
+      return getSectionOutline('channel', {
+        height: section.D * m,
+        flangeWidth: section.B * m,
+        flangeThickness: section.tf * m,
+        webThickness: section.tw * m
+      });
+    default:
+      return getSectionOutline('angle', {
+        legHeight: section.D * m,
+        legWidth: section.B * m,
+        thickness: section.tw * m
+      });
+  }
+}
+
+/**
+ * Parse "x, y" lines into a vertex list; blank lines separate polygons
+ * @param {string} text - One vertex per line
+ * @returns {Array} Array of polygons, each an array of [x, y]
+ */
+export function parseSectionVertices(text = '') {
+  return text
+    .split(/\n\s*\n/)
+    .map(block => block
+      .split('\n')
+      .map(line => line.split(/[,\s]+/).filter(Boolean).map(Number))
+      .filter(pair => pair.length >= 2 && pair.every(Number.isFinite))
+      .map(([x, y]) => [x, y]))
+    .filter(polygon => polygon.length > 0);
+}
+
 /**
  * Quick beam analysis function
+ * supportPositions is { a, b } for overhanging beams or a support list for continuous beams
  */
 export function analyzeBeam(span, loads, E = 200e9, I = 1e-4, supportType = SUPPORT_TYPES.SIMPLY_SUPPORTED, supportPositions = null) {
   const analyzer = new BeamAnalyzer(span, E, I, 500, supportType);
   if (supportPositions && supportType === SUPPORT_TYPES.OVERHANGING) {
     analyzer.setSupportPositions(supportPositions.a, supportPositions.b);
   }
+  if (Array.isArray(supportPositions) && supportType === SUPPORT_TYPES.CONTINUOUS) {
+    analyzer.setSupports(supportPositions);
+  }
   analyzer.setLoads(loads);
   return analyzer.analyze();
 }
@@ -653,14 +2511,79 @@ export function getSupportTypeOptions() {
     { value: SUPPORT_TYPES.CANTILEVER, label: 'Cantilever', description: 'Fixed at left, free at right' },
     { value: SUPPORT_TYPES.OVERHANGING, label: 'Overhanging', description: 'Supports with overhang(s)' },
     { value: SUPPORT_TYPES.FIXED_BOTH, label: 'Fixed Both Ends', description: 'Fixed at both ends' },
-    { value: SUPPORT_TYPES.PROPPED_CANTILEVER, label: 'Propped Cantilever', description: 'Fixed at left, pinned at right' }
+    { value: SUPPORT_TYPES.PROPPED_CANTILEVER, label: 'Propped Cantilever', description: 'Fixed at left, pinned at right' },
+    { value: SUPPORT_TYPES.CONTINUOUS, label: 'Continuous', description: 'Any number of pin, roller or fixed supports' },
+    { value: SUPPORT_TYPES.ELASTIC_FOUNDATION, label: 'On Elastic Foundation', description: 'Resting on Winkler soil springs' }
+  ];
+}
+
+/**
+ * Get load case options for UI
+ * @param {string[]} customCases - User-defined load case names
+ */
+export function getLoadCaseOptions(customCases = []) {
+  return [
+    { value: LOAD_CASES.DEAD, label: 'Dead Load (DL)' },
+    { value: LOAD_CASES.LIVE, label: 'Live / Imposed Load (LL)' },
+    { value: LOAD_CASES.WIND, label: 'Wind Load (WL)' },
+    { value: LOAD_CASES.EARTHQUAKE, label: 'Earthquake Load (EL)' },
+    ...customCases.map(name => ({ value: name, label: name }))
+  ];
+}
+
+/**
+ * Get moving load vehicle options for UI
+ */
+export function getMovingLoadVehicleOptions() {
+  return [
+    ...Object.values(MOVING_LOAD_VEHICLES).map(vehicle => ({ value: vehicle.id, label: vehicle.label })),
+    { value: 'custom', label: 'Custom Axle Train' }
+  ];
+}
+
+/**
+ * Get individual support condition options for UI
+ */
+export function getSupportConditionOptions() {
+  return [
+    { value: SUPPORT_CONDITIONS.PIN, label: 'Pin' },
+    { value: SUPPORT_CONDITIONS.ROLLER, label: 'Roller' },
+    { value: SUPPORT_CONDITIONS.FIXED, label: 'Fixed' }
+  ];
+}
+
+/**
+ * Get end condition options for beams on elastic foundation
+ */
+export function getFoundationEndOptions() {
+  return [
+    { value: FOUNDATION_END_CONDITIONS.FREE, label: 'Free' },
+    { value: FOUNDATION_END_CONDITIONS.HINGED, label: 'Hinged' },
+    { value: FOUNDATION_END_CONDITIONS.FIXED, label: 'Fixed' }
   ];
 }
 
 export default {
   BeamAnalyzer,
+  WinklerBeamAnalyzer,
   SUPPORT_TYPES,
+  SUPPORT_CONDITIONS,
+  FOUNDATION_END_CONDITIONS,
+  MOVING_LOAD_VEHICLES,
+  LOAD_CASES,
+  DEFAULT_LOAD_COMBINATIONS,
+  THERMAL_EXPANSION,
+  SECTION_DEFAULTS,
   calculateSectionProperties,
+  getSectionOutline,
+  getSectionWidthAt,
+  getSectionPortionAbove,
+  parseSectionVertices,
   analyzeBeam,
-  getSupportTypeOptions
+  buildAxleTrain,
+  getSupportTypeOptions,
+  getSupportConditionOptions,
+  getFoundationEndOptions,
+  getLoadCaseOptions,
+  getMovingLoadVehicleOptions
 };
@@ -0,0 +1,358 @@
+/**
+ * Plane Truss Analysis Module
+ * Pin-jointed trusses by the direct stiffness method
+ * Includes statical determinacy and mechanism checks
+ *
+ * Global axes: X to the right, Y upward
+ * Units: kN, m, GPa (E), mm² (A)
+ *
+ * @author Concreate Club, IIT Indore
+ */
+
+import { zeros, solveLinearSystem, matrixRank, roundTo } from '../math/solver.js';
+
+/**
+ * Truss Support Types Enum
+ */
+export const TRUSS_SUPPORT_TYPES = {
+  PIN: 'pin',
+  ROLLER: 'roller',       // Restrains Y translation only
+  ROLLER_X: 'roller_x'    // Restrains X translation only
+};
+
+// Restrained DOFs [ux, uy] for each support type
+const SUPPORT_RESTRAINTS = {
+  [TRUSS_SUPPORT_TYPES.PIN]: [true, true],
+  [TRUSS_SUPPORT_TYPES.ROLLER]: [false, true],
+  [TRUSS_SUPPORT_TYPES.ROLLER_X]: [true, false]
+};
+
+// Member forces below this magnitude (kN) are reported as zero-force members
+const ZERO_FORCE_TOLERANCE = 1e-6;
+
+/**
+ * TrussAnalyzer Class
+ * Checks determinacy and stability, then solves joint displacements,
+ * member axial forces and support reactions
+ */
+export class TrussAnalyzer {
+  constructor() {
+    this.joints = [];
+    this.members = [];
+    this.supports = [];
+    this.loads = [];
+  }
+
+  /**
+   * Set joints
+   * @param {Array} joints - Array of { id, x, y }
+   */
+  setJoints(joints) {
+    this.joints = (joints || []).map(joint => ({
+      id: joint.id,
+      x: parseFloat(joint.x) || 0,
+      y: parseFloat(joint.y) || 0
+    }));
+  }
+
+  /**
+   * Set members
+   * @param {Array} members - Array of { id, start, end, E (GPa), A (mm²) }
+   */
+  setMembers(members) {
+    this.members = (members || []).map(member => ({
+      id: member.id,
+      start: member.start,
+      end: member.end,
+      E: parseFloat(member.E) || 200,
+      A: parseFloat(member.A) || 1000
+    }));
+  }
+
+  /**
+   * Set supports
+   * @param {Array} supports - Array of { joint, type } with type from TRUSS_SUPPORT_TYPES
+   */
+  setSupports(supports) {
+    this.supports = (supports || []).map(support => ({
+      joint: support.joint,
+      type: support.type || TRUSS_SUPPORT_TYPES.PIN
+    }));
+  }
+
+  /**
+   * Set joint loads
+   * @param {Array} loads - Array of { joint, Fx, Fy } in global axes (kN)
+   */
+  setLoads(loads) {
+    this.loads = (loads || []).map(load => ({
+      joint: load.joint,
+      Fx: parseFloat(load.Fx) || 0,
+      Fy: parseFloat(load.Fy) || 0
+    }));
+  }
+
+  /**
+   * Find joint index by id
+   */
+  jointIndex(id) {
+    const index = this.joints.findIndex(joint => String(joint.id) === String(id));
+    if (index < 0) {
+      throw new Error(`Joint ${id} does not exist`);
+    }
+    return index;
+  }
+
+  /**
+   * Member geometry: length and direction cosines
+   */
+  memberGeometry(member) {
+    const j1 = this.joints[this.jointIndex(member.start)];
+    const j2 = this.joints[this.jointIndex(member.end)];
+    const dx = j2.x - j1.x;
+    const dy = j2.y - j1.y;
+    const L = Math.sqrt(dx * dx + dy * dy);
+    if (L === 0) {
+      throw new Error(`Member ${member.id} has zero length`);
+    }
+    return { L, c: dx / L, s: dy / L };
+  }
+
+  /**
+   * Restrained global DOFs from the supports
+   */
+  restrainedDofs() {
+    const restrained = new Set();
+    for (const support of this.supports) {
+      const i = this.jointIndex(support.joint);
+      const restraints = SUPPORT_RESTRAINTS[support.type] || SUPPORT_RESTRAINTS.pin;
+      restraints.forEach((isRestrained, d) => {
+        if (isRestrained) restrained.add(2 * i + d);
+      });
+    }
+    return restrained;
+  }
+
+  /**
+   * Statical determinacy and stability check
+   * Counting rule m + r vs 2j, confirmed by the rank of the joint
+   * equilibrium matrix so that geometric mechanisms are also detected
+   * @returns {Object} Determinacy summary
+   */
+  checkDeterminacy() {
+    const j = this.joints.length;
+    const m = this.members.length;
+    const restrained = [...this.restrainedDofs()];
+    const r = restrained.length;
+    const degree = m + r - 2 * j;
+
+    // Equilibrium matrix: one row per joint DOF, one column per member force and reaction
+    const B = Array.from({ length: 2 * j }, () => zeros(m + r));
+    this.members.forEach((member, k) => {
+      const { c, s } = this.memberGeometry(member);
+      const i1 = this.jointIndex(member.start);
+      const i2 = this.jointIndex(member.end);
+      // Tension pulls each end joint towards the other
+      B[2 * i1][k] += c;
+      B[2 * i1 + 1][k] += s;
+      B[2 * i2][k] -= c;
+      B[2 * i2 + 1][k] -= s;
+    });
+    restrained.forEach((dof, k) => {
+      B[dof][m + k] = 1;
+    });
+
+    const rank = matrixRank(B);
+    const mechanisms = 2 * j - rank;
+    const redundants = m + r - rank;
+    const isStable = mechanisms === 0;
+
+    let classification;
+    let message;
+    if (!isStable && degree < 0) {
+      classification = 'Unstable';
+      message = `m + r = ${m + r} < 2j = ${2 * j}: not enough members or reactions`;
+    } else if (!isStable) {
+      classification = 'Geometrically Unstable';
+      message = `m + r >= 2j but the arrangement forms ${mechanisms} mechanism${mechanisms > 1 ? 's' : ''}`;
+    } else if (redundants === 0) {
+      classification = 'Statically Determinate';
+      message = `m + r = 2j = ${2 * j}: forces follow from equilibrium alone`;
+    } else {
+      classification = 'Statically Indeterminate';
+      message = `Degree of indeterminacy = ${redundants}: forces depend on member stiffness`;
+    }
+
+    return {
+      joints: j,
+      members: m,
+      reactions: r,
+      degree,
+      rank,
+      mechanisms,
+      redundants,
+      isStable,
+      classification,
+      message
+    };
+  }
+
+  /**
+   * Run complete analysis
+   * @returns {Object} Determinacy, member forces, reactions and joint displacements
+   */
+  analyze() {
+    if (this.joints.length < 2) throw new Error('Truss needs at least two joints');
+    if (this.members.length === 0) throw new Error('Truss needs at least one member');
+    if (this.supports.length === 0) throw new Error('Truss needs at least one support');
+
+    const determinacy = this.checkDeterminacy();
+    if (!determinacy.isStable) {
+      throw new Error(`Truss is unstable (${determinacy.classification.toLowerCase()}): ${determinacy.message}`);
+    }
+
+    const nDof = 2 * this.joints.length;
+    const K = Array.from({ length: nDof }, () => zeros(nDof));
+    const F = zeros(nDof);
+    const memberSystems = [];
+
+    // Assemble global stiffness; EA in kN since GPa × mm² = kN
+    for (const member of this.members) {
+      const { L, c, s } = this.memberGeometry(member);
+      const k = member.E * member.A / L;
+      const i1 = this.jointIndex(member.start);
+      const i2 = this.jointIndex(member.end);
+      const dofs = [2 * i1, 2 * i1 + 1, 2 * i2, 2 * i2 + 1];
+      const t = [-c, -s, c, s];
+
+      for (let a = 0; a < 4; a++) {
+        for (let b = 0; b < 4; b++) {
+          K[dofs[a]][dofs[b]] += k * t[a] * t[b];
+        }
+      }
+      memberSystems.push({ member, L, k, dofs, t });
+    }
+
+    for (const load of this.loads) {
+      const i = this.jointIndex(load.joint);
+      F[2 * i] += load.Fx;
+      F[2 * i + 1] += load.Fy;
+    }
+
+    const restrained = this.restrainedDofs();
+    const free = [];
+    for (let d = 0; d < nDof; d++) {
+      if (!restrained.has(d)) free.push(d);
+    }
+
+    const u = zeros(nDof);
+    if (free.length > 0) {
+      let uf;
+      try {
+        uf = solveLinearSystem(free.map(i => free.map(j => K[i][j])), free.map(i => F[i]));
+      } catch (err) {
+        throw new Error('Truss is unstable: check members and supports');
+      }
+      free.forEach((d, i) => { u[d] = uf[i]; });
+    }
+
+    // Member axial forces, tension positive
+    let maxTension = { value: 0, member: null };
+    let maxCompression = { value: 0, member: null };
+
+    const memberResults = memberSystems.map(({ member, L, k, dofs, t }) => {
+      const elongation = dofs.reduce((sum, d, a) => sum + t[a] * u[d], 0);
+      const force = k * elongation;
+      const nature = Math.abs(force) < ZERO_FORCE_TOLERANCE ? 'Zero'
+        : force > 0 ? 'Tension' : 'Compression';
+
+      if (force > maxTension.value) maxTension = { value: force, member: member.id };
+      if (force < maxCompression.value) maxCompression = { value: force, member: member.id };
+
+      return {
+        id: member.id,
+        start: member.start,
+        end: member.end,
+        length: roundTo(L, 4),
+        force: nature === 'Zero' ? 0 : roundTo(force, 4),
+        nature,
+        stress: nature === 'Zero' ? 0 : roundTo(force * 1000 / member.A, 2), // MPa
+        elongation: roundTo(elongation * 1000, 4) // mm
+      };
+    });
+
+    // Reactions: R = K·u - F at restrained DOFs
+    const reactions = this.supports.map(support => {
+      const i = this.jointIndex(support.joint);
+      const restraints = SUPPORT_RESTRAINTS[support.type] || SUPPORT_RESTRAINTS.pin;
+      const component = (d) => {
+        if (!restraints[d]) return 0;
+        let r = -F[2 * i + d];
+        for (let jj = 0; jj < nDof; jj++) r += K[2 * i + d][jj] * u[jj];
+        return roundTo(r, 4);
+      };
+      return { joint: support.joint, type: support.type, Rx: component(0), Ry: component(1) };
+    });
+
+    const displacements = this.joints.map((joint, i) => ({
+      joint: joint.id,
+      x: joint.x,
+      y: joint.y,
+      ux: roundTo(u[2 * i] * 1000, 4),     // mm
+      uy: roundTo(u[2 * i + 1] * 1000, 4)  // mm
+    }));
+
+    const maxDisplacement = displacements.reduce((best, d) => {
+      const total = Math.sqrt(d.ux * d.ux + d.uy * d.uy);
+      return total > best.value ? { value: roundTo(total, 4), joint: d.joint } : best;
+    }, { value: 0, joint: null });
+
+    return {
+      joints: this.joints,
+      supports: this.supports,
+      determinacy,
+      members: memberResults,
+      reactions,
+      displacements,
+      maxValues: {
+        tension: roundTo(maxTension.value, 4),
+        tensionMember: maxTension.member,
+        compression: roundTo(maxCompression.value, 4),
+        compressionMember: maxCompression.member,
+        displacement: maxDisplacement.value,
+        displacementJoint: maxDisplacement.joint
+      },
+      zeroForceMembers: memberResults.filter(m => m.nature === 'Zero').map(m => m.id)
+    };
+  }
+}
+
+/**
+ * Quick truss analysis function
+ */
+export function analyzeTruss({ joints, members, supports, loads = [] }) {
+  const analyzer = new TrussAnalyzer();
+  analyzer.setJoints(joints);
+  analyzer.setMembers(members);
+  analyzer.setSupports(supports);
+  analyzer.setLoads(loads);
+  return analyzer.analyze();
+}
+
+/**
+ * Get truss support options for UI
+ */
+export function getTrussSupportOptions() {
+  return [
+    { value: TRUSS_SUPPORT_TYPES.PIN, label: 'Pin (hinge)' },
+    { value: TRUSS_SUPPORT_TYPES.ROLLER, label: 'Roller (vertical reaction)' },
+    { value: TRUSS_SUPPORT_TYPES.ROLLER_X, label: 'Roller (horizontal reaction)' }
+  ];
+}
+
+export default {
+  TrussAnalyzer,
+  TRUSS_SUPPORT_TYPES,
+  analyzeTruss,
+  getTrussSupportOptions
+};
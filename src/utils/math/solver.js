@@ -283,6 +283,232 @@ export function linearInterpolate(x, y, xi) {
   return y[y.length - 1];
 }
 
+/**
+ * Solve a dense linear system A·x = b
+ * Gaussian elimination with partial pivoting, used by the stiffness solvers
+ * 
+ * @param {number[][]} A - Square coefficient matrix (not modified)
+ * @param {number[]} b - Right-hand side vector (not modified)
+ * @returns {number[]} Solution vector x
+ */
+export function solveLinearSystem(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+
+  // Pivot tolerance relative to the largest coefficient
+  let scale = 0;
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) {
+      scale = Math.max(scale, Math.abs(M[i][j]));
+    }
+  }
+  const tolerance = (scale || 1) * 1e-12;
+
+  for (let k = 0; k < n; k++) {
+    // Find pivot row
+    let pivot = k;
+    for (let i = k + 1; i < n; i++) {
+      if (Math.abs(M[i][k]) > Math.abs(M[pivot][k])) pivot = i;
+    }
+
+    if (Math.abs(M[pivot][k]) < tolerance) {
+      throw new Error('Singular matrix: system has no unique solution');
+    }
+
+    if (pivot !== k) {
+      [M[k], M[pivot]] = [M[pivot], M[k]];
+    }
+
+    // Eliminate below pivot
+    for (let i = k + 1; i < n; i++) {
+      const factor = M[i][k] / M[k][k];
+      if (factor === 0) continue;
+      for (let j = k; j <= n; j++) {
+        M[i][j] -= factor * M[k][j];
+      }
+    }
+  }
+
+  // Back substitution
+  const x = zeros(n);
+  for (let i = n - 1; i >= 0; i--) {
+    let sum = M[i][n];
+    for (let j = i + 1; j < n; j++) {
+      sum -= M[i][j] * x[j];
+    }
+    x[i] = sum / M[i][i];
+  }
+
+  return x;
+}
+
+/**
+ * Rank of a (possibly rectangular) matrix
+ * Gaussian elimination with partial pivoting and a relative tolerance
+ * 
+ * @param {number[][]} A - Matrix (not modified)
+ * @returns {number} Number of linearly independent rows
+ */
+export function matrixRank(A) {
+  if (A.length === 0) return 0;
+  const M = A.map(row => [...row]);
+  const rows = M.length;
+  const cols = M[0].length;
+
+  let scale = 0;
+  for (const row of M) {
+    for (const value of row) scale = Math.max(scale, Math.abs(value));
+  }
+  const tolerance = (scale || 1) * 1e-10;
+
+  let rank = 0;
+  for (let k = 0; k < cols && rank < rows; k++) {
+    let pivot = rank;
+    for (let i = rank + 1; i < rows; i++) {
+      if (Math.abs(M[i][k]) > Math.abs(M[pivot][k])) pivot = i;
+    }
+    if (Math.abs(M[pivot][k]) < tolerance) continue;
+
+    [M[rank], M[pivot]] = [M[pivot], M[rank]];
+    for (let i = rank + 1; i < rows; i++) {
+      const factor = M[i][k] / M[rank][k];
+      if (factor === 0) continue;
+      for (let j = k; j < cols; j++) {
+        M[i][j] -= factor * M[rank][j];
+      }
+    }
+    rank++;
+  }
+
+  return rank;
+}
+
+/**
+ * Eigenvalues and eigenvectors of a symmetric matrix
+ * Cyclic Jacobi rotations until the off-diagonal part vanishes
+ * 
+ * @param {number[][]} A - Symmetric matrix (not modified)
+ * @param {number} tolerance - Relative size of the remaining off-diagonal part
+ * @returns {Object} { values, vectors } in ascending order; vectors[k] belongs to values[k]
+ */
+export function symmetricEigen(A, tolerance = 1e-12, maxSweeps = 100) {
+  const n = A.length;
+  const a = A.map(row => [...row]);
+  const v = Array.from({ length: n }, (_, i) => {
+    const row = zeros(n);
+    row[i] = 1;
+    return row;
+  });
+
+  for (let sweep = 0; sweep < maxSweeps; sweep++) {
+    let off = 0;
+    let diagonal = 0;
+    for (let i = 0; i < n; i++) {
+      diagonal += a[i][i] * a[i][i];
+      for (let j = i + 1; j < n; j++) off += a[i][j] * a[i][j];
+    }
+    if (off <= tolerance * tolerance * diagonal) break;
+
+    for (let p = 0; p < n - 1; p++) {
+      for (let q = p + 1; q < n; q++) {
+        if (a[p][q] === 0) continue;
+        // Rotation angle that zeroes a[p][q]
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = (theta >= 0 ? 1 : -1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+
+        for (let k = 0; k < n; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < n; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < n; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+
+  const order = a.map((_, i) => i).sort((i, j) => a[i][i] - a[j][j]);
+  return {
+    values: order.map(i => a[i][i]),
+    vectors: order.map(i => v.map(row => row[i]))
+  };
+}
+
+/**
+ * Generalized symmetric eigenproblem K·φ = λ·M·φ with M positive definite
+ * Reduced to a standard problem through the Cholesky factor M = L·Lᵀ
+ * 
+ * @param {number[][]} K - Symmetric matrix (e.g. stiffness)
+ * @param {number[][]} M - Symmetric positive definite matrix (e.g. mass)
+ * @returns {Object} { values, vectors } in ascending order
+ */
+export function generalizedEigen(K, M) {
+  const n = K.length;
+  const L = Array.from({ length: n }, () => zeros(n));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = M[i][j];
+      for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (sum <= 0) throw new Error('Mass matrix must be positive definite');
+        L[i][i] = Math.sqrt(sum);
+      } else {
+        L[i][j] = sum / L[j][j];
+      }
+    }
+  }
+
+  // Solve L·X = B column by column
+  const forward = (B) => {
+    const X = Array.from({ length: n }, () => zeros(B[0].length));
+    for (let c = 0; c < B[0].length; c++) {
+      for (let i = 0; i < n; i++) {
+        let sum = B[i][c];
+        for (let k = 0; k < i; k++) sum -= L[i][k] * X[k][c];
+        X[i][c] = sum / L[i][i];
+      }
+    }
+    return X;
+  };
+
+  // C = L⁻¹·K·L⁻ᵀ, symmetrized against round-off
+  const X = forward(K);
+  const C = forward(X[0].map((_, j) => X.map(row => row[j])));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < i; j++) {
+      C[i][j] = C[j][i] = (C[i][j] + C[j][i]) / 2;
+    }
+  }
+
+  const { values, vectors } = symmetricEigen(C);
+
+  // φ = L⁻ᵀ·y
+  const backward = (y) => {
+    const phi = zeros(n);
+    for (let i = n - 1; i >= 0; i--) {
+      let sum = y[i];
+      for (let k = i + 1; k < n; k++) sum -= L[k][i] * phi[k];
+      phi[i] = sum / L[i][i];
+    }
+    return phi;
+  };
+
+  return { values, vectors: vectors.map(backward) };
+}
+
 /**
  * Find maximum absolute value and its position
  * 
@@ -361,6 +587,10 @@ export default {
   doubleIntegral,
   numericalDerivative,
   linearInterpolate,
+  solveLinearSystem,
+  matrixRank,
+  symmetricEigen,
+  generalizedEigen,
   findMaxAbs,
   linspace,
   zeros,
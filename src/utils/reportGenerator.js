@@ -9,6 +9,37 @@
 import jsPDF from 'jspdf';
 import 'jspdf-autotable';
 
+// Symbols outside the standard PDF fonts and their plain-text spelling
+const PDF_SYMBOLS = {
+  'Σ': 'sum ',
+  'Δ': 'd',
+  'κ': 'k',
+  'λ': 'lambda',
+  'α': 'alpha',
+  'θ': 'theta',
+  'φ': 'phi',
+  'τ': 'tau',
+  'σ': 'sigma',
+  'μ': 'mu',
+  'ν': 'nu',
+  'γ': 'gamma',
+  '√': 'sqrt',
+  '∫': 'int ',
+  '→': '->',
+  '≥': '>=',
+  '≤': '<=',
+  '⁴': '^4',
+  '¼': '1/4',
+  'x̄': 'x_bar'
+};
+
+/**
+ * Replace symbols the standard PDF fonts cannot draw
+ */
+function pdfText(text) {
+  return Object.entries(PDF_SYMBOLS).reduce((result, [symbol, plain]) => result.split(symbol).join(plain), `${text}`);
+}
+
 /**
  * CiviCalc Report Generator Class
  */
@@ -437,37 +468,65 @@ export class ReportGenerator {
 
 /**
  * Generate a beam analysis report
+ * Plastic collapse results, with the hinge diagram when captured, add a
+ * plastic analysis section
  */
-export function generateBeamReport(results, inputs) {
+export function generateBeamReport(results, inputs, plastic = null, hingeImage = null) {
   const report = new ReportGenerator();
   report.initialize('Beam Analysis Report');
   
   report.addSectionTitle('1. Input Parameters');
   report.addInputsTable({
     'Span Length': `${inputs.span} m`,
-    'Elastic Modulus (E)': `${inputs.E / 1e9} GPa`,
+    'Elastic Modulus (E)': inputs.E,
     'Moment of Inertia (I)': `${inputs.I} m⁴`,
-    'Support Type': 'Simply Supported'
+    'Support Type': inputs.supportType || 'Simply Supported'
   });
 
   report.addSectionTitle('2. Applied Loads');
   if (inputs.loads && inputs.loads.length > 0) {
+    const isThermal = (load) => load.type.startsWith('thermal');
+    const isDistributed = (load) => load.type === 'udl' || load.type === 'uvl' || isThermal(load);
     const loadData = inputs.loads.map((load, i) => [
       i + 1,
-      load.type,
-      load.magnitude,
-      load.position || `${load.start}-${load.end}`
+      load.type.replace('thermal_', 'temp. ').toUpperCase(),
+      load.loadCase || 'DL',
+      load.type === 'uvl'
+        ? `${load.magnitude} to ${load.endMagnitude} kN/m`
+        : isThermal(load)
+          ? `${load.magnitude} °C${load.type === 'thermal_gradient' ? ` over h = ${load.depth} m` : ''}`
+          : `${load.magnitude} ${load.type === 'udl' ? 'kN/m' : load.type === 'moment' ? 'kN·m' : 'kN'}`,
+      isDistributed(load) ? `${load.start} - ${load.end} m` : `${load.position} m`
     ]);
     report.addDataTable(
-      ['#', 'Type', 'Magnitude', 'Position'],
+      ['#', 'Type', 'Case', 'Magnitude', 'Position'],
       loadData,
-      { columnWidths: [15, 40, 50, 60] }
+      { columnWidths: [15, 30, 25, 50, 50] }
     );
   }
 
   report.addSectionTitle('3. Support Reactions');
-  report.addKeyValue('Reaction at A (Ra)', results.reactions.Ra, 'kN');
-  report.addKeyValue('Reaction at B (Rb)', results.reactions.Rb, 'kN');
+  if (results.supportType === 'continuous' && results.supportReactions) {
+    const reactionData = results.supportReactions.map((reaction, i) => [
+      i + 1,
+      reaction.position,
+      reaction.type,
+      reaction.force,
+      reaction.type === 'fixed' ? reaction.moment : '-'
+    ]);
+    report.addDataTable(
+      ['#', 'Position (m)', 'Support', 'Reaction (kN)', 'Moment (kN·m)'],
+      reactionData,
+      { columnWidths: [15, 35, 35, 40, 40] }
+    );
+  } else {
+    report.addKeyValue('Reaction at A (Ra)', results.reactions.Ra, 'kN');
+    report.addKeyValue('Reaction at B (Rb)', results.reactions.Rb, 'kN');
+  }
+  if (results.thermal) {
+    report.addKeyValue('Temperature Axial Force', results.thermal.maxAxialForce, 'kN');
+    report.addKeyValue('Free Thermal Expansion', results.thermal.freeExpansion, 'mm');
+  }
 
   report.addSectionTitle('4. Maximum Values');
   report.addKeyValue('Max Shear Force', results.maxValues.shear, 'kN');
@@ -477,6 +536,121 @@ export function generateBeamReport(results, inputs) {
   report.addKeyValue('Max Deflection', results.maxValues.deflection, 'mm');
   report.addKeyValue('Position of Max Deflection', results.maxValues.deflectionPosition, 'm');
 
+  let section = 5;
+  if (results.solutionSteps) {
+    report.addSectionTitle(`${section++}. Worked Solution`);
+    results.solutionSteps.forEach(step => {
+      report.addSubsectionTitle(pdfText(`${step.step}. ${step.title}`));
+      report.addText(pdfText(step.formula), { bold: true });
+      report.addText(pdfText(step.calculation));
+      if (step.result !== '') report.addKeyValue('Result', pdfText(`${step.result}`), step.unit);
+    });
+  }
+
+  if (plastic) {
+    report.addSectionTitle(`${section}. Plastic Collapse Analysis`);
+    if (plastic.model === 'portal') {
+      report.addKeyValue('Structure', `Portal frame ${plastic.span} m × ${plastic.height} m`);
+    } else {
+      report.addKeyValue('Plastic Moment (Mp)', plastic.Mp, 'kN·m');
+    }
+    report.addKeyValue('Collapse Load Factor', plastic.collapseLoadFactor);
+    report.addKeyValue('Mechanism', plastic.mechanism.type);
+    report.addText(plastic.mechanism.description);
+
+    if (hingeImage) {
+      report.addChartImage(hingeImage, {
+        title: 'Hinge Sequence',
+        caption: 'Plastic hinges numbered in order of formation'
+      });
+    }
+
+    report.addDataTable(
+      ['Hinge', 'Location', 'Load Factor', 'Moment (kN·m)'],
+      plastic.hinges.map(h => [h.step, h.location || `x = ${h.x} m (${h.sense})`, h.loadFactor, h.moment]),
+      { title: 'Hinge Sequence', columnWidths: [20, 75, 35, 40] }
+    );
+    report.addKeyValue('Status', plastic.isSafe ? 'PASS' : 'FAIL');
+  }
+
+  return report;
+}
+
+/**
+ * Generate a plane truss analysis report
+ */
+export function generateTrussReport(results, inputs, diagramImage = null) {
+  const report = new ReportGenerator();
+  report.initialize('Plane Truss Analysis Report');
+
+  const { determinacy } = results;
+  report.addSectionTitle('1. Geometry and Determinacy');
+  report.addKeyValue('Joints (j)', determinacy.joints);
+  report.addKeyValue('Members (m)', determinacy.members);
+  report.addKeyValue('Reaction Components (r)', determinacy.reactions);
+  report.addKeyValue('Classification', determinacy.classification);
+  report.addText(determinacy.message);
+
+  report.addDataTable(
+    ['Joint', 'X (m)', 'Y (m)'],
+    inputs.joints.map(j => [j.id, j.x, j.y]),
+    { title: 'Joint Coordinates', columnWidths: [30, 40, 40] }
+  );
+
+  report.addDataTable(
+    ['Joint', 'Support', 'Fx (kN)', 'Fy (kN)'],
+    [
+      ...inputs.supports.map(s => [s.joint, s.type.replace('_', ' '), '-', '-']),
+      ...inputs.loads.map(l => [l.joint, 'Load', l.Fx, l.Fy])
+    ],
+    { title: 'Supports and Joint Loads', columnWidths: [30, 40, 40, 40] }
+  );
+
+  if (diagramImage) {
+    report.addChartImage(diagramImage, {
+      title: 'Member Force Diagram',
+      caption: 'Blue: tension, Red: compression, Grey: zero-force members'
+    });
+  }
+
+  report.addSectionTitle('2. Member Forces');
+  const areaById = Object.fromEntries(inputs.members.map(m => [String(m.id), m.A]));
+  report.addDataTable(
+    ['Member', 'Joints', 'Length (m)', 'Area (mm²)', 'Force (kN)', 'Nature', 'Stress (MPa)'],
+    results.members.map(m => [
+      m.id,
+      `${m.start} - ${m.end}`,
+      m.length,
+      areaById[String(m.id)],
+      m.force,
+      m.nature,
+      m.stress
+    ]),
+    { columnWidths: [18, 22, 24, 24, 26, 30, 26] }
+  );
+
+  report.addSectionTitle('3. Support Reactions');
+  report.addDataTable(
+    ['Joint', 'Support', 'Rx (kN)', 'Ry (kN)'],
+    results.reactions.map(r => [r.joint, r.type.replace('_', ' '), r.Rx, r.Ry]),
+    { columnWidths: [30, 40, 40, 40] }
+  );
+
+  report.addSectionTitle('4. Joint Displacements');
+  report.addDataTable(
+    ['Joint', 'ux (mm)', 'uy (mm)'],
+    results.displacements.map(d => [d.joint, d.ux, d.uy]),
+    { columnWidths: [30, 40, 40] }
+  );
+
+  report.addSectionTitle('5. Summary');
+  report.addKeyValue('Max Tension', `${results.maxValues.tension} (member ${results.maxValues.tensionMember ?? '-'})`, 'kN');
+  report.addKeyValue('Max Compression', `${results.maxValues.compression} (member ${results.maxValues.compressionMember ?? '-'})`, 'kN');
+  report.addKeyValue('Max Displacement', `${results.maxValues.displacement} (joint ${results.maxValues.displacementJoint ?? '-'})`, 'mm');
+  if (results.zeroForceMembers.length > 0) {
+    report.addKeyValue('Zero-Force Members', results.zeroForceMembers.join(', '));
+  }
+
   return report;
 }
 
@@ -494,15 +668,211 @@ export function generateGeotechReport(results, calculationType) {
     report.addInputsTable(results.inputs);
   }
 
+  if (results.soilProfile) {
+    const { layers, waterTableDepth } = results.soilProfile;
+    report.addDataTable(
+      ['Layer', 'Depth (m)', 'γ / γsat (kN/m³)', 'c (kPa)', 'φ (deg)', 'Cc / Cr / e0', 'Es (kPa)', 'μ'].map(pdfText),
+      layers.map(layer => [
+        layer.name,
+        `${layer.top.toFixed(2)} - ${layer.bottom.toFixed(2)}`,
+        `${layer.unitWeight} / ${layer.saturatedUnitWeight}`,
+        layer.cohesion,
+        layer.frictionAngle,
+        `${layer.compressionIndex} / ${layer.recompressionIndex} / ${layer.initialVoidRatio}`,
+        layer.elasticModulus,
+        layer.poissonRatio
+      ]),
+      { title: 'Soil Profile', columnWidths: [26, 20, 24, 16, 16, 28, 22, 18] }
+    );
+    report.addKeyValue('Water Table Depth', waterTableDepth === null ? 'None' : waterTableDepth, waterTableDepth === null ? '' : 'm');
+  }
+
   report.addSectionTitle('Results');
   
   // Filter out inputs from results for display
   const displayResults = { ...results };
   delete displayResults.inputs;
   delete displayResults.curveData;
+  delete displayResults.soilProfile;
+  delete displayResults.layerCoefficients;
+  delete displayResults.pressureDiagram;
+  delete displayResults.points;
+  delete displayResults.layerStresses;
+  delete displayResults.warnings;
+  delete displayResults.comparison;
+  delete displayResults.bulb;
+  delete displayResults.sublayerSettlements;
+  delete displayResults.timeRate;
+  delete displayResults.factors;
   
   report.addResultsTable(displayResults);
 
+  if (results.layerStresses) {
+    report.addDataTable(
+      ['Layer', 'Depth (m)', 'Mid-depth (m)', 'σv (kPa)', 'u (kPa)', "σ'v (kPa)"].map(pdfText),
+      results.layerStresses.map(row => [
+        row.name,
+        `${row.top.toFixed(2)} - ${row.bottom.toFixed(2)}`,
+        row.midDepth,
+        row.total,
+        row.porePressure,
+        row.effective
+      ]),
+      { title: 'Stresses at Layer Mid-Depth' }
+    );
+  }
+
+  if (results.factors) {
+    const factorRows = [['Shape', 'shape'], ['Depth', 'depth'], ['Inclination', 'inclination'], ['Ground slope', 'groundSlope'], ['Base tilt', 'baseTilt']];
+    report.addDataTable(
+      ['Factor', 'c', 'q', 'γ'].map(pdfText),
+      [
+        ['N', results.bearingCapacityFactors.Nc, results.bearingCapacityFactors.Nq, results.bearingCapacityFactors.Ngamma],
+        ...factorRows.map(([label, key]) => [label, results.factors[key].c, results.factors[key].q, results.factors[key].gamma])
+      ],
+      { title: `${results.method} Factors` }
+    );
+    report.addDataTable(
+      ['Method', 'Nc', 'Nq', 'Ngamma', 'qu (kPa)', 'qs (kPa)', 'Notes'],
+      results.comparison.map(row => [row.method, row.Nc, row.Nq, row.Ngamma, row.ultimateBearingCapacity, row.safeBearingCapacity, row.notes]),
+      { title: 'Method Comparison', columnWidths: [24, 16, 16, 16, 20, 20, 58] }
+    );
+  }
+
+  if (results.bulb) {
+    report.addDataTable(
+      ['Depth (m)', 'Boussinesq (kPa)', 'Westergaard (kPa)', '2:1 (kPa)'],
+      results.comparison.map(row => [row.depth, row.boussinesq, row.westergaard, row.twoToOne ?? '-']),
+      { title: pdfText(`Δσz below the point (Westergaard ν = ${results.inputs.poissonRatio})`) }
+    );
+  }
+
+  if (results.sublayerSettlements) {
+    report.addDataTable(
+      ['Sublayer (m)', "σ'0 (kPa)", 'Δσ (kPa)', 'Sc (mm)', 'Compression'].map(pdfText),
+      results.sublayerSettlements.map(row => [
+        `${row.top.toFixed(2)} - ${row.bottom.toFixed(2)}`,
+        row.initialEffectiveStress,
+        row.stressIncrease,
+        row.settlement,
+        row.compressionType
+      ]),
+      { title: 'Sublayer Settlements', columnWidths: [28, 26, 26, 24, 66] }
+    );
+  }
+
+  if (results.timeRate) {
+    const { curve, degreeCurve, timeFactorTable, warnings, inputs, ...timeResults } = results.timeRate;
+    if (timeResults.timeToTarget === null) delete timeResults.timeToTarget;
+    report.addSectionTitle('Time Rate of Consolidation');
+    report.addInputsTable(inputs, 'Time Rate Inputs');
+    report.addResultsTable(timeResults, 'Time Rate Results');
+    report.addDataTable(
+      ['U (%)', 'Tv'],
+      timeFactorTable.map(row => [row.degree, row.timeFactor]),
+      { title: 'Degree of Consolidation vs Time Factor' }
+    );
+    warnings.forEach(warning => report.addText(pdfText(warning)));
+  }
+
+  if (results.warnings && results.warnings.length > 0) {
+    report.addSubsectionTitle('Notes');
+    results.warnings.forEach(warning => report.addText(pdfText(warning)));
+  }
+
+  if (results.pressureDiagram) {
+    report.addDataTable(
+      ['Layer', 'Ka', 'Kp', 'K0'],
+      results.layerCoefficients.map(row => [row.layer, row.Ka, row.Kp, row.K0]),
+      { title: 'Layer Earth Pressure Coefficients' }
+    );
+    report.addDataTable(
+      ['Depth (m)', 'Layer', 'Active (kPa)', 'Passive (kPa)', 'Pore Pressure (kPa)'],
+      results.pressureDiagram.map(point => [point.depth, point.layer, point.active, point.passive, point.porePressure]),
+      { title: 'Lateral Pressure Distribution' }
+    );
+  }
+
+  return report;
+}
+
+/**
+ * Generate RC Slab Design Report (IS 456:2000 Annex D)
+ */
+export function generateSlabReport(results) {
+  const report = new ReportGenerator();
+  report.initialize('RC Slab Design Report - IS 456:2000');
+  const { inputs } = results;
+  const formatValue = (value) => (value === null ? '-' : value);
+
+  report.addSectionTitle('1. Panel & Materials');
+  report.addKeyValue('Short Span (lx)', inputs.lx, 'm');
+  report.addKeyValue('Long Span (ly)', inputs.ly, 'm');
+  report.addKeyValue('Edge Condition', `Case ${results.edgeCase.case} - ${results.edgeCase.label}`);
+  report.addKeyValue('Slab Type', `${results.slabType} (ly/lx = ${results.spanRatio})`);
+  report.addKeyValue('Overall Depth (D)', inputs.depth, 'mm');
+  report.addKeyValue('Clear Cover', inputs.cover, 'mm');
+  report.addKeyValue('Concrete', `${inputs.grade} (fck = ${results.fck} MPa)`);
+  report.addKeyValue('Steel', `${inputs.steelGrade} (fy = ${results.fy} MPa)`);
+
+  report.addSectionTitle('2. Loads');
+  report.addKeyValue('Self Weight', results.loads.selfWeight, 'kN/m²');
+  report.addKeyValue('Floor Finish', results.loads.finish, 'kN/m²');
+  report.addKeyValue('Imposed Load', results.loads.live, 'kN/m²');
+  report.addKeyValue('Factored Load (wu)', results.loads.factored, 'kN/m²');
+
+  report.addSectionTitle('3. Moments & Reinforcement (per metre width)');
+  report.addDataTable(
+    ['Location', 'Coefficient', 'Mu (kN·m/m)', 'd (mm)', 'Ast,req (mm²/m)', 'Bars'],
+    results.reinforcement.map(row => [
+      row.location,
+      formatValue(row.coefficient),
+      formatValue(row.moment),
+      row.effectiveDepth,
+      row.astRequired,
+      pdfText(row.bar)
+    ]),
+    { columnWidths: [52, 22, 24, 16, 26, 30] }
+  );
+
+  if (results.torsion) {
+    report.addSubsectionTitle('Torsion Reinforcement at Corners');
+    if (results.torsion.fullCorners + results.torsion.halfCorners === 0) {
+      report.addText('All edges continuous: no torsion reinforcement required.');
+    } else {
+      report.addKeyValue('Mesh Extent (lx/5 each way)', results.torsion.length, 'm');
+      if (results.torsion.fullCorners > 0) {
+        report.addKeyValue(`Both edges discontinuous (${results.torsion.fullCorners} corners)`, `${results.torsion.areaFull} mm²/m, ${inputs.barDiameter} mm @ ${results.torsion.spacingFull} mm in four layers`);
+      }
+      if (results.torsion.halfCorners > 0) {
+        report.addKeyValue(`One edge discontinuous (${results.torsion.halfCorners} corners)`, `${results.torsion.areaHalf} mm²/m, ${inputs.barDiameter} mm @ ${results.torsion.spacingHalf} mm in four layers`);
+      }
+    }
+  }
+
+  report.addSectionTitle('4. Code Checks');
+  report.addDataTable(
+    ['Check', 'Value', 'Limit', 'Status'],
+    results.checks.map(check => [check.name, check.value, pdfText(check.limit), check.status]),
+    { columnWidths: [50, 30, 60, 30] }
+  );
+  report.addKeyValue('Overall Status', results.isSafe ? 'SAFE' : 'REVISE DESIGN');
+  results.warnings.forEach(warning => report.addText(pdfText(warning)));
+
+  report.addSectionTitle('5. Design Steps');
+  results.designSteps.forEach(step => {
+    report.addSubsectionTitle(pdfText(`${step.step}. ${step.title}`));
+    report.addText(pdfText(step.formula), { bold: true });
+    report.addText(pdfText(step.calculation));
+    report.addKeyValue('Result', pdfText(`${step.result}`), pdfText(step.unit));
+    report.addText(step.reference);
+  });
+
+  report.addSectionTitle('Notes & References');
+  report.addText('1. Two-way panels by IS 456:2000 Annex D (Table 26); one-way slabs by Table 12 coefficients');
+  report.addText('2. Short span bars are placed in the outer layer; long span bars rest on them');
+  report.addText('3. Corner torsion mesh is provided top and bottom at discontinuous corners (Annex D-1.8 to D-1.10)');
+
   return report;
 }
 
@@ -768,8 +1138,10 @@ export function generateCPMReport(activities, results, analysisType = 'CPM', gan
 export default {
   ReportGenerator,
   generateBeamReport,
+  generateTrussReport,
   generateGeotechReport,
   generateConcreteReport,
   generateCPMReport,
+  generateSlabReport,
   captureChartImage
 };